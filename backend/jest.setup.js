@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own DATA_DIR, so tests never read or write backend/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassandra-watch-test-'));
+process.env.DATA_DIR = dataDir;
+
+// jmxService loads the native java bridge, which no test reaches
+jest.mock('java', () => ({ classpath: [], import: () => function JavaClass() {}, callStaticMethod: () => {} }), { virtual: true });
+
+// Services start cleanup and sampling intervals; fake timers keep them from running
+// and let tests move the clock. Promises and streams still need the real queues.
+jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,91 @@
+// CQL identifiers (keyspace, table names) cannot be bound, so names taken from a
+// request are checked against system_schema and then double-quoted. Values go
+// through bound parameters wherever CQL allows them.
+
+const { types } = require('cassandra-driver');
+
+// Cassandra's own rule for keyspace and table names
+const IDENTIFIER = /^[A-Za-z0-9_]{1,48}$/;
+
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isValidIdentifier(name) {
+    return typeof name === 'string' && IDENTIFIER.test(name);
+}
+
+// Quoted identifiers keep their case, which matches how system_schema stores names
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// For the few places values cannot be bound, such as the replication map in DDL
+function quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// 'LOCAL_QUORUM' -> the driver's consistency code; unknown names are a 400
+function consistencyLevel(name) {
+    const key = String(name).toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (!Object.prototype.hasOwnProperty.call(types.consistencies, key)) {
+        throw createError(`Unknown consistency level: ${name}`, 400);
+    }
+    return types.consistencies[key];
+}
+
+async function assertKeyspace(client, keyspace) {
+    if (!isValidIdentifier(keyspace)) {
+        throw createError(`Invalid keyspace name: ${JSON.stringify(keyspace)}`, 400);
+    }
+
+    const result = await client.execute(
+        'SELECT keyspace_name FROM system_schema.keyspaces WHERE keyspace_name = ?',
+        [keyspace],
+        { prepare: true }
+    );
+    if (result.rowLength === 0) {
+        throw createError(`Keyspace ${keyspace} does not exist`, 404);
+    }
+    return keyspace;
+}
+
+async function assertTables(client, keyspace, tables) {
+    await assertKeyspace(client, keyspace);
+
+    const invalid = tables.filter(table => !isValidIdentifier(table));
+    if (invalid.length > 0) {
+        throw createError(`Invalid table name(s): ${invalid.map(table => JSON.stringify(table)).join(', ')}`, 400);
+    }
+
+    const result = await client.execute(
+        'SELECT table_name FROM system_schema.tables WHERE keyspace_name = ?',
+        [keyspace],
+        { prepare: true }
+    );
+    const known = new Set(result.rows.map(row => row.table_name));
+    const unknown = tables.filter(table => !known.has(table));
+    if (unknown.length > 0) {
+        throw createError(`Unknown table(s) in ${keyspace}: ${unknown.join(', ')}`, 404);
+    }
+    return tables;
+}
+
+// Check that keyspace.table exists and return it quoted for use in a statement
+async function qualifiedTable(client, keyspace, table) {
+    await assertTables(client, keyspace, [table]);
+    return `${quoteIdentifier(keyspace)}.${quoteIdentifier(table)}`;
+}
+
+module.exports = {
+    createError,
+    isValidIdentifier,
+    quoteIdentifier,
+    quoteLiteral,
+    consistencyLevel,
+    assertKeyspace,
+    assertTables,
+    qualifiedTable
+};
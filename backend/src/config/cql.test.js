@@ -0,0 +1,97 @@
+const { types } = require('cassandra-driver');
+const cql = require('./cql');
+
+// A client whose system_schema knows the given keyspaces and tables
+function fakeClient(schema) {
+    return {
+        execute: jest.fn(async (query, [keyspace]) => {
+            if (query.includes('system_schema.keyspaces')) {
+                const rows = schema[keyspace] ? [{ keyspace_name: keyspace }] : [];
+                return { rows, rowLength: rows.length };
+            }
+            const rows = (schema[keyspace] || []).map(table => ({ table_name: table }));
+            return { rows, rowLength: rows.length };
+        })
+    };
+}
+
+describe('quoteIdentifier', () => {
+    test('double-quotes a name, keeping its case', () => {
+        expect(cql.quoteIdentifier('MyTable')).toBe('"MyTable"');
+    });
+
+    test('doubles embedded quotes', () => {
+        expect(cql.quoteIdentifier('a"b')).toBe('"a""b"');
+        expect(cql.quoteIdentifier('x" ; DROP KEYSPACE ks; --')).toBe('"x"" ; DROP KEYSPACE ks; --"');
+    });
+});
+
+describe('quoteLiteral', () => {
+    test('doubles embedded single quotes', () => {
+        expect(cql.quoteLiteral("dc'1")).toBe("'dc''1'");
+    });
+});
+
+describe('isValidIdentifier', () => {
+    test('allows 1-48 letters, digits and underscores', () => {
+        expect(cql.isValidIdentifier('ks_1')).toBe(true);
+        expect(cql.isValidIdentifier('a'.repeat(48))).toBe(true);
+    });
+
+    test.each(['', 'a'.repeat(49), 'ks-1', 'ks.table', 'ks"', 'ks;', null, 42])('rejects %j', (name) => {
+        expect(cql.isValidIdentifier(name)).toBe(false);
+    });
+});
+
+describe('assertKeyspace', () => {
+    const client = fakeClient({ shop: ['orders'] });
+
+    test('returns a keyspace that exists', async () => {
+        await expect(cql.assertKeyspace(client, 'shop')).resolves.toBe('shop');
+    });
+
+    test('binds the name instead of building it into the query', async () => {
+        await cql.assertKeyspace(client, 'shop');
+        expect(client.execute).toHaveBeenLastCalledWith(expect.not.stringContaining('shop'), ['shop'], { prepare: true });
+    });
+
+    test('answers 404 for an unknown keyspace', async () => {
+        await expect(cql.assertKeyspace(client, 'missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('answers 400 for an invalid name without querying', async () => {
+        client.execute.mockClear();
+        await expect(cql.assertKeyspace(client, 'shop; DROP TABLE x')).rejects.toMatchObject({ status: 400 });
+        expect(client.execute).not.toHaveBeenCalled();
+    });
+});
+
+describe('assertTables and qualifiedTable', () => {
+    const client = fakeClient({ shop: ['orders', 'Customers'] });
+
+    test('quotes a known table with its keyspace', async () => {
+        await expect(cql.qualifiedTable(client, 'shop', 'Customers')).resolves.toBe('"shop"."Customers"');
+    });
+
+    test('answers 404 for unknown tables', async () => {
+        await expect(cql.assertTables(client, 'shop', ['orders', 'missing'])).rejects.toMatchObject({
+            status: 404,
+            message: expect.stringContaining('missing')
+        });
+    });
+
+    test('answers 400 for invalid table names', async () => {
+        await expect(cql.assertTables(client, 'shop', ['orders"'])).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('consistencyLevel', () => {
+    test('maps names to the driver codes', () => {
+        expect(cql.consistencyLevel('LOCAL_QUORUM')).toBe(types.consistencies.localQuorum);
+        expect(cql.consistencyLevel('one')).toBe(types.consistencies.one);
+    });
+
+    test('answers 400 for unknown levels', () => {
+        expect(() => cql.consistencyLevel('MOST')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
@@ -0,0 +1,273 @@
+// CQL DDL rebuilt from system_schema rows, in the shape DESCRIBE prints it. Rows are
+// the ones the driver returns for system_schema.keyspaces, tables, columns, views,
+// indexes, triggers, types, functions and aggregates (maps as objects, lists and sets
+// as arrays).
+const { quoteIdentifier, quoteLiteral } = require('./cql');
+
+// Words that must be quoted when used as a name
+const RESERVED = new Set([
+    'add', 'allow', 'alter', 'and', 'apply', 'asc', 'authorize', 'batch', 'begin', 'by',
+    'columnfamily', 'create', 'delete', 'desc', 'describe', 'drop', 'entries', 'execute',
+    'from', 'full', 'grant', 'if', 'in', 'index', 'infinity', 'insert', 'into', 'is',
+    'keyspace', 'limit', 'materialized', 'modify', 'nan', 'norecursive', 'not', 'null',
+    'of', 'on', 'or', 'order', 'primary', 'rename', 'replace', 'revoke', 'schema', 'select',
+    'set', 'table', 'to', 'token', 'truncate', 'unlogged', 'unset', 'update', 'use', 'using',
+    'view', 'where', 'with'
+]);
+
+// Table options in the order DESCRIBE lists them; each is printed when the row has it,
+// so options of other Cassandra versions are simply absent
+const TABLE_OPTIONS = [
+    'additional_write_policy',
+    'bloom_filter_fp_chance',
+    'caching',
+    'cdc',
+    'comment',
+    'compaction',
+    'compression',
+    'memtable',
+    'crc_check_chance',
+    'dclocal_read_repair_chance',
+    'default_time_to_live',
+    'extensions',
+    'gc_grace_seconds',
+    'incremental_backups',
+    'max_index_interval',
+    'memtable_flush_period_in_ms',
+    'min_index_interval',
+    'read_repair',
+    'read_repair_chance',
+    'speculative_retry'
+];
+const DOUBLE_OPTIONS = new Set(['bloom_filter_fp_chance', 'crc_check_chance', 'dclocal_read_repair_chance', 'read_repair_chance']);
+const VIEW_OPTIONS = TABLE_OPTIONS.filter(option => option !== 'cdc' && option !== 'default_time_to_live');
+
+// Names are left bare when CQL reads them back unchanged, as cqlsh does
+function formatName(name) {
+    return /^[a-z][a-z0-9_]*$/.test(name) && !RESERVED.has(name) ? name : quoteIdentifier(name);
+}
+
+function qualified(keyspace, name) {
+    return `${formatName(keyspace)}.${formatName(name)}`;
+}
+
+function formatMap(map, formatValue = quoteLiteral) {
+    const entries = Object.keys(map || {}).sort().map(key => `${quoteLiteral(key)}: ${formatValue(map[key])}`);
+    return `{${entries.join(', ')}}`;
+}
+
+function formatBlob(value) {
+    return value ? `0x${Buffer.from(value).toString('hex')}` : 'null';
+}
+
+function formatOption(name, value) {
+    if (name === 'extensions') {
+        return formatMap(value, formatBlob);
+    }
+    if (typeof value === 'number') {
+        return DOUBLE_OPTIONS.has(name) && Number.isInteger(value) ? value.toFixed(1) : String(value);
+    }
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+    if (value && typeof value === 'object') {
+        return formatMap(value);
+    }
+    return quoteLiteral(value);
+}
+
+function tableColumns(columns, table) {
+    return columns.filter(column => column.table_name === table);
+}
+
+// Partition key, clustering columns, then the others by name
+function orderColumns(columns) {
+    const byPosition = kind => columns
+        .filter(column => column.kind === kind)
+        .sort((a, b) => a.position - b.position);
+    const others = columns
+        .filter(column => column.kind !== 'partition_key' && column.kind !== 'clustering')
+        .sort((a, b) => a.column_name.localeCompare(b.column_name));
+    return { partitionKey: byPosition('partition_key'), clustering: byPosition('clustering'), others };
+}
+
+function primaryKey(partitionKey, clustering) {
+    const partition = partitionKey.map(column => formatName(column.column_name)).join(', ');
+    const key = partitionKey.length > 1 || clustering.length === 0 ? `(${partition})` : partition;
+    return [key, ...clustering.map(column => formatName(column.column_name))].join(', ');
+}
+
+// 'WITH CLUSTERING ORDER BY ... AND option = value ...' lines
+function withClause(row, options, clustering, extra = []) {
+    const clauses = [...extra];
+    if (clustering.length > 0) {
+        const order = clustering
+            .map(column => `${formatName(column.column_name)} ${String(column.clustering_order || 'asc').toUpperCase()}`)
+            .join(', ');
+        clauses.push(`CLUSTERING ORDER BY (${order})`);
+    }
+    options
+        .filter(option => row[option] !== undefined && row[option] !== null)
+        .forEach(option => clauses.push(`${option} = ${formatOption(option, row[option])}`));
+    return clauses.length > 0 ? ` WITH ${clauses.join('\n    AND ')}` : '';
+}
+
+function createKeyspace(row) {
+    return `CREATE KEYSPACE ${formatName(row.keyspace_name)} WITH replication = ${formatMap(row.replication)}`
+        + `  AND durable_writes = ${row.durable_writes !== false};`;
+}
+
+function createType(row) {
+    const fields = (row.field_names || []).map((field, index) => `    ${formatName(field)} ${row.field_types[index]}`);
+    return `CREATE TYPE ${qualified(row.keyspace_name, row.type_name)} (\n${fields.join(',\n')}\n);`;
+}
+
+function createTable(row, columns) {
+    const flags = row.flags || ['compound'];
+    const compact = flags.includes('dense') || flags.includes('super') || !flags.includes('compound');
+    // Compact tables carry hidden columns of type 'empty'
+    const { partitionKey, clustering, others } = orderColumns(
+        tableColumns(columns, row.table_name).filter(column => column.type !== 'empty')
+    );
+    const single = partitionKey.length === 1 && clustering.length === 0;
+    const lines = [...partitionKey, ...clustering, ...others].map(column => {
+        const suffix = column.kind === 'static' ? ' static' : single && column.kind === 'partition_key' ? ' PRIMARY KEY' : '';
+        return `    ${formatName(column.column_name)} ${column.type}${suffix}`;
+    });
+    if (!single) {
+        lines.push(`    PRIMARY KEY (${primaryKey(partitionKey, clustering)})`);
+    }
+    return `CREATE TABLE ${qualified(row.keyspace_name, row.table_name)} (\n${lines.join(',\n')}\n)`
+        + `${withClause(row, TABLE_OPTIONS, clustering, compact ? ['COMPACT STORAGE'] : [])};`;
+}
+
+function createIndex(row) {
+    const options = { ...(row.options || {}) };
+    const target = options.target;
+    const className = options.class_name;
+    delete options.target;
+    delete options.class_name;
+
+    const on = `ON ${qualified(row.keyspace_name, row.table_name)} (${target})`;
+    if (row.kind !== 'CUSTOM') {
+        return `CREATE INDEX ${formatName(row.index_name)} ${on};`;
+    }
+    const using = className ? ` USING ${quoteLiteral(className)}` : '';
+    const withOptions = Object.keys(options).length > 0 ? ` WITH OPTIONS = ${formatMap(options)}` : '';
+    return `CREATE CUSTOM INDEX ${formatName(row.index_name)} ${on}${using}${withOptions};`;
+}
+
+function createTrigger(row) {
+    return `CREATE TRIGGER ${formatName(row.trigger_name)} ON ${qualified(row.keyspace_name, row.table_name)}`
+        + ` USING ${quoteLiteral((row.options || {}).class)};`;
+}
+
+function createView(row, columns) {
+    const { partitionKey, clustering, others } = orderColumns(tableColumns(columns, row.view_name));
+    const selected = row.include_all_columns
+        ? '*'
+        : [...partitionKey, ...clustering, ...others].map(column => formatName(column.column_name)).join(', ');
+    return `CREATE MATERIALIZED VIEW ${qualified(row.keyspace_name, row.view_name)} AS\n`
+        + `    SELECT ${selected}\n`
+        + `    FROM ${qualified(row.keyspace_name, row.base_table_name)}\n`
+        + `    WHERE ${row.where_clause}\n`
+        + `    PRIMARY KEY (${primaryKey(partitionKey, clustering)})\n`
+        + `${withClause(row, VIEW_OPTIONS, clustering)};`;
+}
+
+// Bodies are dollar-quoted unless they contain $$ themselves
+function functionBody(body) {
+    return String(body).includes('$$') ? quoteLiteral(body) : `$$${body}$$`;
+}
+
+function createFunction(row) {
+    const args = (row.argument_names || []).map((name, index) => `${formatName(name)} ${row.argument_types[index]}`);
+    return `CREATE FUNCTION ${qualified(row.keyspace_name, row.function_name)}(${args.join(', ')})\n`
+        + `    ${row.called_on_null_input ? 'CALLED' : 'RETURNS NULL'} ON NULL INPUT\n`
+        + `    RETURNS ${row.return_type}\n`
+        + `    LANGUAGE ${row.language}\n`
+        + `    AS ${functionBody(row.body)};`;
+}
+
+function createAggregate(row) {
+    const lines = [
+        `CREATE AGGREGATE ${qualified(row.keyspace_name, row.aggregate_name)}(${(row.argument_types || []).join(', ')})`,
+        `    SFUNC ${formatName(row.state_func)}`,
+        `    STYPE ${row.state_type}`
+    ];
+    if (row.final_func) {
+        lines.push(`    FINALFUNC ${formatName(row.final_func)}`);
+    }
+    if (row.initcond !== null && row.initcond !== undefined) {
+        lines.push(`    INITCOND ${row.initcond}`);
+    }
+    return `${lines.join('\n')};`;
+}
+
+// Types that use other types come after them
+function orderTypes(types) {
+    const names = new Set(types.map(type => type.type_name));
+    const dependencies = type => (type.field_types || [])
+        .flatMap(fieldType => fieldType.match(/"(?:[^"]|"")+"|[A-Za-z_][A-Za-z0-9_]*/g) || [])
+        .map(token => (token.startsWith('"') ? token.slice(1, -1).replace(/""/g, '"') : token))
+        .filter(name => name !== type.type_name && names.has(name));
+
+    const ordered = [];
+    const visited = new Set();
+    const visit = (type) => {
+        if (visited.has(type.type_name)) {
+            return;
+        }
+        visited.add(type.type_name);
+        dependencies(type).forEach(name => visit(types.find(other => other.type_name === name)));
+        ordered.push(type);
+    };
+    [...types].sort((a, b) => a.type_name.localeCompare(b.type_name)).forEach(visit);
+    return ordered;
+}
+
+// A table with its indexes, triggers and materialized views, as DESCRIBE TABLE shows it
+function describeTable(schema, table) {
+    const row = schema.tables.find(candidate => candidate.table_name === table);
+    const statements = [createTable(row, schema.columns)];
+    schema.indexes
+        .filter(index => index.table_name === table)
+        .sort((a, b) => a.index_name.localeCompare(b.index_name))
+        .forEach(index => statements.push(createIndex(index)));
+    schema.triggers
+        .filter(trigger => trigger.table_name === table)
+        .sort((a, b) => a.trigger_name.localeCompare(b.trigger_name))
+        .forEach(trigger => statements.push(createTrigger(trigger)));
+    schema.views
+        .filter(view => view.base_table_name === table)
+        .sort((a, b) => a.view_name.localeCompare(b.view_name))
+        .forEach(view => statements.push(createView(view, schema.columns)));
+    return statements.join('\n\n');
+}
+
+// The whole keyspace: keyspace, types, functions, aggregates, then each table
+function describeKeyspace(schema) {
+    const byName = key => (a, b) => a[key].localeCompare(b[key]);
+    const statements = [
+        createKeyspace(schema.keyspace),
+        ...orderTypes(schema.types).map(createType),
+        ...[...schema.functions].sort(byName('function_name')).map(createFunction),
+        ...[...schema.aggregates].sort(byName('aggregate_name')).map(createAggregate),
+        ...[...schema.tables].sort(byName('table_name')).map(table => describeTable(schema, table.table_name))
+    ];
+    return `${statements.join('\n\n')}\n`;
+}
+
+module.exports = {
+    formatName,
+    createKeyspace,
+    createType,
+    createTable,
+    createIndex,
+    createTrigger,
+    createView,
+    createFunction,
+    createAggregate,
+    describeTable,
+    describeKeyspace
+};
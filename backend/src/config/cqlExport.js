@@ -0,0 +1,86 @@
+// Export file formats for query results, written a page of rows at a time so a result
+// never has to be held whole. Every format starts with the result's columns
+// ([{name, type}]) and then takes the rows of each page; values are serialized the way
+// cqlValues.parseValue reads them back.
+const { types } = require('cassandra-driver');
+const { createError } = require('./cql');
+const { jsonValue, textValue } = require('./cqlValues');
+
+// The CQL type name of a result column's driver type info
+function typeName(type) {
+    try {
+        return types.getDataTypeNameByCode(type);
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+// RFC 4180: fields with separators, quotes or line breaks are quoted. A null is an
+// empty field and an empty string "", so the two read back apart.
+function csvField(value) {
+    const text = textValue(value);
+    if (text === null) {
+        return '';
+    }
+    return text === '' || /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(fields) {
+    return `${fields.join(',')}\r\n`;
+}
+
+function jsonRow(columns, row) {
+    const result = {};
+    columns.forEach(column => {
+        result[column.name] = jsonValue(row[column.name]);
+    });
+    return result;
+}
+
+const FORMATS = {
+    // A header of column names, then one line per row
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: columns => csvLine(columns.map(column => csvField(column.name))),
+        rows: (columns, rows) => rows.map(row => csvLine(columns.map(column => csvField(row[column.name])))).join('')
+    },
+    // JSON Lines: one object per row
+    jsonl: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'jsonl',
+        start: () => '',
+        rows: (columns, rows) => rows.map(row => `${JSON.stringify(jsonRow(columns, row))}\n`).join('')
+    },
+    // Column-oriented JSON Lines, laid out like Parquet row groups: a schema line
+    // ({columns}), then one line per page with an array of values per column
+    columnar: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'columnar.jsonl',
+        start: columns => `${JSON.stringify({ columns })}\n`,
+        rows: (columns, rows) => {
+            if (rows.length === 0) {
+                return '';
+            }
+            const values = {};
+            columns.forEach(column => {
+                values[column.name] = rows.map(row => jsonValue(row[column.name]));
+            });
+            return `${JSON.stringify({ rows: rows.length, values })}\n`;
+        }
+    }
+};
+
+// The writer for a format name; unknown formats are a 400
+function exportFormat(name) {
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+        throw createError(`Unknown export format: ${name} (expected one of ${Object.keys(FORMATS).join(', ')})`, 400);
+    }
+    return FORMATS[name];
+}
+
+module.exports = {
+    FORMATS: Object.keys(FORMATS),
+    typeName,
+    exportFormat
+};
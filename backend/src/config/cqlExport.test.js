@@ -0,0 +1,77 @@
+const { types } = require('cassandra-driver');
+const cqlExport = require('./cqlExport');
+
+const columns = [{ name: 'id', type: 'int' }, { name: 'name', type: 'text' }];
+
+describe('exportFormat', () => {
+    test('answers 400 for an unknown format', () => {
+        expect(() => cqlExport.exportFormat('parquet')).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => cqlExport.exportFormat('toString')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('names driver types by their code', () => {
+        expect(cqlExport.typeName({ code: types.dataTypes.int })).toBe('int');
+        expect(cqlExport.typeName({ code: 999 })).toBe('unknown');
+    });
+});
+
+describe('csv', () => {
+    const csv = cqlExport.exportFormat('csv');
+    const line = value => csv.rows([{ name: 'v' }], [{ v: value }]);
+
+    test('starts with a header of column names', () => {
+        expect(csv.start(columns)).toBe('id,name\r\n');
+        expect(csv.rows(columns, [{ id: 1, name: 'a' }, { id: 2, name: 'b' }])).toBe('1,a\r\n2,b\r\n');
+    });
+
+    test('quotes separators, quotes, line breaks and edge whitespace', () => {
+        expect(line('a,b')).toBe('"a,b"\r\n');
+        expect(line('say "hi"')).toBe('"say ""hi"""\r\n');
+        expect(line('two\nlines')).toBe('"two\nlines"\r\n');
+        expect(line(' padded')).toBe('" padded"\r\n');
+        expect(line('plain text')).toBe('plain text\r\n');
+    });
+
+    test('writes null as an empty field and "" quoted', () => {
+        expect(line(null)).toBe('\r\n');
+        expect(line(undefined)).toBe('\r\n');
+        expect(line('')).toBe('""\r\n');
+    });
+
+    test('writes collections as JSON and driver types as text', () => {
+        expect(line(['a', 'b'])).toBe('"[""a"",""b""]"\r\n');
+        expect(line(types.Long.fromString('9007199254740993'))).toBe('9007199254740993\r\n');
+        expect(line(Buffer.from([0xca, 0xfe]))).toBe('0xcafe\r\n');
+        expect(line(new Date(Date.UTC(2024, 0, 1)))).toBe('2024-01-01T00:00:00.000Z\r\n');
+    });
+});
+
+describe('jsonl', () => {
+    const jsonl = cqlExport.exportFormat('jsonl');
+
+    test('writes one object per row with no header', () => {
+        expect(jsonl.start(columns)).toBe('');
+        expect(jsonl.rows(columns, [{ id: 1, name: 'a' }, { id: 2, name: null }]))
+            .toBe('{"id":1,"name":"a"}\n{"id":2,"name":null}\n');
+    });
+
+    test('keeps only the result columns', () => {
+        expect(jsonl.rows(columns, [{ id: 1, name: 'a', extra: true }])).toBe('{"id":1,"name":"a"}\n');
+    });
+});
+
+describe('columnar', () => {
+    const columnar = cqlExport.exportFormat('columnar');
+
+    test('writes a schema line, then the values of each page by column', () => {
+        expect(columnar.start(columns)).toBe(`${JSON.stringify({ columns })}\n`);
+        expect(JSON.parse(columnar.rows(columns, [{ id: 1, name: 'a' }, { id: 2, name: null }]))).toEqual({
+            rows: 2,
+            values: { id: [1, 2], name: ['a', null] }
+        });
+    });
+
+    test('writes nothing for an empty page', () => {
+        expect(columnar.rows(columns, [])).toBe('');
+    });
+});
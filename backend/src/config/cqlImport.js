@@ -0,0 +1,161 @@
+// Reading import files record by record, the counterpart of cqlExport: CSV with a
+// header row, or JSON Lines with one object per row. Values stay as the file has them
+// (text in CSV, JSON values in JSON Lines) for cqlValues.parseValue to convert.
+const readline = require('readline');
+const { createError } = require('./cql');
+
+const FORMATS = ['csv', 'jsonl'];
+
+function assertFormat(format) {
+    if (!FORMATS.includes(format)) {
+        throw createError(`Unknown import format: ${format} (expected one of ${FORMATS.join(', ')})`, 400);
+    }
+}
+
+// RFC 4180 records as {line, fields}, parsed as the text streams in. An empty
+// unquoted field is null and a quoted one "", the way cqlExport writes them; quoted
+// fields may span lines. A quote left open at the end is {line, error}.
+async function* csvRows(stream) {
+    let field = '';
+    let fields = [];
+    let quoted = false;
+    let inQuotes = false;
+    let closing = false;
+    let line = 1;
+    let recordLine = 1;
+    let first = true;
+
+    const endField = () => {
+        fields.push(quoted || field !== '' ? field : null);
+        field = '';
+        quoted = false;
+    };
+    const endRecord = (rows) => {
+        // Blank lines are skipped
+        if (fields.length > 1 || fields[0] !== null) {
+            rows.push({ line: recordLine, fields });
+        }
+        fields = [];
+    };
+
+    stream.setEncoding('utf8');
+    for await (let chunk of stream) {
+        if (first) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        const rows = [];
+        for (const char of chunk) {
+            if (inQuotes) {
+                if (closing) {
+                    closing = false;
+                    if (char === '"') {
+                        field += char;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else if (char === '"') {
+                    closing = true;
+                    continue;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    field += char;
+                    continue;
+                }
+            }
+            if (char === '"' && field === '' && !quoted) {
+                inQuotes = true;
+                quoted = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\n') {
+                endField();
+                endRecord(rows);
+                line++;
+                recordLine = line;
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+        yield* rows;
+    }
+
+    if (inQuotes && !closing) {
+        yield { line: recordLine, error: 'Unterminated quoted field' };
+    } else if (field !== '' || quoted || fields.length > 0) {
+        endField();
+        const rows = [];
+        endRecord(rows);
+        yield* rows;
+    }
+}
+
+// CSV records keyed by the header row's names
+async function* csvRecords(stream) {
+    let header = null;
+    for await (const row of csvRows(stream)) {
+        if (row.error) {
+            yield row;
+            continue;
+        }
+        if (!header) {
+            header = row.fields.map(name => (name === null ? '' : name.trim()));
+            continue;
+        }
+        if (row.fields.length !== header.length) {
+            yield { line: row.line, error: `Expected ${header.length} fields, found ${row.fields.length}` };
+            continue;
+        }
+        const values = {};
+        header.forEach((name, index) => {
+            values[name] = row.fields[index];
+        });
+        yield { line: row.line, values };
+    }
+}
+
+async function* jsonlRecords(stream) {
+    let line = 0;
+    for await (const text of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+        line++;
+        if (!text.trim()) {
+            continue;
+        }
+        let values;
+        try {
+            values = JSON.parse(line === 1 ? text.replace(/^\uFEFF/, '') : text);
+        } catch (error) {
+            yield { line, error: `Invalid JSON: ${error.message}` };
+            continue;
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            yield { line, error: 'Expected a JSON object' };
+            continue;
+        }
+        yield { line, values };
+    }
+}
+
+// {line, values} for every record of the file, or {line, error} for one that cannot
+// be read; a CSV file's header line is not a record
+function readRecords(stream, format) {
+    assertFormat(format);
+    return format === 'csv' ? csvRecords(stream) : jsonlRecords(stream);
+}
+
+// The field names of a CSV header, without reading further
+async function readHeader(stream) {
+    for await (const row of csvRows(stream)) {
+        return (row.fields || []).map(name => (name === null ? '' : name.trim()));
+    }
+    return [];
+}
+
+module.exports = {
+    FORMATS,
+    assertFormat,
+    readRecords,
+    readHeader
+};
@@ -0,0 +1,142 @@
+const { Readable } = require('stream');
+const { types } = require('cassandra-driver');
+const cqlImport = require('./cqlImport');
+const cqlExport = require('./cqlExport');
+const cqlValues = require('./cqlValues');
+
+// A file arriving in the given chunks
+const file = (...chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+async function read(stream, format) {
+    const records = [];
+    for await (const record of cqlImport.readRecords(stream, format)) {
+        records.push(record);
+    }
+    return records;
+}
+
+describe('readRecords', () => {
+    test('answers 400 for an unknown format', () => {
+        expect(() => cqlImport.readRecords(file(''), 'xml')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('csv', () => {
+    test('keys records by the header and numbers them by line', async () => {
+        expect(await read(file('id, name\r\n1,a\r\n2,b'), 'csv')).toEqual([
+            { line: 2, values: { id: '1', name: 'a' } },
+            { line: 3, values: { id: '2', name: 'b' } }
+        ]);
+    });
+
+    test('reads an empty field as null and a quoted one as ""', async () => {
+        expect(await read(file('a,b,c\n,"",x\n'), 'csv')).toEqual([{ line: 2, values: { a: null, b: '', c: 'x' } }]);
+    });
+
+    test('unescapes quotes and keeps separators and line breaks inside quoted fields', async () => {
+        const records = await read(file('a,b\n"say ""hi""","one,\r\ntwo"\n3,4\n'), 'csv');
+        expect(records).toEqual([
+            { line: 2, values: { a: 'say "hi"', b: 'one,\r\ntwo' } },
+            { line: 4, values: { a: '3', b: '4' } }
+        ]);
+    });
+
+    test('skips blank lines and a byte order mark', async () => {
+        expect(await read(file('\uFEFFa\n\n1\n\n'), 'csv')).toEqual([{ line: 3, values: { a: '1' } }]);
+    });
+
+    test('parses fields split across chunks', async () => {
+        const bytes = Buffer.from('a,b\n"x""y",é\n');
+        const split = bytes.indexOf('"y');
+        const stream = Readable.from([bytes.subarray(0, split), bytes.subarray(split, bytes.length - 2), bytes.subarray(bytes.length - 2)]);
+        expect(await read(stream, 'csv')).toEqual([{ line: 2, values: { a: 'x"y', b: 'é' } }]);
+    });
+
+    test('reports records with the wrong number of fields and goes on', async () => {
+        expect(await read(file('a,b\n1\n1,2,3\n1,2\n'), 'csv')).toEqual([
+            { line: 2, error: 'Expected 2 fields, found 1' },
+            { line: 3, error: 'Expected 2 fields, found 3' },
+            { line: 4, values: { a: '1', b: '2' } }
+        ]);
+    });
+
+    test('reports a quote left open at the end', async () => {
+        expect(await read(file('a,b\n1,2\n3,"open\nstill open\n'), 'csv')).toEqual([
+            { line: 2, values: { a: '1', b: '2' } },
+            { line: 3, error: 'Unterminated quoted field' }
+        ]);
+    });
+
+    test('reads only the header for readHeader', async () => {
+        expect(await cqlImport.readHeader(file('\uFEFF id ,"na,me"\n1,2\n'))).toEqual(['id', 'na,me']);
+        expect(await cqlImport.readHeader(file(''))).toEqual([]);
+    });
+});
+
+describe('jsonl', () => {
+    test('reads one object per line and skips blank lines', async () => {
+        expect(await read(file('\uFEFF{"id":1}\r\n\n{"id":2,"tags":["a"]}\n'), 'jsonl')).toEqual([
+            { line: 1, values: { id: 1 } },
+            { line: 3, values: { id: 2, tags: ['a'] } }
+        ]);
+    });
+
+    test('reports lines that are not JSON objects and goes on', async () => {
+        const records = await read(file('{"id":1\n[1,2]\nnull\n{"id":4}\n'), 'jsonl');
+        expect(records[0]).toEqual({ line: 1, error: expect.stringMatching(/^Invalid JSON: /) });
+        expect(records.slice(1)).toEqual([
+            { line: 2, error: 'Expected a JSON object' },
+            { line: 3, error: 'Expected a JSON object' },
+            { line: 4, values: { id: 4 } }
+        ]);
+    });
+});
+
+// What an export writes, an import reads back to the same values
+describe('round trip', () => {
+    const columns = [
+        { name: 'id', type: 'uuid' },
+        { name: 'name', type: 'text' },
+        { name: 'note', type: 'text' },
+        { name: 'count', type: 'bigint' },
+        { name: 'at', type: 'timestamp' },
+        { name: 'data', type: 'blob' },
+        { name: 'tags', type: 'list<text>' }
+    ];
+    const rows = [
+        {
+            id: types.Uuid.fromString('6ab09bec-e68e-48d9-a5f8-97e6fb4c9b47'),
+            name: 'comma, "quote"\nand newline',
+            note: '',
+            count: types.Long.fromString('9007199254740993'),
+            at: new Date(Date.UTC(2024, 1, 29, 12, 30)),
+            data: Buffer.from([0x00, 0xff]),
+            tags: ['a,b', 'say "hi"']
+        },
+        {
+            id: types.Uuid.fromString('00000000-0000-4000-8000-000000000000'),
+            name: ' padded ',
+            note: null,
+            count: types.Long.fromNumber(-1),
+            at: null,
+            data: null,
+            tags: null
+        }
+    ];
+
+    test.each(['csv', 'jsonl'])('%s', async format => {
+        const writer = cqlExport.exportFormat(format);
+        const text = writer.start(columns) + writer.rows(columns, rows.slice(0, 1)) + writer.rows(columns, rows.slice(1));
+
+        const records = await read(file(text), format);
+
+        expect(records).toHaveLength(rows.length);
+        records.forEach((record, index) => {
+            expect(record.error).toBeUndefined();
+            columns.forEach(column => {
+                const value = cqlValues.parseValue(column.type, record.values[column.name], column.name);
+                expect(cqlValues.jsonValue(value)).toEqual(cqlValues.jsonValue(rows[index][column.name]));
+            });
+        });
+    });
+});
@@ -0,0 +1,302 @@
+// Turning values typed in the UI (strings, or JSON for collections and UDTs) into the
+// driver's types for a column's CQL type as written in system_schema.columns, e.g.
+// 'bigint', 'frozen<list<text>>', 'tuple<int, text>' or 'frozen<address>'. User types
+// are looked up in a map of type name -> [{name, type}] fields, as readUserTypes builds
+// it from system_schema.types.
+const { types, Encoder } = require('cassandra-driver');
+const { createError } = require('./cql');
+
+const { dataTypes } = types;
+// Clients decode maps to plain objects, whose keys can only be strings, so maps are
+// encoded here from an ES Map instead and bound as bytes
+const mapEncoder = new Encoder(types.protocolVersion.v4, { encoding: { map: Map } });
+const INTEGER = /^-?\d+$/;
+const INTEGER_RANGES = {
+    tinyint: [-128, 127],
+    smallint: [-32768, 32767],
+    int: [-2147483648, 2147483647]
+};
+
+// Split on the commas that are not nested inside <...>
+function splitArguments(text) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '<') {
+            depth++;
+        } else if (text[index] === '>') {
+            depth--;
+        } else if (text[index] === ',' && depth === 0) {
+            parts.push(text.slice(start, index));
+            start = index + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim());
+}
+
+// 'frozen<map<text, frozen<list<int>>>>' -> { name: 'map', args: [{ name: 'text' }, { name: 'list', args: [...] }] }
+function parseType(type) {
+    const text = String(type).trim();
+    const match = text.match(/^([A-Za-z_]+)\s*<(.*)>$/);
+    if (!match) {
+        // Quoted (user type) names keep their case
+        const quoted = text.match(/^"((?:[^"]|"")+)"$/);
+        return { name: quoted ? quoted[1].replace(/""/g, '"') : text.toLowerCase(), args: [] };
+    }
+    const name = match[1].toLowerCase();
+    if (name === 'frozen') {
+        return parseType(match[2]);
+    }
+    return { name, args: splitArguments(match[2]).map(parseType) };
+}
+
+function userType(parsed, userTypes) {
+    return parsed.args.length === 0 && Object.prototype.hasOwnProperty.call(userTypes, parsed.name)
+        ? userTypes[parsed.name]
+        : null;
+}
+
+// The driver's type info (as the Encoder takes it) for a parsed type
+function typeInfo(parsed, userTypes = {}) {
+    const fields = userType(parsed, userTypes);
+    if (fields) {
+        return {
+            code: dataTypes.udt,
+            info: { name: parsed.name, fields: fields.map(field => ({ name: field.name, type: typeInfo(parseType(field.type), userTypes) })) }
+        };
+    }
+    const code = dataTypes[parsed.name];
+    if (typeof code !== 'number' || parsed.name === 'udt' || parsed.name === 'custom') {
+        throw createError(`Unsupported CQL type: ${parsed.name}`, 400);
+    }
+    if (parsed.name === 'list' || parsed.name === 'set') {
+        return { code, info: typeInfo(parsed.args[0], userTypes) };
+    }
+    if (parsed.name === 'map' || parsed.name === 'tuple') {
+        return { code, info: parsed.args.map(arg => typeInfo(arg, userTypes)) };
+    }
+    return { code };
+}
+
+function convert(parsed, input, userTypes) {
+    const fields = userType(parsed, userTypes);
+    if (fields) {
+        return convertUserType(fields, typeof input === 'string' ? JSON.parse(input) : input, userTypes);
+    }
+    const text = typeof input === 'string' ? input.trim() : input;
+    switch (parsed.name) {
+        case 'ascii':
+        case 'text':
+        case 'varchar':
+            return String(input);
+        case 'tinyint':
+        case 'smallint':
+        case 'int': {
+            const [min, max] = INTEGER_RANGES[parsed.name];
+            if (!INTEGER.test(String(text)) || Number(text) < min || Number(text) > max) {
+                throw new Error(`expected an integer between ${min} and ${max}`);
+            }
+            return Number(text);
+        }
+        case 'bigint':
+        case 'counter':
+            if (!INTEGER.test(String(text))) {
+                throw new Error('expected an integer');
+            }
+            return types.Long.fromString(String(text));
+        case 'varint':
+            if (!INTEGER.test(String(text))) {
+                throw new Error('expected an integer');
+            }
+            return types.Integer.fromString(String(text));
+        case 'float':
+        case 'double': {
+            const number = Number(text);
+            if (text === '' || Number.isNaN(number)) {
+                throw new Error('expected a number');
+            }
+            return number;
+        }
+        case 'decimal':
+            if (!/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(String(text))) {
+                throw new Error('expected a decimal number');
+            }
+            return types.BigDecimal.fromString(String(text));
+        case 'boolean':
+            if (text === true || text === false) {
+                return text;
+            }
+            if (!/^(true|false)$/i.test(String(text))) {
+                throw new Error('expected true or false');
+            }
+            return String(text).toLowerCase() === 'true';
+        case 'uuid':
+            return types.Uuid.fromString(String(text));
+        case 'timeuuid':
+            return types.TimeUuid.fromString(String(text));
+        case 'timestamp': {
+            const date = INTEGER.test(String(text)) ? new Date(Number(text)) : new Date(String(text));
+            if (Number.isNaN(date.getTime())) {
+                throw new Error('expected an ISO 8601 date or milliseconds since the epoch');
+            }
+            return date;
+        }
+        case 'date':
+            return types.LocalDate.fromString(String(text));
+        case 'time':
+            return types.LocalTime.fromString(String(text));
+        case 'inet':
+            return types.InetAddress.fromString(String(text));
+        case 'duration':
+            return types.Duration.fromString(String(text));
+        case 'blob':
+            if (!/^(0x)?([0-9a-fA-F]{2})*$/.test(String(text))) {
+                throw new Error('expected hex bytes such as 0xcafe');
+            }
+            return Buffer.from(String(text).replace(/^0x/, ''), 'hex');
+        case 'list':
+        case 'set':
+        case 'map':
+        case 'tuple':
+            return convertCollection(parsed, typeof input === 'string' ? JSON.parse(input) : input, userTypes);
+        default:
+            throw createError(`Unsupported CQL type: ${parsed.name}`, 400);
+    }
+}
+
+// User type values come as a JSON object of fields; missing fields are null
+function convertUserType(fields, value, userTypes) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('expected a JSON object');
+    }
+    const unknown = Object.keys(value).filter(key => !fields.some(field => field.name === key));
+    if (unknown.length > 0) {
+        throw new Error(`unknown field(s) ${unknown.join(', ')}`);
+    }
+    const result = {};
+    fields.forEach(field => {
+        const item = value[field.name];
+        result[field.name] = item === null || item === undefined ? null : convert(parseType(field.type), item, userTypes);
+    });
+    return result;
+}
+
+// Collections come as JSON: arrays for list, set and tuple, an object for map. Map keys
+// are converted to their key type like any value, and the map is returned encoded.
+function convertCollection(parsed, value, userTypes) {
+    if (parsed.name === 'map') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('expected a JSON object');
+        }
+        const result = new Map();
+        // Keys that differ as text may still be the same value, such as "1" and "01"
+        const seen = new Set();
+        Object.entries(value).forEach(([key, item]) => {
+            const converted = convert(parsed.args[0], key, userTypes);
+            const text = textValue(converted);
+            if (seen.has(text)) {
+                throw new Error(`duplicate key ${key}`);
+            }
+            seen.add(text);
+            result.set(converted, convert(parsed.args[1], item, userTypes));
+        });
+        return mapEncoder.encode(result, typeInfo(parsed, userTypes));
+    }
+
+    if (!Array.isArray(value)) {
+        throw new Error('expected a JSON array');
+    }
+    if (parsed.name === 'tuple') {
+        if (value.length !== parsed.args.length) {
+            throw new Error(`expected ${parsed.args.length} elements`);
+        }
+        return types.Tuple.fromArray(value.map((item, index) => (item === null ? null : convert(parsed.args[index], item, userTypes))));
+    }
+    return value.map(item => convert(parsed.args[0], item, userTypes));
+}
+
+// The driver value for input typed as the given CQL type; invalid input is a 400
+function parseValue(type, input, name = 'value', userTypes = {}) {
+    if (input === null || input === undefined) {
+        return null;
+    }
+    try {
+        return convert(parseType(type), input, userTypes);
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        throw createError(`Invalid ${type} for ${name}: ${error.message}`, 400);
+    }
+}
+
+// The reverse of parseValue: a value the driver returned as JSON that parseValue reads
+// back. Numbers that do not fit a double (bigint, varint, decimal) become strings,
+// blobs hex, and collections, tuples and user types arrays and objects.
+function jsonValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `0x${value.toString('hex')}`;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value instanceof types.Tuple) {
+        return value.values().map(jsonValue);
+    }
+    if (Array.isArray(value)) {
+        return value.map(jsonValue);
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : String(value);
+    }
+    if (typeof value !== 'object') {
+        return typeof value === 'bigint' ? String(value) : value;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype === Object.prototype || prototype === null) {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = jsonValue(value[key]);
+        });
+        return result;
+    }
+    // Long, Integer, BigDecimal, Uuid, LocalDate, LocalTime, InetAddress, Duration
+    return value.toString();
+}
+
+// A value as one line of text: JSON for collections, tuples and user types
+function textValue(value) {
+    const json = jsonValue(value);
+    if (json === null || typeof json === 'string') {
+        return json;
+    }
+    return typeof json === 'object' ? JSON.stringify(json) : String(json);
+}
+
+// type name -> fields of every user type in a keyspace
+async function readUserTypes(client, keyspace) {
+    const result = await client.execute(
+        'SELECT type_name, field_names, field_types FROM system_schema.types WHERE keyspace_name = ?',
+        [keyspace],
+        { prepare: true }
+    );
+    const userTypes = {};
+    result.rows.forEach(row => {
+        userTypes[row.type_name] = (row.field_names || []).map((name, index) => ({ name, type: row.field_types[index] }));
+    });
+    return userTypes;
+}
+
+module.exports = {
+    parseType,
+    typeInfo: (type, userTypes = {}) => typeInfo(parseType(type), userTypes),
+    parseValue,
+    jsonValue,
+    textValue,
+    readUserTypes
+};
@@ -0,0 +1,128 @@
+const { types, Encoder } = require('cassandra-driver');
+const cqlValues = require('./cqlValues');
+
+const decoder = new Encoder(types.protocolVersion.v4, {});
+// Maps are returned encoded, so they are checked by decoding them the way a read would
+const decode = (type, value, userTypes = {}) => decoder.decode(value, cqlValues.typeInfo(type, userTypes));
+
+describe('parseType', () => {
+    test('unwraps frozen and nests arguments', () => {
+        expect(cqlValues.parseType('frozen<map<text, frozen<list<int>>>>')).toEqual({
+            name: 'map',
+            args: [{ name: 'text', args: [] }, { name: 'list', args: [{ name: 'int', args: [] }] }]
+        });
+    });
+
+    test('keeps the case of quoted user type names', () => {
+        expect(cqlValues.parseType('"Address"')).toEqual({ name: 'Address', args: [] });
+    });
+});
+
+describe('parseValue', () => {
+    test('converts scalars to driver types', () => {
+        expect(cqlValues.parseValue('int', ' 42 ')).toBe(42);
+        expect(cqlValues.parseValue('bigint', '9007199254740993').toString()).toBe('9007199254740993');
+        expect(cqlValues.parseValue('varint', '-123456789012345678901234567890').toString()).toBe('-123456789012345678901234567890');
+        expect(cqlValues.parseValue('decimal', '1.50').toString()).toBe('1.50');
+        expect(cqlValues.parseValue('boolean', 'TRUE')).toBe(true);
+        expect(cqlValues.parseValue('double', '2.5')).toBe(2.5);
+        expect(cqlValues.parseValue('text', ' padded ')).toBe(' padded ');
+        expect(cqlValues.parseValue('blob', '0xcafe')).toEqual(Buffer.from([0xca, 0xfe]));
+        expect(cqlValues.parseValue('uuid', '6ab09bec-e68e-48d9-a5f8-97e6fb4c9b47')).toBeInstanceOf(types.Uuid);
+        expect(cqlValues.parseValue('inet', '10.0.0.1').toString()).toBe('10.0.0.1');
+        expect(cqlValues.parseValue('date', '2024-02-29').toString()).toBe('2024-02-29');
+    });
+
+    test('reads timestamps as ISO dates or epoch milliseconds', () => {
+        expect(cqlValues.parseValue('timestamp', '2024-01-01T00:00:00Z').getTime()).toBe(Date.UTC(2024, 0, 1));
+        expect(cqlValues.parseValue('timestamp', '1704067200000').getTime()).toBe(Date.UTC(2024, 0, 1));
+    });
+
+    test('null stays null', () => {
+        expect(cqlValues.parseValue('int', null)).toBeNull();
+        expect(cqlValues.parseValue('int', undefined)).toBeNull();
+    });
+
+    test.each([
+        ['int', '2147483648'],
+        ['tinyint', '1.5'],
+        ['bigint', '12abc'],
+        ['double', 'abc'],
+        ['boolean', 'yes'],
+        ['blob', 'cafe1'],
+        ['timestamp', 'yesterday'],
+        ['list<int>', '{"a": 1}'],
+        ['tuple<int, text>', '[1]']
+    ])('answers 400 for an invalid %s %j', (type, input) => {
+        expect(() => cqlValues.parseValue(type, input, 'col')).toThrow(expect.objectContaining({
+            status: 400,
+            message: expect.stringContaining(`Invalid ${type} for col`)
+        }));
+    });
+
+    test('answers 400 for unsupported types', () => {
+        expect(() => cqlValues.parseValue('mystery', '1')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('converts list, set and tuple elements', () => {
+        expect(cqlValues.parseValue('list<int>', '[1, 2]')).toEqual([1, 2]);
+        expect(cqlValues.parseValue('set<text>', ['a', 'b'])).toEqual(['a', 'b']);
+        const tuple = cqlValues.parseValue('tuple<int, text>', '[1, null]');
+        expect(tuple).toBeInstanceOf(types.Tuple);
+        expect(tuple.values()).toEqual([1, null]);
+    });
+
+    test('converts map keys to the key type', () => {
+        const value = cqlValues.parseValue('map<int, text>', '{"1": "one", "2": "two"}');
+        expect(decode('map<int, text>', value)).toEqual({ 1: 'one', 2: 'two' });
+
+        const dates = cqlValues.parseValue('map<timestamp, int>', { '2024-01-01T00:00:00Z': 3 });
+        const [[key, count]] = Object.entries(decode('map<timestamp, int>', dates));
+        expect(new Date(key).getTime()).toBe(Date.UTC(2024, 0, 1));
+        expect(count).toBe(3);
+    });
+
+    test('rejects invalid and duplicate map keys', () => {
+        expect(() => cqlValues.parseValue('map<int, text>', '{"x": "a"}')).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => cqlValues.parseValue('map<int, text>', '{"1": "a", "01": "b"}')).toThrow(/duplicate key 01/);
+    });
+
+    test('converts nested maps inside collections', () => {
+        const value = cqlValues.parseValue('list<frozen<map<int, int>>>', [{ 1: 2 }]);
+        const typeInfo = cqlValues.typeInfo('list<frozen<map<int, int>>>');
+        expect(decoder.decode(decoder.encode(value, typeInfo), typeInfo)).toEqual([{ 1: 2 }]);
+    });
+
+    test('converts user type fields and rejects unknown ones', () => {
+        const userTypes = { address: [{ name: 'street', type: 'text' }, { name: 'zip', type: 'int' }] };
+        expect(cqlValues.parseValue('frozen<address>', '{"street": "Main"}', 'home', userTypes)).toEqual({ street: 'Main', zip: null });
+        expect(() => cqlValues.parseValue('frozen<address>', '{"city": "X"}', 'home', userTypes)).toThrow(/unknown field\(s\) city/);
+    });
+});
+
+describe('jsonValue and textValue', () => {
+    test('serialize values the way parseValue reads them back', () => {
+        const values = [
+            ['bigint', '9007199254740993'],
+            ['blob', '0xcafe'],
+            ['timestamp', '2024-01-01T00:00:00.000Z'],
+            ['uuid', '6ab09bec-e68e-48d9-a5f8-97e6fb4c9b47'],
+            ['decimal', '1.50']
+        ];
+        values.forEach(([type, text]) => {
+            expect(cqlValues.jsonValue(cqlValues.parseValue(type, text))).toBe(text);
+        });
+    });
+
+    test('write collections and tuples as JSON', () => {
+        expect(cqlValues.textValue([1, 2])).toBe('[1,2]');
+        expect(cqlValues.textValue(types.Tuple.fromArray([1, 'a']))).toBe('[1,"a"]');
+        expect(cqlValues.textValue({ a: types.Long.fromNumber(5) })).toBe('{"a":"5"}');
+        expect(cqlValues.textValue(null)).toBeNull();
+    });
+
+    test('keep non-finite numbers as text', () => {
+        expect(cqlValues.jsonValue(NaN)).toBe('NaN');
+        expect(cqlValues.jsonValue(-Infinity)).toBe('-Infinity');
+    });
+});
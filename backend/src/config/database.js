@@ -1,11 +1,188 @@
 const cassandra = require('cassandra-driver');
+const { readTlsFile } = require('./tlsFiles');
 require('dotenv').config();
 
+// TLS settings that must never leave the backend
+const SSL_SECRET_FIELDS = ['key', 'keyPassphrase', 'jmxTruststorePassword', 'jmxKeystorePassword'];
+
+// JMX key and trust store settings. The JVM holds a single set (see jmxService), so
+// every connected cluster using SSL JMX must configure the same stores.
+const JMX_STORE_FIELDS = ['jmxTruststore', 'jmxTruststorePassword', 'jmxTruststoreType', 'jmxKeystore', 'jmxKeystorePassword', 'jmxKeystoreType'];
+
+// Node TLS error codes that indicate a failed handshake or certificate check
+const TLS_ERROR_CODES = [
+    'EPROTO',
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'CERT_HAS_EXPIRED',
+    'CERT_NOT_YET_VALID',
+    'CERT_UNTRUSTED',
+    'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+const TLS_ERROR_HINTS = {
+    DEPTH_ZERO_SELF_SIGNED_CERT: 'the node presented a self-signed certificate; add it to the CA bundle',
+    SELF_SIGNED_CERT_IN_CHAIN: 'the certificate chain ends in an untrusted root; check the CA bundle',
+    UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'the node certificate is not signed by the configured CA',
+    UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'the issuer of the node certificate is missing from the CA bundle',
+    CERT_HAS_EXPIRED: 'the node certificate has expired',
+    ERR_TLS_CERT_ALTNAME_INVALID: 'the node certificate does not match the host name; fix the certificate SANs or disable hostname verification',
+    ERR_SSL_WRONG_VERSION_NUMBER: 'the node does not appear to speak TLS on this port; disable TLS or check client_encryption_options'
+};
+
+function jmxStores(config) {
+    const ssl = config?.ssl;
+    return ssl && ssl.jmxEnabled ? JSON.stringify(JMX_STORE_FIELDS.map(field => ssl[field] || null)) : null;
+}
+
+// Connection config without credentials, safe to return from the API
+function toPublicConfig(config) {
+    if (!config) {
+        return null;
+    }
+    const { password, ...rest } = config;
+    if (rest.ssl) {
+        rest.ssl = { ...rest.ssl };
+        SSL_SECRET_FIELDS.forEach(field => delete rest.ssl[field]);
+    }
+    return rest;
+}
+
+// PEM material may be given inline or as the name of a file in TLS_DIR
+function readPem(value, file, label) {
+    if (value) {
+        return value;
+    }
+    if (!file) {
+        return undefined;
+    }
+    return readTlsFile(file, label);
+}
+
+// Map the connection's ssl settings onto Node tls.connect options for the driver
+function buildSslOptions(ssl) {
+    if (!ssl || !ssl.enabled) {
+        return undefined;
+    }
+
+    const options = {
+        rejectUnauthorized: ssl.rejectUnauthorized !== false
+    };
+
+    const ca = readPem(ssl.ca, ssl.caFile, 'CA');
+    const cert = readPem(ssl.cert, ssl.certFile, 'client certificate');
+    const key = readPem(ssl.key, ssl.keyFile, 'client key');
+
+    if (ca) {
+        options.ca = [ca];
+    }
+    if (cert) {
+        options.cert = cert;
+    }
+    if (key) {
+        options.key = key;
+    }
+    if (ssl.keyPassphrase) {
+        options.passphrase = ssl.keyPassphrase;
+    }
+    if (ssl.verifyHostname === false) {
+        options.checkServerIdentity = () => undefined;
+    }
+    return options;
+}
+
+function isTlsError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.code && (TLS_ERROR_CODES.includes(error.code) || /^ERR_(SSL|TLS|OSSL)_/.test(error.code))) {
+        return true;
+    }
+    return /\b(SSL|TLS)\b|certificate|handshake/i.test(error.message || '');
+}
+
+// Turn a driver error into a short message, calling out TLS handshake failures per host
+function describeConnectionError(error, config = {}) {
+    if (error.code === 'TLS_CONFIG') {
+        return { error: error.message, errorType: 'tls', code: error.code, failures: [] };
+    }
+
+    const failures = Object.entries(error.innerErrors || {}).map(([host, inner]) => ({
+        host,
+        code: inner?.code || null,
+        message: inner?.message || String(inner)
+    }));
+
+    const tlsFailure = failures.find(isTlsError) || (isTlsError(error) ? { host: null, code: error.code || null, message: error.message } : null);
+    if (tlsFailure) {
+        const code = tlsFailure.code || (/wrong version number/i.test(tlsFailure.message) ? 'ERR_SSL_WRONG_VERSION_NUMBER' : null);
+        const hint = TLS_ERROR_HINTS[code];
+        return {
+            error: `TLS handshake failed${tlsFailure.host ? ` with ${tlsFailure.host}` : ''}: ${tlsFailure.message}${hint ? ` (${hint})` : ''}`,
+            errorType: 'tls',
+            code,
+            failures
+        };
+    }
+
+    // A server requiring client encryption drops plain-text connections without a protocol error
+    const reset = failures.find(failure => failure.code === 'ECONNRESET' || /socket hang up|closed|did not reply/i.test(failure.message));
+    if (reset && !config.ssl?.enabled) {
+        return {
+            error: `${error.message} (the node closed or ignored the connection; if client encryption is enabled on the cluster, enable TLS for this connection)`,
+            errorType: 'connection',
+            code: reset.code,
+            failures
+        };
+    }
+
+    return {
+        error: error.message,
+        errorType: 'connection',
+        code: error.code || null,
+        failures
+    };
+}
+
+// Driver options shared by long-lived connections and connection tests
+function buildClientOptions(config, overrides = {}) {
+    const authProvider = config.username ? 
+        new cassandra.auth.PlainTextAuthProvider(
+            config.username, 
+            config.password
+        ) : null;
+
+    return {
+        contactPoints: config.hosts,
+        localDataCenter: config.datacenter,
+        authProvider,
+        sslOptions: buildSslOptions(config.ssl),
+        protocolOptions: {
+            port: config.port
+        },
+        ...overrides
+    };
+}
+
 class DatabaseConfig {
-    constructor() {
+    constructor(clusterId = null, name = null) {
+        this.clusterId = clusterId;
+        this.name = name;
         this.client = null;
         this.isConnected = false;
         this.connectionConfig = null;
+        // Per-cluster service instances (metrics, operations, ...) keyed by name
+        this.services = new Map();
+    }
+
+    // Get or lazily create a service instance bound to this cluster
+    service(name, factory) {
+        if (!this.services.has(name)) {
+            this.services.set(name, factory());
+        }
+        return this.services.get(name);
     }
 
     async connect(config) {
@@ -22,19 +199,7 @@ class DatabaseConfig {
                 await this.disconnect();
             }
             
-            const authProvider = connectionConfig.username ? 
-                new cassandra.auth.PlainTextAuthProvider(
-                    connectionConfig.username, 
-                    connectionConfig.password
-                ) : null;
-
-            this.client = new cassandra.Client({
-                contactPoints: connectionConfig.hosts,
-                localDataCenter: connectionConfig.datacenter,
-                authProvider,
-                protocolOptions: {
-                    port: connectionConfig.port
-                },
+            this.client = new cassandra.Client(buildClientOptions(connectionConfig, {
                 socketOptions: {
                     connectTimeout: 60000, // Increased from 30000ms to 60000ms (1 minute)
                     readTimeout: 60000, // Increased from 30000ms to 60000ms (1 minute)
@@ -61,7 +226,7 @@ class DatabaseConfig {
                     consistency: cassandra.types.consistencies.localQuorum,
                     fetchSize: 1000
                 }
-            });
+            }));
 
             await this.client.connect();
             
@@ -94,14 +259,23 @@ class DatabaseConfig {
                 success: true,
                 cluster: clusterName,
                 nodes: hostsCount,
-                config: connectionConfig
+                config: toPublicConfig(connectionConfig)
             };
 
         } catch (error) {
-            console.error('❌ Failed to connect to Cassandra:', error.message);
+            const described = describeConnectionError(error, config || {});
+            console.error('❌ Failed to connect to Cassandra:', described.error);
             this.isConnected = false;
             this.connectionConfig = null;
-            throw error;
+            if (this.client) {
+                this.client.shutdown().catch(() => {});
+                this.client = null;
+            }
+
+            const connectError = new Error(described.error);
+            connectError.errorType = described.errorType;
+            connectError.code = described.code;
+            throw connectError;
         }
     }
 
@@ -122,33 +296,153 @@ class DatabaseConfig {
         }
     }
 
+    // True when the address belongs to this cluster (contact point or discovered peer)
+    hasHost(host) {
+        if (!host) {
+            return false;
+        }
+        if ((this.connectionConfig?.hosts || []).includes(host)) {
+            return true;
+        }
+        const hosts = this.client?.metadata?.hosts;
+        return hosts ? hosts.values().some(h => h.address.split(':')[0] === host) : false;
+    }
+
     getConnectionInfo() {
         return {
+            clusterId: this.clusterId,
+            name: this.name,
             isConnected: this.isConnected,
-            config: this.connectionConfig,
+            config: toPublicConfig(this.connectionConfig),
             cluster: this.client?.metadata?.clusterName || null
         };
     }
+}
+
+class ConnectionRegistry {
+    constructor() {
+        this.connections = new Map();
+        this.defaultClusterId = null;
+        // Stand-in used when no cluster is connected so callers still get the
+        // "not connected" responses instead of exceptions
+        this.detached = new DatabaseConfig();
+    }
+
+    // Derive a stable, URL-safe id from the connection name or first host
+    createClusterId(config) {
+        const source = config.name || (Array.isArray(config.hosts) ? config.hosts[0] : config.hosts) || 'cluster';
+        const slug = String(source).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return slug || 'cluster';
+    }
+
+    async connect(config) {
+        if (!config) {
+            throw new Error('Connection configuration is required');
+        }
+
+        const clusterId = config.id || this.createClusterId(config);
+        const name = config.name || clusterId;
+
+        const stores = jmxStores(config);
+        const conflict = stores && Array.from(this.connections.values()).find(connection =>
+            connection.clusterId !== clusterId && jmxStores(connection.connectionConfig) && jmxStores(connection.connectionConfig) !== stores
+        );
+        if (conflict) {
+            const error = new Error(`JMX SSL stores differ from those of connected cluster '${conflict.name}'; the JVM can only use one key and trust store, so every cluster must share them`);
+            error.code = 'JMX_SSL_CONFLICT';
+            error.status = 409;
+            throw error;
+        }
+
+        // Reconnecting an existing id replaces only that cluster's connection, and only
+        // once the new one is up: a failed reconnect leaves the old one in place
+        const connection = new DatabaseConfig(clusterId, name);
+        const result = await connection.connect(config);
+
+        const existing = this.connections.get(clusterId);
+        this.connections.set(clusterId, connection);
+        if (existing) {
+            await existing.disconnect().catch(error => {
+                console.error(`Failed to close the previous connection to '${clusterId}':`, error.message);
+            });
+        }
+        if (!this.defaultClusterId || !this.connections.has(this.defaultClusterId)) {
+            this.defaultClusterId = clusterId;
+        }
+
+        return {
+            ...result,
+            clusterId,
+            name
+        };
+    }
+
+    // Resolve a cluster connection; falls back to the default cluster when no id is given
+    get(clusterId) {
+        if (!clusterId) {
+            return this.connections.get(this.defaultClusterId) || this.detached;
+        }
+
+        const connection = this.connections.get(clusterId);
+        if (!connection) {
+            const error = new Error(`Cluster '${clusterId}' is not connected`);
+            error.status = 404;
+            throw error;
+        }
+        return connection;
+    }
+
+    has(clusterId) {
+        return this.connections.has(clusterId);
+    }
+
+    async disconnect(clusterId) {
+        const id = clusterId || this.defaultClusterId;
+        const connection = this.connections.get(id);
+        if (!connection) {
+            return false;
+        }
+
+        await connection.disconnect();
+        this.connections.delete(id);
+
+        if (this.defaultClusterId === id) {
+            this.defaultClusterId = this.connections.size > 0 ? this.connections.keys().next().value : null;
+        }
+        return true;
+    }
+
+    async disconnectAll() {
+        for (const id of Array.from(this.connections.keys())) {
+            await this.disconnect(id);
+        }
+    }
+
+    list() {
+        return Array.from(this.connections.values()).map(connection => ({
+            ...connection.getConnectionInfo(),
+            isDefault: connection.clusterId === this.defaultClusterId
+        }));
+    }
+
+    // True when at least one cluster is connected
+    get isConnected() {
+        return Array.from(this.connections.values()).some(connection => connection.isConnected);
+    }
+
+    // Find the connected cluster a node address belongs to
+    findByHost(host) {
+        return Array.from(this.connections.values()).find(connection => connection.hasHost(host)) || null;
+    }
 
     async testConnection(config) {
+        let testClient = null;
         try {
-            const authProvider = config.username ? 
-                new cassandra.auth.PlainTextAuthProvider(
-                    config.username, 
-                    config.password
-                ) : null;
-
-            const testClient = new cassandra.Client({
-                contactPoints: config.hosts,
-                localDataCenter: config.datacenter,
-                authProvider,
-                protocolOptions: {
-                    port: config.port
-                },
+            testClient = new cassandra.Client(buildClientOptions(config, {
                 socketOptions: {
                     connectTimeout: 5000
                 }
-            });
+            }));
 
             await testClient.connect();
             const metadata = testClient.metadata;
@@ -170,12 +464,16 @@ class DatabaseConfig {
             await testClient.shutdown();
             return result;
         } catch (error) {
+            if (testClient) {
+                testClient.shutdown().catch(() => {});
+            }
             return {
                 success: false,
-                error: error.message
+                ...describeConnectionError(error, config),
+                tls: !!config.ssl?.enabled
             };
         }
     }
 }
 
-module.exports = new DatabaseConfig();
+module.exports = new ConnectionRegistry();
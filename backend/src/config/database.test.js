@@ -0,0 +1,51 @@
+const registry = require('./database');
+
+const DatabaseConfig = registry.detached.constructor;
+
+describe('ConnectionRegistry.connect', () => {
+    let connect;
+    let disconnect;
+
+    beforeEach(() => {
+        connect = jest.spyOn(DatabaseConfig.prototype, 'connect').mockImplementation(async function (config) {
+            if (config.password === 'wrong') {
+                throw new Error('Authentication failed');
+            }
+            this.isConnected = true;
+            this.connectionConfig = config;
+            return { success: true };
+        });
+        disconnect = jest.spyOn(DatabaseConfig.prototype, 'disconnect').mockImplementation(async function () {
+            this.isConnected = false;
+        });
+    });
+
+    afterEach(async () => {
+        await registry.disconnectAll();
+        jest.restoreAllMocks();
+    });
+
+    test('a failed reconnect keeps the existing connection', async () => {
+        await registry.connect({ id: 'prod', hosts: ['10.0.0.1'], password: 'right' });
+        const existing = registry.get('prod');
+
+        await expect(registry.connect({ id: 'prod', hosts: ['10.0.0.1'], password: 'wrong' })).rejects.toThrow('Authentication failed');
+
+        expect(registry.get('prod')).toBe(existing);
+        expect(existing.isConnected).toBe(true);
+        expect(disconnect).not.toHaveBeenCalled();
+    });
+
+    test('a reconnect swaps in the new connection before closing the old one', async () => {
+        await registry.connect({ id: 'prod', hosts: ['10.0.0.1'], password: 'right' });
+        const existing = registry.get('prod');
+
+        const result = await registry.connect({ id: 'prod', name: 'Production', hosts: ['10.0.0.2'], password: 'right' });
+
+        expect(result).toMatchObject({ success: true, clusterId: 'prod', name: 'Production' });
+        expect(registry.get('prod')).not.toBe(existing);
+        expect(registry.get('prod').connectionConfig.hosts).toEqual(['10.0.0.2']);
+        expect(disconnect.mock.contexts).toEqual([existing]);
+        expect(connect).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,47 @@
+require('dotenv').config();
+
+// Ordered from least to most privileged; each role includes the ones before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const DEFAULT_ROLE = ROLES.includes(process.env.AUTH_DEFAULT_ROLE) ? process.env.AUTH_DEFAULT_ROLE : 'viewer';
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasRole(userRole, requiredRole) {
+    return isValidRole(userRole) && ROLES.indexOf(userRole) >= ROLES.indexOf(requiredRole);
+}
+
+// Map external group names (LDAP memberOf, OIDC groups claim) to a role using
+// AUTH_ROLE_MAPPING, e.g. {"admin":["cassandra-admins"],"operator":["cassandra-ops"]}
+function parseRoleMapping() {
+    try {
+        return JSON.parse(process.env.AUTH_ROLE_MAPPING || '{}');
+    } catch (error) {
+        console.warn('Ignoring invalid AUTH_ROLE_MAPPING:', error.message);
+        return {};
+    }
+}
+
+const roleMapping = parseRoleMapping();
+
+function mapGroupsToRole(groups = []) {
+    const groupList = (Array.isArray(groups) ? groups : [groups]).map(group => String(group).toLowerCase());
+
+    for (const role of [...ROLES].reverse()) {
+        const mapped = (roleMapping[role] || []).map(group => String(group).toLowerCase());
+        if (mapped.some(group => groupList.includes(group))) {
+            return role;
+        }
+    }
+    return DEFAULT_ROLE;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+    hasRole,
+    mapGroupsToRole
+};
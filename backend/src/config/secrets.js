@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath } = require('./storage');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+let cachedKey = null;
+
+// The key comes from PROFILE_ENCRYPTION_KEY; without it a random key is generated
+// once and kept next to the data it protects
+function getKey() {
+    if (cachedKey) {
+        return cachedKey;
+    }
+
+    if (process.env.PROFILE_ENCRYPTION_KEY) {
+        cachedKey = crypto.createHash('sha256').update(process.env.PROFILE_ENCRYPTION_KEY).digest();
+        return cachedKey;
+    }
+
+    const keyFile = dataPath('.profile-key');
+    if (fs.existsSync(keyFile)) {
+        cachedKey = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+    } else {
+        console.warn(`PROFILE_ENCRYPTION_KEY not set, generating a local key at ${keyFile}`);
+        cachedKey = crypto.randomBytes(32);
+        fs.writeFileSync(keyFile, cachedKey.toString('base64'), { mode: 0o600 });
+    }
+    return cachedKey;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+function encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '') {
+        return '';
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [PREFIX, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+}
+
+function decrypt(payload) {
+    if (!payload) {
+        return '';
+    }
+    if (!isEncrypted(payload)) {
+        throw new Error('Value is not an encrypted secret');
+    }
+
+    const [, , iv, tag, data] = payload.split(':');
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Failed to decrypt secret - the encryption key may have changed');
+    }
+}
+
+module.exports = {
+    encrypt,
+    decrypt,
+    isEncrypted
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Local state (profiles, keys, history) lives under DATA_DIR, outside the source tree
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+function dataPath(...segments) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    return path.join(DATA_DIR, ...segments);
+}
+
+async function readJson(file, fallback) {
+    try {
+        const content = await fs.promises.readFile(file, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+// Write via a temp file and rename so a crash never leaves a half-written file
+async function writeJson(file, value, mode = 0o600) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(value, null, 2), { mode });
+    await fs.promises.rename(tmpFile, file);
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJson,
+    writeJson
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./storage');
+
+function configError(message) {
+    const error = new Error(message);
+    error.code = 'TLS_CONFIG';
+    return error;
+}
+
+// Directory that certificate, key and store files named in TLS settings are read from.
+// The settings come with API requests, so no other file on the backend host is opened.
+function tlsDir() {
+    if (process.env.TLS_DIR) {
+        return path.resolve(process.env.TLS_DIR);
+    }
+    const dir = dataPath('tls');
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+function isInside(dir, file) {
+    const relative = path.relative(dir, file);
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// The real path of a TLS file. Relative paths are taken from TLS_DIR, and one that
+// leads outside it is refused before it is opened, whether through .. or a symlink.
+function resolveTlsFile(file, label) {
+    const dir = tlsDir();
+    const outside = configError(`TLS ${label} file '${file}' is outside TLS_DIR; place it in ${dir}`);
+    const resolved = path.resolve(dir, String(file));
+    if (!isInside(dir, resolved)) {
+        throw outside;
+    }
+
+    let real;
+    try {
+        real = fs.realpathSync(resolved);
+    } catch (error) {
+        throw configError(`Cannot read TLS ${label} file '${file}': ${error.message}`);
+    }
+    if (!isInside(fs.realpathSync(dir), real)) {
+        throw outside;
+    }
+    return real;
+}
+
+function readTlsFile(file, label) {
+    const real = resolveTlsFile(file, label);
+    try {
+        return fs.readFileSync(real);
+    } catch (error) {
+        throw configError(`Cannot read TLS ${label} file '${file}': ${error.message}`);
+    }
+}
+
+module.exports = {
+    tlsDir,
+    resolveTlsFile,
+    readTlsFile
+};
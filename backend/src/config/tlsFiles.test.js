@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { readTlsFile, resolveTlsFile } = require('./tlsFiles');
+
+const dir = path.join(process.env.DATA_DIR, 'certs');
+const outsideFile = path.join(process.env.DATA_DIR, 'secret.pem');
+
+beforeAll(() => {
+    fs.mkdirSync(path.join(dir, 'client'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'ca.pem'), 'CA');
+    fs.writeFileSync(path.join(dir, 'client', 'cert.pem'), 'CERT');
+    fs.writeFileSync(outsideFile, 'SECRET');
+    fs.symlinkSync(outsideFile, path.join(dir, 'link.pem'));
+    process.env.TLS_DIR = dir;
+});
+
+afterAll(() => {
+    delete process.env.TLS_DIR;
+});
+
+describe('TLS files', () => {
+    test('are read by a name relative to TLS_DIR or by a path inside it', () => {
+        expect(readTlsFile('ca.pem', 'CA').toString()).toBe('CA');
+        expect(readTlsFile('client/cert.pem', 'client certificate').toString()).toBe('CERT');
+        expect(readTlsFile(path.join(dir, 'client', 'cert.pem'), 'client certificate').toString()).toBe('CERT');
+    });
+
+    test.each([
+        ['an absolute path elsewhere', outsideFile],
+        ['a relative path climbing out', '../secret.pem'],
+        ['a symlink leading out', 'link.pem'],
+        ['TLS_DIR itself', '.']
+    ])('refuse %s', (name, file) => {
+        expect(() => readTlsFile(file, 'CA')).toThrow(expect.objectContaining({
+            code: 'TLS_CONFIG',
+            message: `TLS CA file '${file}' is outside TLS_DIR; place it in ${dir}`
+        }));
+    });
+
+    test('are checked before anything outside TLS_DIR is opened', () => {
+        const realpath = jest.spyOn(fs, 'realpathSync');
+        expect(() => resolveTlsFile('/etc/passwd', 'CA')).toThrow(expect.objectContaining({ code: 'TLS_CONFIG' }));
+        const opened = realpath.mock.calls.length;
+        realpath.mockRestore();
+
+        expect(opened).toBe(0);
+    });
+
+    test('that are missing are reported as a TLS setting error', () => {
+        expect(() => readTlsFile('missing.pem', 'client key')).toThrow(expect.objectContaining({
+            code: 'TLS_CONFIG',
+            message: expect.stringContaining("Cannot read TLS client key file 'missing.pem'")
+        }));
+    });
+});
@@ -11,8 +11,24 @@ const metricsRoutes = require('./routes/metrics');
 const nodetoolMetricsRoutes = require('./routes/nodetoolMetrics');
 const operationsRoutes = require('./routes/operations');
 const connectionRoutes = require('./routes/connections');
+const profileRoutes = require('./routes/profiles');
 const jmxRoutes = require('./routes/jmx');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const historyRoutes = require('./routes/history');
+const prometheusRoutes = require('./routes/prometheus');
+const alertRoutes = require('./routes/alerts');
+const topologyRoutes = require('./routes/topology');
+const schemaRoutes = require('./routes/schema');
+const downloadRoutes = require('./routes/downloads');
 const websocketService = require('./services/websocketService');
+const profileService = require('./services/profileService');
+const authService = require('./services/authService');
+const historyService = require('./services/historyService');
+const alertService = require('./services/alertService');
+const notificationService = require('./services/notificationService');
+const resolveCluster = require('./middleware/cluster');
+const { authenticate, requireRole, requireRoleForWrites } = require('./middleware/auth');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -54,16 +70,33 @@ app.get('/health', (req, res) => {
         status: 'OK',
         timestamp: new Date().toISOString(),
         cassandraConnected: db.isConnected,
+        clusters: db.list().map(cluster => cluster.clusterId),
         uptime: process.uptime()
     });
 });
 
-// API routes
-app.use('/api/metrics', metricsRoutes);
-app.use('/api/nodetool', nodetoolMetricsRoutes);
-app.use('/api/operations', operationsRoutes);
-app.use('/api/connections', connectionRoutes);
-app.use('/api/jmx', jmxRoutes);
+// Prometheus scrape endpoint (PROMETHEUS_TOKEN or a session; anonymous only when allowed)
+app.use('/metrics', prometheusRoutes);
+
+// Login and session endpoints; everything else under /api requires a session
+app.use('/api/auth', authRoutes);
+// One-time download links carry their own token, as a browser following a link sends no session
+app.use('/api/downloads', downloadRoutes);
+app.use('/api', authenticate);
+
+// API routes (cluster-scoped routes resolve req.cluster from X-Cluster-Id / ?clusterId=).
+// Viewers can read everything; state-changing requests need at least the operator role.
+app.use('/api/metrics', resolveCluster, metricsRoutes);
+app.use('/api/nodetool', resolveCluster, nodetoolMetricsRoutes);
+app.use('/api/operations', requireRoleForWrites('operator'), resolveCluster, operationsRoutes);
+app.use('/api/connections/profiles', requireRoleForWrites('operator'), profileRoutes);
+app.use('/api/connections', requireRoleForWrites('operator'), connectionRoutes);
+app.use('/api/jmx', requireRoleForWrites('operator'), resolveCluster, jmxRoutes);
+app.use('/api/audit', requireRole('admin'), auditRoutes);
+app.use('/api/history', resolveCluster, historyRoutes);
+app.use('/api/topology', resolveCluster, topologyRoutes);
+app.use('/api/schema', resolveCluster, schemaRoutes);
+app.use('/api/alerts', requireRoleForWrites('operator'), alertRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -96,7 +129,8 @@ process.on('SIGTERM', () => {
   // Removed console.log for production
   server.close(() => {
     // Removed console.log for production
-    process.exit(0);
+    // Write out the partial minute of metrics history before exiting
+    historyService.stop().finally(() => process.exit(0));
   });
 });
 
@@ -104,12 +138,23 @@ process.on('SIGINT', () => {
   // Removed console.log for production
   server.close(() => {
     // Removed console.log for production
-    process.exit(0);
+    // Write out the partial minute of metrics history before exiting
+    historyService.stop().finally(() => process.exit(0));
   });
 });
 
 // Start the server
 server.listen(port, () => {
+  // Create the initial admin account on first start
+  authService.initialize().catch(error => {
+    console.error('Failed to initialize authentication:', error.message);
+  });
+  // Connect to the default profile (or CASSANDRA_* environment) without blocking startup
+  profileService.autoConnect();
+  // Sample JMX metrics into the local history store and evaluate alert rules on each sample
+  alertService.start();
+  notificationService.start();
+  historyService.start();
   // Removed console.log for production
   // Removed console.log for production
   // Removed console.log for production
@@ -0,0 +1,55 @@
+const authService = require('../services/authService');
+const { hasRole } = require('../config/roles');
+
+// Session token from "Authorization: Bearer <token>"
+function getRequestToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : null;
+}
+
+// Reject requests without a valid session; sets req.user for downstream handlers
+function authenticate(req, res, next) {
+    const token = getRequestToken(req);
+    const session = authService.getSession(token);
+
+    if (!session) {
+        return res.status(401).json({
+            error: 'Authentication required'
+        });
+    }
+
+    req.user = session.user;
+    req.sessionToken = token;
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.user?.role, role)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This action requires the ${role} role`
+            });
+        }
+        next();
+    };
+}
+
+// Reads are open to every authenticated user; anything that changes state needs the role
+function requireRoleForWrites(role) {
+    const check = requireRole(role);
+    return (req, res, next) => {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            return next();
+        }
+        check(req, res, next);
+    };
+}
+
+module.exports = {
+    getRequestToken,
+    authenticate,
+    requireRole,
+    requireRoleForWrites
+};
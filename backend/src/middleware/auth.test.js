@@ -0,0 +1,83 @@
+const authService = require('../services/authService');
+const { getRequestToken, authenticate, requireRole, requireRoleForWrites } = require('./auth');
+
+function request(method = 'GET', authorization = undefined) {
+    return {
+        method,
+        get: name => (name === 'Authorization' ? authorization : undefined)
+    };
+}
+
+function response() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('getRequestToken', () => {
+    test('reads a bearer token', () => {
+        expect(getRequestToken(request('GET', 'Bearer abc'))).toBe('abc');
+        expect(getRequestToken(request('GET', 'bearer  abc '))).toBe('abc');
+    });
+
+    test('ignores other schemes and missing headers', () => {
+        expect(getRequestToken(request('GET', 'Basic abc'))).toBeNull();
+        expect(getRequestToken(request('GET'))).toBeNull();
+    });
+});
+
+describe('authenticate', () => {
+    test('sets req.user for a valid session', () => {
+        const session = authService.createSession({ username: 'alice', role: 'viewer' });
+        const req = request('GET', `Bearer ${session.token}`);
+        const next = jest.fn();
+
+        authenticate(req, response(), next);
+        expect(next).toHaveBeenCalled();
+        expect(req.user).toEqual({ username: 'alice', role: 'viewer' });
+        expect(req.sessionToken).toBe(session.token);
+    });
+
+    test('answers 401 without a valid session', () => {
+        const res = response();
+        const next = jest.fn();
+
+        authenticate(request('GET', 'Bearer expired'), res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
+
+describe('role checks', () => {
+    const as = (role, method = 'GET') => ({ ...request(method), user: { username: 'u', role } });
+
+    test('requireRole lets the role and those above it through', () => {
+        const next = jest.fn();
+        requireRole('operator')(as('admin'), response(), next);
+        requireRole('operator')(as('operator'), response(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('requireRole answers 403 to lower roles', () => {
+        const res = response();
+        const next = jest.fn();
+        requireRole('operator')(as('viewer'), res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('requireRoleForWrites only checks state-changing methods', () => {
+        const check = requireRoleForWrites('operator');
+        const next = jest.fn();
+        ['GET', 'HEAD', 'OPTIONS'].forEach(method => check(as('viewer', method), response(), next));
+        expect(next).toHaveBeenCalledTimes(3);
+
+        ['POST', 'PUT', 'DELETE'].forEach(method => {
+            const res = response();
+            check(as('viewer', method), res, next);
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+});
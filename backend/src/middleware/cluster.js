@@ -0,0 +1,19 @@
+const db = require('../config/database');
+
+// Resolve the cluster a request targets from the X-Cluster-Id header or the
+// clusterId query parameter. Requests without one use the default cluster.
+function resolveCluster(req, res, next) {
+    const clusterId = req.get('X-Cluster-Id') || req.query.clusterId;
+
+    try {
+        req.cluster = db.get(clusterId);
+        next();
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: 'Cluster not found',
+            message: error.message
+        });
+    }
+}
+
+module.exports = resolveCluster;
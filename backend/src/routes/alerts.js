@@ -0,0 +1,481 @@
+const express = require('express');
+const router = express.Router();
+const alertService = require('../services/alertService');
+const notificationService = require('../services/notificationService');
+const silenceService = require('../services/silenceService');
+const auditService = require('../services/auditService');
+const { requireRole } = require('../middleware/auth');
+
+// Pending and firing alerts, for the cluster named by X-Cluster-Id / ?clusterId= or all clusters
+router.get('/', async (req, res) => {
+    try {
+        const { state, severity } = req.query;
+        const clusterId = req.get('X-Cluster-Id') || req.query.clusterId;
+        const suppressed = req.query.suppressed === undefined ? undefined : req.query.suppressed === 'true';
+        res.json({ alerts: alertService.listAlerts({ clusterId, state, severity, suppressed }) });
+    } catch (error) {
+        console.error('Error listing alerts:', error);
+        res.status(500).json({
+            error: 'Failed to list alerts',
+            message: error.message
+        });
+    }
+});
+
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await alertService.listRules();
+        res.json({ rules });
+    } catch (error) {
+        console.error('Error listing alert rules:', error);
+        res.status(500).json({
+            error: 'Failed to list alert rules',
+            message: error.message
+        });
+    }
+});
+
+router.get('/rules/:id', async (req, res) => {
+    try {
+        const rule = await alertService.getRule(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Alert rule not found'
+            });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        console.error('Error getting alert rule:', error);
+        res.status(500).json({
+            error: 'Failed to get alert rule',
+            message: error.message
+        });
+    }
+});
+
+router.post('/rules', async (req, res) => {
+    try {
+        const { name, metric } = req.body || {};
+        const rule = await auditService.track(req, 'create_alert_rule', { parameters: { name, metric } }, async () => {
+            await notificationService.assertChannels(req.body?.channels);
+            return alertService.createRule(req.body || {}, req.user?.username || null);
+        });
+        res.status(201).json(rule);
+    } catch (error) {
+        console.error('Error creating alert rule:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to create alert rule',
+            message: error.message
+        });
+    }
+});
+
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const rule = await auditService.track(req, 'update_alert_rule', { parameters: { id: req.params.id } }, async () => {
+            const existing = await alertService.getRule(req.params.id);
+            await notificationService.assertChannels(req.body?.channels, existing?.channels || []);
+            return alertService.updateRule(req.params.id, req.body || {});
+        });
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Alert rule not found'
+            });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        console.error('Error updating alert rule:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to update alert rule',
+            message: error.message
+        });
+    }
+});
+
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        const deleted = await auditService.track(req, 'delete_alert_rule', { parameters: { id: req.params.id } }, () =>
+            alertService.deleteRule(req.params.id)
+        );
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Alert rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Alert rule ${req.params.id} deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting alert rule:', error);
+        res.status(500).json({
+            error: 'Failed to delete alert rule',
+            message: error.message
+        });
+    }
+});
+
+// Notification channels (secrets are never returned)
+router.get('/channels', async (req, res) => {
+    try {
+        const channels = await notificationService.listChannels();
+        res.json({ channels });
+    } catch (error) {
+        console.error('Error listing notification channels:', error);
+        res.status(500).json({
+            error: 'Failed to list notification channels',
+            message: error.message
+        });
+    }
+});
+
+router.get('/channels/:id', async (req, res) => {
+    try {
+        const channel = await notificationService.getChannel(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({
+                error: 'Notification channel not found'
+            });
+        }
+
+        res.json(notificationService.toPublicChannel(channel));
+    } catch (error) {
+        console.error('Error getting notification channel:', error);
+        res.status(500).json({
+            error: 'Failed to get notification channel',
+            message: error.message
+        });
+    }
+});
+
+// Channels hold webhook credentials and SMTP passwords, so managing them is admin only
+router.post('/channels', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, type } = req.body || {};
+        const channel = await auditService.track(req, 'create_notification_channel', { parameters: { name, type } }, () =>
+            notificationService.createChannel(req.body || {})
+        );
+        res.status(201).json(channel);
+    } catch (error) {
+        console.error('Error creating notification channel:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to create notification channel',
+            message: error.message
+        });
+    }
+});
+
+router.put('/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const channel = await auditService.track(req, 'update_notification_channel', { parameters: { id: req.params.id } }, () =>
+            notificationService.updateChannel(req.params.id, req.body || {})
+        );
+
+        if (!channel) {
+            return res.status(404).json({
+                error: 'Notification channel not found'
+            });
+        }
+
+        res.json(channel);
+    } catch (error) {
+        console.error('Error updating notification channel:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to update notification channel',
+            message: error.message
+        });
+    }
+});
+
+router.delete('/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const deleted = await auditService.track(req, 'delete_notification_channel', { parameters: { id: req.params.id } }, () =>
+            notificationService.deleteChannel(req.params.id)
+        );
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Notification channel not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Notification channel ${req.params.id} deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting notification channel:', error);
+        res.status(500).json({
+            error: 'Failed to delete notification channel',
+            message: error.message
+        });
+    }
+});
+
+// Send one made-up alert through the channel and report the outcome
+router.post('/channels/:id/test', async (req, res) => {
+    try {
+        const result = await auditService.track(req, 'test_notification_channel', { parameters: { id: req.params.id } }, () =>
+            notificationService.sendTest(req.params.id, req.user?.username || null)
+        );
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Notification channel not found'
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error testing notification channel:', error);
+        res.status(500).json({
+            error: 'Failed to test notification channel',
+            message: error.message
+        });
+    }
+});
+
+router.post('/:id/acknowledge', async (req, res) => {
+    try {
+        const alert = await auditService.track(req, 'acknowledge_alert', { parameters: { id: req.params.id } }, () =>
+            alertService.acknowledge(req.params.id, req.user?.username || null, req.body?.comment)
+        );
+
+        if (!alert) {
+            return res.status(404).json({
+                error: 'Alert not found'
+            });
+        }
+
+        res.json(alert);
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+        res.status(500).json({
+            error: 'Failed to acknowledge alert',
+            message: error.message
+        });
+    }
+});
+
+router.delete('/:id/acknowledge', async (req, res) => {
+    try {
+        const alert = await auditService.track(req, 'unacknowledge_alert', { parameters: { id: req.params.id } }, () =>
+            alertService.unacknowledge(req.params.id)
+        );
+
+        if (!alert) {
+            return res.status(404).json({
+                error: 'Alert not found'
+            });
+        }
+
+        res.json(alert);
+    } catch (error) {
+        console.error('Error unacknowledging alert:', error);
+        res.status(500).json({
+            error: 'Failed to unacknowledge alert',
+            message: error.message
+        });
+    }
+});
+
+router.get('/silences', async (req, res) => {
+    try {
+        const silences = await silenceService.listSilences({ status: req.query.status });
+        res.json({ silences });
+    } catch (error) {
+        console.error('Error listing silences:', error);
+        res.status(500).json({
+            error: 'Failed to list silences',
+            message: error.message
+        });
+    }
+});
+
+router.get('/silences/:id', async (req, res) => {
+    try {
+        const silence = await silenceService.getSilence(req.params.id);
+
+        if (!silence) {
+            return res.status(404).json({
+                error: 'Silence not found'
+            });
+        }
+
+        res.json(silence);
+    } catch (error) {
+        console.error('Error getting silence:', error);
+        res.status(500).json({
+            error: 'Failed to get silence',
+            message: error.message
+        });
+    }
+});
+
+router.post('/silences', async (req, res) => {
+    try {
+        const silence = await auditService.track(req, 'create_silence', { parameters: { matchers: req.body?.matchers } }, () =>
+            silenceService.createSilence(req.body || {}, req.user?.username || null)
+        );
+        res.status(201).json(silence);
+    } catch (error) {
+        console.error('Error creating silence:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to create silence',
+            message: error.message
+        });
+    }
+});
+
+router.put('/silences/:id', async (req, res) => {
+    try {
+        const silence = await auditService.track(req, 'update_silence', { parameters: { id: req.params.id } }, () =>
+            silenceService.updateSilence(req.params.id, req.body || {})
+        );
+
+        if (!silence) {
+            return res.status(404).json({
+                error: 'Silence not found'
+            });
+        }
+
+        res.json(silence);
+    } catch (error) {
+        console.error('Error updating silence:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to update silence',
+            message: error.message
+        });
+    }
+});
+
+// Expires the silence rather than deleting it, so it stays visible for a while
+router.delete('/silences/:id', async (req, res) => {
+    try {
+        const silence = await auditService.track(req, 'expire_silence', { parameters: { id: req.params.id } }, () =>
+            silenceService.expireSilence(req.params.id)
+        );
+
+        if (!silence) {
+            return res.status(404).json({
+                error: 'Silence not found'
+            });
+        }
+
+        res.json(silence);
+    } catch (error) {
+        console.error('Error expiring silence:', error);
+        res.status(500).json({
+            error: 'Failed to expire silence',
+            message: error.message
+        });
+    }
+});
+
+// Maintenance windows, for the cluster named by X-Cluster-Id / ?clusterId= or all clusters
+router.get('/maintenance', async (req, res) => {
+    try {
+        const clusterId = req.get('X-Cluster-Id') || req.query.clusterId;
+        const windows = await silenceService.listWindows({ clusterId, status: req.query.status });
+        res.json({ windows });
+    } catch (error) {
+        console.error('Error listing maintenance windows:', error);
+        res.status(500).json({
+            error: 'Failed to list maintenance windows',
+            message: error.message
+        });
+    }
+});
+
+router.get('/maintenance/:id', async (req, res) => {
+    try {
+        const window = await silenceService.getWindow(req.params.id);
+
+        if (!window) {
+            return res.status(404).json({
+                error: 'Maintenance window not found'
+            });
+        }
+
+        res.json(window);
+    } catch (error) {
+        console.error('Error getting maintenance window:', error);
+        res.status(500).json({
+            error: 'Failed to get maintenance window',
+            message: error.message
+        });
+    }
+});
+
+router.post('/maintenance', async (req, res) => {
+    try {
+        const input = { ...req.body, clusterId: req.body?.clusterId || req.get('X-Cluster-Id') };
+        const window = await auditService.track(req, 'create_maintenance_window', {
+            parameters: { nodes: input.nodes, startsAt: input.startsAt, endsAt: input.endsAt, duration: input.duration },
+            clusterId: input.clusterId
+        }, () =>
+            silenceService.createWindow(input, req.user?.username || null)
+        );
+        res.status(201).json(window);
+    } catch (error) {
+        console.error('Error creating maintenance window:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to create maintenance window',
+            message: error.message
+        });
+    }
+});
+
+router.put('/maintenance/:id', async (req, res) => {
+    try {
+        const window = await auditService.track(req, 'update_maintenance_window', { parameters: { id: req.params.id } }, () =>
+            silenceService.updateWindow(req.params.id, req.body || {})
+        );
+
+        if (!window) {
+            return res.status(404).json({
+                error: 'Maintenance window not found'
+            });
+        }
+
+        res.json(window);
+    } catch (error) {
+        console.error('Error updating maintenance window:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to update maintenance window',
+            message: error.message
+        });
+    }
+});
+
+// Ends the window now (or cancels one that has not started)
+router.delete('/maintenance/:id', async (req, res) => {
+    try {
+        const window = await auditService.track(req, 'end_maintenance_window', { parameters: { id: req.params.id } }, () =>
+            silenceService.endWindow(req.params.id)
+        );
+
+        if (!window) {
+            return res.status(404).json({
+                error: 'Maintenance window not found'
+            });
+        }
+
+        res.json(window);
+    } catch (error) {
+        console.error('Error ending maintenance window:', error);
+        res.status(500).json({
+            error: 'Failed to end maintenance window',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
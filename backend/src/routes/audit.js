@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+
+const FILTERS = ['user', 'clusterId', 'action', 'outcome', 'since', 'until', 'search', 'limit', 'offset'];
+
+// Query the audit log (newest first)
+router.get('/', async (req, res) => {
+    try {
+        const filters = {};
+        FILTERS.forEach(name => {
+            if (req.query[name]) {
+                filters[name] = String(req.query[name]);
+            }
+        });
+
+        const invalidDate = ['since', 'until'].find(name => filters[name] && isNaN(Date.parse(filters[name])));
+        if (invalidDate) {
+            return res.status(400).json({
+                error: `Invalid date for '${invalidDate}'`
+            });
+        }
+
+        const result = await auditService.query(filters);
+        res.json(result);
+    } catch (error) {
+        console.error('Error querying audit log:', error);
+        res.status(500).json({
+            error: 'Failed to query audit log',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
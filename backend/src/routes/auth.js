@@ -0,0 +1,235 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const authService = require('../services/authService');
+const websocketService = require('../services/websocketService');
+const auditService = require('../services/auditService');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 login attempts per windowMs
+    message: {
+        error: 'Too many login attempts, please try again later.'
+    }
+});
+
+function toSessionResponse(session) {
+    return {
+        token: session.token,
+        user: session.user,
+        expiresAt: new Date(session.expiresAt).toISOString()
+    };
+}
+
+// Where the browser lands after a redirect-based (OIDC) login
+function getFrontendUrl() {
+    return process.env.AUTH_REDIRECT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+}
+
+// List configured login providers
+router.get('/providers', (req, res) => {
+    res.json(authService.listProviders());
+});
+
+// Log in with a username and password
+router.post('/login', loginLimiter, async (req, res) => {
+    try {
+        const { username, password, provider } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                error: 'Missing required fields: username and password'
+            });
+        }
+
+        const session = await authService.login(username, password, provider);
+
+        auditService.record(req, {
+            action: 'login',
+            parameters: { username, provider: provider || null },
+            outcome: session ? 'success' : 'failure',
+            user: session?.user,
+            clusterId: null
+        });
+
+        if (!session) {
+            return res.status(401).json({
+                error: 'Invalid username or password'
+            });
+        }
+
+        res.json(toSessionResponse(session));
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            error: 'Failed to log in',
+            message: error.message
+        });
+    }
+});
+
+// Start a redirect-based login (OIDC)
+router.get('/:provider/login', async (req, res) => {
+    try {
+        const provider = authService.getProvider(req.params.provider);
+
+        if (!provider || provider.type !== 'redirect') {
+            return res.status(404).json({
+                error: 'Login provider not found'
+            });
+        }
+
+        res.redirect(await provider.getAuthorizationUrl());
+    } catch (error) {
+        console.error('Error starting login:', error);
+        res.status(500).json({
+            error: 'Failed to start login',
+            message: error.message
+        });
+    }
+});
+
+// Identity provider callback; hands the session token to the frontend in the URL fragment
+router.get('/:provider/callback', async (req, res) => {
+    const frontendUrl = getFrontendUrl();
+    try {
+        const provider = authService.getProvider(req.params.provider);
+
+        if (!provider || provider.type !== 'redirect') {
+            return res.status(404).json({
+                error: 'Login provider not found'
+            });
+        }
+
+        const user = await provider.handleCallback(req.query);
+        const session = authService.createSession(user);
+        auditService.record(req, { action: 'login', parameters: { provider: req.params.provider }, user, clusterId: null });
+        res.redirect(`${frontendUrl}/#token=${encodeURIComponent(session.token)}`);
+    } catch (error) {
+        console.error('Error completing login:', error);
+        res.redirect(`${frontendUrl}/#loginError=${encodeURIComponent(error.message)}`);
+    }
+});
+
+// Current user
+router.get('/me', authenticate, (req, res) => {
+    res.json(toSessionResponse(authService.getSession(req.sessionToken)));
+});
+
+// End the current session
+router.post('/logout', authenticate, (req, res) => {
+    authService.destroySession(req.sessionToken);
+    auditService.record(req, { action: 'logout', clusterId: null });
+    websocketService.disconnectInvalidSessions();
+    res.json({
+        success: true,
+        message: 'Logged out'
+    });
+});
+
+// Local user management (admin only)
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const users = await authService.local.listUsers();
+        res.json(users);
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({
+            error: 'Failed to list users',
+            message: error.message
+        });
+    }
+});
+
+router.post('/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const user = await auditService.track(req, 'create_user', {
+            parameters: { username: req.body.username, role: req.body.role },
+            clusterId: null
+        }, () => authService.local.createUser(req.body));
+        res.status(201).json(user);
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to create user',
+            message: error.message
+        });
+    }
+});
+
+router.put('/users/:username', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        if (username === req.user.username && ((req.body.role !== undefined && req.body.role !== 'admin') || req.body.disabled)) {
+            return res.status(400).json({
+                error: 'You cannot demote or disable your own account'
+            });
+        }
+
+        const user = await auditService.track(req, 'update_user', {
+            parameters: { username, role: req.body.role, disabled: req.body.disabled, passwordChanged: !!req.body.password },
+            clusterId: null
+        }, () => authService.local.updateUser(username, req.body));
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        // Existing sessions carry the old role; make the user log in again
+        if (req.body.role !== undefined || req.body.disabled || req.body.password) {
+            authService.destroyUserSessions(username);
+            websocketService.disconnectInvalidSessions();
+        }
+
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to update user',
+            message: error.message
+        });
+    }
+});
+
+router.delete('/users/:username', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        if (username === req.user.username) {
+            return res.status(400).json({
+                error: 'You cannot delete your own account'
+            });
+        }
+
+        const deleted = await auditService.track(req, 'delete_user', { parameters: { username }, clusterId: null }, () =>
+            authService.local.deleteUser(username)
+        );
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        authService.destroyUserSessions(username);
+        websocketService.disconnectInvalidSessions();
+
+        res.json({
+            success: true,
+            message: `User ${username} deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+            error: 'Failed to delete user',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const websocketService = require('../services/websocketService');
+const resolveCluster = require('../middleware/cluster');
+const auditService = require('../services/auditService');
 
 // Test connection to a cluster
 router.post('/test', async (req, res) => {
     try {
-        const { hosts, port, datacenter, username, password } = req.body;
+        const { hosts, port, datacenter, username, password, ssl } = req.body;
         
         if (!hosts || hosts.length === 0) {
             return res.status(400).json({
@@ -19,7 +21,8 @@ router.post('/test', async (req, res) => {
             port: parseInt(port) || 9042,
             datacenter: datacenter || 'datacenter1',
             username: username || '',
-            password: password || ''
+            password: password || '',
+            ssl: ssl || null
         };
 
         const result = await db.testConnection(config);
@@ -33,10 +36,26 @@ router.post('/test', async (req, res) => {
     }
 });
 
-// Connect to a cluster
+// List all connected clusters
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            clusters: db.list(),
+            defaultClusterId: db.defaultClusterId
+        });
+    } catch (error) {
+        console.error('Error listing connections:', error);
+        res.status(500).json({
+            error: 'Failed to list connections',
+            message: error.message
+        });
+    }
+});
+
+// Connect to a cluster (existing connections to other clusters are kept)
 router.post('/connect', async (req, res) => {
     try {
-        const { hosts, port, datacenter, username, password } = req.body;
+        const { id, name, hosts, port, datacenter, jmxPort, username, password, ssl } = req.body;
         
         if (!hosts || hosts.length === 0) {
             return res.status(400).json({
@@ -45,39 +64,58 @@ router.post('/connect', async (req, res) => {
         }
 
         const config = {
+            id,
+            name,
             hosts: Array.isArray(hosts) ? hosts : [hosts],
             port: parseInt(port) || 9042,
             datacenter: datacenter || 'datacenter1',
+            jmxPort: parseInt(jmxPort) || 7199,
             username: username || '',
-            password: password || ''
+            password: password || '',
+            ssl: ssl || null
         };
 
-        const result = await db.connect(config);
+        const result = await auditService.track(req, 'connect', {
+            parameters: { name, hosts: config.hosts, port: config.port, datacenter: config.datacenter, jmxPort: config.jmxPort, tls: !!ssl?.enabled },
+            clusterId: id || db.createClusterId(config)
+        }, () => db.connect(config));
         
-        // Send initial data to any connected WebSocket clients after successful connection
+        // Send initial data to WebSocket clients watching this cluster after successful connection
         if (result.success) {
             setTimeout(() => {
-                websocketService.broadcastInitialDataToAll();
+                websocketService.broadcastInitialDataToAll(result.clusterId);
             }, 1000); // Give the connection a moment to stabilize
         }
         
         res.json(result);
     } catch (error) {
         console.error('Error connecting to cluster:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Failed to connect to cluster',
-            message: error.message
+            message: error.message,
+            errorType: error.errorType
         });
     }
 });
 
-// Disconnect from current cluster
-router.post('/disconnect', async (req, res) => {
+// Disconnect from a cluster (the default cluster when no id is given)
+router.post('/disconnect/:clusterId?', async (req, res) => {
     try {
-        await db.disconnect();
+        const clusterId = req.params.clusterId || req.get('X-Cluster-Id');
+        const disconnected = await auditService.track(req, 'disconnect', { clusterId: clusterId || db.defaultClusterId }, () =>
+            db.disconnect(clusterId)
+        );
+
+        if (clusterId && !disconnected) {
+            return res.status(404).json({
+                error: `Cluster '${clusterId}' is not connected`
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Disconnected from cluster'
+            message: 'Disconnected from cluster',
+            defaultClusterId: db.defaultClusterId
         });
     } catch (error) {
         console.error('Error disconnecting:', error);
@@ -88,11 +126,14 @@ router.post('/disconnect', async (req, res) => {
     }
 });
 
-// Get current connection info
-router.get('/info', async (req, res) => {
+// Get connection info for the requested (or default) cluster
+router.get('/info', resolveCluster, async (req, res) => {
     try {
-        const info = db.getConnectionInfo();
-        res.json(info);
+        const info = req.cluster.getConnectionInfo();
+        res.json({
+            ...info,
+            clusters: db.list()
+        });
     } catch (error) {
         console.error('Error getting connection info:', error);
         res.status(500).json({
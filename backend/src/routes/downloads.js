@@ -0,0 +1,53 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const router = express.Router();
+const db = require('../config/database');
+const downloadService = require('../services/downloadService');
+const operationsService = require('../services/operationsService');
+const auditService = require('../services/auditService');
+
+// Send an export as a download. Once rows are flowing the status is sent, so a failure
+// part-way aborts the response instead of ending it as if the file were complete
+function sendExport(res, exported) {
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    pipeline(exported.stream, res, (error) => {
+        if (error) {
+            console.error('Error streaming export:', error);
+        }
+    });
+}
+
+// Follow a link from POST /api/operations/export/links. The token is the credential,
+// so this is mounted ahead of the session check; the export runs as the link's user.
+router.get('/:token', async (req, res) => {
+    const link = downloadService.redeem(req.params.token);
+    if (!link) {
+        return res.status(404).json({
+            error: 'Download not found',
+            message: 'The link has expired or has already been used'
+        });
+    }
+
+    try {
+        req.user = link.user;
+        req.cluster = db.get(link.clusterId);
+        const { source, format } = link.download;
+        const audit = source.query !== undefined
+            ? { command: source.query, parameters: { format } }
+            : { parameters: { keyspace: source.keyspace, table: source.table, partitionKey: source.partitionKey, format } };
+
+        const exported = await auditService.track(req, 'export', audit, () =>
+            operationsService.forCluster(req.cluster).exportRows(source, format)
+        );
+        sendExport(res, exported);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to export data',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const historyService = require('../services/historyService');
+
+// Query one metric's history: ?metric=memory.totalHeapUsed&node=<address>|cluster&from=&to=&step=
+router.get('/', async (req, res) => {
+    try {
+        const { metric, node, from, to, step } = req.query;
+        const result = await historyService.query(req.cluster.clusterId, { metric, node, from, to, step });
+        res.json(result);
+    } catch (error) {
+        console.error('Error querying metrics history:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to query metrics history',
+            message: error.message
+        });
+    }
+});
+
+// Metric names per node from the most recent samples
+router.get('/metrics', async (req, res) => {
+    try {
+        res.json(historyService.listSeries(req.cluster.clusterId));
+    } catch (error) {
+        console.error('Error listing metrics history series:', error);
+        res.status(500).json({
+            error: 'Failed to list metrics history series',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const jmxService = require('../services/jmxService');
-const db = require('../config/database');
+const metricsService = require('../services/metricsService');
 
 // Test JMX connectivity for a specific host
 router.post('/test', async (req, res) => {
@@ -102,14 +102,14 @@ router.get('/discover/:host', async (req, res) => {
 // Get aggregated JMX metrics for all cluster nodes
 router.get('/cluster-metrics', async (req, res) => {
     try {
-        if (!db.isConnected) {
+        if (!req.cluster.isConnected) {
             return res.status(400).json({
                 error: 'Not connected to any Cassandra cluster'
             });
         }
 
         // Get cluster nodes from the current connection
-        const connectionInfo = db.getConnectionInfo();
+        const connectionInfo = req.cluster.getConnectionInfo();
         const hosts = connectionInfo.config ? connectionInfo.config.hosts : [];
         
         if (hosts.length === 0) {
@@ -118,7 +118,7 @@ router.get('/cluster-metrics', async (req, res) => {
             });
         }
 
-        const metrics = await jmxService.getAggregatedMetrics(hosts);
+        const metrics = await jmxService.getAggregatedMetrics(hosts, connectionInfo.config.jmxPort);
         
         res.json(metrics);
     } catch (error) {
@@ -163,19 +163,18 @@ router.get('/mbean/:host/:mbean', async (req, res) => {
 // Get aggregated JMX metrics for the cluster
 router.get('/cluster-metrics', async (req, res) => {
     try {
-        if (!db.isConnected) {
+        if (!req.cluster.isConnected) {
             return res.status(400).json({
                 error: 'Not connected to any Cassandra cluster'
             });
         }
 
-        // Get all discovered nodes
-        const metricsService = require('../services/metricsService');
-        const nodesInfo = await metricsService.getNodesInfo();
+        // Get all discovered nodes that are up
+        const nodesInfo = await metricsService.forCluster(req.cluster).getNodesInfo();
         
-        const hosts = nodesInfo.map(node => node.address);
+        const hosts = nodesInfo.filter(node => node.isUp).map(node => node.address);
         
-        const aggregatedMetrics = await jmxService.getAggregatedMetrics(hosts);
+        const aggregatedMetrics = await jmxService.getAggregatedMetrics(hosts, req.cluster.connectionConfig?.jmxPort);
         
         res.json(aggregatedMetrics);
     } catch (error) {
@@ -190,19 +189,18 @@ router.get('/cluster-metrics', async (req, res) => {
 // Get JMX metrics for all discovered nodes
 router.get('/all-nodes', async (req, res) => {
     try {
-        if (!db.isConnected) {
+        if (!req.cluster.isConnected) {
             return res.status(400).json({
                 error: 'Not connected to any Cassandra cluster'
             });
         }
 
-        // Get all discovered nodes
-        const metricsService = require('../services/metricsService');
-        const nodesInfo = await metricsService.getNodesInfo();
+        // Get all discovered nodes that are up
+        const nodesInfo = await metricsService.forCluster(req.cluster).getNodesInfo();
         
-        const hosts = nodesInfo.map(node => node.address);
+        const hosts = nodesInfo.filter(node => node.isUp).map(node => node.address);
         
-        const allNodeMetrics = await jmxService.getClusterJMXMetrics(hosts);
+        const allNodeMetrics = await jmxService.getClusterJMXMetrics(hosts, req.cluster.connectionConfig?.jmxPort);
         
         res.json(allNodeMetrics);
     } catch (error) {
@@ -5,7 +5,7 @@ const metricsService = require('../services/metricsService');
 // Get all metrics
 router.get('/', async (req, res) => {
     try {
-        const metrics = await metricsService.getAllMetrics();
+        const metrics = await metricsService.forCluster(req.cluster).getAllMetrics();
         res.json(metrics);
     } catch (error) {
         console.error('Error fetching metrics:', error);
@@ -19,7 +19,7 @@ router.get('/', async (req, res) => {
 // Get cluster information
 router.get('/cluster', async (req, res) => {
     try {
-        const clusterInfo = await metricsService.getClusterInfo();
+        const clusterInfo = await metricsService.forCluster(req.cluster).getClusterInfo();
         res.json(clusterInfo);
     } catch (error) {
         console.error('Error fetching cluster info:', error);
@@ -33,7 +33,7 @@ router.get('/cluster', async (req, res) => {
 // Get nodes information
 router.get('/nodes', async (req, res) => {
     try {
-        const nodesInfo = await metricsService.getNodesInfo();
+        const nodesInfo = await metricsService.forCluster(req.cluster).getNodesInfo();
         res.json(nodesInfo);
     } catch (error) {
         console.error('Error fetching nodes info:', error);
@@ -47,7 +47,7 @@ router.get('/nodes', async (req, res) => {
 // Get keyspaces information
 router.get('/keyspaces', async (req, res) => {
     try {
-        const keyspaces = await metricsService.getKeyspacesInfo();
+        const keyspaces = await metricsService.forCluster(req.cluster).getKeyspacesInfo();
         res.json(keyspaces);
     } catch (error) {
         console.error('Error fetching keyspaces info:', error);
@@ -62,7 +62,7 @@ router.get('/keyspaces', async (req, res) => {
 router.get('/keyspaces/:keyspace/tables', async (req, res) => {
     try {
         const { keyspace } = req.params;
-        const tables = await metricsService.getTableInfo(keyspace);
+        const tables = await metricsService.forCluster(req.cluster).getTableInfo(keyspace);
         res.json(tables);
     } catch (error) {
         console.error('Error fetching table info:', error);
@@ -76,7 +76,7 @@ router.get('/keyspaces/:keyspace/tables', async (req, res) => {
 // Get performance metrics
 router.get('/performance', async (req, res) => {
     try {
-        const performance = await metricsService.getPerformanceMetrics();
+        const performance = await metricsService.forCluster(req.cluster).getPerformanceMetrics();
         res.json(performance);
     } catch (error) {
         console.error('Error fetching performance metrics:', error);
@@ -90,7 +90,7 @@ router.get('/performance', async (req, res) => {
 // Get system metrics
 router.get('/system', async (req, res) => {
     try {
-        const systemMetrics = await metricsService.getSystemMetrics();
+        const systemMetrics = await metricsService.forCluster(req.cluster).getSystemMetrics();
         res.json(systemMetrics);
     } catch (error) {
         console.error('Error fetching system metrics:', error);
@@ -104,7 +104,7 @@ router.get('/system', async (req, res) => {
 // Get storage metrics
 router.get('/storage', async (req, res) => {
     try {
-        const storage = await metricsService.getStorageMetrics();
+        const storage = await metricsService.forCluster(req.cluster).getStorageMetrics();
         res.json(storage);
     } catch (error) {
         console.error('Error fetching storage metrics:', error);
@@ -118,7 +118,7 @@ router.get('/storage', async (req, res) => {
 // Get cached metrics (faster response)
 router.get('/cache', async (req, res) => {
     try {
-        const cache = metricsService.getCache();
+        const cache = metricsService.forCluster(req.cluster).getCache();
         res.json(cache);
     } catch (error) {
         console.error('Error fetching cached metrics:', error);
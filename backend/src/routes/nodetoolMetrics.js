@@ -5,7 +5,7 @@ const nodetoolMetricsService = require('../services/nodetoolMetricsService');
 // Get all nodetool metrics
 router.get('/', async (req, res) => {
     try {
-        const metrics = await nodetoolMetricsService.getAllNodetoolMetrics();
+        const metrics = await nodetoolMetricsService.forCluster(req.cluster).getAllNodetoolMetrics();
         res.json(metrics);
     } catch (error) {
         console.error('Error fetching nodetool metrics:', error);
@@ -19,7 +19,7 @@ router.get('/', async (req, res) => {
 // Get cluster status via nodetool
 router.get('/cluster/status', async (req, res) => {
     try {
-        const status = await nodetoolMetricsService.getClusterStatus();
+        const status = await nodetoolMetricsService.forCluster(req.cluster).getClusterStatus();
         res.json(status);
     } catch (error) {
         console.error('Error fetching cluster status:', error);
@@ -33,7 +33,7 @@ router.get('/cluster/status', async (req, res) => {
 // Get cluster info via nodetool
 router.get('/cluster/info', async (req, res) => {
     try {
-        const info = await nodetoolMetricsService.getClusterInfo();
+        const info = await nodetoolMetricsService.forCluster(req.cluster).getClusterInfo();
         res.json(info);
     } catch (error) {
         console.error('Error fetching cluster info:', error);
@@ -47,7 +47,7 @@ router.get('/cluster/info', async (req, res) => {
 // Get compaction stats via nodetool
 router.get('/compaction', async (req, res) => {
     try {
-        const stats = await nodetoolMetricsService.getCompactionStats();
+        const stats = await nodetoolMetricsService.forCluster(req.cluster).getCompactionStats();
         res.json(stats);
     } catch (error) {
         console.error('Error fetching compaction stats:', error);
@@ -61,7 +61,7 @@ router.get('/compaction', async (req, res) => {
 // Get thread pool stats via nodetool
 router.get('/threadpools', async (req, res) => {
     try {
-        const stats = await nodetoolMetricsService.getThreadPoolStats();
+        const stats = await nodetoolMetricsService.forCluster(req.cluster).getThreadPoolStats();
         res.json(stats);
     } catch (error) {
         console.error('Error fetching thread pool stats:', error);
@@ -75,7 +75,7 @@ router.get('/threadpools', async (req, res) => {
 // Get GC stats via nodetool
 router.get('/gc', async (req, res) => {
     try {
-        const stats = await nodetoolMetricsService.getGCStats();
+        const stats = await nodetoolMetricsService.forCluster(req.cluster).getGCStats();
         res.json(stats);
     } catch (error) {
         console.error('Error fetching GC stats:', error);
@@ -89,7 +89,7 @@ router.get('/gc', async (req, res) => {
 // Get proxy histograms via nodetool
 router.get('/histograms', async (req, res) => {
     try {
-        const histograms = await nodetoolMetricsService.getProxyHistograms();
+        const histograms = await nodetoolMetricsService.forCluster(req.cluster).getProxyHistograms();
         res.json(histograms);
     } catch (error) {
         console.error('Error fetching proxy histograms:', error);
@@ -103,7 +103,7 @@ router.get('/histograms', async (req, res) => {
 // Get cached nodetool metrics (faster response)
 router.get('/cache', async (req, res) => {
     try {
-        const cache = nodetoolMetricsService.getCache();
+        const cache = nodetoolMetricsService.forCluster(req.cluster).getCache();
         res.json(cache);
     } catch (error) {
         console.error('Error fetching cached nodetool metrics:', error);
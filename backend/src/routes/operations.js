@@ -1,62 +1,96 @@
 const express = require('express');
 const router = express.Router();
 const operationsService = require('../services/operationsService');
+const importService = require('../services/importService');
+const auditService = require('../services/auditService');
+const downloadService = require('../services/downloadService');
+const { requireRole } = require('../middleware/auth');
 
-// Get cluster status
+// Rows per page for browse and query results: 1-10000, 100 by default
+function parsePageSize(value) {
+    const pageSize = value === undefined || value === null ? 100 : Number(value);
+    return Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= 10000 ? pageSize : null;
+}
+
+// Import uploads are raw request bodies, so they are not buffered or parsed as JSON
+function isJsonBody(req) {
+    return req.is('application/json') || req.is('application/x-www-form-urlencoded');
+}
+
+// Get cluster status; ?keyspace= reports effective ownership for that keyspace
 router.get('/cluster/status', async (req, res) => {
     try {
-        const result = await operationsService.getClusterStatus();
+        const result = await operationsService.forCluster(req.cluster).getClusterStatus(req.query.keyspace || null);
         res.json(result);
     } catch (error) {
         console.error('Error getting cluster status:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to get cluster status', 
             message: error.message 
         });
     }
 });
 
-// Get cluster info
+// Get the token ring; ?keyspace= adds that keyspace's replicas to every range
+router.get('/cluster/ring', async (req, res) => {
+    try {
+        const result = await operationsService.forCluster(req.cluster).getTokenRing(req.query.keyspace || null);
+        res.json(result);
+    } catch (error) {
+        console.error('Error getting token ring:', error);
+        res.status(error.status || 500).json({ 
+            error: 'Failed to get token ring', 
+            message: error.message 
+        });
+    }
+});
+
+// Get nodetool info for one node; ?node= picks it (address or host id)
 router.get('/cluster/info', async (req, res) => {
     try {
-        const result = await operationsService.getClusterInfo();
+        const result = await operationsService.forCluster(req.cluster).getClusterInfo(req.query.node || null);
         res.json(result);
     } catch (error) {
         console.error('Error getting cluster info:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to get cluster info', 
             message: error.message 
         });
     }
 });
 
-// Repair operations
+// Repair operations (queued; returns the operation id immediately)
 router.post('/repair/:keyspace?', async (req, res) => {
     try {
         const keyspace = req.params.keyspace || 'all';
         const options = req.body || {};
         
-        const result = await operationsService.repairKeyspace(keyspace, options);
-        res.json(result);
+        const result = await auditService.track(req, 'repair', { parameters: { keyspace, ...options } }, () =>
+            operationsService.forCluster(req.cluster).repairKeyspace(keyspace, options)
+        );
+        res.status(202).json(result);
     } catch (error) {
         console.error('Error starting repair:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to start repair', 
             message: error.message 
         });
     }
 });
 
-// Compact operations
+// Compact operations (queued)
 router.post('/compact/:keyspace?', async (req, res) => {
     try {
         const keyspace = req.params.keyspace || 'all';
+        const { tables, node } = req.body || {};
         
-        const result = await operationsService.compactKeyspace(keyspace);
-        res.json(result);
+        const result = await auditService.track(req, 'compact', { parameters: { keyspace, tables, node } }, () =>
+            operationsService.forCluster(req.cluster).compactKeyspace(keyspace, tables, node)
+        );
+        res.status(202).json(result);
     } catch (error) {
         console.error('Error starting compaction:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to start compaction', 
             message: error.message 
         });
@@ -67,44 +101,53 @@ router.post('/compact/:keyspace?', async (req, res) => {
 router.post('/flush/:keyspace?', async (req, res) => {
     try {
         const keyspace = req.params.keyspace || 'all';
+        const { tables, node } = req.body || {};
         
-        const result = await operationsService.flushKeyspace(keyspace);
+        const result = await auditService.track(req, 'flush', { parameters: { keyspace, tables, node } }, () =>
+            operationsService.forCluster(req.cluster).flushKeyspace(keyspace, tables, node)
+        );
         res.json(result);
     } catch (error) {
         console.error('Error flushing keyspace:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to flush keyspace', 
             message: error.message 
         });
     }
 });
 
-// Cleanup operations
+// Cleanup operations (queued)
 router.post('/cleanup/:keyspace?', async (req, res) => {
     try {
         const keyspace = req.params.keyspace || 'all';
+        const { tables, node } = req.body || {};
         
-        const result = await operationsService.cleanup(keyspace);
-        res.json(result);
+        const result = await auditService.track(req, 'cleanup', { parameters: { keyspace, tables, node } }, () =>
+            operationsService.forCluster(req.cluster).cleanup(keyspace, tables, node)
+        );
+        res.status(202).json(result);
     } catch (error) {
         console.error('Error starting cleanup:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to start cleanup', 
             message: error.message 
         });
     }
 });
 
-// Scrub operations
+// Scrub operations (queued)
 router.post('/scrub/:keyspace?', async (req, res) => {
     try {
         const keyspace = req.params.keyspace || 'all';
+        const { tables, node } = req.body || {};
         
-        const result = await operationsService.scrubKeyspace(keyspace);
-        res.json(result);
+        const result = await auditService.track(req, 'scrub', { parameters: { keyspace, tables, node } }, () =>
+            operationsService.forCluster(req.cluster).scrubKeyspace(keyspace, tables, node)
+        );
+        res.status(202).json(result);
     } catch (error) {
         console.error('Error starting scrub:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to start scrub', 
             message: error.message 
         });
@@ -114,11 +157,15 @@ router.post('/scrub/:keyspace?', async (req, res) => {
 // Drain node
 router.post('/drain', async (req, res) => {
     try {
-        const result = await operationsService.drainNode();
+        const node = req.body?.node;
+        
+        const result = await auditService.track(req, 'drain', { parameters: { node } }, () =>
+            operationsService.forCluster(req.cluster).drainNode(node)
+        );
         res.json(result);
     } catch (error) {
         console.error('Error draining node:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to drain node', 
             message: error.message 
         });
@@ -136,11 +183,13 @@ router.post('/keyspace', async (req, res) => {
             });
         }
         
-        const result = await operationsService.createKeyspace(name, replicationStrategy);
+        const result = await auditService.track(req, 'create_keyspace', { parameters: { name, replicationStrategy } }, () =>
+            operationsService.forCluster(req.cluster).createKeyspace(name, replicationStrategy)
+        );
         res.json(result);
     } catch (error) {
         console.error('Error creating keyspace:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to create keyspace', 
             message: error.message 
         });
@@ -152,44 +201,56 @@ router.delete('/keyspace/:name', async (req, res) => {
     try {
         const { name } = req.params;
         
-        const result = await operationsService.dropKeyspace(name);
+        const result = await auditService.track(req, 'drop_keyspace', { parameters: { name } }, () =>
+            operationsService.forCluster(req.cluster).dropKeyspace(name)
+        );
         res.json(result);
     } catch (error) {
         console.error('Error dropping keyspace:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to drop keyspace', 
             message: error.message 
         });
     }
 });
 
-// Execute CQL query
+// Execute CQL query, one page at a time: pass the previous result's nextCursor as cursor.
+// trace: true runs it with tracing and returns the trace session
 router.post('/query', async (req, res) => {
     try {
-        const { query, consistency } = req.body;
+        const { query, consistency, cursor, trace } = req.body;
+        const pageSize = parsePageSize(req.body.pageSize);
         
         if (!query) {
             return res.status(400).json({
                 error: 'Missing required field: query'
             });
         }
+        if (pageSize === null) {
+            return res.status(400).json({
+                error: 'pageSize must be an integer between 1 and 10000'
+            });
+        }
         
-        const result = await operationsService.executeQuery(query, consistency);
+        const result = await auditService.track(req, 'query', { command: query, parameters: { consistency, pageSize, trace: trace === true } }, () =>
+            operationsService.forCluster(req.cluster).executeQuery(query, consistency, [], { pageSize, cursor }, { trace: trace === true })
+        );
         res.json(result);
     } catch (error) {
         console.error('Error executing query:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to execute query', 
             message: error.message 
         });
     }
 });
 
-// Get active operations
+// Get operations (filter with ?type=&keyspace=&status=&node=, paginate with ?limit=&offset=)
 router.get('/active', async (req, res) => {
     try {
-        const operations = await operationsService.getActiveOperations();
-        res.json(operations);
+        const { type, keyspace, status, node, limit, offset } = req.query;
+        const result = await operationsService.forCluster(req.cluster).listOperations({ type, keyspace, status, node, limit, offset });
+        res.json(result);
     } catch (error) {
         console.error('Error getting active operations:', error);
         res.status(500).json({ 
@@ -203,7 +264,7 @@ router.get('/active', async (req, res) => {
 router.get('/status/:operationId', async (req, res) => {
     try {
         const { operationId } = req.params;
-        const operation = operationsService.getOperationStatus(operationId);
+        const operation = operationsService.forCluster(req.cluster).getOperationStatus(operationId);
         
         if (!operation) {
             return res.status(404).json({
@@ -224,7 +285,7 @@ router.get('/status/:operationId', async (req, res) => {
 // Get compaction stats
 router.get('/stats/compaction', async (req, res) => {
     try {
-        const result = await operationsService.getCompactionStats();
+        const result = await operationsService.forCluster(req.cluster).getCompactionStats();
         res.json(result);
     } catch (error) {
         console.error('Error getting compaction stats:', error);
@@ -235,65 +296,196 @@ router.get('/stats/compaction', async (req, res) => {
     }
 });
 
-// Get thread pool stats
+// Get thread pool stats and dropped messages; ?node= as for /cluster/info
 router.get('/stats/threadpool', async (req, res) => {
     try {
-        const result = await operationsService.getThreadPoolStats();
+        const result = await operationsService.forCluster(req.cluster).getThreadPoolStats(req.query.node || null);
         res.json(result);
     } catch (error) {
         console.error('Error getting thread pool stats:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to get thread pool stats', 
             message: error.message 
         });
     }
 });
 
-// Get GC stats
+// Get GC stats since the previous call; ?node= as for /cluster/info
 router.get('/stats/gc', async (req, res) => {
     try {
-        const result = await operationsService.getGCStats();
+        const result = await operationsService.forCluster(req.cluster).getGCStats(req.query.node || null);
         res.json(result);
     } catch (error) {
         console.error('Error getting GC stats:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to get GC stats', 
             message: error.message 
         });
     }
 });
 
-// Browse table data
+// Browse table data a page at a time (?pageSize=&cursor=); ?key[<column>]=<value> for
+// every partition key column pages through that partition's rows only
 router.get('/browse/:keyspace/:table', async (req, res) => {
     try {
         const { keyspace, table } = req.params;
-        const limit = parseInt(req.query.limit) || 100;
+        const { cursor, key } = req.query;
+        // limit is the name older clients use for the page size
+        const pageSize = parsePageSize(req.query.pageSize ?? req.query.limit);
+        
+        if (pageSize === null) {
+            return res.status(400).json({
+                error: 'pageSize must be an integer between 1 and 10000'
+            });
+        }
+        if (key !== undefined && (typeof key !== 'object' || Array.isArray(key))) {
+            return res.status(400).json({
+                error: 'key must map partition key columns to values, as key[<column>]=<value>'
+            });
+        }
         
-        const query = `SELECT * FROM ${keyspace}.${table} LIMIT ${limit}`;
-        const result = await operationsService.executeQuery(query);
+        const result = await operationsService.forCluster(req.cluster).browseTable(keyspace, table, {
+            pageSize,
+            cursor,
+            partitionKey: key
+        });
         
         res.json({
             ...result,
             keyspace,
             table,
-            limit
+            partitionKey: key || null
         });
     } catch (error) {
         console.error('Error browsing table data:', error);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             error: 'Failed to browse table data', 
             message: error.message 
         });
     }
 });
 
+// Make a one-time link (see routes/downloads.js) that downloads a whole table,
+// {keyspace, table, partitionKey, format}, or with partitionKey (every partition key
+// column -> value) one partition, or the full result of a SELECT, {query, format}.
+// The browser saves the file as it streams in; the download is audited as `export`.
+router.post('/export/links', requireRole('operator'), async (req, res) => {
+    try {
+        const { keyspace, table, partitionKey, query, format = 'csv' } = req.body;
+
+        if (!query && (!keyspace || !table)) {
+            return res.status(400).json({
+                error: 'Missing required field: query, or keyspace and table'
+            });
+        }
+        if (partitionKey !== undefined && partitionKey !== null && (typeof partitionKey !== 'object' || Array.isArray(partitionKey))) {
+            return res.status(400).json({
+                error: 'partitionKey must map partition key columns to values'
+            });
+        }
+
+        const source = query ? { query } : { keyspace, table, partitionKey: partitionKey || null };
+        await operationsService.forCluster(req.cluster).checkExport(source, format);
+        res.json({
+            success: true,
+            ...downloadService.createLink(req.user, req.cluster.clusterId, { source, format })
+        });
+    } catch (error) {
+        console.error('Error creating export link:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to create export link',
+            message: error.message
+        });
+    }
+});
+
+// Upload a file to import, sent as the raw request body (?format=csv|jsonl). Returns an
+// uploadId with the file's fields and first records for mapping them to columns
+router.post('/import/uploads', async (req, res) => {
+    try {
+        if (isJsonBody(req)) {
+            return res.status(415).json({
+                error: 'Send the file as the request body, e.g. with Content-Type: application/octet-stream'
+            });
+        }
+        
+        const result = await importService.forCluster(req.cluster).saveUpload(req, req.query.format || 'csv');
+        res.json(result);
+    } catch (error) {
+        console.error('Error uploading import file:', error);
+        res.status(error.status || 500).json({ 
+            error: 'Failed to upload import file', 
+            message: error.message 
+        });
+    }
+});
+
+// Import an upload into a table (queued as an operation; progress comes over the
+// WebSocket): {uploadId, mapping, consistency, concurrency, dryRun}
+router.post('/import/:keyspace/:table', async (req, res) => {
+    try {
+        const { keyspace, table } = req.params;
+        const { uploadId, mapping, consistency, concurrency, dryRun } = req.body;
+        
+        if (!uploadId) {
+            return res.status(400).json({
+                error: 'Missing required field: uploadId'
+            });
+        }
+        
+        const start = () => importService.forCluster(req.cluster).startImport(keyspace, table, {
+            uploadId,
+            mapping,
+            consistency,
+            concurrency,
+            dryRun: dryRun === true
+        });
+        const result = dryRun === true
+            ? await start()
+            : await auditService.track(req, 'import', { parameters: { keyspace, table, uploadId, mapping, consistency, concurrency } }, start);
+        res.status(202).json(result);
+    } catch (error) {
+        console.error('Error starting import:', error);
+        res.status(error.status || 500).json({ 
+            error: 'Failed to start import', 
+            message: error.message 
+        });
+    }
+});
+
+// Insert, update or delete a row: {action, key, values, consistency, dryRun}. A dry run
+// returns the statement and the current values without writing
+router.post('/rows/:keyspace/:table', async (req, res) => {
+    try {
+        const { keyspace, table } = req.params;
+        const { action, key, values, consistency, dryRun } = req.body;
+        const edit = () => operationsService.forCluster(req.cluster).editRow(keyspace, table, {
+            action,
+            key,
+            values,
+            consistency,
+            dryRun: dryRun === true
+        });
+        
+        const result = dryRun === true
+            ? await edit()
+            : await auditService.track(req, 'edit_row', { parameters: { action, keyspace, table, key, consistency } }, edit);
+        res.json(result);
+    } catch (error) {
+        console.error('Error editing row:', error);
+        res.status(error.status || 500).json({ 
+            error: 'Failed to edit row', 
+            message: error.message 
+        });
+    }
+});
+
 // Get table schema
 router.get('/schema/:keyspace/:table', async (req, res) => {
     try {
         const { keyspace, table } = req.params;
         
-        const query = `SELECT column_name, type, kind FROM system_schema.columns WHERE keyspace_name = '${keyspace}' AND table_name = '${table}'`;
-        const result = await operationsService.executeQuery(query);
+        const result = await operationsService.forCluster(req.cluster).getTableSchema(keyspace, table);
         
         res.json({
             ...result,
@@ -309,4 +501,22 @@ router.get('/schema/:keyspace/:table', async (req, res) => {
     }
 });
 
+// Cancel a queued or running operation
+router.post('/:operationId/cancel', async (req, res) => {
+    try {
+        const { operationId } = req.params;
+        
+        const result = await auditService.track(req, 'cancel_operation', { parameters: { operationId } }, async () =>
+            operationsService.forCluster(req.cluster).cancelOperation(operationId)
+        );
+        res.json(result);
+    } catch (error) {
+        console.error('Error cancelling operation:', error);
+        res.status(error.status || 500).json({ 
+            error: 'Failed to cancel operation', 
+            message: error.message 
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const profileService = require('../services/profileService');
+const websocketService = require('../services/websocketService');
+const { requireRole } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+// List saved connection profiles (secrets are never returned)
+router.get('/', async (req, res) => {
+    try {
+        const profiles = await profileService.listProfiles();
+        res.json(profiles);
+    } catch (error) {
+        console.error('Error listing profiles:', error);
+        res.status(500).json({
+            error: 'Failed to list profiles',
+            message: error.message
+        });
+    }
+});
+
+// Get a single profile
+router.get('/:id', async (req, res) => {
+    try {
+        const profile = await profileService.getProfile(req.params.id);
+
+        if (!profile) {
+            return res.status(404).json({
+                error: 'Profile not found'
+            });
+        }
+
+        res.json(profileService.toPublicProfile(profile));
+    } catch (error) {
+        console.error('Error getting profile:', error);
+        res.status(500).json({
+            error: 'Failed to get profile',
+            message: error.message
+        });
+    }
+});
+
+// Create a profile (profiles hold credentials, so managing them is admin only)
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, hosts } = req.body;
+
+        if (!name || !hosts || hosts.length === 0) {
+            return res.status(400).json({
+                error: 'Missing required fields: name and hosts'
+            });
+        }
+
+        const profile = await auditService.track(req, 'create_profile', { parameters: { name, hosts } }, () =>
+            profileService.createProfile(req.body)
+        );
+        res.status(201).json(profile);
+    } catch (error) {
+        console.error('Error creating profile:', error);
+        res.status(500).json({
+            error: 'Failed to create profile',
+            message: error.message
+        });
+    }
+});
+
+// Update a profile (omitted or empty passwords keep the stored value)
+router.put('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const profile = await auditService.track(req, 'update_profile', { parameters: { id: req.params.id } }, () =>
+            profileService.updateProfile(req.params.id, req.body)
+        );
+
+        if (!profile) {
+            return res.status(404).json({
+                error: 'Profile not found'
+            });
+        }
+
+        res.json(profile);
+    } catch (error) {
+        console.error('Error updating profile:', error);
+        res.status(500).json({
+            error: 'Failed to update profile',
+            message: error.message
+        });
+    }
+});
+
+// Delete a profile
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const deleted = await auditService.track(req, 'delete_profile', { parameters: { id: req.params.id } }, () =>
+            profileService.deleteProfile(req.params.id)
+        );
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Profile not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Profile ${req.params.id} deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting profile:', error);
+        res.status(500).json({
+            error: 'Failed to delete profile',
+            message: error.message
+        });
+    }
+});
+
+// Test the connection described by a profile
+router.post('/:id/test', async (req, res) => {
+    try {
+        const result = await profileService.testProfile(req.params.id);
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Profile not found'
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error testing profile:', error);
+        res.status(500).json({
+            error: 'Failed to test profile',
+            message: error.message
+        });
+    }
+});
+
+// Connect to the cluster described by a profile (the profile id becomes the cluster id)
+router.post('/:id/connect', async (req, res) => {
+    try {
+        const result = await auditService.track(req, 'connect', { parameters: { profile: req.params.id }, clusterId: req.params.id }, () =>
+            profileService.connectProfile(req.params.id)
+        );
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Profile not found'
+            });
+        }
+
+        if (result.success) {
+            setTimeout(() => {
+                websocketService.broadcastInitialDataToAll(result.clusterId);
+            }, 1000); // Give the connection a moment to stabilize
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error connecting with profile:', error);
+        res.status(500).json({
+            error: 'Failed to connect to cluster',
+            message: error.message,
+            errorType: error.errorType
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const prometheusService = require('../services/prometheusService');
+const authService = require('../services/authService');
+const { getRequestToken } = require('../middleware/auth');
+
+// Scrapers do not hold a session, so they send PROMETHEUS_TOKEN as
+// "Authorization: Bearer <token>" (bearer_token in the scrape config); a session token
+// is accepted too. Anonymous scraping must be allowed with PROMETHEUS_ALLOW_ANONYMOUS=true.
+function checkScrapeToken(req, res, next) {
+    if (process.env.PROMETHEUS_ALLOW_ANONYMOUS === 'true') {
+        return next();
+    }
+
+    const requestToken = getRequestToken(req);
+    const expected = process.env.PROMETHEUS_TOKEN;
+    const token = Buffer.from(requestToken || '');
+    const validToken = !!expected && token.length === Buffer.byteLength(expected) &&
+        crypto.timingSafeEqual(token, Buffer.from(expected));
+    if (!validToken && !authService.getSession(requestToken)) {
+        return res.status(401).json({
+            error: 'Authentication required'
+        });
+    }
+    next();
+}
+
+router.get('/', checkScrapeToken, async (req, res) => {
+    try {
+        const body = await prometheusService.scrape();
+        res.set('Content-Type', prometheusService.contentType);
+        res.send(body);
+    } catch (error) {
+        console.error('Error collecting Prometheus metrics:', error);
+        res.status(500).json({
+            error: 'Failed to collect Prometheus metrics',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const schemaService = require('../services/schemaService');
+
+// Keyspaces with their tables, views, indexes, types, functions and aggregates
+router.get('/', async (req, res) => {
+    try {
+        const result = await schemaService.forCluster(req.cluster).getTree();
+        res.json(result);
+    } catch (error) {
+        console.error('Error reading schema:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to read schema',
+            message: error.message
+        });
+    }
+});
+
+// DDL of a whole keyspace; ?download=true sends it as <keyspace>.cql
+router.get('/:keyspace', async (req, res) => {
+    try {
+        const { keyspace } = req.params;
+        const result = await schemaService.forCluster(req.cluster).describeKeyspace(keyspace);
+        if (req.query.download === 'true') {
+            res.type('text/plain');
+            res.attachment(`${keyspace}.cql`);
+            res.send(result.cql);
+            return;
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error describing keyspace:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to describe keyspace',
+            message: error.message
+        });
+    }
+});
+
+// DDL of one object: kind is tables, views, indexes, types, functions or aggregates
+router.get('/:keyspace/:kind/:name', async (req, res) => {
+    try {
+        const { keyspace, kind, name } = req.params;
+        const result = await schemaService.forCluster(req.cluster).describe(keyspace, kind, name);
+        res.json(result);
+    } catch (error) {
+        console.error('Error describing schema object:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to describe schema object',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
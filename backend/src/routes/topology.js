@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const operationsService = require('../services/operationsService');
+
+// Replicas of the partition holding a key: ?<column>=<value> for every partition key
+// column, typed per the table schema (collections as JSON)
+router.get('/endpoints/:keyspace/:table', async (req, res) => {
+    try {
+        const { keyspace, table } = req.params;
+        const result = await operationsService.forCluster(req.cluster).getEndpoints(keyspace, table, req.query);
+        res.json(result);
+    } catch (error) {
+        console.error('Error getting endpoints:', error);
+        res.status(error.status || 500).json({ 
+            error: 'Failed to get endpoints', 
+            message: error.message 
+        });
+    }
+});
+
+module.exports = router;
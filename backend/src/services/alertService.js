@@ -0,0 +1,461 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../config/storage');
+const historyService = require('./historyService');
+const silenceService = require('./silenceService');
+
+const CLUSTER_NODE = 'cluster';
+const TYPES = ['threshold', 'rate', 'absence'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const SCOPES = ['node', 'cluster'];
+const LABEL_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold
+};
+
+// Written to the rules file on first start; mirrors the thresholds the JMX page used to apply
+const DEFAULT_RULES = [
+    { name: 'High heap usage', metric: 'resources.memory.heap.usagePercent', operator: '>', threshold: 75, for: '2m', severity: 'warning' },
+    { name: 'Critical heap usage', metric: 'resources.memory.heap.usagePercent', operator: '>', threshold: 85, for: '1m', severity: 'critical' },
+    { name: 'High GC time', metric: 'resources.gc.totalTime', type: 'rate', operator: '>', threshold: 100, window: '5m', severity: 'warning', description: 'More than 10% of wall time spent in GC (ms per second)' },
+    { name: 'High pending tasks', metric: 'threadPools.totalPendingTasks', scope: 'cluster', operator: '>', threshold: 50, for: '1m', severity: 'warning' },
+    { name: 'Critical pending tasks', metric: 'threadPools.totalPendingTasks', scope: 'cluster', operator: '>', threshold: 100, for: '1m', severity: 'critical' },
+    { name: 'Request timeouts', metric: 'performance.totalTimeouts', scope: 'cluster', type: 'rate', operator: '>', threshold: 0.1, window: '5m', severity: 'warning' },
+    { name: 'Node not reporting', metric: 'resources.memory.heap.used', type: 'absence', for: '2m', severity: 'critical' }
+];
+
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Evaluates user-defined rules against every metrics sample taken by historyService.
+// A rule watches one dotted metric name (as listed by /api/history/metrics) either on
+// each node or on the cluster aggregate, and is one of:
+//   threshold - the value compared with `threshold`
+//   rate      - the change per second over `window` compared with `threshold`
+//   absence   - the node returned no value for the metric
+// A matching series is `pending` until the condition has held for `for`, then `firing`.
+// There is one alert per rule, cluster and node, so a condition that keeps holding is
+// reported once under a stable id (a fingerprint of the three). 'alert' is emitted when
+// it starts firing, when it resolves, and when a firing alert is acknowledged or
+// muted by a silence or maintenance window; it carries the rule's `channels` for
+// notificationService.
+class AlertService extends EventEmitter {
+    constructor() {
+        super();
+        this.rulesFile = process.env.ALERT_RULES_FILE || dataPath('alert-rules.json');
+        this.rules = null;
+        this.alerts = new Map(); // 'ruleId|clusterId|node' -> pending or firing alert
+        this.samples = new Map(); // 'ruleId|clusterId|node' -> [{ time, value }] inside a rate window
+        this.onSample = sample => {
+            this.evaluate(sample).catch(error => {
+                console.error('Failed to evaluate alert rules:', error.message);
+            });
+        };
+        this.onSuppressionChange = () => this.refreshSuppressions(Date.now());
+    }
+
+    start() {
+        historyService.on('sample', this.onSample);
+        silenceService.on('change', this.onSuppressionChange);
+    }
+
+    stop() {
+        historyService.off('sample', this.onSample);
+        silenceService.off('change', this.onSuppressionChange);
+    }
+
+    async load() {
+        if (!this.rules) {
+            const data = await readJson(this.rulesFile, null);
+            if (data) {
+                this.rules = new Map((data.rules || []).map(rule => [rule.id, rule]));
+            } else {
+                const now = new Date().toISOString();
+                this.rules = new Map(DEFAULT_RULES.map(input => {
+                    const rule = { id: crypto.randomUUID(), ...this.normalize(input), createdAt: now, updatedAt: now };
+                    return [rule.id, rule];
+                }));
+                await this.save();
+            }
+        }
+        return this.rules;
+    }
+
+    async save() {
+        await writeJson(this.rulesFile, {
+            rules: Array.from(this.rules.values())
+        });
+    }
+
+    // Durations use the history step syntax: 30s, 5m, 1h
+    parseDuration(value, field) {
+        try {
+            return historyService.parseStep(value);
+        } catch (error) {
+            throw createError(`Invalid ${field}: ${value}`, 400);
+        }
+    }
+
+    normalize(input, existing = {}) {
+        const rule = {
+            ...existing,
+            name: String(input.name ?? existing.name ?? '').trim(),
+            description: input.description ?? existing.description ?? '',
+            enabled: input.enabled !== undefined ? !!input.enabled : existing.enabled ?? true,
+            metric: String(input.metric ?? existing.metric ?? '').trim(),
+            type: input.type ?? existing.type ?? 'threshold',
+            operator: input.operator ?? existing.operator ?? '>',
+            threshold: input.threshold !== undefined ? Number(input.threshold) : existing.threshold ?? null,
+            window: input.window ?? existing.window ?? '5m',
+            for: input.for ?? existing.for ?? '0s',
+            severity: input.severity ?? existing.severity ?? 'warning',
+            scope: input.scope ?? existing.scope ?? 'node',
+            clusterId: input.clusterId !== undefined ? input.clusterId || null : existing.clusterId ?? null,
+            datacenters: input.datacenters ?? existing.datacenters ?? [],
+            nodes: input.nodes ?? existing.nodes ?? [],
+            channels: input.channels ?? existing.channels ?? [],
+            labels: input.labels ?? existing.labels ?? {}
+        };
+
+        if (!rule.name) {
+            throw createError('name is required', 400);
+        }
+        if (!/^[A-Za-z0-9_.]+$/.test(rule.metric)) {
+            throw createError(`Invalid metric: ${JSON.stringify(rule.metric)}`, 400);
+        }
+        if (!TYPES.includes(rule.type)) {
+            throw createError(`type must be one of ${TYPES.join(', ')}`, 400);
+        }
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw createError(`severity must be one of ${SEVERITIES.join(', ')}`, 400);
+        }
+        if (!SCOPES.includes(rule.scope)) {
+            throw createError(`scope must be one of ${SCOPES.join(', ')}`, 400);
+        }
+        if (rule.type !== 'absence') {
+            if (!OPERATORS[rule.operator]) {
+                throw createError(`operator must be one of ${Object.keys(OPERATORS).join(' ')}`, 400);
+            }
+            if (rule.threshold === null || !Number.isFinite(rule.threshold)) {
+                throw createError('threshold must be a number', 400);
+            }
+        }
+        if (rule.type === 'rate') {
+            this.parseDuration(rule.window, 'window');
+        }
+        this.parseDuration(rule.for, 'for');
+
+        ['datacenters', 'nodes', 'channels'].forEach(field => {
+            const values = Array.isArray(rule[field]) ? rule[field] : String(rule[field]).split(',');
+            rule[field] = values.map(value => String(value).trim()).filter(Boolean);
+        });
+        if (rule.scope === 'cluster' && (rule.datacenters.length > 0 || rule.nodes.length > 0)) {
+            throw createError('datacenters and nodes only apply to node-scoped rules', 400);
+        }
+
+        // Extra labels copied onto the rule's alerts, e.g. { keyspace: 'orders' } for silences
+        if (!rule.labels || typeof rule.labels !== 'object' || Array.isArray(rule.labels)) {
+            throw createError('labels must be an object', 400);
+        }
+        rule.labels = Object.fromEntries(Object.entries(rule.labels).map(([name, value]) => {
+            if (!LABEL_NAME.test(name)) {
+                throw createError(`Invalid label name: ${JSON.stringify(name)}`, 400);
+            }
+            return [name, String(value)];
+        }));
+
+        return rule;
+    }
+
+    async listRules() {
+        const rules = await this.load();
+        return Array.from(rules.values());
+    }
+
+    async getRule(id) {
+        const rules = await this.load();
+        return rules.get(id) || null;
+    }
+
+    async createRule(input, user = null) {
+        const rules = await this.load();
+        const now = new Date().toISOString();
+        const rule = {
+            id: crypto.randomUUID(),
+            ...this.normalize(input),
+            createdBy: user,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        rules.set(rule.id, rule);
+        await this.save();
+        return rule;
+    }
+
+    async updateRule(id, input) {
+        const rules = await this.load();
+        const existing = rules.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const rule = {
+            ...this.normalize(input, existing),
+            id,
+            updatedAt: new Date().toISOString()
+        };
+
+        rules.set(id, rule);
+        await this.save();
+        // Start the rule from scratch; alerts it had raised are resolved
+        this.resetRule(id, Date.now());
+        return rule;
+    }
+
+    async deleteRule(id) {
+        const rules = await this.load();
+        if (!rules.delete(id)) {
+            return false;
+        }
+        await this.save();
+        this.resetRule(id, Date.now());
+        return true;
+    }
+
+    resetRule(ruleId, time) {
+        this.alerts.forEach((alert, key) => {
+            if (alert.ruleId === ruleId) {
+                this.clear(key, time);
+            }
+        });
+        Array.from(this.samples.keys())
+            .filter(key => key.startsWith(`${ruleId}|`))
+            .forEach(key => this.samples.delete(key));
+    }
+
+    listAlerts({ clusterId, state, severity, suppressed } = {}) {
+        return Array.from(this.alerts.values())
+            .filter(alert => !clusterId || alert.clusterId === clusterId)
+            .filter(alert => !state || alert.state === state)
+            .filter(alert => !severity || alert.severity === severity)
+            .filter(alert => suppressed === undefined || alert.suppressed === suppressed)
+            .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+                a.activeAt.localeCompare(b.activeAt));
+    }
+
+    getAlert(id) {
+        return Array.from(this.alerts.values()).find(alert => alert.id === id) || null;
+    }
+
+    // Acknowledgements belong to one occurrence; a resolved alert that fires again starts unacknowledged
+    acknowledge(id, user = null, comment = '') {
+        const alert = this.getAlert(id);
+        if (!alert) {
+            return null;
+        }
+        alert.acknowledged = {
+            by: user,
+            comment: String(comment ?? '').trim(),
+            at: new Date().toISOString()
+        };
+        this.announce(alert);
+        return { ...alert };
+    }
+
+    unacknowledge(id) {
+        const alert = this.getAlert(id);
+        if (!alert) {
+            return null;
+        }
+        alert.acknowledged = null;
+        this.announce(alert);
+        return { ...alert };
+    }
+
+    // Pending alerts have not been announced yet, so changes to them are not either
+    announce(alert) {
+        if (alert.state === 'firing') {
+            this.emit('alert', { ...alert });
+        }
+    }
+
+    // Returns whether the set of silences or windows muting the alert changed
+    applySuppressions(alert, time) {
+        const { silencedBy, maintenance } = silenceService.suppressions(alert, time);
+        const changed = silencedBy.join() !== (alert.silencedBy || []).join() ||
+            maintenance.join() !== (alert.maintenance || []).join();
+        alert.silencedBy = silencedBy;
+        alert.maintenance = maintenance;
+        alert.suppressed = silencedBy.length > 0 || maintenance.length > 0;
+        return changed;
+    }
+
+    refreshSuppressions(time) {
+        this.alerts.forEach(alert => {
+            if (this.applySuppressions(alert, time)) {
+                this.announce(alert);
+            }
+        });
+    }
+
+    // The series of a sample a rule applies to
+    matchingSeries(rule, series) {
+        return series.filter(entry => {
+            if (rule.scope === 'cluster') {
+                return entry.node === CLUSTER_NODE;
+            }
+            return entry.node !== CLUSTER_NODE &&
+                (rule.datacenters.length === 0 || rule.datacenters.includes(entry.dc)) &&
+                (rule.nodes.length === 0 || rule.nodes.includes(entry.node));
+        });
+    }
+
+    // Change per second between the oldest sample inside the window and this one
+    rate(key, time, value, window) {
+        const samples = (this.samples.get(key) || []).filter(sample => sample.time >= time - window);
+        samples.push({ time, value });
+        this.samples.set(key, samples);
+
+        const oldest = samples[0];
+        if (oldest.time === time) {
+            return null;
+        }
+        return (value - oldest.value) / ((time - oldest.time) / 1000);
+    }
+
+    async evaluate({ clusterId, time, series }) {
+        const rules = await this.load();
+        await silenceService.load();
+        const seen = new Set();
+
+        rules.forEach(rule => {
+            if (!rule.enabled || (rule.clusterId && rule.clusterId !== clusterId)) {
+                return;
+            }
+
+            this.matchingSeries(rule, series).forEach(entry => {
+                const key = `${rule.id}|${clusterId}|${entry.node}`;
+                const value = entry.values?.[rule.metric];
+                let observed = value ?? null;
+                let active;
+
+                if (rule.type === 'absence') {
+                    active = value === undefined;
+                } else if (rule.type === 'rate') {
+                    observed = value === undefined ? null : this.rate(key, time, value, this.parseDuration(rule.window, 'window'));
+                    active = observed !== null && OPERATORS[rule.operator](observed, rule.threshold);
+                } else {
+                    active = value !== undefined && OPERATORS[rule.operator](value, rule.threshold);
+                }
+
+                seen.add(key);
+                if (active) {
+                    this.activate(key, rule, clusterId, entry, observed, time);
+                } else {
+                    this.clear(key, time);
+                }
+            });
+        });
+
+        // Series that are no longer sampled (rule disabled or narrowed, node gone) resolve
+        this.alerts.forEach((alert, key) => {
+            if (alert.clusterId === clusterId && !seen.has(key)) {
+                this.clear(key, time);
+            }
+        });
+    }
+
+    describe(rule, node, value) {
+        const where = node === CLUSTER_NODE ? 'cluster' : node;
+        if (rule.type === 'absence') {
+            return `${rule.metric} not reported by ${where}`;
+        }
+        const shown = Number.isInteger(value) ? value : Number(value).toFixed(2);
+        const unit = rule.type === 'rate' ? '/s' : '';
+        return `${rule.metric} ${rule.type === 'rate' ? 'changing at ' : 'is '}${shown}${unit} on ${where} (${rule.operator} ${rule.threshold}${unit})`;
+    }
+
+    // What silences match on; the rule's own labels cannot override these
+    labels(rule, clusterId, entry) {
+        const labels = {
+            ...rule.labels,
+            alertname: rule.name,
+            rule: rule.id,
+            severity: rule.severity,
+            cluster: clusterId,
+            node: entry.node,
+            metric: rule.metric
+        };
+        if (entry.dc) {
+            labels.dc = entry.dc;
+        }
+        return labels;
+    }
+
+    activate(key, rule, clusterId, entry, value, time) {
+        let alert = this.alerts.get(key);
+        if (!alert) {
+            alert = {
+                id: crypto.createHash('sha1').update(key).digest('hex').slice(0, 16),
+                ruleId: rule.id,
+                ruleName: rule.name,
+                severity: rule.severity,
+                state: 'pending',
+                clusterId,
+                node: entry.node,
+                dc: entry.dc,
+                metric: rule.metric,
+                type: rule.type,
+                activeAt: new Date(time).toISOString(),
+                firedAt: null,
+                resolvedAt: null,
+                acknowledged: null
+            };
+            this.alerts.set(key, alert);
+        }
+
+        alert.value = value;
+        alert.channels = rule.channels || [];
+        alert.threshold = rule.type === 'absence' ? null : rule.threshold;
+        alert.message = this.describe(rule, entry.node, value);
+        alert.updatedAt = new Date(time).toISOString();
+        alert.labels = this.labels(rule, clusterId, entry);
+        const changed = this.applySuppressions(alert, time);
+
+        if (alert.state === 'pending' && time - Date.parse(alert.activeAt) >= this.parseDuration(rule.for, 'for')) {
+            alert.state = 'firing';
+            alert.firedAt = new Date(time).toISOString();
+            this.emit('alert', { ...alert });
+        } else if (changed) {
+            this.announce(alert);
+        }
+    }
+
+    clear(key, time) {
+        const alert = this.alerts.get(key);
+        if (!alert) {
+            return;
+        }
+        this.alerts.delete(key);
+
+        // Pending alerts were never announced, so they go away silently
+        if (alert.state === 'firing') {
+            this.emit('alert', {
+                ...alert,
+                state: 'resolved',
+                resolvedAt: new Date(time).toISOString()
+            });
+        }
+    }
+}
+
+module.exports = new AlertService();
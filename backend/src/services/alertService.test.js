@@ -0,0 +1,274 @@
+const alertService = require('./alertService');
+const silenceService = require('./silenceService');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const HEAP = 'resources.memory.heap.usagePercent';
+const PENDING = 'threadPools.totalPendingTasks';
+
+let events;
+
+function sample(time, series) {
+    return alertService.evaluate({ clusterId: 'prod', time, series });
+}
+
+function node(name, values, dc = 'dc1') {
+    return { node: name, dc, values };
+}
+
+beforeEach(() => {
+    jest.setSystemTime(T0);
+    alertService.rules = new Map();
+    alertService.alerts = new Map();
+    alertService.samples = new Map();
+    silenceService.silences = new Map();
+    silenceService.windows = new Map();
+    events = [];
+    alertService.on('alert', alert => events.push(alert));
+});
+
+afterEach(() => {
+    alertService.removeAllListeners('alert');
+});
+
+describe('normalize', () => {
+    test('fills in the defaults', () => {
+        expect(alertService.normalize({ name: ' Heap ', metric: HEAP, threshold: '75' })).toMatchObject({
+            name: 'Heap',
+            enabled: true,
+            type: 'threshold',
+            operator: '>',
+            threshold: 75,
+            for: '0s',
+            severity: 'warning',
+            scope: 'node',
+            clusterId: null,
+            datacenters: [],
+            nodes: [],
+            labels: {}
+        });
+    });
+
+    test.each([
+        [{ metric: HEAP, threshold: 1 }, 'name is required'],
+        [{ name: 'x', metric: 'heap usage', threshold: 1 }, 'Invalid metric'],
+        [{ name: 'x', metric: HEAP, type: 'delta', threshold: 1 }, 'type must be one of'],
+        [{ name: 'x', metric: HEAP, severity: 'page', threshold: 1 }, 'severity must be one of'],
+        [{ name: 'x', metric: HEAP, operator: '=>', threshold: 1 }, 'operator must be one of'],
+        [{ name: 'x', metric: HEAP, threshold: 'high' }, 'threshold must be a number'],
+        [{ name: 'x', metric: HEAP, type: 'rate', threshold: 1, window: 'soon' }, 'Invalid window'],
+        [{ name: 'x', metric: HEAP, threshold: 1, for: '2 minutes' }, 'Invalid for'],
+        [{ name: 'x', metric: PENDING, scope: 'cluster', threshold: 1, nodes: ['10.0.0.1'] }, 'only apply to node-scoped rules'],
+        [{ name: 'x', metric: HEAP, threshold: 1, labels: { 'team-name': 'db' } }, 'Invalid label name']
+    ])('rejects %j', (input, message) => {
+        expect(() => alertService.normalize(input)).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(message) }));
+    });
+
+    test('absence rules need no threshold', () => {
+        expect(() => alertService.normalize({ name: 'Gone', metric: HEAP, type: 'absence' })).not.toThrow();
+    });
+});
+
+describe('threshold rules', () => {
+    test('stay pending until the condition has held for `for`, then fire once', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75, for: '1m' });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+        expect(alertService.listAlerts()).toEqual([expect.objectContaining({ state: 'pending', node: '10.0.0.1', value: 90 })]);
+        expect(events).toEqual([]);
+
+        await sample(T0 + 30000, [node('10.0.0.1', { [HEAP]: 91 })]);
+        expect(events).toEqual([]);
+
+        await sample(T0 + 60000, [node('10.0.0.1', { [HEAP]: 92 })]);
+        expect(events).toEqual([expect.objectContaining({ state: 'firing', firedAt: new Date(T0 + 60000).toISOString(), value: 92 })]);
+        expect(events[0].message).toBe(`${HEAP} is 92 on 10.0.0.1 (> 75)`);
+
+        await sample(T0 + 90000, [node('10.0.0.1', { [HEAP]: 93 })]);
+        expect(events).toHaveLength(1);
+    });
+
+    test('resolve when the condition clears', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75 });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+        await sample(T0 + 30000, [node('10.0.0.1', { [HEAP]: 40 })]);
+
+        expect(events.map(alert => alert.state)).toEqual(['firing', 'resolved']);
+        expect(events[1]).toMatchObject({ id: events[0].id, resolvedAt: new Date(T0 + 30000).toISOString() });
+        expect(alertService.listAlerts()).toEqual([]);
+    });
+
+    test('drop pending alerts silently', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75, for: '5m' });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+        await sample(T0 + 30000, [node('10.0.0.1', { [HEAP]: 40 })]);
+
+        expect(events).toEqual([]);
+        expect(alertService.listAlerts()).toEqual([]);
+    });
+
+    test('keep one alert per node under a stable id', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75 });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 }), node('10.0.0.2', { [HEAP]: 95 })]);
+        const ids = events.map(alert => alert.id);
+        expect(new Set(ids).size).toBe(2);
+
+        events.length = 0;
+        await sample(T0 + 30000, [node('10.0.0.1', { [HEAP]: 40 }), node('10.0.0.2', { [HEAP]: 40 })]);
+        await sample(T0 + 60000, [node('10.0.0.1', { [HEAP]: 90 }), node('10.0.0.2', { [HEAP]: 95 })]);
+        expect(events.filter(alert => alert.state === 'firing').map(alert => alert.id)).toEqual(ids);
+    });
+
+    test('resolve alerts for series that are no longer sampled', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75 });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+        await sample(T0 + 30000, [node('10.0.0.2', { [HEAP]: 40 })]);
+
+        expect(events.map(alert => [alert.node, alert.state])).toEqual([['10.0.0.1', 'firing'], ['10.0.0.1', 'resolved']]);
+    });
+
+    test('skip disabled rules and rules for other clusters', async () => {
+        await alertService.createRule({ name: 'Disabled', metric: HEAP, threshold: 75, enabled: false });
+        await alertService.createRule({ name: 'Staging only', metric: HEAP, threshold: 75, clusterId: 'staging' });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+
+        expect(alertService.listAlerts()).toEqual([]);
+    });
+});
+
+describe('rule scope', () => {
+    test('cluster rules only watch the cluster aggregate', async () => {
+        await alertService.createRule({ name: 'Pending tasks', metric: PENDING, scope: 'cluster', threshold: 50 });
+
+        await sample(T0, [node('10.0.0.1', { [PENDING]: 80 }), { node: 'cluster', values: { [PENDING]: 60 } }]);
+
+        expect(events).toEqual([expect.objectContaining({ node: 'cluster', value: 60 })]);
+        expect(events[0].message).toBe(`${PENDING} is 60 on cluster (> 50)`);
+    });
+
+    test('node rules skip the aggregate and can be narrowed to datacenters and nodes', async () => {
+        await alertService.createRule({ name: 'dc2 heap', metric: HEAP, threshold: 75, datacenters: ['dc2'] });
+        await alertService.createRule({ name: 'One node', metric: HEAP, threshold: 75, nodes: ['10.0.0.2'] });
+
+        await sample(T0, [
+            node('10.0.0.1', { [HEAP]: 90 }),
+            node('10.0.0.2', { [HEAP]: 90 }),
+            node('10.0.1.1', { [HEAP]: 90 }, 'dc2'),
+            { node: 'cluster', values: { [HEAP]: 90 } }
+        ]);
+
+        expect(events.map(alert => [alert.ruleName, alert.node]).sort()).toEqual([
+            ['One node', '10.0.0.2'],
+            ['dc2 heap', '10.0.1.1']
+        ]);
+    });
+});
+
+describe('rate rules', () => {
+    test('compare the change per second over the window', async () => {
+        await alertService.createRule({ name: 'GC', metric: 'resources.gc.totalTime', type: 'rate', threshold: 100, window: '5m' });
+        const gc = (time, value) => sample(time, [node('10.0.0.1', { 'resources.gc.totalTime': value })]);
+
+        // A single sample has no rate yet
+        await gc(T0, 1000);
+        expect(alertService.listAlerts()).toEqual([]);
+
+        // 3000 ms of GC over 60 s is 50 ms/s
+        await gc(T0 + 60000, 4000);
+        expect(alertService.listAlerts()).toEqual([]);
+
+        // 25000 ms over 120 s since the oldest sample in the window is ~208 ms/s
+        await gc(T0 + 120000, 26000);
+        expect(events).toEqual([expect.objectContaining({ state: 'firing', type: 'rate' })]);
+        expect(events[0].value).toBeCloseTo(208.33, 2);
+        expect(events[0].message).toBe('resources.gc.totalTime changing at 208.33/s on 10.0.0.1 (> 100/s)');
+    });
+
+    test('forget samples older than the window', async () => {
+        await alertService.createRule({ name: 'GC', metric: 'resources.gc.totalTime', type: 'rate', threshold: 100, window: '1m' });
+        const gc = (time, value) => sample(time, [node('10.0.0.1', { 'resources.gc.totalTime': value })]);
+
+        await gc(T0, 0);
+        await gc(T0 + 120000, 60000);
+
+        // The first sample fell out of the window, so there is nothing to compare with
+        expect(alertService.listAlerts()).toEqual([]);
+    });
+});
+
+describe('absence rules', () => {
+    test('fire when a node stops reporting the metric', async () => {
+        await alertService.createRule({ name: 'Node not reporting', metric: HEAP, type: 'absence', for: '1m' });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 50 }), node('10.0.0.2', null)]);
+        await sample(T0 + 60000, [node('10.0.0.1', { [HEAP]: 50 }), node('10.0.0.2', null)]);
+
+        expect(events).toEqual([expect.objectContaining({ node: '10.0.0.2', state: 'firing', value: null, threshold: null })]);
+        expect(events[0].message).toBe(`${HEAP} not reported by 10.0.0.2`);
+
+        await sample(T0 + 90000, [node('10.0.0.1', { [HEAP]: 50 }), node('10.0.0.2', { [HEAP]: 50 })]);
+        expect(events.map(alert => alert.state)).toEqual(['firing', 'resolved']);
+    });
+});
+
+describe('acknowledgements and suppressions', () => {
+    test('acknowledging a firing alert announces it again', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75 });
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+
+        const alert = alertService.acknowledge(events[0].id, 'alice', ' on it ');
+
+        expect(alert.acknowledged).toEqual({ by: 'alice', comment: 'on it', at: new Date(T0).toISOString() });
+        expect(events).toHaveLength(2);
+        expect(alertService.acknowledge('missing')).toBeNull();
+    });
+
+    test('alerts carry labels that silences match on', async () => {
+        const rule = await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75, severity: 'critical', labels: { team: 'db', node: 'ignored' } });
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+
+        expect(events[0].labels).toEqual({
+            team: 'db',
+            alertname: 'High heap',
+            rule: rule.id,
+            severity: 'critical',
+            cluster: 'prod',
+            node: '10.0.0.1',
+            dc: 'dc1',
+            metric: HEAP
+        });
+    });
+
+    test('a matching silence mutes new alerts', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75 });
+        const silence = await silenceService.createSilence({ matchers: [{ name: 'node', value: '10.0.0.1' }], comment: 'rebuild', duration: '1h' });
+
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 }), node('10.0.0.2', { [HEAP]: 90 })]);
+
+        const byNode = Object.fromEntries(events.map(alert => [alert.node, alert]));
+        expect(byNode['10.0.0.1']).toMatchObject({ suppressed: true, silencedBy: [silence.id], maintenance: [] });
+        expect(byNode['10.0.0.2']).toMatchObject({ suppressed: false, silencedBy: [] });
+        expect(alertService.listAlerts({ suppressed: false }).map(alert => alert.node)).toEqual(['10.0.0.2']);
+    });
+
+    test('firing alerts are announced when a silence or window starts or ends', async () => {
+        await alertService.createRule({ name: 'High heap', metric: HEAP, threshold: 75 });
+        await sample(T0, [node('10.0.0.1', { [HEAP]: 90 })]);
+        events.length = 0;
+
+        const window = await silenceService.createWindow({ clusterId: 'prod', nodes: '10.0.0.1', reason: 'drain', duration: '30m' });
+        alertService.refreshSuppressions(Date.now());
+        expect(events).toEqual([expect.objectContaining({ state: 'firing', suppressed: true, maintenance: [window.id] })]);
+
+        // Nothing changed, so nothing is announced
+        alertService.refreshSuppressions(Date.now());
+        expect(events).toHaveLength(1);
+
+        alertService.refreshSuppressions(T0 + 31 * 60000);
+        expect(events[1]).toMatchObject({ suppressed: false, maintenance: [] });
+    });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { dataPath } = require('../config/storage');
+
+// Keep credentials in CQL (CREATE/ALTER ROLE|USER ... PASSWORD '...') out of the log
+function redactCql(command) {
+    if (typeof command !== 'string') {
+        return command;
+    }
+    return command.replace(/(PASSWORD\s*(?:=\s*)?)'(?:[^']|'')*'/gi, "$1'*****'");
+}
+
+// Append-only JSONL trail of who did what against which cluster
+class AuditService {
+    constructor() {
+        this.auditFile = process.env.AUDIT_LOG_FILE || dataPath('audit.jsonl');
+        // Appends are chained so concurrent requests never interleave lines
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Build an entry from the request (identity, source IP, cluster) and append it.
+    // user overrides req.user for requests made before a session exists (login).
+    record(req, { action, command = null, parameters = null, outcome = 'success', error = null, durationMs = null, clusterId, user }) {
+        const actor = user || req.user || {};
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            user: actor.username || null,
+            role: actor.role || null,
+            provider: actor.provider || null,
+            ip: req.ip || req.socket?.remoteAddress || null,
+            clusterId: clusterId !== undefined ? clusterId : req.cluster?.clusterId || null,
+            action,
+            command: redactCql(command),
+            parameters,
+            outcome,
+            error,
+            durationMs
+        };
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.auditFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 }))
+            .catch(writeError => {
+                console.error('Failed to write audit entry:', writeError.message);
+            });
+
+        return entry;
+    }
+
+    // Run an action and audit its outcome and duration. Results with success: false
+    // count as failures; a result's command or query is logged when none was given.
+    async track(req, action, { command = null, parameters = null, clusterId } = {}, run) {
+        const startTime = Date.now();
+        try {
+            const result = await run();
+            this.record(req, {
+                action,
+                command: command || result?.command || result?.query || null,
+                parameters,
+                outcome: result?.success === false ? 'failure' : 'success',
+                error: result?.success === false ? result.error || null : null,
+                durationMs: Date.now() - startTime,
+                clusterId
+            });
+            return result;
+        } catch (error) {
+            this.record(req, {
+                action,
+                command,
+                parameters,
+                outcome: 'failure',
+                error: error.message,
+                durationMs: Date.now() - startTime,
+                clusterId
+            });
+            throw error;
+        }
+    }
+
+    matches(entry, filters) {
+        if (filters.user && entry.user !== filters.user) {
+            return false;
+        }
+        if (filters.clusterId && entry.clusterId !== filters.clusterId) {
+            return false;
+        }
+        if (filters.action && entry.action !== filters.action) {
+            return false;
+        }
+        if (filters.outcome && entry.outcome !== filters.outcome) {
+            return false;
+        }
+        if (filters.since && entry.timestamp < filters.since) {
+            return false;
+        }
+        if (filters.until && entry.timestamp > filters.until) {
+            return false;
+        }
+        if (filters.search) {
+            const haystack = `${entry.command || ''} ${JSON.stringify(entry.parameters || {})} ${entry.error || ''}`.toLowerCase();
+            if (!haystack.includes(filters.search.toLowerCase())) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Filtered entries, newest first
+    async query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+        const offset = parseInt(filters.offset) || 0;
+        const normalized = {
+            ...filters,
+            since: filters.since ? new Date(filters.since).toISOString() : null,
+            until: filters.until ? new Date(filters.until).toISOString() : null
+        };
+
+        // Let pending appends land before reading
+        await this.writeQueue;
+
+        const matched = [];
+        try {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(this.auditFile, 'utf8'),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+                try {
+                    const entry = JSON.parse(line);
+                    if (this.matches(entry, normalized)) {
+                        matched.push(entry);
+                    }
+                } catch (parseError) {
+                    // Skip a torn line rather than failing the whole query
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        matched.reverse();
+        return {
+            entries: matched.slice(offset, offset + limit),
+            total: matched.length,
+            limit,
+            offset
+        };
+    }
+}
+
+module.exports = new AuditService();
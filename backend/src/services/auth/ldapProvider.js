@@ -0,0 +1,123 @@
+const ldap = require('ldapjs');
+const { mapGroupsToRole } = require('../../config/roles');
+
+// RFC 4515 escaping for values placed in a search filter
+function escapeFilterValue(value) {
+    return String(value).replace(/[\\*()\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+// Directory login: find the user's DN with a service account, then bind as the user
+class LdapProvider {
+    constructor(options) {
+        this.name = 'ldap';
+        this.type = 'password';
+        this.options = {
+            searchFilter: '(uid={{username}})',
+            groupAttribute: 'memberOf',
+            timeout: 5000,
+            ...options
+        };
+    }
+
+    static fromEnvironment() {
+        if (!process.env.LDAP_URL || !process.env.LDAP_SEARCH_BASE) {
+            throw new Error('LDAP provider requires LDAP_URL and LDAP_SEARCH_BASE');
+        }
+        return new LdapProvider({
+            url: process.env.LDAP_URL,
+            bindDN: process.env.LDAP_BIND_DN,
+            bindPassword: process.env.LDAP_BIND_PASSWORD,
+            searchBase: process.env.LDAP_SEARCH_BASE,
+            searchFilter: process.env.LDAP_SEARCH_FILTER || undefined,
+            groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || undefined
+        });
+    }
+
+    createClient() {
+        const client = ldap.createClient({
+            url: this.options.url,
+            timeout: this.options.timeout,
+            connectTimeout: this.options.timeout
+        });
+        // Connection errors surface through the bind/search callbacks
+        client.on('error', () => {});
+        return client;
+    }
+
+    bind(client, dn, password) {
+        return new Promise((resolve, reject) => {
+            client.bind(dn, password, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    findUser(client, username) {
+        const filter = this.options.searchFilter.replace(/\{\{username\}\}/g, escapeFilterValue(username));
+
+        return new Promise((resolve, reject) => {
+            client.search(this.options.searchBase, {
+                scope: 'sub',
+                filter,
+                attributes: ['dn', this.options.groupAttribute],
+                sizeLimit: 1
+            }, (err, res) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                let found = null;
+                res.on('searchEntry', (entry) => {
+                    const groups = entry.pojo.attributes
+                        .filter(attribute => attribute.type === this.options.groupAttribute)
+                        .flatMap(attribute => attribute.values);
+                    found = { dn: entry.pojo.objectName, groups };
+                });
+                res.on('error', reject);
+                res.on('end', () => resolve(found));
+            });
+        });
+    }
+
+    async authenticate(username, password) {
+        // An empty password would be an anonymous bind, which most servers accept
+        if (!username || !password) {
+            return null;
+        }
+
+        const client = this.createClient();
+        try {
+            if (this.options.bindDN) {
+                await this.bind(client, this.options.bindDN, this.options.bindPassword);
+            }
+
+            const entry = await this.findUser(client, username);
+            if (!entry) {
+                return null;
+            }
+
+            try {
+                await this.bind(client, entry.dn, password);
+            } catch (error) {
+                if (error instanceof ldap.InvalidCredentialsError) {
+                    return null;
+                }
+                throw error;
+            }
+
+            // Match on the group CN as well as the full DN
+            const groupNames = entry.groups.flatMap(dn => {
+                const cn = /^cn=([^,]+)/i.exec(dn);
+                return cn ? [dn, cn[1]] : [dn];
+            });
+
+            return {
+                username,
+                role: mapGroupsToRole(groupNames),
+                provider: this.name
+            };
+        } finally {
+            client.unbind(() => {});
+        }
+    }
+}
+
+module.exports = LdapProvider;
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { dataPath, readJson, writeJson } = require('../../config/storage');
+const { isValidRole } = require('../../config/roles');
+
+const scrypt = promisify(crypto.scrypt);
+
+function userError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Username/password accounts stored in a local users file with scrypt hashes
+class LocalProvider {
+    constructor() {
+        this.name = 'local';
+        this.type = 'password';
+        this.usersFile = process.env.USERS_FILE || dataPath('users.json');
+        this.users = null;
+    }
+
+    async load() {
+        if (!this.users) {
+            const data = await readJson(this.usersFile, { users: [] });
+            this.users = new Map((data.users || []).map(user => [user.username, user]));
+        }
+        return this.users;
+    }
+
+    async save() {
+        await writeJson(this.usersFile, {
+            users: Array.from(this.users.values())
+        });
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored || '').split(':');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    toPublicUser(user) {
+        const { passwordHash, ...rest } = user;
+        return { ...rest, provider: this.name };
+    }
+
+    async authenticate(username, password) {
+        const users = await this.load();
+        const user = users.get(username);
+
+        if (!user || user.disabled || !password) {
+            return null;
+        }
+        if (!(await this.verifyPassword(password, user.passwordHash))) {
+            return null;
+        }
+        return { username: user.username, role: user.role, provider: this.name };
+    }
+
+    async listUsers() {
+        const users = await this.load();
+        return Array.from(users.values()).map(user => this.toPublicUser(user));
+    }
+
+    async getUser(username) {
+        const users = await this.load();
+        return users.get(username) || null;
+    }
+
+    async createUser({ username, password, role }) {
+        const users = await this.load();
+
+        if (!username || !password) {
+            throw userError(400, 'Username and password are required');
+        }
+        if (!isValidRole(role)) {
+            throw userError(400, `Invalid role '${role}'`);
+        }
+        if (users.has(username)) {
+            throw userError(409, `User '${username}' already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            username,
+            role,
+            passwordHash: await this.hashPassword(password),
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        users.set(username, user);
+        await this.save();
+        return this.toPublicUser(user);
+    }
+
+    async updateUser(username, { password, role, disabled }) {
+        const users = await this.load();
+        const user = users.get(username);
+        if (!user) {
+            return null;
+        }
+
+        if (role !== undefined) {
+            if (!isValidRole(role)) {
+                throw userError(400, `Invalid role '${role}'`);
+            }
+            user.role = role;
+        }
+        if (password) {
+            user.passwordHash = await this.hashPassword(password);
+        }
+        if (disabled !== undefined) {
+            user.disabled = !!disabled;
+        }
+        user.updatedAt = new Date().toISOString();
+
+        await this.save();
+        return this.toPublicUser(user);
+    }
+
+    async deleteUser(username) {
+        const users = await this.load();
+        if (!users.delete(username)) {
+            return false;
+        }
+        await this.save();
+        return true;
+    }
+
+    // Create the first admin account so a fresh install can be logged into
+    async ensureAdmin() {
+        const users = await this.load();
+        if (users.size > 0) {
+            return;
+        }
+
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        let password = process.env.ADMIN_PASSWORD;
+        if (!password) {
+            password = crypto.randomBytes(12).toString('base64url');
+            console.warn(`No users configured; created '${username}' with generated password: ${password}`);
+        }
+
+        await this.createUser({ username, password, role: 'admin' });
+    }
+}
+
+module.exports = LocalProvider;
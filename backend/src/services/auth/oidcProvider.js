@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { mapGroupsToRole } = require('../../config/roles');
+
+const PENDING_LOGIN_TTL = 10 * 60 * 1000; // 10 minutes to complete the IdP round trip
+
+// OpenID Connect authorization code flow (with PKCE); identity comes from the userinfo endpoint
+class OidcProvider {
+    constructor(options) {
+        this.name = 'oidc';
+        this.type = 'redirect';
+        this.options = {
+            scopes: 'openid profile email groups',
+            roleClaim: 'groups',
+            ...options
+        };
+        this.metadata = null;
+        this.pendingLogins = new Map();
+    }
+
+    static fromEnvironment() {
+        const required = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI'];
+        const missing = required.filter(name => !process.env[name]);
+        if (missing.length > 0) {
+            throw new Error(`OIDC provider requires ${missing.join(', ')}`);
+        }
+        return new OidcProvider({
+            issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ''),
+            clientId: process.env.OIDC_CLIENT_ID,
+            clientSecret: process.env.OIDC_CLIENT_SECRET,
+            redirectUri: process.env.OIDC_REDIRECT_URI,
+            scopes: process.env.OIDC_SCOPES || undefined,
+            roleClaim: process.env.OIDC_ROLE_CLAIM || undefined
+        });
+    }
+
+    async discover() {
+        if (!this.metadata) {
+            const response = await fetch(`${this.options.issuer}/.well-known/openid-configuration`);
+            if (!response.ok) {
+                throw new Error(`OIDC discovery failed with status ${response.status}`);
+            }
+            this.metadata = await response.json();
+        }
+        return this.metadata;
+    }
+
+    prunePendingLogins() {
+        const cutoff = Date.now() - PENDING_LOGIN_TTL;
+        for (const [state, pending] of this.pendingLogins.entries()) {
+            if (pending.createdAt < cutoff) {
+                this.pendingLogins.delete(state);
+            }
+        }
+    }
+
+    async getAuthorizationUrl() {
+        const metadata = await this.discover();
+        this.prunePendingLogins();
+
+        const state = crypto.randomBytes(16).toString('base64url');
+        const verifier = crypto.randomBytes(32).toString('base64url');
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+        this.pendingLogins.set(state, { verifier, createdAt: Date.now() });
+
+        const url = new URL(metadata.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.options.clientId,
+            redirect_uri: this.options.redirectUri,
+            scope: this.options.scopes,
+            state,
+            code_challenge: challenge,
+            code_challenge_method: 'S256'
+        }).toString();
+        return url.toString();
+    }
+
+    async handleCallback({ code, state }) {
+        this.prunePendingLogins();
+        const pending = this.pendingLogins.get(state);
+        if (!code || !pending) {
+            throw new Error('Invalid or expired login request');
+        }
+        this.pendingLogins.delete(state);
+
+        const metadata = await this.discover();
+        const tokenResponse = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: this.options.redirectUri,
+                client_id: this.options.clientId,
+                code_verifier: pending.verifier,
+                ...(this.options.clientSecret && { client_secret: this.options.clientSecret })
+            })
+        });
+        if (!tokenResponse.ok) {
+            throw new Error(`OIDC token exchange failed with status ${tokenResponse.status}`);
+        }
+        const tokens = await tokenResponse.json();
+
+        const userInfoResponse = await fetch(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (!userInfoResponse.ok) {
+            throw new Error(`OIDC userinfo request failed with status ${userInfoResponse.status}`);
+        }
+        const userInfo = await userInfoResponse.json();
+
+        return {
+            username: userInfo.preferred_username || userInfo.email || userInfo.sub,
+            role: mapGroupsToRole(userInfo[this.options.roleClaim] || []),
+            provider: this.name
+        };
+    }
+}
+
+module.exports = OidcProvider;
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const LocalProvider = require('./auth/localProvider');
+require('dotenv').config();
+
+const PROVIDER_MODULES = {
+    ldap: './auth/ldapProvider',
+    oidc: './auth/oidcProvider'
+};
+
+class AuthService {
+    constructor() {
+        this.sessions = new Map();
+        this.sessionTtl = parseInt(process.env.SESSION_TTL_MS) || 8 * 60 * 60 * 1000; // 8 hours
+        this.local = new LocalProvider();
+        this.providers = new Map([[this.local.name, this.local]]);
+
+        this.configureProviders();
+
+        // Drop expired sessions periodically, without keeping the process alive for it
+        setInterval(() => {
+            this.cleanupExpiredSessions();
+        }, 60000).unref();
+    }
+
+    // Enable external providers listed in AUTH_PROVIDERS (e.g. "local,ldap,oidc")
+    configureProviders() {
+        const names = (process.env.AUTH_PROVIDERS || 'local').split(',').map(name => name.trim()).filter(Boolean);
+
+        names.filter(name => name !== this.local.name).forEach(name => {
+            if (!PROVIDER_MODULES[name]) {
+                console.warn(`Unknown auth provider '${name}' in AUTH_PROVIDERS`);
+                return;
+            }
+            try {
+                const Provider = require(PROVIDER_MODULES[name]);
+                this.registerProvider(Provider.fromEnvironment());
+            } catch (error) {
+                console.warn(`Auth provider '${name}' is not available:`, error.message);
+            }
+        });
+    }
+
+    // Providers implement authenticate(username, password) (type 'password') or
+    // getAuthorizationUrl()/handleCallback(params) (type 'redirect')
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    getProvider(name) {
+        return this.providers.get(name) || null;
+    }
+
+    listProviders() {
+        return Array.from(this.providers.values()).map(provider => ({
+            name: provider.name,
+            type: provider.type
+        }));
+    }
+
+    async initialize() {
+        await this.local.ensureAdmin();
+    }
+
+    // Try the named provider, or every password provider in registration order
+    async login(username, password, providerName = null) {
+        const candidates = providerName
+            ? [this.getProvider(providerName)].filter(Boolean)
+            : Array.from(this.providers.values());
+
+        for (const provider of candidates.filter(p => p.type === 'password')) {
+            try {
+                const user = await provider.authenticate(username, password);
+                if (user) {
+                    return this.createSession(user);
+                }
+            } catch (error) {
+                console.warn(`Login via ${provider.name} failed:`, error.message);
+            }
+        }
+        return null;
+    }
+
+    createSession(user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            token,
+            user,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + this.sessionTtl
+        };
+        this.sessions.set(token, session);
+        return session;
+    }
+
+    getSession(token) {
+        if (!token) {
+            return null;
+        }
+        const session = this.sessions.get(token);
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    destroySession(token) {
+        return this.sessions.delete(token);
+    }
+
+    // Log out every session of a user (after deletion, disabling or a role change)
+    destroyUserSessions(username) {
+        for (const [token, session] of this.sessions.entries()) {
+            if (session.user.username === username) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    cleanupExpiredSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions.entries()) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = new AuthService();
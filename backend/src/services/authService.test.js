@@ -0,0 +1,101 @@
+const authService = require('./authService');
+const { hasRole, isValidRole, mapGroupsToRole } = require('../config/roles');
+
+describe('roles', () => {
+    test('each role includes the ones below it', () => {
+        expect(hasRole('admin', 'operator')).toBe(true);
+        expect(hasRole('operator', 'operator')).toBe(true);
+        expect(hasRole('operator', 'admin')).toBe(false);
+        expect(hasRole('viewer', 'operator')).toBe(false);
+    });
+
+    test('unknown roles have no privileges', () => {
+        expect(isValidRole('root')).toBe(false);
+        expect(hasRole('root', 'viewer')).toBe(false);
+        expect(hasRole(undefined, 'viewer')).toBe(false);
+    });
+
+    test('groups map to the most privileged matching role', () => {
+        jest.isolateModules(() => {
+            process.env.AUTH_ROLE_MAPPING = JSON.stringify({ admin: ['DBA'], operator: ['ops'] });
+            const roles = require('../config/roles');
+            expect(roles.mapGroupsToRole(['ops', 'dba'])).toBe('admin');
+            expect(roles.mapGroupsToRole('Ops')).toBe('operator');
+            expect(roles.mapGroupsToRole(['developers'])).toBe('viewer');
+            delete process.env.AUTH_ROLE_MAPPING;
+        });
+        expect(mapGroupsToRole(['ops'])).toBe('viewer');
+    });
+});
+
+describe('sessions', () => {
+    const user = { username: 'alice', role: 'operator', provider: 'local' };
+
+    test('a session is found by its token until it expires', () => {
+        const session = authService.createSession(user);
+        expect(authService.getSession(session.token).user).toEqual(user);
+
+        jest.advanceTimersByTime(authService.sessionTtl);
+        expect(authService.getSession(session.token)).toBeNull();
+    });
+
+    test('unknown and missing tokens have no session', () => {
+        expect(authService.getSession('not-a-token')).toBeNull();
+        expect(authService.getSession(null)).toBeNull();
+    });
+
+    test("destroying a user's sessions logs out every one of them", () => {
+        const first = authService.createSession(user);
+        const second = authService.createSession(user);
+        const other = authService.createSession({ ...user, username: 'bob' });
+
+        authService.destroyUserSessions('alice');
+        expect(authService.getSession(first.token)).toBeNull();
+        expect(authService.getSession(second.token)).toBeNull();
+        expect(authService.getSession(other.token)).not.toBeNull();
+    });
+
+    test('the expired session cleanup does not keep the process alive', () => {
+        const schedule = jest.spyOn(global, 'setInterval');
+        jest.isolateModules(() => {
+            require('./authService');
+        });
+        const timer = schedule.mock.results[0].value;
+        schedule.mockRestore();
+
+        expect(timer.hasRef()).toBe(false);
+    });
+});
+
+describe('local accounts', () => {
+    beforeAll(async () => {
+        await authService.local.createUser({ username: 'carol', password: 's3cret', role: 'viewer' });
+    });
+
+    test('logging in with the right password creates a session', async () => {
+        const session = await authService.login('carol', 's3cret');
+        expect(session.user).toEqual({ username: 'carol', role: 'viewer', provider: 'local' });
+        expect(authService.getSession(session.token)).toBe(session);
+    });
+
+    test('a wrong password or unknown user does not log in', async () => {
+        expect(await authService.login('carol', 'wrong')).toBeNull();
+        expect(await authService.login('nobody', 's3cret')).toBeNull();
+    });
+
+    test('disabled users cannot log in', async () => {
+        await authService.local.updateUser('carol', { disabled: true });
+        expect(await authService.login('carol', 's3cret')).toBeNull();
+        await authService.local.updateUser('carol', { disabled: false });
+    });
+
+    test('password hashes are never returned', async () => {
+        const users = await authService.local.listUsers();
+        expect(users.find(user => user.username === 'carol')).not.toHaveProperty('passwordHash');
+    });
+
+    test('invalid roles and duplicate users are rejected', async () => {
+        await expect(authService.local.createUser({ username: 'dave', password: 'x', role: 'root' })).rejects.toMatchObject({ status: 400 });
+        await expect(authService.local.createUser({ username: 'carol', password: 'x', role: 'viewer' })).rejects.toMatchObject({ status: 409 });
+    });
+});
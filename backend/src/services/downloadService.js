@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// One-time links for file downloads. A browser saves a download it navigates to as the
+// bytes arrive, so a large export never has to fit in the page's memory, but a plain
+// link cannot send the session's Authorization header: the link's token stands in for
+// it. A link is bound to the user and cluster it was made for, works once and expires
+// after DOWNLOAD_LINK_TTL_SECONDS (default 60).
+class DownloadService {
+    constructor() {
+        this.links = new Map(); // token -> link
+        this.linkTtl = (parseInt(process.env.DOWNLOAD_LINK_TTL_SECONDS) || 60) * 1000;
+    }
+
+    // Links are short-lived, so expired ones are dropped whenever links are used
+    prune(now = Date.now()) {
+        for (const [token, link] of this.links) {
+            if (link.expiresAt <= now) {
+                this.links.delete(token);
+            }
+        }
+    }
+
+    createLink(user, clusterId, download) {
+        this.prune();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.linkTtl;
+        this.links.set(token, { user, clusterId, download, expiresAt });
+        return { url: `/api/downloads/${token}`, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    redeem(token) {
+        this.prune();
+        const link = this.links.get(token) || null;
+        this.links.delete(token);
+        return link;
+    }
+}
+
+module.exports = new DownloadService();
@@ -0,0 +1,40 @@
+const downloadService = require('./downloadService');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const alice = { username: 'alice', role: 'operator' };
+const download = { source: { keyspace: 'shop', table: 'events', partitionKey: null }, format: 'csv' };
+const tokenOf = link => link.url.split('/').pop();
+
+beforeEach(() => {
+    jest.setSystemTime(T0);
+    downloadService.links = new Map();
+});
+
+describe('download links', () => {
+    test('carry an unguessable token and when they expire', () => {
+        const link = downloadService.createLink(alice, 'prod', download);
+        const other = downloadService.createLink(alice, 'prod', download);
+
+        expect(link.url).toMatch(/^\/api\/downloads\/[A-Za-z0-9_-]{43}$/);
+        expect(other.url).not.toBe(link.url);
+        expect(link.expiresAt).toBe(new Date(T0 + 60000).toISOString());
+    });
+
+    test('work once, for the user and cluster they were made for', () => {
+        const token = tokenOf(downloadService.createLink(alice, 'prod', download));
+
+        expect(downloadService.redeem(token)).toEqual({ user: alice, clusterId: 'prod', download, expiresAt: T0 + 60000 });
+        expect(downloadService.redeem(token)).toBeNull();
+        expect(downloadService.redeem('made-up')).toBeNull();
+    });
+
+    test('stop working once expired and are dropped', () => {
+        const token = tokenOf(downloadService.createLink(alice, 'prod', download));
+        jest.setSystemTime(T0 + 60000);
+
+        downloadService.createLink(alice, 'prod', download);
+
+        expect(downloadService.links.size).toBe(1);
+        expect(downloadService.redeem(token)).toBeNull();
+    });
+});
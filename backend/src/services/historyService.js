@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const db = require('../config/database');
+const jmxService = require('./jmxService');
+const metricsService = require('./metricsService');
+const historyStore = require('./metricsHistoryStore');
+
+const CLUSTER_NODE = 'cluster';
+const MAX_POINTS = 1000;
+
+// Samples getAggregatedMetrics (the cluster aggregate and every node's
+// getJMXMetrics result) for each connected cluster every HISTORY_SAMPLE_INTERVAL_MS
+// and records them in the metrics history store. Each cluster's sample is also
+// emitted as 'sample' { clusterId, time, series } for the alert rules; a series is
+// { node, dc, rack, values } with values null when the node did not answer.
+class HistoryService extends EventEmitter {
+    constructor() {
+        super();
+        this.sampleInterval = parseInt(process.env.HISTORY_SAMPLE_INTERVAL_MS) || 30000;
+        // Only controls storage; sampling keeps running for the alert rules
+        this.enabled = process.env.HISTORY_ENABLED !== 'false';
+        this.sampleTimer = null;
+        this.maintenanceTimer = null;
+        this.sampling = false;
+    }
+
+    start() {
+        if (this.sampleTimer) {
+            return;
+        }
+
+        this.sampleTimer = setInterval(() => this.sampleAll(), this.sampleInterval);
+        // Close finished minutes and apply retention even when nothing is being sampled
+        this.maintenanceTimer = setInterval(() => {
+            historyStore.flushCompleted();
+            historyStore.enforceRetention().catch(error => {
+                console.error('Failed to apply metrics history retention:', error.message);
+            });
+        }, 60000);
+    }
+
+    async stop() {
+        clearInterval(this.sampleTimer);
+        clearInterval(this.maintenanceTimer);
+        this.sampleTimer = null;
+        this.maintenanceTimer = null;
+        await historyStore.flushCompleted(true);
+    }
+
+    // Numeric leaves of a metrics object as dotted names, e.g. memory.totalHeapUsed
+    flatten(object, prefix = '', values = {}) {
+        Object.entries(object || {}).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                values[name] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, name, values);
+            }
+        });
+        return values;
+    }
+
+    async sampleAll() {
+        // A slow JMX round must not overlap the next one
+        if (this.sampling) {
+            return;
+        }
+        this.sampling = true;
+
+        try {
+            const clusters = db.list()
+                .map(info => db.get(info.clusterId))
+                .filter(cluster => cluster.isConnected);
+
+            for (const cluster of clusters) {
+                try {
+                    await this.sampleCluster(cluster);
+                } catch (error) {
+                    console.error(`Failed to sample metrics history for cluster ${cluster.clusterId}:`, error.message);
+                }
+            }
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    async sampleCluster(cluster) {
+        const nodesInfo = await metricsService.forCluster(cluster).getNodesInfo();
+        if (nodesInfo.length === 0) {
+            return;
+        }
+
+        // Down nodes are not queried; they are sampled without values
+        const hosts = nodesInfo.filter(node => node.isUp).map(node => node.address);
+        const result = hosts.length > 0
+            ? await jmxService.getAggregatedMetrics(hosts, cluster.connectionConfig?.jmxPort)
+            : { success: false };
+        const time = Date.now();
+        const nodeValues = new Map((result.success ? result.individualNodes : [])
+            .map(node => [node.host, this.flatten(node.metrics)]));
+
+        const series = [
+            { node: CLUSTER_NODE, dc: null, rack: null, values: result.success ? this.flatten(result.aggregated) : null },
+            ...nodesInfo.map(node => ({
+                node: node.address,
+                dc: node.datacenter || null,
+                rack: node.rack || null,
+                values: nodeValues.get(node.address) || null
+            }))
+        ];
+
+        if (this.enabled) {
+            series.filter(entry => entry.values).forEach(entry => {
+                historyStore.record(cluster.clusterId, entry.node, time, entry.values);
+            });
+        }
+        this.emit('sample', { clusterId: cluster.clusterId, time, series });
+    }
+
+    // Accepts epoch milliseconds or anything Date can parse
+    parseTime(value, fallback) {
+        if (value === undefined || value === '') {
+            return fallback;
+        }
+        const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+        if (Number.isNaN(time)) {
+            const error = new Error(`Invalid time: ${value}`);
+            error.status = 400;
+            throw error;
+        }
+        return time;
+    }
+
+    // Durations like 30s, 5m, 1h or 1d; a bare number is seconds
+    parseStep(value) {
+        const match = String(value).match(/^(\d+)(ms|s|m|h|d)?$/);
+        if (!match) {
+            const error = new Error(`Invalid step: ${value}`);
+            error.status = 400;
+            throw error;
+        }
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+        return parseInt(match[1]) * units[match[2] || 's'];
+    }
+
+    async query(clusterId, { metric, node, from, to, step }) {
+        if (!metric) {
+            const error = new Error('metric is required');
+            error.status = 400;
+            throw error;
+        }
+
+        const end = this.parseTime(to, Date.now());
+        const start = this.parseTime(from, end - 3600000);
+        if (start >= end) {
+            const error = new Error('from must be before to');
+            error.status = 400;
+            throw error;
+        }
+
+        // Never bucket finer than the stored resolution, and cap the number of points
+        const resolutionStep = historyStore.resolutionFor(start) === 'raw' ? this.sampleInterval : 60000;
+        const minimumStep = Math.max(resolutionStep, Math.ceil((end - start) / MAX_POINTS));
+        const stepMs = Math.max(step ? this.parseStep(step) : 0, minimumStep);
+
+        const { resolution, points } = await historyStore.query({
+            clusterId,
+            node: node || CLUSTER_NODE,
+            metric,
+            from: start,
+            to: end,
+            step: stepMs
+        });
+
+        return {
+            clusterId,
+            metric,
+            node: node || CLUSTER_NODE,
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            step: stepMs,
+            resolution,
+            points
+        };
+    }
+
+    listSeries(clusterId) {
+        return {
+            clusterId,
+            sampleInterval: this.sampleInterval,
+            nodes: historyStore.listSeries(clusterId)
+        };
+    }
+}
+
+module.exports = new HistoryService();
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const cassandra = require('cassandra-driver');
+const cql = require('../config/cql');
+const cqlValues = require('../config/cqlValues');
+const cqlImport = require('../config/cqlImport');
+const { dataPath } = require('../config/storage');
+const jobRunner = require('./jobRunner');
+
+const MB = 1024 * 1024;
+// Records shown when a file is uploaded, and read to find a JSON Lines file's fields
+const PREVIEW_RECORDS = 5;
+const FIELD_SCAN_RECORDS = 100;
+// Writes in flight at once: the default and the most a request may ask for
+const MAX_CONCURRENCY = 64;
+// Failed records kept in the error report; the rest are only counted
+const MAX_REPORTED_ERRORS = 500;
+// How often a running import reports progress
+const REPORT_INTERVAL_MS = 1000;
+
+// Bulk import of CSV or JSON Lines files into a table. A file is uploaded once and
+// previewed so its fields can be mapped to the table's columns; each import of it
+// (a dry run first, then the real one) runs as an operation in the jobRunner, whose
+// progress streams over the WebSocket operations channel.
+class ImportService {
+    constructor(db) {
+        this.db = db;
+        this.maxBytes = (parseInt(process.env.IMPORT_MAX_MB) || 512) * MB;
+        this.uploadTtlMs = (parseInt(process.env.IMPORT_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+        this.defaultConcurrency = Math.min(parseInt(process.env.IMPORT_CONCURRENCY) || 16, MAX_CONCURRENCY);
+    }
+
+    uploadDir() {
+        const dir = dataPath('imports');
+        fs.mkdirSync(dir, { recursive: true });
+        return dir;
+    }
+
+    // Uploads left behind by imports that never ran
+    async pruneUploads() {
+        const dir = this.uploadDir();
+        const now = Date.now();
+        for (const name of await fs.promises.readdir(dir)) {
+            const file = path.join(dir, name);
+            const stats = await fs.promises.stat(file).catch(() => null);
+            if (stats && now - stats.mtimeMs > this.uploadTtlMs) {
+                await fs.promises.unlink(file).catch(() => {});
+            }
+        }
+    }
+
+    findUpload(uploadId) {
+        if (typeof uploadId !== 'string' || !/^[0-9a-f-]{36}$/.test(uploadId)) {
+            throw cql.createError('Invalid uploadId', 400);
+        }
+        for (const format of cqlImport.FORMATS) {
+            const file = path.join(this.uploadDir(), `${uploadId}.${format}`);
+            if (fs.existsSync(file)) {
+                return { file, format, size: fs.statSync(file).size };
+            }
+        }
+        throw cql.createError('Upload not found; it may have expired or already been imported', 404);
+    }
+
+    // A file's field names: the CSV header, or the keys of a JSON Lines file's first records
+    async readFields(file, format) {
+        if (format === 'csv') {
+            return cqlImport.readHeader(fs.createReadStream(file));
+        }
+        const fields = new Set();
+        let count = 0;
+        for await (const record of cqlImport.readRecords(fs.createReadStream(file), format)) {
+            Object.keys(record.values || {}).forEach(field => fields.add(field));
+            if (++count >= FIELD_SCAN_RECORDS) {
+                break;
+            }
+        }
+        return Array.from(fields);
+    }
+
+    // Store an upload (a stream of the file's bytes) and preview its first records
+    async saveUpload(stream, format) {
+        cqlImport.assertFormat(format);
+        await this.pruneUploads();
+
+        const uploadId = crypto.randomUUID();
+        const file = path.join(this.uploadDir(), `${uploadId}.${format}`);
+        let size = 0;
+        const limit = new Transform({
+            transform: (chunk, encoding, callback) => {
+                size += chunk.length;
+                callback(size > this.maxBytes ? cql.createError(`Upload exceeds ${this.maxBytes / MB} MB`, 413) : null, chunk);
+            }
+        });
+        try {
+            await pipeline(stream, limit, fs.createWriteStream(file, { mode: 0o600 }));
+
+            const sample = [];
+            for await (const record of cqlImport.readRecords(fs.createReadStream(file), format)) {
+                sample.push(record);
+                if (sample.length >= PREVIEW_RECORDS) {
+                    break;
+                }
+            }
+            return { success: true, uploadId, format, size, fields: await this.readFields(file, format), sample };
+        } catch (error) {
+            await fs.promises.unlink(file).catch(() => {});
+            throw error;
+        }
+    }
+
+    // Start importing an upload: mapping maps file fields to table columns (by default
+    // the fields named like a column). Every primary key column must be mapped; an
+    // empty value leaves the column unset. With dryRun each record is only converted
+    // and checked. The upload is removed once a real import has run.
+    async startImport(keyspace, table, { uploadId, mapping, consistency = 'LOCAL_QUORUM', concurrency, dryRun = false } = {}) {
+        const upload = this.findUpload(uploadId);
+        const client = this.db.getClient();
+        await cql.assertTables(client, keyspace, [table]);
+        const consistencyCode = cql.consistencyLevel(consistency);
+        const inFlight = concurrency === undefined || concurrency === null ? this.defaultConcurrency : Number(concurrency);
+        if (!Number.isInteger(inFlight) || inFlight < 1 || inFlight > MAX_CONCURRENCY) {
+            throw cql.createError(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`, 400);
+        }
+
+        const columnsResult = await client.execute(
+            'SELECT column_name, kind, type FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+            [keyspace, table],
+            { prepare: true }
+        );
+        const tableColumns = columnsResult.rows;
+        if (tableColumns.some(column => column.type === 'counter')) {
+            throw cql.createError('Counter tables cannot be imported', 400);
+        }
+
+        const fields = await this.readFields(upload.file, upload.format);
+        if (mapping !== undefined && mapping !== null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+            throw cql.createError('mapping must map file fields to table columns', 400);
+        }
+        const pairs = mapping
+            ? Object.entries(mapping).filter(([, column]) => column !== null && column !== '')
+            : fields.filter(field => tableColumns.some(column => column.column_name === field)).map(field => [field, field]);
+
+        const columns = pairs.map(([field, name]) => {
+            const column = tableColumns.find(candidate => candidate.column_name === name);
+            if (!column) {
+                throw cql.createError(`Unknown column in ${keyspace}.${table}: ${name}`, 400);
+            }
+            // JSON Lines records need not all have the same keys, so only CSV fields are checked
+            if (upload.format === 'csv' && !fields.includes(field)) {
+                throw cql.createError(`Unknown field in the file: ${field}`, 400);
+            }
+            return { field, name, type: column.type, isKey: column.kind === 'partition_key' || column.kind === 'clustering' };
+        });
+        const duplicates = columns.filter((column, index) => columns.findIndex(other => other.name === column.name) !== index);
+        if (duplicates.length > 0) {
+            throw cql.createError(`Column(s) mapped more than once: ${duplicates.map(column => column.name).join(', ')}`, 400);
+        }
+        const unmapped = tableColumns
+            .filter(column => column.kind === 'partition_key' || column.kind === 'clustering')
+            .filter(column => !columns.some(mapped => mapped.name === column.column_name));
+        if (unmapped.length > 0) {
+            throw cql.createError(`Primary key column(s) not mapped: ${unmapped.map(column => column.column_name).join(', ')}`, 400);
+        }
+
+        const tableName = await cql.qualifiedTable(client, keyspace, table);
+        const query = `INSERT INTO ${tableName} (${columns.map(column => cql.quoteIdentifier(column.name)).join(', ')}) `
+            + `VALUES (${columns.map(() => '?').join(', ')})`;
+        const userTypes = await cqlValues.readUserTypes(client, keyspace);
+
+        const operation = jobRunner.run(this.db.clusterId, {
+            id: `import_${keyspace}_${crypto.randomUUID()}`,
+            type: 'import',
+            keyspace,
+            table,
+            node: null,
+            command: query,
+            dryRun
+        }, context => this.ingest(context, {
+            client,
+            upload,
+            columns,
+            userTypes,
+            query,
+            consistency: consistencyCode,
+            concurrency: inFlight,
+            dryRun
+        }).finally(() => (dryRun ? null : fs.promises.unlink(upload.file).catch(() => {}))));
+
+        return {
+            success: true,
+            operationId: operation.id,
+            status: operation.status,
+            command: query
+        };
+    }
+
+    // Read, convert and write every record, at most concurrency writes at a time. Bad
+    // records are reported by line and skipped.
+    async ingest(context, { client, upload, columns, userTypes, query, consistency, concurrency, dryRun }) {
+        const input = fs.createReadStream(upload.file);
+        const counts = { records: 0, imported: 0, failed: 0 };
+        const errors = [];
+        const inFlight = new Set();
+        let lastReport = Date.now();
+
+        // A failed write settles later, so it passes the index of its record
+        const fail = (line, message, index = counts.records) => {
+            counts.failed++;
+            if (errors.length < MAX_REPORTED_ERRORS) {
+                errors.push({ line, record: index, message });
+            }
+        };
+        const report = () => {
+            if (Date.now() - lastReport >= REPORT_INTERVAL_MS) {
+                lastReport = Date.now();
+                context.report({ ...counts, progress: upload.size > 0 ? Math.min(99, (input.bytesRead / upload.size) * 100) : 0 });
+            }
+        };
+
+        try {
+            for await (const record of cqlImport.readRecords(input, upload.format)) {
+                if (context.isCancelled()) {
+                    break;
+                }
+                counts.records++;
+                if (record.error) {
+                    fail(record.line, record.error);
+                    continue;
+                }
+
+                let params;
+                try {
+                    params = columns.map(column => {
+                        const value = record.values[column.field];
+                        if (value === null || value === undefined || value === '') {
+                            if (column.isKey) {
+                                throw new Error(`Missing value for primary key column ${column.name}`);
+                            }
+                            // Missing values are left unset rather than written as tombstones;
+                            // a quoted "" is still an empty string for text columns
+                            return value === '' && /^(ascii|text|varchar)$/.test(column.type) ? '' : cassandra.types.unset;
+                        }
+                        return cqlValues.parseValue(column.type, value, column.name, userTypes);
+                    });
+                } catch (error) {
+                    fail(record.line, error.message);
+                    continue;
+                }
+
+                if (dryRun) {
+                    counts.imported++;
+                } else {
+                    const line = record.line;
+                    const index = counts.records;
+                    const write = client.execute(query, params, { prepare: true, consistency })
+                        .then(() => {
+                            counts.imported++;
+                        }, error => fail(line, error.message, index))
+                        .finally(() => inFlight.delete(write));
+                    inFlight.add(write);
+                    if (inFlight.size >= concurrency) {
+                        await Promise.race(inFlight);
+                    }
+                }
+                report();
+            }
+        } finally {
+            await Promise.all(inFlight);
+            input.destroy();
+        }
+
+        const verb = dryRun ? 'are invalid' : 'failed';
+        return {
+            success: counts.failed === 0,
+            dryRun,
+            ...counts,
+            errors,
+            errorsTruncated: counts.failed > errors.length,
+            error: counts.failed > 0 ? `${counts.failed} of ${counts.records} records ${verb}` : null
+        };
+    }
+}
+
+module.exports = {
+    ImportService,
+    forCluster: (db) => db.service('import', () => new ImportService(db))
+};
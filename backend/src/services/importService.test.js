@@ -0,0 +1,146 @@
+const { Readable } = require('stream');
+const { types } = require('cassandra-driver');
+const { ImportService } = require('./importService');
+const jobRunner = require('./jobRunner');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A table events (id int primary key, name text). Each write settles after `delay`
+// event loop turns and fails when `fails` says so.
+function fakeClient({ delay = () => 1, fails = () => false } = {}) {
+    const client = {
+        writes: [],
+        inFlight: 0,
+        maxInFlight: 0,
+        execute: jest.fn(async (query, params, options = {}) => {
+            if (query.includes('system_schema.keyspaces')) {
+                return { rows: [{ keyspace_name: params[0] }] };
+            }
+            if (query.includes('system_schema.tables')) {
+                return { rows: [{ table_name: 'events' }] };
+            }
+            if (query.includes('system_schema.columns')) {
+                return {
+                    rows: [
+                        { column_name: 'id', kind: 'partition_key', type: 'int' },
+                        { column_name: 'name', kind: 'regular', type: 'text' }
+                    ]
+                };
+            }
+            if (query.includes('system_schema.types')) {
+                return { rows: [] };
+            }
+
+            client.inFlight++;
+            client.maxInFlight = Math.max(client.maxInFlight, client.inFlight);
+            try {
+                for (let turn = delay(params); turn > 0; turn--) {
+                    await tick();
+                }
+                if (fails(params)) {
+                    throw new Error(`Write timeout for id ${params[0]}`);
+                }
+                client.writes.push({ params, options });
+                return { rows: [] };
+            } finally {
+                client.inFlight--;
+            }
+        })
+    };
+    return client;
+}
+
+function service(client) {
+    return new ImportService({ clusterId: 'test', getClient: () => client, service: () => null });
+}
+
+function csv(count, row = index => `${index},name ${index}`) {
+    return ['id,name', ...Array.from({ length: count }, (_, index) => row(index + 1))].join('\n');
+}
+
+// Upload the text and run an import of it to completion, the way jobRunner would
+async function runImport(imports, text, options = {}) {
+    const { uploadId } = await imports.saveUpload(Readable.from([Buffer.from(text)]), 'csv');
+    let done;
+    jest.spyOn(jobRunner, 'run').mockImplementation((clusterId, operation, task) => {
+        done = task({ isCancelled: () => false, report: () => {} });
+        return { ...operation, status: 'running' };
+    });
+
+    await imports.startImport('shop', 'events', { uploadId, ...options });
+    return { uploadId, result: await done };
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('ingest', () => {
+    test('a dry run checks every record without writing and keeps the upload', async () => {
+        const client = fakeClient();
+        const imports = service(client);
+
+        const { uploadId, result } = await runImport(imports, csv(3), { dryRun: true });
+
+        expect(result).toMatchObject({ success: true, dryRun: true, records: 3, imported: 3, failed: 0, errors: [], error: null });
+        expect(client.writes).toEqual([]);
+        expect(imports.findUpload(uploadId).format).toBe('csv');
+    });
+
+    test('a real import writes every record at the consistency asked for and removes the upload', async () => {
+        const client = fakeClient();
+        const imports = service(client);
+
+        const { uploadId, result } = await runImport(imports, csv(3), { consistency: 'QUORUM' });
+
+        expect(result).toMatchObject({ success: true, dryRun: false, records: 3, imported: 3, failed: 0 });
+        expect(client.writes.map(write => write.params)).toEqual([[1, 'name 1'], [2, 'name 2'], [3, 'name 3']]);
+        expect(client.writes[0].options).toEqual({ prepare: true, consistency: types.consistencies.quorum });
+        expect(() => imports.findUpload(uploadId)).toThrow(expect.objectContaining({ status: 404 }));
+    });
+
+    test('keeps at most concurrency writes in flight', async () => {
+        const client = fakeClient({ delay: params => 1 + (params[0] % 3) });
+
+        const { result } = await runImport(service(client), csv(40), { concurrency: 4 });
+
+        expect(result.imported).toBe(40);
+        expect(client.maxInFlight).toBe(4);
+    });
+
+    test('rejects a concurrency out of range', async () => {
+        const imports = service(fakeClient());
+        const { uploadId } = await imports.saveUpload(Readable.from([Buffer.from(csv(1))]), 'csv');
+
+        await expect(imports.startImport('shop', 'events', { uploadId, concurrency: 65 })).rejects.toMatchObject({ status: 400 });
+        await expect(imports.startImport('shop', 'events', { uploadId, concurrency: 0 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('reports a record with an empty key column and leaves other empty columns unset', async () => {
+        const client = fakeClient();
+
+        const { result } = await runImport(service(client), 'id,name\n1,\n,orphan\n3,""\n');
+
+        expect(result).toMatchObject({ success: false, records: 3, imported: 2, failed: 1, error: '1 of 3 records failed' });
+        expect(result.errors).toEqual([{ line: 3, record: 2, message: 'Missing value for primary key column id' }]);
+        expect(client.writes.map(write => write.params)).toEqual([[1, types.unset], [3, '']]);
+    });
+
+    test('reports a failed write by its own line and record, not the one read when it settled', async () => {
+        // Record 2 fails only after the records behind it have been read
+        const client = fakeClient({ delay: params => (params[0] === 2 ? 20 : 1), fails: params => params[0] === 2 });
+
+        const { result } = await runImport(service(client), csv(10), { concurrency: 8 });
+
+        expect(result).toMatchObject({ records: 10, imported: 9, failed: 1 });
+        expect(result.errors).toEqual([{ line: 3, record: 2, message: 'Write timeout for id 2' }]);
+    });
+
+    test('keeps the first 500 errors and counts the rest', async () => {
+        const { result } = await runImport(service(fakeClient()), csv(600, index => `not a number,${index}`), { dryRun: true });
+
+        expect(result).toMatchObject({ success: false, records: 600, imported: 0, failed: 600, errorsTruncated: true, error: '600 of 600 records are invalid' });
+        expect(result.errors).toHaveLength(500);
+        expect(result.errors[499]).toMatchObject({ line: 501, record: 500 });
+    });
+});
@@ -1,9 +1,8 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const net = require('net');
 const java = require('java');
-
-const execAsync = promisify(exec);
+const db = require('../config/database');
+const { resolveTlsFile } = require('../config/tlsFiles');
+const nodetool = require('./nodetool');
 
 class JMXService {
     constructor() {
@@ -12,6 +11,8 @@ class JMXService {
         this.jmxConnections = new Map(); // Store JMX connections per node
         this.lastMetricsCache = new Map(); // Cache metrics per node
         this.javaInitialized = false;
+        // The javax.net.ssl.* settings applied to the JVM, once an SSL JMX connection is made
+        this.jmxSSLStores = null;
         
         // SSH tunnel configuration - set to true if using SSH tunnels
         this.useSSHTunnel = process.env.SSH_TUNNEL_MODE === 'true' || false;
@@ -50,7 +51,7 @@ class JMXService {
 
     async getNodetoolStats(command, host = '127.0.0.1') {
         try {
-            const { stdout, stderr } = await execAsync(`nodetool -h ${host} ${command}`);
+            const { output, stderr } = await nodetool.run(command, [], { host });
             
             if (stderr) {
                 console.warn(`Nodetool warning for ${command}:`, stderr);
@@ -58,7 +59,7 @@ class JMXService {
             
             return {
                 success: true,
-                output: stdout.trim(),
+                output,
                 command: command,
                 host: host
             };
@@ -66,6 +67,7 @@ class JMXService {
             return {
                 success: false,
                 error: error.message,
+                errorType: error.code,
                 command: command,
                 host: host
             };
@@ -84,16 +86,19 @@ class JMXService {
                 } else if (line.match(/^[UD][NJLM]\s+/)) {
                     // Parse node line: UN  127.0.0.1  125.51 KiB  256          38.1%            abc123...
                     const parts = line.trim().split(/\s+/);
-                    if (parts.length >= 6) {
+                    // An unknown load (a down node's) is a lone "?" without a unit
+                    const loadParts = parts[2] === '?' ? 1 : 2;
+                    const [tokens, owns, hostId, rack] = parts.slice(2 + loadParts);
+                    if (parts.length >= 4 + loadParts) {
                         nodes.push({
                             status: parts[0][0], // U = Up, D = Down
                             state: parts[0][1],  // N = Normal, J = Joining, L = Leaving, M = Moving
                             address: parts[1],
-                            load: parts[2] + ' ' + parts[3], // Load with unit
-                            tokens: parseInt(parts[4]) || 0,
-                            owns: parts[5],
-                            hostId: parts[6] || 'unknown',
-                            rack: parts[7] || 'unknown',
+                            load: parts.slice(2, 2 + loadParts).join(' '), // Load with unit
+                            tokens: parseInt(tokens) || 0,
+                            owns,
+                            hostId: hostId || 'unknown',
+                            rack: rack || 'unknown',
                             datacenter: currentDatacenter
                         });
                     }
@@ -388,6 +393,42 @@ class JMXService {
         return originalHost;
     }
     
+    // JMX SSL settings of the connected cluster this node belongs to, if enabled
+    getJMXSSLConfig(host) {
+        const ssl = db.findByHost(host)?.connectionConfig?.ssl;
+        return ssl && ssl.jmxEnabled ? ssl : null;
+    }
+
+    // Configure the JVM for SSL-enabled JMX. javax.net.ssl.* are JVM-wide system
+    // properties and the JVM keeps the default SSLContext built from them on first use,
+    // which the RMI stubs' socket factories always use. A connection asking for other
+    // stores than the ones loaded would silently get them, so it is refused instead.
+    // Store paths are files in TLS_DIR, like the CQL certificates.
+    applyJMXSSLProperties(ssl) {
+        const properties = {
+            'javax.net.ssl.trustStore': ssl.jmxTruststore && resolveTlsFile(ssl.jmxTruststore, 'JMX truststore'),
+            'javax.net.ssl.trustStorePassword': ssl.jmxTruststorePassword,
+            'javax.net.ssl.trustStoreType': ssl.jmxTruststoreType,
+            'javax.net.ssl.keyStore': ssl.jmxKeystore && resolveTlsFile(ssl.jmxKeystore, 'JMX keystore'),
+            'javax.net.ssl.keyStorePassword': ssl.jmxKeystorePassword,
+            'javax.net.ssl.keyStoreType': ssl.jmxKeystoreType
+        };
+
+        const stores = JSON.stringify(properties);
+        if (this.jmxSSLStores && this.jmxSSLStores !== stores) {
+            const error = new Error('JMX SSL stores differ from those already loaded for another cluster; the JVM can only use one key and trust store');
+            error.code = 'JMX_SSL_CONFLICT';
+            throw error;
+        }
+
+        Object.entries(properties).forEach(([name, value]) => {
+            if (value) {
+                java.callStaticMethod('java.lang.System', 'setProperty', name, String(value));
+            }
+        });
+        this.jmxSSLStores = stores;
+    }
+
     // Test JMX connectivity to a specific host
     async testJMXConnection(host, port = 7199) {
         return new Promise((resolve) => {
@@ -421,8 +462,15 @@ class JMXService {
             throw new Error(`Cannot connect to JMX at ${jmxHost}:${port} - ${connectTest.error}`);
         }
         
+        const ssl = this.getJMXSSLConfig(host);
+        
         if (this.javaInitialized) {
+            let lastError = null;
             try {
+                if (ssl) {
+                    this.applyJMXSSLProperties(ssl);
+                }
+                
                 // Try multiple JMX connection approaches for SSH tunnel compatibility
                 // Since both RMI registry and server ports are set to 7199, use single-port URLs
                 const jmxUrls = [
@@ -445,6 +493,12 @@ class JMXService {
                         env.put('jmx.remote.x.request.waiting.timeout', 5000); // 5 second timeout (reduced from 10)
                         env.put('jmx.remote.x.notification.fetch.timeout', 5000);
                         
+                        // SSL-enabled JMX also serves the RMI registry over SSL
+                        if (ssl) {
+                            const SslRMIClientSocketFactory = java.import('javax.rmi.ssl.SslRMIClientSocketFactory');
+                            env.put('com.sun.jndi.rmi.factory.socket', new SslRMIClientSocketFactory());
+                        }
+                        
                         // Set system properties for SSH tunnel compatibility
                         java.callStaticMethod('java.lang.System', 'setProperty', 'java.rmi.server.hostname', 'localhost');
                         java.callStaticMethod('java.lang.System', 'setProperty', 'com.sun.management.jmxremote.local.only', 'false');
@@ -486,6 +540,7 @@ class JMXService {
                         break;
                     } catch (urlError) {
                         // Continue to next URL
+                        lastError = urlError;
                     }
                 }
                 
@@ -512,11 +567,20 @@ class JMXService {
                         url: successfulUrl
                     };
                 } else {
-                    throw new Error('All native JMX connection attempts failed');
+                    throw new Error(`All native JMX connection attempts failed${lastError ? `: ${lastError.message}` : ''}`);
                 }
             } catch (jmxError) {
                 console.warn(`Native JMX connection failed for ${host}:${port}:`, jmxError.message);
                 // Removed console.log for production
+                
+                // Neither is the nodetool fallback an answer to a store conflict
+                if (jmxError.code === 'JMX_SSL_CONFLICT') {
+                    throw jmxError;
+                }
+                // nor to other SSL problems, so report them instead
+                if (ssl && /ssl|handshake|certificate|keystore|truststore/i.test(jmxError.message)) {
+                    throw new Error(`JMX SSL handshake failed for ${jmxHost}:${port} - ${jmxError.message}`);
+                }
             }
         }
         
@@ -1630,10 +1694,10 @@ class JMXService {
     }
 
     // Get metrics for multiple nodes
-    async getClusterJMXMetrics(hosts) {
+    async getClusterJMXMetrics(hosts, port = this.jmxPort) {
         try {
             const results = await Promise.allSettled(
-                hosts.map(host => this.getJMXMetrics(host))
+                hosts.map(host => this.getJMXMetrics(host, port))
             );
 
             const nodeMetrics = [];
@@ -1674,10 +1738,318 @@ class JMXService {
         }
     }
 
+    // The node's MBean connection, opened on first use
+    async getMBeanConnection(host, port = 7199) {
+        const connectionKey = `${host}:${port}`;
+
+        if (!this.jmxConnections.has(connectionKey)) {
+            const connectResult = await this.connectToJMX(host, port);
+            if (!connectResult.success) {
+                throw new Error(connectResult.error);
+            }
+        }
+
+        const connection = this.jmxConnections.get(connectionKey);
+        if (!connection || !connection.connected || !connection.mbeanConnection) {
+            throw new Error(`No JMX connection available for ${host}:${port}`);
+        }
+        return connection.mbeanConnection;
+    }
+
+    // First of the given attributes the MBean has; Cassandra 4 added *WithPort variants
+    // and later releases drop the old names
+    async readAttribute(mbeanConnection, mbeanName, attributes) {
+        const objectName = new this.ObjectName(mbeanName);
+        let lastError = null;
+        for (const attribute of attributes) {
+            try {
+                return await new Promise((resolve, reject) => {
+                    mbeanConnection.getAttribute(objectName, attribute, (err, value) => {
+                        if (err) reject(err);
+                        else resolve(value);
+                    });
+                });
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    // Stop the compaction manager tasks (compactions, cleanups, scrubs, ...) running on a
+    // node that match(task) accepts, task being { id, taskType, keyspace, table } with
+    // the task type upper-cased. Resolves to the number of tasks stopped.
+    async stopCompactions(host, port = 7199, match) {
+        const mbeanConnection = await this.getMBeanConnection(host, port);
+        const compactionManager = 'org.apache.cassandra.db:type=CompactionManager';
+        const compactions = await this.readAttribute(mbeanConnection, compactionManager, ['Compactions']);
+        const tasks = (compactions?.toArraySync ? compactions.toArraySync() : []).map(task => {
+            const field = name => (task.getSync ? task.getSync(name) : task[name]) ?? null;
+            return {
+                // Cassandra 3.0 named it id
+                id: field('compactionId') || field('id'),
+                taskType: String(field('taskType') || '').toUpperCase(),
+                keyspace: field('keyspace'),
+                table: field('columnfamily')
+            };
+        });
+
+        const objectName = new this.ObjectName(compactionManager);
+        const selected = tasks.filter(task => task.id && match(task));
+        for (const task of selected) {
+            await new Promise((resolve, reject) => {
+                const params = java.newArray('java.lang.Object', [String(task.id)]);
+                const signature = java.newArray('java.lang.String', ['java.lang.String']);
+                mbeanConnection.invoke(objectName, 'stopCompactionById', params, signature, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        }
+        return selected.length;
+    }
+
+    // "hostname/10.0.0.1:7000" -> "10.0.0.1"
+    endpointAddress(endpoint) {
+        const address = String(endpoint).split('/').pop();
+        const bracketed = address.match(/^\[(.*)\](?::\d+)?$/);
+        if (bracketed) {
+            return bracketed[1];
+        }
+        return (address.match(/:/g) || []).length === 1 ? address.split(':')[0] : address;
+    }
+
+    javaList(value) {
+        if (!value) {
+            return [];
+        }
+        return (value.toArraySync ? value.toArraySync() : value).map(item => this.endpointAddress(item));
+    }
+
+    javaMap(value) {
+        const result = {};
+        if (!value || !value.entrySetSync) {
+            return result;
+        }
+        value.entrySetSync().toArraySync().forEach(entry => {
+            result[this.endpointAddress(entry.getKeySync())] = entry.getValueSync();
+        });
+        return result;
+    }
+
+    // Gossip's view of the ring as seen by one node: liveness from the failure
+    // detector, ring state and per-endpoint load from StorageService
+    async getGossipState(host, port = 7199) {
+        const mbeanConnection = await this.getMBeanConnection(host, port);
+        const storageService = 'org.apache.cassandra.db:type=StorageService';
+        const list = async name => this.javaList(await this.readAttribute(mbeanConnection, storageService, [name, `${name}WithPort`]));
+
+        return {
+            source: host,
+            live: await list('LiveNodes'),
+            unreachable: await list('UnreachableNodes'),
+            joining: await list('JoiningNodes'),
+            leaving: await list('LeavingNodes'),
+            moving: await list('MovingNodes'),
+            load: this.javaMap(await this.readAttribute(mbeanConnection, storageService, ['LoadMap', 'LoadMapWithPort'])),
+            states: this.javaMap(await this.readAttribute(mbeanConnection, 'org.apache.cassandra.net:type=FailureDetector', ['SimpleStates', 'SimpleStatesWithPort']))
+        };
+    }
+
+    // ObjectNames matching a pattern such as 'org.apache.cassandra.metrics:type=ThreadPools,name=ActiveTasks,*'
+    queryNames(mbeanConnection, pattern) {
+        return mbeanConnection.queryNamesSync(new this.ObjectName(pattern), null).toArraySync();
+    }
+
+    // A gauge's Value or a counter's/meter's Count; null when the MBean is missing
+    async readMetric(mbeanConnection, mbeanName) {
+        try {
+            return this.convertJavaValue(await this.readAttribute(mbeanConnection, mbeanName, ['Value', 'Count']));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Sum of a metric over every MBean matching the pattern; null when none matches
+    async sumMetric(mbeanConnection, pattern) {
+        let total = null;
+        for (const objectName of this.queryNames(mbeanConnection, pattern)) {
+            const value = await this.readMetric(mbeanConnection, objectName.toString());
+            if (value !== null) {
+                total = (total || 0) + value;
+            }
+        }
+        return total;
+    }
+
+    // What `nodetool info` reports for one node
+    async getNodeInfo(host, port = 7199) {
+        const mbeanConnection = await this.getMBeanConnection(host, port);
+        const storageService = 'org.apache.cassandra.db:type=StorageService';
+        const attribute = async (mbeanName, names) => {
+            try {
+                return await this.readAttribute(mbeanConnection, mbeanName, names);
+            } catch (error) {
+                return null;
+            }
+        };
+        const cache = async scope => {
+            const metric = name => this.readMetric(mbeanConnection, `org.apache.cassandra.metrics:type=Cache,scope=${scope},name=${name}`);
+            const requests = await metric('Requests');
+            if (requests === null) {
+                return null;
+            }
+            return {
+                entries: await metric('Entries'),
+                size: await metric('Size'),
+                capacity: await metric('Capacity'),
+                hits: await metric('Hits'),
+                misses: await metric('Misses'),
+                requests,
+                hitRate: await metric('HitRate')
+            };
+        };
+        const keyspaceTotal = name => this.sumMetric(mbeanConnection, `org.apache.cassandra.metrics:type=Keyspace,name=${name},*`);
+        const tableTotal = name => this.sumMetric(mbeanConnection, `org.apache.cassandra.metrics:type=Table,name=${name},keyspace=*,scope=*`);
+
+        const heap = await attribute('java.lang:type=Memory', ['HeapMemoryUsage']);
+        const tokens = await attribute(storageService, ['Tokens']);
+        const offHeap = [];
+        for (const name of ['MemtableOffHeapDataSize', 'BloomFilterOffHeapMemoryUsed', 'IndexSummaryOffHeapMemoryUsed', 'CompressionMetadataOffHeapMemoryUsed']) {
+            offHeap.push(await keyspaceTotal(name));
+        }
+
+        return {
+            hostId: await attribute(storageService, ['LocalHostId']),
+            gossipActive: await attribute(storageService, ['GossipRunning']),
+            nativeTransportActive: await attribute(storageService, ['NativeTransportRunning']),
+            load: await attribute(storageService, ['LoadString']),
+            loadBytes: this.convertJavaValue(await attribute(storageService, ['Load'])),
+            generation: this.convertJavaValue(await attribute(storageService, ['CurrentGenerationNumber'])),
+            uptime: this.convertJavaValue(await attribute('java.lang:type=Runtime', ['Uptime'])),
+            heap: heap && heap.getSync
+                ? { used: this.convertJavaValue(heap.getSync('used')), max: this.convertJavaValue(heap.getSync('max')) }
+                : null,
+            offHeap: offHeap.every(value => value === null) ? null : offHeap.reduce((sum, value) => sum + (value || 0), 0),
+            exceptions: await this.readMetric(mbeanConnection, 'org.apache.cassandra.metrics:type=Storage,name=Exceptions'),
+            caches: {
+                key: await cache('KeyCache'),
+                row: await cache('RowCache'),
+                counter: await cache('CounterCache'),
+                chunk: await cache('ChunkCache')
+            },
+            // Per-table repaired/unrepaired bytes exist from Cassandra 4.0
+            repair: {
+                repaired: await tableTotal('BytesRepaired'),
+                unrepaired: await tableTotal('BytesUnrepaired'),
+                pending: await tableTotal('BytesPendingRepair')
+            },
+            tokens: tokens ? (tokens.toArraySync ? tokens.toArraySync() : tokens).length : null
+        };
+    }
+
+    // Every thread pool with its task counts, plus dropped message counts by verb
+    async getThreadPoolStats(host, port = 7199) {
+        const mbeanConnection = await this.getMBeanConnection(host, port);
+
+        const pools = [];
+        for (const objectName of this.queryNames(mbeanConnection, 'org.apache.cassandra.metrics:type=ThreadPools,name=ActiveTasks,*')) {
+            const path = objectName.getKeyPropertySync('path');
+            const scope = objectName.getKeyPropertySync('scope');
+            const metric = name => this.readMetric(mbeanConnection, `org.apache.cassandra.metrics:type=ThreadPools,path=${path},scope=${scope},name=${name}`);
+            pools.push({
+                name: scope,
+                path,
+                active: await metric('ActiveTasks'),
+                pending: await metric('PendingTasks'),
+                completed: await metric('CompletedTasks'),
+                blocked: await metric('CurrentlyBlockedTasks'),
+                allTimeBlocked: await metric('TotalBlockedTasks')
+            });
+        }
+
+        const dropped = {};
+        for (const objectName of this.queryNames(mbeanConnection, 'org.apache.cassandra.metrics:type=DroppedMessage,name=Dropped,*')) {
+            const verb = objectName.getKeyPropertySync('scope');
+            dropped[verb] = await this.readMetric(mbeanConnection, `org.apache.cassandra.metrics:type=DroppedMessage,scope=${verb},name=Dropped`);
+        }
+
+        return {
+            pools: pools.sort((a, b) => a.name.localeCompare(b.name)),
+            dropped
+        };
+    }
+
+    // Cumulative collection counts and times per collector since the JVM started
+    async getGarbageCollectors(host, port = 7199) {
+        const mbeanConnection = await this.getMBeanConnection(host, port);
+
+        const collectors = [];
+        for (const objectName of this.queryNames(mbeanConnection, 'java.lang:type=GarbageCollector,*')) {
+            const name = objectName.getKeyPropertySync('name');
+            const mbeanName = `java.lang:type=GarbageCollector,name=${name}`;
+            let lastGcInfo = null;
+            try {
+                lastGcInfo = await this.readAttribute(mbeanConnection, mbeanName, ['LastGcInfo']);
+            } catch (error) {
+                // Only HotSpot's collectors expose LastGcInfo
+            }
+            collectors.push({
+                name,
+                collections: this.convertJavaValue(await this.readAttribute(mbeanConnection, mbeanName, ['CollectionCount'])) || 0,
+                time: this.convertJavaValue(await this.readAttribute(mbeanConnection, mbeanName, ['CollectionTime'])) || 0,
+                lastDuration: lastGcInfo && lastGcInfo.getSync ? this.convertJavaValue(lastGcInfo.getSync('duration')) : null
+            });
+        }
+
+        return {
+            uptime: this.convertJavaValue(await this.readAttribute(mbeanConnection, 'java.lang:type=Runtime', ['Uptime'])),
+            collectors
+        };
+    }
+
+    // Per-table metrics (org.apache.cassandra.metrics:type=Table) for one node. Tables
+    // are enumerated from their LiveDiskSpaceUsed MBeans; system keyspaces are skipped
+    // unless includeSystem is set.
+    async getTableMetrics(host, port = 7199, { includeSystem = false } = {}) {
+        const mbeanConnection = await this.getMBeanConnection(host, port);
+        const pattern = new this.ObjectName('org.apache.cassandra.metrics:type=Table,name=LiveDiskSpaceUsed,*');
+        const objectNames = mbeanConnection.queryNamesSync(pattern, null).toArraySync();
+
+        const tables = [];
+        for (const objectName of objectNames) {
+            const keyspace = objectName.getKeyPropertySync('keyspace');
+            const table = objectName.getKeyPropertySync('scope');
+            if (!keyspace || !table || (!includeSystem && keyspace.startsWith('system'))) {
+                continue;
+            }
+
+            const mbean = name => `org.apache.cassandra.metrics:type=Table,keyspace=${keyspace},scope=${table},name=${name}`;
+            const readLatency = {};
+            const writeLatency = {};
+            await this.queryLatencyMetric(mbeanConnection, mbean('ReadLatency'), readLatency);
+            await this.queryLatencyMetric(mbeanConnection, mbean('WriteLatency'), writeLatency);
+
+            tables.push({
+                keyspace,
+                table,
+                liveDiskSpaceUsed: await this.queryCountMetric(mbeanConnection, mbean('LiveDiskSpaceUsed')),
+                totalDiskSpaceUsed: await this.queryCountMetric(mbeanConnection, mbean('TotalDiskSpaceUsed')),
+                liveSSTableCount: await this.querySimpleAttribute(mbeanConnection, mbean('LiveSSTableCount'), 'Value'),
+                pendingCompactions: await this.querySimpleAttribute(mbeanConnection, mbean('PendingCompactions'), 'Value'),
+                estimatedPartitionCount: await this.querySimpleAttribute(mbeanConnection, mbean('EstimatedPartitionCount'), 'Value'),
+                readLatency,
+                writeLatency
+            });
+        }
+
+        return tables;
+    }
+
     // Get aggregated cluster-wide metrics
-    async getAggregatedMetrics(hosts) {
+    async getAggregatedMetrics(hosts, port = this.jmxPort) {
         try {
-            const clusterMetrics = await this.getClusterJMXMetrics(hosts);
+            const clusterMetrics = await this.getClusterJMXMetrics(hosts, port);
             
             if (!clusterMetrics.success || clusterMetrics.nodes.length === 0) {
                 return {
@@ -0,0 +1,270 @@
+const EventEmitter = require('events');
+const readline = require('readline');
+
+const operationStore = require('./operationStore');
+const nodetool = require('./nodetool');
+
+// Long nodetool operations (repair, compact, cleanup, scrub) run here instead of
+// inside the HTTP request. Jobs wait in a FIFO queue and at most JOB_CONCURRENCY
+// run at once. In-process tasks such as bulk imports are tracked the same way but
+// start right away. Every state change, output line and progress update is emitted
+// as 'update' so the WebSocket service can stream it to clients.
+class JobRunner extends EventEmitter {
+    constructor() {
+        super();
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+        this.outputLimit = parseInt(process.env.JOB_OUTPUT_LINES) || 200;
+        this.queue = [];
+        this.jobs = new Map(); // operationId -> queued or running job
+        this.runningCount = 0;
+    }
+
+    // Queue nodetool with an argument array (see nodetool.buildArgs) for an
+    // operation record ({ id, type, keyspace, ... }). abort() stops the command's own work
+    // on the node when the job is cancelled; without it a cancelled job is only detached.
+    enqueue(clusterId, operation, argv, abort = null) {
+        const job = {
+            clusterId,
+            argv,
+            abort,
+            child: null,
+            cancelled: false,
+            abortError: null,
+            operation: {
+                ...operation,
+                command: nodetool.formatCommand(argv),
+                status: 'pending',
+                queuedAt: new Date(),
+                startTime: new Date(),
+                progress: null,
+                output: []
+            }
+        };
+
+        this.jobs.set(job.operation.id, job);
+        this.queue.push(job);
+        this.update(job, null, true);
+        this.next();
+
+        return job.operation;
+    }
+
+    // Run task(context) as an operation. The task reports with context.report(fields),
+    // which merges fields (progress, counters) into the operation, and should stop once
+    // context.isCancelled() is true. Its return value becomes the operation's result.
+    run(clusterId, operation, task) {
+        const job = {
+            clusterId,
+            task: true,
+            child: null,
+            cancelled: false,
+            operation: {
+                ...operation,
+                status: 'running',
+                queuedAt: new Date(),
+                startTime: new Date(),
+                progress: 0,
+                output: []
+            }
+        };
+        this.jobs.set(job.operation.id, job);
+        this.update(job, null, true);
+
+        const context = {
+            isCancelled: () => job.cancelled,
+            report: (fields) => {
+                const previous = job.operation.progress;
+                job.operation = { ...job.operation, ...fields };
+                // Only whole-percent steps are persisted; the rest are just streamed
+                this.update(job, null, Math.floor(job.operation.progress || 0) !== Math.floor(previous || 0));
+            }
+        };
+        Promise.resolve()
+            .then(() => task(context))
+            .then(result => this.finishTask(job, result, null), error => this.finishTask(job, null, error));
+
+        return job.operation;
+    }
+
+    finishTask(job, result, error) {
+        this.jobs.delete(job.operation.id);
+
+        const success = !error && !job.cancelled && result?.success !== false;
+        const message = job.cancelled ? 'Cancelled by user' : error ? error.message : result?.error || null;
+        job.operation = {
+            ...job.operation,
+            status: job.cancelled ? 'cancelled' : success ? 'completed' : 'failed',
+            endTime: new Date(),
+            progress: success ? 100 : job.operation.progress,
+            error: message,
+            result: result || { success: false, error: message }
+        };
+        this.update(job, null, true);
+    }
+
+    next() {
+        while (this.runningCount < this.concurrency && this.queue.length > 0) {
+            this.start(this.queue.shift());
+        }
+    }
+
+    start(job) {
+        this.runningCount++;
+        job.operation = { ...job.operation, status: 'running', startTime: new Date() };
+        this.update(job, null, true);
+
+        const child = nodetool.spawn(job.argv);
+        job.child = child;
+
+        readline.createInterface({ input: child.stdout }).on('line', line => this.appendOutput(job, line));
+        readline.createInterface({ input: child.stderr }).on('line', line => this.appendOutput(job, line));
+
+        child.on('error', error => this.finish(job, null, error));
+        child.on('close', (code, signal) => this.finish(job, code, null, signal));
+    }
+
+    appendOutput(job, line) {
+        const output = [...job.operation.output, line].slice(-this.outputLimit);
+        const progress = this.parseProgress(line);
+        const progressChanged = progress !== null && progress !== job.operation.progress;
+
+        job.operation = {
+            ...job.operation,
+            output,
+            progress: progressChanged ? progress : job.operation.progress
+        };
+
+        // Output lines are only streamed; progress changes are persisted as well
+        this.update(job, line, progressChanged);
+    }
+
+    // nodetool repair reports "(progress: 42%)"; other commands at best print bare percentages
+    parseProgress(line) {
+        const match = line.match(/progress:\s*(\d+(?:\.\d+)?)%/i) || line.match(/(\d{1,3}(?:\.\d+)?)%/);
+        if (!match) {
+            return null;
+        }
+        const value = parseFloat(match[1]);
+        return value >= 0 && value <= 100 ? value : null;
+    }
+
+    finish(job, code, error, signal = null) {
+        // 'error' and 'close' can both fire for a process that failed to start
+        if (!this.jobs.has(job.operation.id)) {
+            return;
+        }
+        this.jobs.delete(job.operation.id);
+        this.runningCount--;
+
+        const success = !error && !job.cancelled && code === 0;
+        let status = success ? 'completed' : 'failed';
+        let message = null;
+        if (job.cancelled) {
+            ({ status, message } = this.cancelOutcome(job));
+        } else if (error) {
+            message = error.code === 'ENOENT' ? `nodetool not found (looked for "${nodetool.binary}")` : error.message;
+        } else if (code !== 0) {
+            const lastLine = job.operation.output[job.operation.output.length - 1];
+            message = lastLine || (signal ? `nodetool was terminated by ${signal}` : `nodetool exited with code ${code}`);
+        }
+
+        job.operation = {
+            ...job.operation,
+            status,
+            endTime: new Date(),
+            progress: success ? 100 : job.operation.progress,
+            error: message,
+            result: {
+                success,
+                command: job.operation.command,
+                output: job.operation.output.join('\n'),
+                error: message,
+                exitCode: code
+            }
+        };
+        this.update(job, null, true);
+        this.next();
+    }
+
+    // Cancel a queued or running job; returns the operation, or null if it is not active.
+    // A running job's work is aborted on the node before nodetool is stopped; if that
+    // cannot be confirmed the job ends as 'detached' instead of 'cancelled'.
+    async cancel(operationId) {
+        const job = this.jobs.get(operationId);
+        if (!job) {
+            return null;
+        }
+        if (job.cancelled) {
+            return job.operation;
+        }
+
+        job.cancelled = true;
+
+        // Tasks stop at their next check and finish as cancelled
+        if (job.task) {
+            return job.operation;
+        }
+
+        if (!job.child) {
+            this.queue = this.queue.filter(queued => queued !== job);
+            this.jobs.delete(operationId);
+            job.operation = {
+                ...job.operation,
+                status: 'cancelled',
+                endTime: new Date(),
+                error: 'Cancelled by user'
+            };
+            this.update(job, null, true);
+            return job.operation;
+        }
+
+        if (job.abort) {
+            try {
+                await job.abort();
+            } catch (error) {
+                job.abortError = `abort failed: ${error.message}`;
+            }
+        } else {
+            job.abortError = 'its work cannot be stopped on the node without stopping other operations';
+        }
+        // nodetool may have exited while the abort ran
+        if (!this.jobs.has(operationId)) {
+            return job.operation;
+        }
+
+        try {
+            process.kill(-job.child.pid, 'SIGTERM');
+        } catch (error) {
+            // The process already exited; 'close' finishes the job
+        }
+        // What the job ends as once nodetool has exited
+        const { status, message } = this.cancelOutcome(job);
+        return { ...job.operation, status, error: message };
+    }
+
+    // A cancelled nodetool job whose work was not stopped on the node is only detached
+    cancelOutcome(job) {
+        if (job.abortError) {
+            return {
+                status: 'detached',
+                message: `Client detached; the operation may still be running on the node (${job.abortError})`
+            };
+        }
+        return { status: 'cancelled', message: 'Cancelled by user' };
+    }
+
+    isActive(operationId) {
+        return this.jobs.has(operationId);
+    }
+
+    update(job, line, persist) {
+        if (persist) {
+            operationStore.save(job.clusterId, job.operation);
+        } else {
+            operationStore.getClusterOperations(job.clusterId).set(job.operation.id, job.operation);
+        }
+        this.emit('update', { clusterId: job.clusterId, operation: job.operation, line });
+    }
+}
+
+module.exports = new JobRunner();
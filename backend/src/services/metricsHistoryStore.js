@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { dataPath } = require('../config/storage');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Embedded time-series store for sampled metrics. A sample is one flat
+// { metric: number } map for a cluster and node ('cluster' for the aggregate).
+// Raw samples go to hourly JSONL files and are kept for HISTORY_RAW_RETENTION_HOURS
+// (default 24); each minute is also rolled up to [avg, min, max, count] in daily
+// files kept for HISTORY_ROLLUP_RETENTION_DAYS (default 30).
+class MetricsHistoryStore {
+    constructor() {
+        this.dir = process.env.HISTORY_DIR || dataPath('history');
+        this.rawRetention = (parseInt(process.env.HISTORY_RAW_RETENTION_HOURS) || 24) * HOUR;
+        this.rollupRetention = (parseInt(process.env.HISTORY_ROLLUP_RETENTION_DAYS) || 30) * DAY;
+        this.buckets = new Map(); // 'clusterId|node' -> minute being rolled up
+        this.latest = new Map(); // 'clusterId|node' -> { clusterId, node, metrics } of the last sample
+        this.writeQueue = Promise.resolve();
+
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    }
+
+    // Files are named by UTC hour or day so a time range maps to a set of files
+    rawFile(time) {
+        return path.join(this.dir, `raw-${new Date(time).toISOString().slice(0, 13).replace(/[-T]/g, '')}.jsonl`);
+    }
+
+    rollupFile(time) {
+        return path.join(this.dir, `rollup-${new Date(time).toISOString().slice(0, 10).replace(/-/g, '')}.jsonl`);
+    }
+
+    fileTime(name) {
+        const match = name.match(/^(raw|rollup)-(\d{4})(\d{2})(\d{2})(\d{2})?\.jsonl$/);
+        if (!match) {
+            return null;
+        }
+        const [, kind, year, month, day, hour] = match;
+        return { kind, time: Date.UTC(+year, +month - 1, +day, hour ? +hour : 0) };
+    }
+
+    append(file, record) {
+        const line = `${JSON.stringify(record)}\n`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(file, line, { mode: 0o600 }))
+            .catch(error => {
+                console.error('Failed to write metrics history:', error.message);
+            });
+        return this.writeQueue;
+    }
+
+    record(clusterId, node, time, values) {
+        const key = `${clusterId || ''}|${node}`;
+        this.latest.set(key, { clusterId: clusterId || null, node, metrics: Object.keys(values) });
+        this.append(this.rawFile(time), { t: time, c: clusterId || null, n: node, v: values });
+
+        const minute = Math.floor(time / MINUTE) * MINUTE;
+        let bucket = this.buckets.get(key);
+        if (bucket && bucket.minute !== minute) {
+            this.flushBucket(bucket);
+            bucket = null;
+        }
+        if (!bucket) {
+            bucket = { clusterId: clusterId || null, node, minute, stats: {} };
+            this.buckets.set(key, bucket);
+        }
+
+        Object.entries(values).forEach(([metric, value]) => {
+            const stat = bucket.stats[metric];
+            if (!stat) {
+                bucket.stats[metric] = { sum: value, min: value, max: value, count: 1 };
+            } else {
+                stat.sum += value;
+                stat.min = Math.min(stat.min, value);
+                stat.max = Math.max(stat.max, value);
+                stat.count++;
+            }
+        });
+    }
+
+    flushBucket(bucket) {
+        const values = {};
+        Object.entries(bucket.stats).forEach(([metric, stat]) => {
+            values[metric] = [stat.sum / stat.count, stat.min, stat.max, stat.count];
+        });
+        return this.append(this.rollupFile(bucket.minute), { t: bucket.minute, c: bucket.clusterId, n: bucket.node, v: values });
+    }
+
+    // Write out minutes that have ended; with `all`, the current ones too (shutdown)
+    flushCompleted(all = false) {
+        const currentMinute = Math.floor(Date.now() / MINUTE) * MINUTE;
+        this.buckets.forEach((bucket, key) => {
+            if (all || bucket.minute < currentMinute) {
+                this.flushBucket(bucket);
+                this.buckets.delete(key);
+            }
+        });
+        return this.writeQueue;
+    }
+
+    async enforceRetention() {
+        const now = Date.now();
+        const files = await fs.promises.readdir(this.dir);
+        await Promise.all(files.map(async name => {
+            const info = this.fileTime(name);
+            if (!info) {
+                return;
+            }
+            // A file covers an hour (raw) or a day (rollup) starting at its timestamp
+            const end = info.time + (info.kind === 'raw' ? HOUR : DAY);
+            const retention = info.kind === 'raw' ? this.rawRetention : this.rollupRetention;
+            if (end < now - retention) {
+                await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+            }
+        }));
+    }
+
+    // Series recorded for a cluster, from the most recent sample of each node
+    listSeries(clusterId) {
+        const nodes = {};
+        this.latest.forEach(series => {
+            if (series.clusterId === (clusterId || null)) {
+                nodes[series.node] = series.metrics.slice().sort();
+            }
+        });
+        return nodes;
+    }
+
+    resolutionFor(from) {
+        return from >= Date.now() - this.rawRetention ? 'raw' : '1m';
+    }
+
+    // Points for one metric between from and to (ms), averaged into step-sized buckets.
+    // Raw samples are used while the whole range is inside raw retention, otherwise
+    // the 1-minute rollups.
+    async query({ clusterId, node, metric, from, to, step }) {
+        const resolution = this.resolutionFor(from);
+        const fileSpan = resolution === 'raw' ? HOUR : DAY;
+        const prefix = resolution === 'raw' ? 'raw' : 'rollup';
+
+        const files = (await fs.promises.readdir(this.dir).catch(() => []))
+            .map(name => ({ name, info: this.fileTime(name) }))
+            .filter(({ info }) => info && info.kind === prefix && info.time + fileSpan > from && info.time <= to)
+            .sort((a, b) => a.info.time - b.info.time);
+
+        const buckets = new Map();
+        for (const { name } of files) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(this.dir, name)),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    continue; // torn line from a crash mid-write
+                }
+                if (record.c !== (clusterId || null) || record.n !== node || record.t < from || record.t > to) {
+                    continue;
+                }
+                const value = record.v[metric];
+                if (value === undefined) {
+                    continue;
+                }
+
+                const [avg, min, max, count] = Array.isArray(value) ? value : [value, value, value, 1];
+                const time = Math.floor(record.t / step) * step;
+                const bucket = buckets.get(time);
+                if (!bucket) {
+                    buckets.set(time, { sum: avg * count, min, max, count });
+                } else {
+                    bucket.sum += avg * count;
+                    bucket.min = Math.min(bucket.min, min);
+                    bucket.max = Math.max(bucket.max, max);
+                    bucket.count += count;
+                }
+            }
+        }
+
+        const points = Array.from(buckets.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([time, bucket]) => ({
+                timestamp: new Date(time).toISOString(),
+                value: bucket.sum / bucket.count,
+                min: bucket.min,
+                max: bucket.max,
+                samples: bucket.count
+            }));
+
+        return { resolution, points };
+    }
+}
+
+module.exports = new MetricsHistoryStore();
@@ -1,9 +1,9 @@
-const db = require('../config/database');
 const jmxService = require('./jmxService');
 const net = require('net');
 
 class MetricsService {
-    constructor() {
+    constructor(db) {
+        this.db = db;
         this.metricsCache = {
             cluster: {},
             nodes: {},
@@ -36,14 +36,14 @@ class MetricsService {
 
     async getClusterInfo() {
         try {
-            if (!db.isConnected) {
+            if (!this.db.isConnected) {
                 return {
                     error: 'Not connected to any cluster',
                     connected: false
                 };
             }
 
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             // Update discovered nodes from current connection
             await this.updateDiscoveredNodes(client);
@@ -54,13 +54,14 @@ class MetricsService {
             // Get unique datacenters from all discovered nodes
             const uniqueDatacenters = [...new Set(Array.from(this.discoveredNodes.values()).map(node => node.datacenter).filter(dc => dc))];
             
-            // Total nodes = all discovered unique nodes
+            // Total nodes = all discovered unique nodes, down ones included
             const totalNodes = this.discoveredNodes.size;
+            const upNodes = Array.from(this.discoveredNodes.values()).filter(node => node.isUp).length;
             
             const clusterInfo = {
                 name: local.cluster_name || 'Unknown',
                 totalNodes: totalNodes,
-                upNodes: totalNodes, // Assume all are up if we discovered them
+                upNodes: upNodes,
                 datacenters: uniqueDatacenters,
                 cassandraVersion: local.release_version || 'Unknown',
                 partitioner: local.partitioner || 'Unknown',
@@ -80,15 +81,25 @@ class MetricsService {
         }
     }
 
+    // Liveness as the driver sees it, which follows gossip through the control
+    // connection's status events; null for hosts the driver does not know
+    driverHostState(client, address, hostId) {
+        const hosts = client.hosts ? client.hosts.values() : [];
+        const host = hosts.find(candidate => candidate.hostId?.toString() === hostId ||
+            String(candidate.address || '').replace(/:\d+$/, '') === address);
+        return host && typeof host.isUp === 'function' ? host.isUp() : null;
+    }
+
     async updateDiscoveredNodes(client) {
         try {
             const localResult = await client.execute('SELECT * FROM system.local');
             const peersResult = await client.execute('SELECT * FROM system.peers');
             const local = localResult.rows[0];
+            const nodes = new Map();
             
-            // Add local node (current connected node) to discovered nodes
+            // Add local node (current connected node) to discovered nodes; it just answered
             const localAddress = local.broadcast_address?.toString() || local.listen_address?.toString();
-            this.discoveredNodes.set(localAddress, {
+            nodes.set(localAddress, {
                 address: localAddress,
                 datacenter: local.data_center || 'Unknown',
                 rack: local.rack || 'Unknown',
@@ -100,30 +111,33 @@ class MetricsService {
                 isLocal: false  // This is actually a remote cluster node
             });
             
-            // Test connectivity and add only reachable peer nodes
+            // Peers that are down stay listed with isUp false. The driver's view is used
+            // where it has one; otherwise the native port is probed.
             for (const peer of peersResult.rows) {
                 const peerAddress = peer.peer?.toString();
                 if (peerAddress) {
-                    const isReachable = await this.testNodeConnectivity(peerAddress);
-                    
-                    if (isReachable) {
-                        this.discoveredNodes.set(peerAddress, {
-                            address: peerAddress,
-                            datacenter: peer.data_center || 'Unknown',
-                            rack: peer.rack || 'Unknown',
-                            isUp: true,
-                            version: peer.release_version || 'Unknown',
-                            tokens: peer.tokens ? peer.tokens.length : 0,
-                            hostId: peer.host_id?.toString() || 'Unknown',
-                            schemaVersion: peer.schema_version?.toString() || 'Unknown',
-                            isLocal: false
-                        });
-                    } else {
-                        // Remove from discovered nodes if it was previously added
-                        this.discoveredNodes.delete(peerAddress);
+                    const hostId = peer.host_id?.toString() || 'Unknown';
+                    let isUp = this.driverHostState(client, peerAddress, hostId);
+                    if (isUp === null) {
+                        isUp = await this.testNodeConnectivity(peerAddress);
                     }
+                    
+                    nodes.set(peerAddress, {
+                        address: peerAddress,
+                        datacenter: peer.data_center || 'Unknown',
+                        rack: peer.rack || 'Unknown',
+                        isUp,
+                        version: peer.release_version || 'Unknown',
+                        tokens: peer.tokens ? peer.tokens.length : 0,
+                        hostId,
+                        schemaVersion: peer.schema_version?.toString() || 'Unknown',
+                        isLocal: false
+                    });
                 }
             }
+
+            // Decommissioned nodes leave system.peers and drop out here
+            this.discoveredNodes = nodes;
         } catch (error) {
             console.error('Error updating discovered nodes:', error);
         }
@@ -131,7 +145,7 @@ class MetricsService {
 
     async getNodesInfo() {
         try {
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             // Update discovered nodes from current connection
             await this.updateDiscoveredNodes(client);
@@ -148,7 +162,7 @@ class MetricsService {
 
     async getKeyspacesInfo() {
         try {
-            const client = db.getClient();
+            const client = this.db.getClient();
             const result = await client.execute(
                 "SELECT keyspace_name, replication FROM system_schema.keyspaces"
             );
@@ -187,7 +201,7 @@ class MetricsService {
 
     async getTableInfo(keyspace) {
         try {
-            const client = db.getClient();
+            const client = this.db.getClient();
             const result = await client.execute(
                 "SELECT table_name, bloom_filter_fp_chance, caching, comment, compaction, compression, gc_grace_seconds FROM system_schema.tables WHERE keyspace_name = ?",
                 [keyspace]
@@ -213,7 +227,7 @@ class MetricsService {
 
     async getSystemMetrics() {
         try {
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             // Get compaction stats
             const compactionResult = await client.execute(
@@ -248,7 +262,7 @@ class MetricsService {
 
     async getPerformanceMetrics() {
         try {
-            if (!db.isConnected) {
+            if (!this.db.isConnected) {
                 return {
                     readLatency: { p50: 0, p95: 0, p99: 0, mean: 0 },
                     writeLatency: { p50: 0, p95: 0, p99: 0, mean: 0 },
@@ -263,11 +277,11 @@ class MetricsService {
 
             // Try to get JMX metrics first for real performance data
             try {
-                const connectionInfo = db.getConnectionInfo();
+                const connectionInfo = this.db.getConnectionInfo();
                 const hosts = connectionInfo.config ? connectionInfo.config.hosts : [];
                 
                 if (hosts.length > 0) {
-                    const jmxData = await jmxService.getAggregatedMetrics(hosts);
+                    const jmxData = await jmxService.getAggregatedMetrics(hosts, connectionInfo.config.jmxPort);
                     
                     if (jmxData.success && jmxData.aggregated) {
                         const jmxMetrics = jmxData.aggregated;
@@ -323,7 +337,7 @@ class MetricsService {
             }
 
             // Fallback to system table metrics if JMX not available
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             try {
                 // Get compaction activity from system tables
@@ -384,7 +398,7 @@ class MetricsService {
 
     async getBasicPerformanceMetrics() {
         try {
-            if (!db.isConnected) {
+            if (!this.db.isConnected) {
                 return {
                     readLatency: { p50: 0, p95: 0, p99: 0, mean: 0 },
                     writeLatency: { p50: 0, p95: 0, p99: 0, mean: 0 },
@@ -398,7 +412,7 @@ class MetricsService {
             }
 
             // Only get basic system table metrics, no JMX
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             try {
                 // Get compaction activity from system tables
@@ -459,7 +473,7 @@ class MetricsService {
 
     async getStorageMetrics() {
         try {
-            if (!db.isConnected) {
+            if (!this.db.isConnected) {
                 return {
                     totalSize: 0,
                     keyspacesSizes: [],
@@ -469,7 +483,7 @@ class MetricsService {
                 };
             }
 
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             // Get storage information from system tables using correct column names
             try {
@@ -539,7 +553,7 @@ class MetricsService {
 
     async getBasicMetrics() {
         try {
-            if (!db.isConnected) {
+            if (!this.db.isConnected) {
                 return {
                     cluster: { upNodes: 0, totalNodes: 0, name: 'Not Connected', cassandraVersion: 'N/A', datacenters: [] },
                     nodes: [],
@@ -620,4 +634,8 @@ class MetricsService {
     }
 }
 
-module.exports = new MetricsService();
+module.exports = {
+    MetricsService,
+    // Metrics state (discovered nodes, cache) is kept per cluster connection
+    forCluster: (db) => db.service('metrics', () => new MetricsService(db))
+};
@@ -0,0 +1,119 @@
+const { spawn } = require('child_process');
+
+// Per-command timeouts in ms; anything not listed uses NODETOOL_TIMEOUT_MS.
+// Long maintenance commands run as jobs (see jobRunner) and are not timed out.
+const COMMAND_TIMEOUTS = {
+    status: 30000,
+    info: 30000,
+    tpstats: 30000,
+    compactionstats: 30000,
+    gcstats: 30000,
+    flush: 10 * 60 * 1000,
+    drain: 10 * 60 * 1000
+};
+
+// Characters nodetool never needs in a command name, keyspace, table or host
+const SAFE_ARGUMENT = /^[A-Za-z0-9_.:\-[\]]+$/;
+
+// Runs nodetool with an argument array and no shell, so nothing in an argument
+// is ever interpreted. Failures are thrown as errors carrying `code`
+// (NODETOOL_NOT_FOUND, NODETOOL_TIMEOUT, NODETOOL_FAILED, NODETOOL_INVALID_ARGUMENT),
+// plus `exitCode`, `stderr` and the display `command`.
+class NodetoolExecutor {
+    constructor() {
+        this.binary = process.env.NODETOOL_PATH || 'nodetool';
+        this.defaultTimeout = parseInt(process.env.NODETOOL_TIMEOUT_MS) || 60000;
+    }
+
+    // Connection options come first, then the subcommand and its arguments
+    buildArgs(command, args = [], { host, port } = {}) {
+        const argv = [];
+        if (host) {
+            argv.push('-h', String(host));
+        }
+        if (port) {
+            argv.push('-p', String(port));
+        }
+        argv.push(command, ...args.map(String));
+
+        const invalid = argv.find(arg => !SAFE_ARGUMENT.test(arg));
+        if (invalid !== undefined) {
+            throw this.createError(`Invalid nodetool argument: ${JSON.stringify(invalid)}`, 'NODETOOL_INVALID_ARGUMENT', argv);
+        }
+        return argv;
+    }
+
+    // Human-readable form for audit entries and the UI; never executed
+    formatCommand(argv) {
+        return ['nodetool', ...argv].join(' ');
+    }
+
+    createError(message, code, argv, extra = {}) {
+        const error = new Error(message);
+        error.code = code;
+        error.status = code === 'NODETOOL_INVALID_ARGUMENT' ? 400 : 500;
+        error.command = this.formatCommand(argv);
+        Object.assign(error, extra);
+        return error;
+    }
+
+    // Start nodetool for a long-running job. Detached so the caller can signal the
+    // whole process group (the wrapper script and its JVM) on cancel.
+    spawn(argv) {
+        return spawn(this.binary, argv, { shell: false, detached: true });
+    }
+
+    // Run nodetool to completion and resolve { output, stderr, command }
+    run(command, args = [], options = {}) {
+        const argv = this.buildArgs(command, args, options);
+        const timeout = options.timeout || COMMAND_TIMEOUTS[command] || this.defaultTimeout;
+
+        return new Promise((resolve, reject) => {
+            // Detached so a timeout can kill the wrapper script's JVM too
+            const child = spawn(this.binary, argv, { shell: false, detached: true });
+            let stdout = '';
+            let stderr = '';
+            let timedOut = false;
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch (error) {
+                    child.kill('SIGKILL');
+                }
+            }, timeout);
+
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT'
+                    ? this.createError(`nodetool not found (looked for "${this.binary}")`, 'NODETOOL_NOT_FOUND', argv)
+                    : this.createError(error.message, 'NODETOOL_FAILED', argv));
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    return reject(this.createError(`nodetool ${command} timed out after ${timeout}ms`, 'NODETOOL_TIMEOUT', argv, { stderr: stderr.trim() }));
+                }
+                if (code !== 0) {
+                    const detail = (stderr.trim() || stdout.trim()).split('\n').pop();
+                    return reject(this.createError(detail || `nodetool ${command} exited with code ${code}`, 'NODETOOL_FAILED', argv, {
+                        exitCode: code,
+                        stderr: stderr.trim()
+                    }));
+                }
+                resolve({
+                    output: stdout.trim(),
+                    stderr: stderr.trim(),
+                    command: this.formatCommand(argv)
+                });
+            });
+        });
+    }
+}
+
+module.exports = new NodetoolExecutor();
@@ -0,0 +1,48 @@
+const nodetool = require('./nodetool');
+
+describe('buildArgs', () => {
+    test('puts the connection options before the command and its arguments', () => {
+        expect(nodetool.buildArgs('repair', ['-full', 'ks', 'table_1'], { host: '10.0.0.1', port: 7199 }))
+            .toEqual(['-h', '10.0.0.1', '-p', '7199', 'repair', '-full', 'ks', 'table_1']);
+    });
+
+    test('leaves out a missing host and port', () => {
+        expect(nodetool.buildArgs('status')).toEqual(['status']);
+    });
+
+    test('accepts IPv6 addresses and bracketed hosts', () => {
+        expect(nodetool.buildArgs('info', [], { host: '[::1]' })).toEqual(['-h', '[::1]', 'info']);
+        expect(nodetool.buildArgs('info', [], { host: 'fe80::1' })).toEqual(['-h', 'fe80::1', 'info']);
+    });
+
+    test.each([
+        ['ks; rm -rf /'],
+        ['ks table'],
+        ['$(id)'],
+        ['`id`'],
+        ['ks|cat'],
+        ['ks\nstatus'],
+        ['']
+    ])('rejects the argument %j', (arg) => {
+        expect(() => nodetool.buildArgs('compact', [arg])).toThrow(expect.objectContaining({
+            code: 'NODETOOL_INVALID_ARGUMENT',
+            status: 400
+        }));
+    });
+
+    test('rejects an unsafe host', () => {
+        expect(() => nodetool.buildArgs('status', [], { host: 'node1 -u admin' })).toThrow(/Invalid nodetool argument/);
+    });
+
+    test('the error shows the command it refused', () => {
+        expect(() => nodetool.buildArgs('flush', ['ks&'], { host: '10.0.0.1' })).toThrow(expect.objectContaining({
+            command: 'nodetool -h 10.0.0.1 flush ks&'
+        }));
+    });
+});
+
+describe('formatCommand', () => {
+    test('prefixes the binary name', () => {
+        expect(nodetool.formatCommand(['-h', '10.0.0.1', 'status'])).toBe('nodetool -h 10.0.0.1 status');
+    });
+});
@@ -1,7 +1,8 @@
 const operationsService = require('./operationsService');
 
 class NodetoolMetricsService {
-    constructor() {
+    constructor(db) {
+        this.db = db;
         this.metricsCache = {
             cluster: {},
             nodes: {},
@@ -14,17 +15,18 @@ class NodetoolMetricsService {
     async executeNodetoolCommand(command) {
         try {
             // Use the operations service to execute nodetool commands on remote cluster
+            const operations = operationsService.forCluster(this.db);
             switch (command) {
                 case 'status':
-                    return await operationsService.getClusterStatus();
+                    return await operations.getClusterStatus();
                 case 'info':
-                    return await operationsService.getClusterInfo();
+                    return await operations.getClusterInfo();
                 case 'compactionstats':
-                    return await operationsService.getCompactionStats();
+                    return await operations.getCompactionStats();
                 case 'tpstats':
-                    return await operationsService.getThreadPoolStats();
+                    return await operations.getThreadPoolStats();
                 case 'gcstats':
-                    return await operationsService.getGCStats();
+                    return await operations.getGCStats();
                 default:
                     return {
                         success: false,
@@ -68,16 +70,19 @@ class NodetoolMetricsService {
                 } else if (line.match(/^[UD][NJLM]\s+/)) {
                     // Parse node line: UN  127.0.0.1  125.51 KiB  256          38.1%            abc123...
                     const parts = line.trim().split(/\s+/);
-                    if (parts.length >= 6) {
+                    // An unknown load (a down node's) is a lone "?" without a unit
+                    const loadParts = parts[2] === '?' ? 1 : 2;
+                    const [tokens, owns, hostId, rack] = parts.slice(2 + loadParts);
+                    if (parts.length >= 4 + loadParts) {
                         nodes.push({
                             status: parts[0][0], // U = Up, D = Down
                             state: parts[0][1],  // N = Normal, J = Joining, L = Leaving, M = Moving
                             address: parts[1],
-                            load: parts[2] + ' ' + parts[3], // Load with unit
-                            tokens: parseInt(parts[4]) || 0,
-                            owns: parts[5],
-                            hostId: parts[6] || 'unknown',
-                            rack: parts[7] || 'unknown',
+                            load: parts.slice(2, 2 + loadParts).join(' '), // Load with unit
+                            tokens: parseInt(tokens) || 0,
+                            owns,
+                            hostId: hostId || 'unknown',
+                            rack: rack || 'unknown',
                             datacenter: currentDatacenter
                         });
                     }
@@ -206,24 +211,35 @@ class NodetoolMetricsService {
         try {
             const lines = output.split('\n').filter(line => line.trim());
             const pools = {};
+            const dropped = {};
             let currentPool = null;
+            let inDropped = false;
             
             for (const line of lines) {
                 if (line.includes('Pool Name')) {
                     // Skip header
                     continue;
+                } else if (line.startsWith('Message type')) {
+                    // Dropped messages follow the pools
+                    inDropped = true;
                 } else if (line.includes('Active') && line.includes('Pending') && line.includes('Completed')) {
                     // Skip sub-header
                     continue;
-                } else if (line.match(/^[A-Za-z]+\s+/)) {
-                    // Pool line: ReadStage         0         0      12345
+                } else if (inDropped && line.match(/^[A-Z_]+\s+\d+/)) {
+                    // Dropped line: MUTATION         12
+                    const parts = line.trim().split(/\s+/);
+                    dropped[parts[0]] = parseInt(parts[1]) || 0;
+                } else if (line.match(/^[A-Za-z][\w#.-]*\s+/)) {
+                    // Pool line: ReadStage         0         0      12345         0         0
                     const parts = line.trim().split(/\s+/);
                     if (parts.length >= 4) {
                         currentPool = parts[0];
                         pools[currentPool] = {
                             active: parseInt(parts[1]) || 0,
                             pending: parseInt(parts[2]) || 0,
-                            completed: parseInt(parts[3]) || 0
+                            completed: parseInt(parts[3]) || 0,
+                            blocked: parseInt(parts[4]) || 0,
+                            allTimeBlocked: parseInt(parts[5]) || 0
                         };
                     }
                 }
@@ -231,7 +247,8 @@ class NodetoolMetricsService {
 
             return {
                 success: true,
-                pools: pools
+                pools: pools,
+                dropped: dropped
             };
         } catch (error) {
             console.error('Error parsing thread pool stats:', error);
@@ -350,4 +367,7 @@ class NodetoolMetricsService {
     }
 }
 
-module.exports = new NodetoolMetricsService(); 
\ No newline at end of file
+module.exports = {
+    NodetoolMetricsService,
+    forCluster: (db) => db.service('nodetool', () => new NodetoolMetricsService(db))
+};
\ No newline at end of file
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../config/storage');
+const { encrypt, decrypt } = require('../config/secrets');
+const alertService = require('./alertService');
+const WebhookNotifier = require('./notifiers/webhookNotifier');
+const SlackNotifier = require('./notifiers/slackNotifier');
+const EmailNotifier = require('./notifiers/emailNotifier');
+const EventsApiNotifier = require('./notifiers/eventsApiNotifier');
+
+const NOTIFIERS = {
+    webhook: WebhookNotifier,
+    slack: SlackNotifier,
+    email: EmailNotifier,
+    pagerduty: EventsApiNotifier
+};
+
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Delivers alert events to the notification channels named by each rule's `channels`.
+// A failed delivery is retried with exponential backoff (NOTIFY_RETRY_BASE_MS, doubling,
+// capped at 5 minutes) up to NOTIFY_MAX_ATTEMPTS times unless the receiver rejected it
+// outright. Muted (silenced or in maintenance) alerts are not sent; one that is unmuted
+// while still firing is sent then, and a resolution only follows an alert that was sent.
+// Channel secrets (webhook credentials, SMTP password, routing key) are
+// encrypted at rest like profile passwords and never returned.
+class NotificationService {
+    constructor() {
+        this.channelsFile = process.env.NOTIFICATION_CHANNELS_FILE || dataPath('notification-channels.json');
+        this.maxAttempts = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+        this.retryBase = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 1000;
+        this.channels = null;
+        this.deliveries = new Map(); // channelId -> outcome of the latest delivery
+        this.notified = new Set(); // ids of firing alerts that have been sent
+        this.onAlert = alert => {
+            this.notify(alert).catch(error => {
+                console.error('Failed to route alert notification:', error.message);
+            });
+        };
+    }
+
+    start() {
+        alertService.on('alert', this.onAlert);
+    }
+
+    stop() {
+        alertService.off('alert', this.onAlert);
+    }
+
+    async load() {
+        if (!this.channels) {
+            const data = await readJson(this.channelsFile, { channels: [] });
+            this.channels = new Map((data.channels || []).map(channel => [channel.id, channel]));
+        }
+        return this.channels;
+    }
+
+    async save() {
+        await writeJson(this.channelsFile, {
+            channels: Array.from(this.channels.values())
+        });
+    }
+
+    toPublicChannel(channel) {
+        const config = { ...channel.config };
+        NOTIFIERS[channel.type].secretFields.forEach(field => {
+            config[`has${field[0].toUpperCase()}${field.slice(1)}`] = !!config[field];
+            delete config[field];
+        });
+        return {
+            ...channel,
+            config,
+            lastDelivery: this.deliveries.get(channel.id) || null
+        };
+    }
+
+    // Stored config with secrets decrypted, as the notifier needs it
+    plainConfig(channel) {
+        const config = { ...channel.config };
+        NOTIFIERS[channel.type].secretFields.forEach(field => {
+            config[field] = decrypt(config[field]);
+        });
+        return config;
+    }
+
+    normalize(input, existing = null) {
+        const type = existing ? existing.type : input.type;
+        const Notifier = NOTIFIERS[type];
+        if (!Notifier) {
+            throw createError(`type must be one of ${Object.keys(NOTIFIERS).join(', ')}`, 400);
+        }
+
+        const name = String(input.name ?? existing?.name ?? '').trim();
+        if (!name) {
+            throw createError('name is required', 400);
+        }
+
+        // An omitted or empty secret keeps the stored value
+        const previous = existing ? this.plainConfig(existing) : {};
+        const submitted = input.config || {};
+        const merged = { ...previous, ...submitted };
+        Notifier.secretFields.forEach(field => {
+            merged[field] = submitted[field] || previous[field] || '';
+        });
+
+        const config = Notifier.normalize(merged);
+        Notifier.secretFields.forEach(field => {
+            config[field] = encrypt(config[field]);
+        });
+
+        return {
+            name,
+            type,
+            enabled: input.enabled !== undefined ? !!input.enabled : existing?.enabled ?? true,
+            sendResolved: input.sendResolved !== undefined ? !!input.sendResolved : existing?.sendResolved ?? true,
+            config
+        };
+    }
+
+    async listChannels() {
+        const channels = await this.load();
+        return Array.from(channels.values()).map(channel => this.toPublicChannel(channel));
+    }
+
+    async getChannel(id) {
+        const channels = await this.load();
+        return channels.get(id) || null;
+    }
+
+    // Rules may only route to channels that exist; `kept` are ids the rule already had,
+    // so a rule still naming a deleted channel can be edited
+    async assertChannels(ids, kept = []) {
+        if (ids === undefined) {
+            return;
+        }
+        const channels = await this.load();
+        const unknown = (Array.isArray(ids) ? ids : [ids]).filter(id => !channels.has(id) && !kept.includes(id));
+        if (unknown.length > 0) {
+            throw createError(`Unknown notification channel(s): ${unknown.join(', ')}`, 400);
+        }
+    }
+
+    async createChannel(input) {
+        const channels = await this.load();
+        const now = new Date().toISOString();
+        const channel = {
+            id: crypto.randomUUID(),
+            ...this.normalize(input),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        channels.set(channel.id, channel);
+        await this.save();
+        return this.toPublicChannel(channel);
+    }
+
+    async updateChannel(id, input) {
+        const channels = await this.load();
+        const existing = channels.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const channel = {
+            ...existing,
+            ...this.normalize(input, existing),
+            id,
+            updatedAt: new Date().toISOString()
+        };
+
+        channels.set(id, channel);
+        await this.save();
+        return this.toPublicChannel(channel);
+    }
+
+    async deleteChannel(id) {
+        const channels = await this.load();
+        if (!channels.delete(id)) {
+            return false;
+        }
+        this.deliveries.delete(id);
+        await this.save();
+        return true;
+    }
+
+    createNotifier(channel) {
+        return new NOTIFIERS[channel.type](this.plainConfig(channel));
+    }
+
+    async notify(alert) {
+        // Acknowledgements and suppression changes re-emit firing alerts
+        if (alert.state === 'resolved') {
+            if (!this.notified.delete(alert.id)) {
+                return;
+            }
+        } else if (alert.suppressed || this.notified.has(alert.id)) {
+            return;
+        } else {
+            this.notified.add(alert.id);
+        }
+
+        const channels = await this.load();
+        (alert.channels || [])
+            .map(id => channels.get(id))
+            .filter(channel => channel && channel.enabled && (alert.state !== 'resolved' || channel.sendResolved))
+            .forEach(channel => {
+                this.deliver(channel, alert).catch(error => {
+                    console.error(`Notification to channel ${channel.name} failed:`, error.message);
+                });
+            });
+    }
+
+    async deliver(channel, alert) {
+        let notifier = null;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                // Inside the try: decrypting the channel's secrets can fail as well
+                notifier = notifier || this.createNotifier(channel);
+                await notifier.send(alert);
+                this.deliveries.set(channel.id, { status: 'delivered', alertId: alert.id, attempts: attempt, at: new Date().toISOString() });
+                return true;
+            } catch (error) {
+                const final = !error.retryable || attempt >= this.maxAttempts;
+                this.deliveries.set(channel.id, {
+                    status: final ? 'failed' : 'retrying',
+                    alertId: alert.id,
+                    attempts: attempt,
+                    error: error.message,
+                    at: new Date().toISOString()
+                });
+                if (final) {
+                    console.error(`Notification to channel ${channel.name} failed after ${attempt} attempt(s):`, error.message);
+                    return false;
+                }
+                const delay = Math.min(this.retryBase * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // One attempt with a made-up alert, reported back instead of retried
+    async sendTest(id, user = null) {
+        const channel = await this.getChannel(id);
+        if (!channel) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const alert = {
+            id: `test-${crypto.randomBytes(4).toString('hex')}`,
+            ruleId: null,
+            ruleName: 'Test notification',
+            severity: 'info',
+            state: 'firing',
+            clusterId: null,
+            node: 'cluster',
+            dc: null,
+            metric: 'test',
+            type: 'threshold',
+            value: null,
+            threshold: null,
+            message: `Test notification sent by ${user || 'Cassandra Watch'} to channel ${channel.name}`,
+            activeAt: now,
+            firedAt: now,
+            resolvedAt: null,
+            test: true
+        };
+
+        try {
+            await this.createNotifier(channel).send(alert);
+            return { success: true, channel: channel.name };
+        } catch (error) {
+            return { success: false, channel: channel.name, error: error.message };
+        }
+    }
+}
+
+module.exports = new NotificationService();
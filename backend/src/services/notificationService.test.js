@@ -0,0 +1,275 @@
+const http = require('http');
+const notificationService = require('./notificationService');
+
+process.env.PROFILE_ENCRYPTION_KEY = 'notification-test-key';
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+// A local receiver answering each request with the next of `statuses` (then 200)
+function stubServer(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString()) });
+            res.statusCode = statuses.shift() || 200;
+            res.end('{}');
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+// I/O still runs on the real event loop while the clock is fake
+async function waitFor(check) {
+    for (let turn = 0; !check(); turn++) {
+        if (turn > 100000) {
+            throw new Error('condition not met');
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// Resolves once the latest delivery to the channel has reached the given attempt
+const attempted = (id, attempts) => waitFor(() => notificationService.deliveries.get(id)?.attempts === attempts);
+
+function alert(overrides = {}) {
+    return {
+        id: 'alert-1',
+        ruleName: 'High heap',
+        severity: 'critical',
+        state: 'firing',
+        clusterId: 'prod',
+        node: '10.0.0.1',
+        dc: 'dc1',
+        metric: 'heap',
+        value: 91.5,
+        threshold: 90,
+        message: 'Heap at 91.5%',
+        firedAt: new Date(T0).toISOString(),
+        ...overrides
+    };
+}
+
+let stub;
+
+beforeEach(async () => {
+    jest.setSystemTime(T0);
+    notificationService.channels = new Map();
+    notificationService.deliveries = new Map();
+    notificationService.notified = new Set();
+    notificationService.retryBase = 1000;
+    notificationService.maxAttempts = 3;
+    stub = await stubServer();
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await stub.close();
+});
+
+describe('channels', () => {
+    test('never return secrets, only whether one is set', async () => {
+        const channel = await notificationService.createChannel({
+            name: 'ops hook',
+            type: 'webhook',
+            config: { url: `${stub.url}/hook`, authorization: 'Bearer s3cret' }
+        });
+
+        expect(channel.config).toEqual({ url: `${stub.url}/hook`, hasAuthorization: true, template: null });
+        expect(JSON.stringify(await notificationService.listChannels())).not.toContain('s3cret');
+        expect(notificationService.channels.get(channel.id).config.authorization).toMatch(/^enc:v1:/);
+    });
+
+    test('keep a stored secret when an update leaves it empty', async () => {
+        const { id } = await notificationService.createChannel({ name: 'chat', type: 'slack', config: { url: `${stub.url}/T0/B0/token` } });
+
+        const updated = await notificationService.updateChannel(id, { name: 'team chat', config: { url: '', channel: '#ops' } });
+
+        expect(updated.config).toEqual({ hasUrl: true, channel: '#ops', username: '' });
+        expect(notificationService.plainConfig(notificationService.channels.get(id)).url).toBe(`${stub.url}/T0/B0/token`);
+    });
+
+    test('reject an unknown type or an invalid config', async () => {
+        await expect(notificationService.createChannel({ name: 'x', type: 'sms' })).rejects.toMatchObject({ status: 400 });
+        await expect(notificationService.createChannel({ name: 'x', type: 'webhook', config: { url: 'ftp://host' } }))
+            .rejects.toMatchObject({ status: 400, message: 'url must be an http(s) URL' });
+        await expect(notificationService.createChannel({ name: 'x', type: 'webhook', config: { url: stub.url, template: '{' } }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringContaining('template is not valid JSON') });
+    });
+});
+
+describe('notify', () => {
+    let ids;
+
+    beforeEach(async () => {
+        const create = input => notificationService.createChannel({ type: 'webhook', config: { url: stub.url }, ...input });
+        ids = {
+            all: (await create({ name: 'all' })).id,
+            firingOnly: (await create({ name: 'firing only', sendResolved: false })).id,
+            disabled: (await create({ name: 'disabled', enabled: false })).id
+        };
+        jest.spyOn(notificationService, 'deliver').mockResolvedValue(true);
+    });
+
+    const delivered = () => notificationService.deliver.mock.calls.map(([channel, event]) => `${channel.name}:${event.state}`);
+
+    test('send a firing alert to the enabled channels of its rule, once', async () => {
+        const firing = alert({ channels: [ids.all, ids.firingOnly, ids.disabled, 'deleted'] });
+
+        await notificationService.notify(firing);
+        await notificationService.notify({ ...firing, acknowledged: true });
+
+        expect(delivered()).toEqual(['all:firing', 'firing only:firing']);
+    });
+
+    test('send a resolution only to channels that want it, after the alert was sent', async () => {
+        const channels = [ids.all, ids.firingOnly];
+
+        await notificationService.notify(alert({ state: 'resolved', channels }));
+        expect(delivered()).toEqual([]);
+
+        await notificationService.notify(alert({ channels }));
+        await notificationService.notify(alert({ state: 'resolved', channels }));
+        await notificationService.notify(alert({ state: 'resolved', channels }));
+
+        expect(delivered()).toEqual(['all:firing', 'firing only:firing', 'all:resolved']);
+    });
+
+    test('hold back a muted alert until it is unmuted while still firing', async () => {
+        const channels = [ids.all];
+
+        await notificationService.notify(alert({ suppressed: true, channels }));
+        await notificationService.notify(alert({ suppressed: true, state: 'resolved', channels }));
+        expect(delivered()).toEqual([]);
+
+        await notificationService.notify(alert({ id: 'alert-2', suppressed: true, channels }));
+        await notificationService.notify(alert({ id: 'alert-2', suppressed: false, channels }));
+        expect(delivered()).toEqual(['all:firing']);
+    });
+});
+
+describe('deliver', () => {
+    test('retry a failed delivery with doubling delays', async () => {
+        await stub.close();
+        stub = await stubServer([503, 429]);
+        const channel = await notificationService.createChannel({ name: 'hook', type: 'webhook', config: { url: stub.url } });
+
+        const result = notificationService.deliver(notificationService.channels.get(channel.id), alert());
+
+        await attempted(channel.id, 1);
+        expect(notificationService.deliveries.get(channel.id)).toMatchObject({ status: 'retrying', attempts: 1, error: expect.stringContaining('HTTP 503') });
+        jest.advanceTimersByTime(999);
+        expect(stub.requests).toHaveLength(1);
+        jest.advanceTimersByTime(1);
+
+        await attempted(channel.id, 2);
+        jest.advanceTimersByTime(1999);
+        expect(stub.requests).toHaveLength(2);
+        jest.advanceTimersByTime(1);
+
+        expect(await result).toBe(true);
+        expect(stub.requests).toHaveLength(3);
+        expect(notificationService.deliveries.get(channel.id)).toMatchObject({ status: 'delivered', alertId: 'alert-1', attempts: 3 });
+    });
+
+    test('give up after the last attempt', async () => {
+        await stub.close();
+        stub = await stubServer([500, 500, 500]);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const channel = await notificationService.createChannel({ name: 'hook', type: 'webhook', config: { url: stub.url } });
+
+        const result = notificationService.deliver(notificationService.channels.get(channel.id), alert());
+        await attempted(channel.id, 1);
+        jest.advanceTimersByTime(1000);
+        await attempted(channel.id, 2);
+        jest.advanceTimersByTime(2000);
+
+        expect(await result).toBe(false);
+        expect(stub.requests).toHaveLength(3);
+        expect(notificationService.deliveries.get(channel.id)).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    test('not retry a request the receiver rejected', async () => {
+        await stub.close();
+        stub = await stubServer([400]);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const channel = await notificationService.createChannel({ name: 'hook', type: 'slack', config: { url: `${stub.url}/services/secret-token` } });
+
+        expect(await notificationService.deliver(notificationService.channels.get(channel.id), alert())).toBe(false);
+
+        const outcome = notificationService.deliveries.get(channel.id);
+        expect(outcome).toMatchObject({ status: 'failed', attempts: 1, error: `${new URL(stub.url).host} answered HTTP 400` });
+        expect(outcome.error).not.toContain('secret-token');
+    });
+});
+
+describe('notifiers', () => {
+    async function send(type, config, event = alert()) {
+        const channel = await notificationService.createChannel({ name: type, type, config });
+        await notificationService.createNotifier(notificationService.channels.get(channel.id)).send(event);
+        return stub.requests[stub.requests.length - 1];
+    }
+
+    test('webhook posts the state and alert, with the authorization header', async () => {
+        const request = await send('webhook', { url: `${stub.url}/hook`, authorization: 'Bearer s3cret' });
+
+        expect(request).toMatchObject({ method: 'POST', path: '/hook', headers: { authorization: 'Bearer s3cret' } });
+        expect(request.body).toEqual({ state: 'firing', alert: alert() });
+    });
+
+    test('webhook renders a template, keeping the type of whole placeholders', async () => {
+        const template = JSON.stringify({
+            text: '{{severity}} on {{ node }}: {{message}}',
+            value: '{{value}}',
+            missing: 'a{{nothing}}b',
+            rule: { name: '{{alert.ruleName}}', labels: ['{{clusterId}}', '{{dc}}'] },
+            at: '{{timestamp}}'
+        });
+
+        const request = await send('webhook', { url: stub.url, template });
+
+        expect(request.body).toEqual({
+            text: 'critical on 10.0.0.1: Heap at 91.5%',
+            value: 91.5,
+            missing: 'ab',
+            rule: { name: 'High heap', labels: ['prod', 'dc1'] },
+            at: new Date(T0).toISOString()
+        });
+    });
+
+    test('slack posts a summary with a colored attachment', async () => {
+        const request = await send('slack', { url: stub.url, channel: '#ops' }, alert({ state: 'resolved' }));
+
+        expect(request.body).toMatchObject({
+            text: '[RESOLVED:critical] High heap on prod/10.0.0.1: Heap at 91.5%',
+            channel: '#ops',
+            attachments: [{ color: '#2e7d32', title: 'High heap', text: 'Heap at 91.5%' }]
+        });
+        expect(request.body.username).toBeUndefined();
+    });
+
+    test('events API triggers and resolves the incident keyed by the alert', async () => {
+        const trigger = await send('pagerduty', { url: stub.url, routingKey: 'key-1' });
+        const resolve = await send('pagerduty', { url: stub.url, routingKey: 'key-1' }, alert({ state: 'resolved' }));
+
+        expect(trigger.body).toMatchObject({
+            routing_key: 'key-1',
+            event_action: 'trigger',
+            dedup_key: 'cassandra-watch-alert-1',
+            payload: { source: '10.0.0.1', severity: 'critical', group: 'prod', class: 'heap', custom_details: { value: 91.5, threshold: 90 } }
+        });
+        expect(resolve.body).toEqual({ routing_key: 'key-1', event_action: 'resolve', dedup_key: 'cassandra-watch-alert-1' });
+    });
+});
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+const TIMEOUT = parseInt(process.env.NOTIFY_TIMEOUT_MS) || 10000;
+
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function requireUrl(value, field) {
+    try {
+        const url = new URL(value);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            return url.toString();
+        }
+    } catch (error) {
+        // fall through to the validation error
+    }
+    throw createError(`${field} must be an http(s) URL`, 400);
+}
+
+// POST a JSON body. Failures worth retrying (network errors, 429, 5xx) are marked
+// `retryable`; messages name only the host because webhook URLs often embed tokens.
+async function postJson(url, body, headers = {}) {
+    try {
+        const response = await axios.post(url, body, { headers, timeout: TIMEOUT });
+        return { status: response.status };
+    } catch (error) {
+        const status = error.response?.status;
+        const failure = new Error(status
+            ? `${new URL(url).host} answered HTTP ${status}`
+            : `${new URL(url).host}: ${error.message}`);
+        failure.retryable = !status || status === 429 || status >= 500;
+        throw failure;
+    }
+}
+
+// One line describing an alert event, used as subject, summary or fallback text
+function summarize(alert) {
+    const where = alert.node === 'cluster' ? alert.clusterId || 'cluster' : `${alert.clusterId || ''}/${alert.node}`;
+    return `[${alert.state.toUpperCase()}:${alert.severity}] ${alert.ruleName} on ${where}: ${alert.message}`;
+}
+
+module.exports = {
+    createError,
+    requireUrl,
+    postJson,
+    summarize
+};
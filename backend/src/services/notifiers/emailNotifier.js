@@ -0,0 +1,72 @@
+const nodemailer = require('nodemailer');
+const { createError, summarize } = require('./common');
+
+// SMTP email through nodemailer; `to` takes a comma-separated list
+class EmailNotifier {
+    static secretFields = ['password'];
+
+    static normalize(config) {
+        const to = (Array.isArray(config.to) ? config.to : String(config.to || '').split(','))
+            .map(address => address.trim())
+            .filter(Boolean);
+        if (!config.host) {
+            throw createError('host is required', 400);
+        }
+        if (!config.from || to.length === 0) {
+            throw createError('from and to are required', 400);
+        }
+
+        return {
+            host: config.host,
+            port: parseInt(config.port) || 587,
+            secure: !!config.secure,
+            username: config.username || '',
+            password: config.password || '',
+            from: config.from,
+            to
+        };
+    }
+
+    constructor(config) {
+        this.config = config;
+        this.transport = nodemailer.createTransport({
+            host: config.host,
+            port: config.port,
+            secure: config.secure,
+            auth: config.username ? { user: config.username, pass: config.password } : undefined,
+            connectionTimeout: parseInt(process.env.NOTIFY_TIMEOUT_MS) || 10000
+        });
+    }
+
+    async send(alert) {
+        const lines = [
+            alert.message,
+            '',
+            `Rule:     ${alert.ruleName}`,
+            `State:    ${alert.state}`,
+            `Severity: ${alert.severity}`,
+            `Cluster:  ${alert.clusterId || '-'}`,
+            `Node:     ${alert.node}${alert.dc ? ` (${alert.dc})` : ''}`,
+            `Since:    ${alert.firedAt || alert.activeAt}`
+        ];
+        if (alert.resolvedAt) {
+            lines.push(`Resolved: ${alert.resolvedAt}`);
+        }
+
+        try {
+            return await this.transport.sendMail({
+                from: this.config.from,
+                to: this.config.to.join(', '),
+                subject: summarize(alert).slice(0, 200),
+                text: lines.join('\n')
+            });
+        } catch (error) {
+            // 5xx SMTP replies are permanent; connection problems and 4xx replies are not
+            const failure = new Error(error.message);
+            failure.retryable = !error.responseCode || error.responseCode < 500;
+            throw failure;
+        }
+    }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,52 @@
+const { createError, requireUrl, postJson, summarize } = require('./common');
+
+const DEFAULT_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+// Incident payload in the PagerDuty Events API v2 format (also accepted by services
+// that mimic it). Firing alerts trigger and resolved alerts resolve the incident
+// keyed by the alert id, so repeated deliveries never open duplicates.
+class EventsApiNotifier {
+    static secretFields = ['routingKey'];
+
+    static normalize(config) {
+        if (!config.routingKey) {
+            throw createError('routingKey is required', 400);
+        }
+        return {
+            url: requireUrl(config.url || DEFAULT_URL, 'url'),
+            routingKey: config.routingKey
+        };
+    }
+
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(alert) {
+        const body = {
+            routing_key: this.config.routingKey,
+            event_action: alert.state === 'resolved' ? 'resolve' : 'trigger',
+            dedup_key: `cassandra-watch-${alert.id}`
+        };
+        if (alert.state !== 'resolved') {
+            body.payload = {
+                summary: summarize(alert).slice(0, 1024),
+                source: alert.node === 'cluster' ? alert.clusterId || 'cluster' : alert.node,
+                severity: alert.severity,
+                timestamp: alert.firedAt || new Date().toISOString(),
+                component: 'cassandra',
+                group: alert.clusterId || undefined,
+                class: alert.metric,
+                custom_details: {
+                    rule: alert.ruleName,
+                    value: alert.value,
+                    threshold: alert.threshold,
+                    datacenter: alert.dc
+                }
+            };
+        }
+        return postJson(this.config.url, body);
+    }
+}
+
+module.exports = EventsApiNotifier;
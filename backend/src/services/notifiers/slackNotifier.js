@@ -0,0 +1,53 @@
+const { requireUrl, postJson, summarize } = require('./common');
+
+const COLORS = {
+    critical: '#d32f2f',
+    warning: '#ed6c02',
+    info: '#0288d1',
+    resolved: '#2e7d32'
+};
+
+// Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat)
+class SlackNotifier {
+    static secretFields = ['url'];
+
+    static normalize(config) {
+        return {
+            url: requireUrl(config.url, 'url'),
+            channel: config.channel || '',
+            username: config.username || ''
+        };
+    }
+
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(alert) {
+        const fields = [
+            { title: 'Cluster', value: alert.clusterId || '-', short: true },
+            { title: 'Node', value: alert.node, short: true },
+            { title: 'Severity', value: alert.severity, short: true },
+            { title: 'State', value: alert.state, short: true }
+        ];
+        const body = {
+            text: summarize(alert),
+            attachments: [{
+                color: alert.state === 'resolved' ? COLORS.resolved : COLORS[alert.severity],
+                title: alert.ruleName,
+                text: alert.message,
+                fields,
+                ts: Math.floor(Date.now() / 1000)
+            }]
+        };
+        if (this.config.channel) {
+            body.channel = this.config.channel;
+        }
+        if (this.config.username) {
+            body.username = this.config.username;
+        }
+        return postJson(this.config.url, body);
+    }
+}
+
+module.exports = SlackNotifier;
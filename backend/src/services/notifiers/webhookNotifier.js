@@ -0,0 +1,68 @@
+const { createError, requireUrl, postJson } = require('./common');
+
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// Fill {{field}} placeholders in every string of a JSON template. A string that is
+// only a placeholder takes the raw value, so numbers and objects keep their type.
+function render(template, context) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) {
+            return lookup(context, whole[1]) ?? null;
+        }
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = lookup(context, path);
+            return value == null ? '' : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => render(item, context));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, context)]));
+    }
+    return template;
+}
+
+// Generic HTTP webhook. Without a template the body is { state, alert }; with one,
+// placeholders refer to the alert's fields ({{ruleName}}, {{severity}}, {{node}},
+// {{message}}, ...), {{alert}} for the whole alert and {{timestamp}}.
+class WebhookNotifier {
+    static secretFields = ['authorization'];
+
+    static normalize(config) {
+        let template = config.template ?? null;
+        if (typeof template === 'string' && template.trim()) {
+            try {
+                template = JSON.parse(template);
+            } catch (error) {
+                throw createError(`template is not valid JSON: ${error.message}`, 400);
+            }
+        } else if (typeof template === 'string') {
+            template = null;
+        }
+
+        return {
+            url: requireUrl(config.url, 'url'),
+            authorization: config.authorization || '',
+            template
+        };
+    }
+
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(alert) {
+        const context = { ...alert, alert, timestamp: new Date().toISOString() };
+        const body = this.config.template
+            ? render(this.config.template, context)
+            : { state: alert.state, alert };
+        const headers = this.config.authorization ? { Authorization: this.config.authorization } : {};
+        return postJson(this.config.url, body, headers);
+    }
+}
+
+module.exports = WebhookNotifier;
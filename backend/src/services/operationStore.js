@@ -0,0 +1,167 @@
+const fs = require('fs');
+const { dataPath } = require('../config/storage');
+
+// How long after a compaction is due the file is rewritten, so a burst of appends
+// rewrites it once
+const COMPACT_DELAY_MS = 30000;
+// The file is rewritten once it holds more than this many lines per operation kept,
+// and at least COMPACT_MIN_LINES
+const COMPACT_LINES_PER_OPERATION = 2;
+const COMPACT_MIN_LINES = 1000;
+
+function isActive(operation) {
+    return operation.status === 'running' || operation.status === 'pending';
+}
+
+// Persisted operation records, kept per cluster. Every state transition and progress
+// step is appended to a JSONL file; the last line for an id wins when reloading. Only
+// the final record of an operation carries its output tail, which is otherwise kept
+// in memory.
+class OperationStore {
+    constructor() {
+        this.storeFile = process.env.OPERATIONS_FILE || dataPath('operations.jsonl');
+        this.historyLimit = parseInt(process.env.OPERATION_HISTORY_LIMIT) || 1000; // per cluster
+        this.clusters = new Map();
+        this.writeQueue = Promise.resolve();
+        this.compactTimer = null;
+        this.fileLines = 0;
+
+        this.load();
+    }
+
+    // Replay the file once at startup. Operations that were still running when the
+    // backend stopped can never finish, so they are marked interrupted.
+    load() {
+        let content = '';
+        try {
+            content = fs.readFileSync(this.storeFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load operation history:', error.message);
+            }
+            return;
+        }
+
+        content.split('\n').forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                const { clusterId, ...operation } = JSON.parse(line);
+                this.getClusterOperations(clusterId).set(operation.id, operation);
+            } catch (parseError) {
+                // Skip a torn line left by a crash mid-write
+            }
+        });
+
+        const interruptedAt = new Date().toISOString();
+        this.clusters.forEach(operations => {
+            operations.forEach((operation, id) => {
+                if (isActive(operation)) {
+                    operations.set(id, {
+                        ...operation,
+                        status: 'interrupted',
+                        endTime: interruptedAt,
+                        error: 'The backend stopped while this operation was running'
+                    });
+                }
+            });
+        });
+
+        this.prune();
+        this.compact();
+    }
+
+    getClusterOperations(clusterId) {
+        const key = clusterId || '';
+        if (!this.clusters.has(key)) {
+            this.clusters.set(key, new Map());
+        }
+        return this.clusters.get(key);
+    }
+
+    // Drop the oldest finished operations beyond the history limit; returns how many went
+    prune() {
+        let removed = 0;
+        this.clusters.forEach(operations => {
+            if (operations.size <= this.historyLimit) {
+                return;
+            }
+            const finished = Array.from(operations.values())
+                .filter(operation => !isActive(operation))
+                .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+            finished.slice(0, operations.size - this.historyLimit).forEach(operation => {
+                operations.delete(operation.id);
+                removed++;
+            });
+        });
+        return removed;
+    }
+
+    // Rewrite the file with one line per operation
+    compact() {
+        const lines = [];
+        this.clusters.forEach((operations, clusterId) => {
+            operations.forEach(operation => {
+                lines.push(this.record(clusterId, operation));
+            });
+        });
+
+        const tmpFile = `${this.storeFile}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmpFile, lines.length > 0 ? `${lines.join('\n')}\n` : '', { mode: 0o600 });
+            fs.renameSync(tmpFile, this.storeFile);
+            this.fileLines = lines.length;
+        } catch (error) {
+            console.error('Failed to compact operation history:', error.message);
+        }
+    }
+
+    // Compact once the delay has passed, after the appends queued by then
+    scheduleCompact() {
+        if (this.compactTimer) {
+            return;
+        }
+        this.compactTimer = setTimeout(() => {
+            this.compactTimer = null;
+            this.writeQueue = this.writeQueue.then(() => this.compact());
+        }, COMPACT_DELAY_MS);
+        this.compactTimer.unref();
+    }
+
+    // The JSON line for an operation; running and pending ones leave out their output
+    record(clusterId, operation) {
+        const { output, ...fields } = operation;
+        return JSON.stringify({ clusterId: clusterId || null, ...(isActive(operation) ? fields : operation) });
+    }
+
+    operationCount() {
+        let count = 0;
+        this.clusters.forEach(operations => {
+            count += operations.size;
+        });
+        return count;
+    }
+
+    save(clusterId, operation) {
+        const operations = this.getClusterOperations(clusterId);
+        operations.set(operation.id, operation);
+
+        const line = `${this.record(clusterId, operation)}\n`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.storeFile, line, { mode: 0o600 }))
+            .catch(error => {
+                console.error('Failed to persist operation:', error.message);
+            });
+        this.fileLines++;
+
+        // Pruned operations and superseded lines are only gone once the file is rewritten
+        const pruned = operations.size > this.historyLimit && this.prune() > 0;
+        if (pruned || this.fileLines > Math.max(COMPACT_MIN_LINES, this.operationCount() * COMPACT_LINES_PER_OPERATION)) {
+            this.scheduleCompact();
+        }
+        return operation;
+    }
+}
+
+module.exports = new OperationStore();
@@ -0,0 +1,91 @@
+const fs = require('fs');
+
+function freshStore() {
+    let loaded;
+    jest.isolateModules(() => {
+        loaded = require('./operationStore');
+    });
+    return loaded;
+}
+
+const readLines = store => fs.readFileSync(store.storeFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+function operation(id, fields = {}) {
+    return { id, type: 'repair', keyspace: 'shop', status: 'running', startTime: new Date().toISOString(), progress: 0, output: ['line 1', 'line 2'], ...fields };
+}
+
+let store;
+let files = 0;
+
+beforeEach(() => {
+    // A file per test, read by a fresh store
+    process.env.OPERATIONS_FILE = `${process.env.DATA_DIR}/operations-${++files}.jsonl`;
+    store = freshStore();
+});
+
+afterAll(() => {
+    delete process.env.OPERATIONS_FILE;
+});
+
+test('only the final record of an operation carries its output', async () => {
+    store.save('prod', operation('repair_1', { progress: 10 }));
+    store.save('prod', operation('repair_1', { status: 'completed', progress: 100 }));
+    await store.writeQueue;
+
+    const [running, completed] = readLines(store);
+    expect(running).toMatchObject({ clusterId: 'prod', id: 'repair_1', progress: 10 });
+    expect(running).not.toHaveProperty('output');
+    expect(completed).toMatchObject({ status: 'completed', output: ['line 1', 'line 2'] });
+    // Running operations keep their output in memory for the API
+    store.save('prod', operation('repair_2'));
+    expect(store.getClusterOperations('prod').get('repair_2').output).toEqual(['line 1', 'line 2']);
+});
+
+test('a file full of progress lines is compacted', async () => {
+    for (let progress = 0; progress <= 1000; progress++) {
+        store.save('prod', operation('repair_1', { progress: progress / 10 }));
+    }
+    await store.writeQueue;
+    expect(readLines(store)).toHaveLength(1001);
+
+    jest.advanceTimersByTime(30000);
+    await store.writeQueue;
+
+    expect(readLines(store)).toEqual([expect.objectContaining({ id: 'repair_1', progress: 100 })]);
+    expect(store.fileLines).toBe(1);
+});
+
+test('a few updates do not rewrite the file', async () => {
+    store.save('prod', operation('repair_1'));
+    store.save('prod', operation('repair_1', { progress: 50 }));
+
+    jest.advanceTimersByTime(30000);
+    await store.writeQueue;
+
+    expect(readLines(store)).toHaveLength(2);
+});
+
+test('pruning past the history limit compacts the file', async () => {
+    store.historyLimit = 2;
+    ['a', 'b', 'c'].forEach((id, index) => {
+        store.save('prod', operation(id, { status: 'completed', startTime: new Date(Date.UTC(2026, 0, 1 + index)).toISOString() }));
+    });
+
+    jest.advanceTimersByTime(30000);
+    await store.writeQueue;
+
+    expect(readLines(store).map(record => record.id)).toEqual(['b', 'c']);
+});
+
+test('operations left running are interrupted after a restart', async () => {
+    store.save('prod', operation('repair_1', { progress: 40 }));
+    await store.writeQueue;
+
+    const restarted = freshStore();
+
+    expect(restarted.getClusterOperations('prod').get('repair_1')).toMatchObject({
+        status: 'interrupted',
+        progress: 40,
+        error: 'The backend stopped while this operation was running'
+    });
+});
@@ -1,18 +1,123 @@
-const db = require('../config/database');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const crypto = require('crypto');
+const operationStore = require('./operationStore');
+const jobRunner = require('./jobRunner');
+const nodetool = require('./nodetool');
+const { Readable } = require('stream');
+const cassandra = require('cassandra-driver');
+const cql = require('../config/cql');
+const cqlValues = require('../config/cqlValues');
+const cqlExport = require('../config/cqlExport');
+const metricsService = require('./metricsService');
+const jmxService = require('./jmxService');
+const tokenRing = require('./tokenRing');
 
-const execAsync = promisify(exec);
+// How many up nodes to try for a cluster-wide JMX read before giving up
+const JMX_SOURCES = 3;
+// Rows a delete preview lists before saying there are more
+const EDIT_PREVIEW_ROWS = 10;
+// Trace sessions are written in the background; how often and how long to wait for one
+// to finish before returning it as incomplete
+const TRACE_ATTEMPTS = 5;
+const TRACE_RETRY_MS = 300;
+// Rows fetched per page while streaming an export
+const EXPORT_PAGE_SIZE = 1000;
+const MB = 1024 * 1024;
+// Compaction manager task types of the jobs whose work can be stopped on the node.
+// Cleanups and scrubs only run on request, so the ones on a job's keyspace and tables
+// are the job's own. A major compaction looks like any background compaction and JMX
+// only ends all of a node's repair sessions at once, so cancelled compact and repair
+// jobs are detached instead.
+const STOP_TYPES = { cleanup: 'CLEANUP', scrub: 'SCRUB' };
+const LOAD_UNITS = { bytes: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// Paging cursors are the driver's paging state, base64url-encoded so clients treat
+// them as opaque tokens
+function encodeCursor(pageState) {
+    return pageState ? pageState.toString('base64url') : null;
+}
+
+function decodeCursor(cursor) {
+    if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+        throw cql.createError('Invalid cursor', 400);
+    }
+    return Buffer.from(cursor, 'base64url');
+}
+
+// StorageService.LoadMap values are already formatted ("1.21 GiB")
+function parseLoad(load) {
+    const match = String(load || '').match(/^([\d.]+)\s*([A-Za-z]+)?$/);
+    if (!match) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * (LOAD_UNITS[match[2] || 'bytes'] || 1));
+}
 
 class OperationsService {
-    constructor() {
-        this.activeOperations = new Map();
+    constructor(db) {
+        this.db = db;
+        // Persisted per cluster, so history survives backend restarts
+        this.activeOperations = operationStore.getClusterOperations(db.clusterId);
+        // Last GC counters read per node; gcstats reports the collections since then
+        this.gcSamples = new Map();
+        // Nodes whose ownership strays further than this from their datacenter's mean are flagged
+        this.ringImbalance = (parseFloat(process.env.RING_IMBALANCE_PERCENT) || 20) / 100;
+    }
+
+    // Queue a long-running nodetool command; the caller gets the operation id right away
+    // and follows progress over the WebSocket or /status/:operationId. Ids end in a
+    // random UUID, as jobs started in the same millisecond must not collide.
+    startJob(type, keyspace, args, target = null, tables = []) {
+        const abort = STOP_TYPES[type] && keyspace && keyspace !== 'all'
+            ? () => this.abortJob(type, keyspace, tables, target)
+            : null;
+        const operation = jobRunner.enqueue(this.db.clusterId, {
+            id: `${type}_${keyspace}_${crypto.randomUUID()}`,
+            type,
+            keyspace,
+            node: target?.address || null
+        }, nodetool.buildArgs(type, args, target || {}), abort);
+
+        return {
+            success: true,
+            operationId: operation.id,
+            status: operation.status,
+            command: operation.command
+        };
+    }
+
+    // Stop a cleanup or scrub job's tasks on its node: those of its type on its keyspace
+    // and tables. Finding none means the work cannot be told to stop (nodetool may be
+    // between tables), so the job is detached.
+    async abortJob(type, keyspace, tables, target) {
+        const stopped = await jmxService.stopCompactions(target?.host || '127.0.0.1', target?.port || 7199, task =>
+            task.taskType === STOP_TYPES[type] &&
+            task.keyspace === keyspace &&
+            (tables.length === 0 || tables.includes(task.table)));
+        if (stopped === 0) {
+            throw new Error(`no ${type} task for ${keyspace} is running on the node`);
+        }
+    }
+
+    async cancelOperation(operationId) {
+        const operation = this.activeOperations.get(operationId);
+        if (!operation) {
+            const error = new Error('Operation not found');
+            error.status = 404;
+            throw error;
+        }
+        if (!jobRunner.isActive(operationId)) {
+            const error = new Error(`Operation is already ${operation.status}`);
+            error.status = 409;
+            throw error;
+        }
+
+        return { id: operationId, ...(await jobRunner.cancel(operationId)) };
     }
 
-    async executeNodetoolCommand(command) {
+    async executeNodetoolCommand(command, args = [], target = null) {
         try {
-            // Execute nodetool command (assumes nodetool is in PATH)
-            const { stdout, stderr } = await execAsync(`nodetool ${command}`);
+            // Execute nodetool command (assumes nodetool is in PATH or NODETOOL_PATH)
+            const { output, stderr, command: commandLine } = await nodetool.run(command, args, target || {});
             
             if (stderr) {
                 console.warn('Nodetool warning:', stderr);
@@ -20,162 +125,204 @@ class OperationsService {
             
             return {
                 success: true,
-                output: stdout.trim(),
+                command: commandLine,
+                output,
                 error: null
             };
         } catch (error) {
             console.error('Nodetool error:', error.message);
             return {
                 success: false,
+                command: error.command || `nodetool ${command}`,
                 output: null,
-                error: error.message
+                error: error.message,
+                errorType: error.code
             };
         }
     }
 
-    async getClusterStatus() {
-        try {
-            const client = db.getClient();
-            
-            // Get cluster status from system tables
-            const localResult = await client.execute('SELECT * FROM system.local');
-            const peersResult = await client.execute('SELECT * FROM system.peers');
-            
-            const local = localResult.rows[0];
-            const peers = peersResult.rows;
-            
-            // Build nodetool status-like output
-            let output = `Datacenter: ${local.data_center || 'Unknown'}\n`;
-            output += `==================\n`;
-            
-            // Local node
-            const localStatus = 'UN'; // Assume Up and Normal
-            const localAddress = local.broadcast_address?.toString() || local.listen_address?.toString();
-            const localLoad = '0 KiB'; // Not available in system tables
-            const localTokens = local.tokens ? local.tokens.length : 0;
-            const localOwns = '100.0%'; // Local node owns all tokens
-            const localHostId = local.host_id?.toString() || 'unknown';
-            const localRack = local.rack || 'unknown';
-            
-            output += `${localStatus}  ${localAddress}  ${localLoad}  ${localTokens}  ${localOwns}  ${localHostId}  ${localRack}\n`;
-            
-            // Peer nodes
-            for (const peer of peers) {
-                const peerStatus = 'UN'; // Assume Up and Normal
-                const peerAddress = peer.peer?.toString();
-                const peerLoad = '0 KiB'; // Not available in system tables
-                const peerTokens = peer.tokens ? peer.tokens.length : 0;
-                const peerOwns = '0.0%'; // Peer nodes don't own tokens
-                const peerHostId = peer.host_id?.toString() || 'unknown';
-                const peerRack = peer.rack || 'unknown';
-                
-                output += `${peerStatus}  ${peerAddress}  ${peerLoad}  ${peerTokens}  ${peerOwns}  ${peerHostId}  ${peerRack}\n`;
+    // Resolve a node given by address or host id against the discovered nodes and
+    // return the JMX endpoint nodetool should use. No node means the nodetool
+    // default (the Cassandra instance local to the backend host).
+    async resolveNode(node) {
+        if (!node) {
+            return null;
+        }
+
+        const nodes = await metricsService.forCluster(this.db).getNodesInfo();
+        const match = nodes.find(candidate => candidate.address === node || candidate.hostId === node);
+        if (!match) {
+            throw cql.createError(`Unknown node: ${node}`, 404);
+        }
+
+        return {
+            host: match.address,
+            port: parseInt(this.db.connectionConfig?.jmxPort) || 7199,
+            address: match.address,
+            hostId: match.hostId
+        };
+    }
+
+    // Check a keyspace and optional tables against the live schema before they are
+    // handed to nodetool, and return them as arguments. 'all' targets every keyspace.
+    async resolveTargets(keyspace, tables = []) {
+        if (tables !== undefined && tables !== null && (!Array.isArray(tables) || tables.some(table => typeof table !== 'string'))) {
+            throw cql.createError('tables must be an array of table names', 400);
+        }
+        tables = tables || [];
+
+        if (!keyspace || keyspace === 'all') {
+            if (tables.length > 0) {
+                throw cql.createError('Tables can only be given together with a keyspace', 400);
             }
-            
-            return {
-                success: true,
-                output: output,
-                nodes: [
-                    {
-                        status: 'U',
-                        state: 'N',
-                        address: localAddress,
-                        load: localLoad,
-                        tokens: localTokens,
-                        owns: localOwns,
-                        hostId: localHostId,
-                        rack: localRack,
-                        datacenter: local.data_center || 'Unknown'
-                    },
-                    ...peers.map(peer => ({
-                        status: 'U',
-                        state: 'N',
-                        address: peer.peer?.toString(),
-                        load: '0 KiB',
-                        tokens: peer.tokens ? peer.tokens.length : 0,
-                        owns: '0.0%',
-                        hostId: peer.host_id?.toString() || 'unknown',
-                        rack: peer.rack || 'Unknown',
-                        datacenter: peer.data_center || 'Unknown'
-                    }))
-                ],
-                totalNodes: 1 + peers.length,
-                upNodes: 1 + peers.length,
-                downNodes: 0
-            };
+            return [];
+        }
+
+        const client = this.db.getClient();
+        if (tables.length > 0) {
+            await cql.assertTables(client, keyspace, tables);
+        } else {
+            await cql.assertKeyspace(client, keyspace);
+        }
+
+        return [keyspace, ...tables];
+    }
+
+    // Run a JMX read against the given node (address or host id) or, without one,
+    // against the first up node whose JMX answers. Resolves to { node, result }.
+    async readFromNode(node, read, nodesInfo = null) {
+        nodesInfo = nodesInfo || await metricsService.forCluster(this.db).getNodesInfo();
+        const port = parseInt(this.db.connectionConfig?.jmxPort) || 7199;
+
+        let candidates;
+        if (node) {
+            const match = nodesInfo.find(candidate => candidate.address === node || candidate.hostId === node);
+            if (!match) {
+                throw cql.createError(`Unknown node: ${node}`, 404);
+            }
+            candidates = [match];
+        } else {
+            candidates = nodesInfo.filter(candidate => candidate.isUp).slice(0, JMX_SOURCES);
+        }
+
+        let lastError = cql.createError('No node is up', 503);
+        for (const candidate of candidates) {
+            try {
+                return { node: candidate, result: await read(candidate.address, port) };
+            } catch (error) {
+                console.warn(`JMX read from ${candidate.address} failed:`, error.message);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    // Gossip state from the first up node whose JMX answers, or null when none does
+    async getGossipState(nodesInfo) {
+        try {
+            const { result } = await this.readFromNode(null, (host, port) => jmxService.getGossipState(host, port), nodesInfo);
+            return result;
         } catch (error) {
-            console.error('Error getting cluster status from system tables:', error);
-            return {
-                success: false,
-                output: null,
-                error: error.message
-            };
+            return null;
+        }
+    }
+
+    // The replication used for effective ownership: the keyspace's, or, as nodetool
+    // does, the one shared by every non-system keyspace. Null means plain token ownership.
+    async statusReplication(client, keyspace) {
+        if (keyspace) {
+            await cql.assertKeyspace(client, keyspace);
+            const result = await client.execute(
+                'SELECT replication FROM system_schema.keyspaces WHERE keyspace_name = ?',
+                [keyspace],
+                { prepare: true }
+            );
+            return { keyspace, replication: result.rows[0].replication, note: null };
         }
+
+        const result = await client.execute('SELECT keyspace_name, replication FROM system_schema.keyspaces');
+        const userKeyspaces = result.rows.filter(row => !row.keyspace_name.startsWith('system'));
+        const settings = new Set(userKeyspaces.map(row => JSON.stringify(Object.entries(row.replication).sort())));
+        if (settings.size === 1) {
+            return { keyspace: null, replication: userKeyspaces[0].replication, note: null };
+        }
+        return {
+            keyspace: null,
+            replication: null,
+            note: settings.size > 1
+                ? 'Non-system keyspaces don\'t have the same replication settings, effective ownership information is meaningless'
+                : null
+        };
     }
 
-    async getClusterInfo() {
+    // The partitioner and every node's tokens (address -> token strings)
+    async readTokens(client) {
+        const localResult = await client.execute('SELECT broadcast_address, listen_address, partitioner, tokens FROM system.local');
+        const peersResult = await client.execute('SELECT peer, tokens FROM system.peers');
+        const local = localResult.rows[0];
+        const localAddress = local.broadcast_address?.toString() || local.listen_address?.toString();
+        return {
+            partitioner: local.partitioner,
+            tokens: new Map([
+                [localAddress, local.tokens || []],
+                ...peersResult.rows.map(peer => [peer.peer?.toString(), peer.tokens || []])
+            ])
+        };
+    }
+
+    // nodetool status without nodetool. Liveness is the driver's host state (which
+    // follows gossip) overridden by the failure detector when a node's JMX answers;
+    // load comes from StorageService.LoadMap; ownership is worked out from the tokens
+    // in system.local/system.peers and the replication settings.
+    async getClusterStatus(keyspace = null) {
         try {
-            const client = db.getClient();
-            
-            // Get cluster info from system tables
-            const localResult = await client.execute('SELECT * FROM system.local');
-            const local = localResult.rows[0];
-            
-            // Build nodetool info-like output
-            let output = '';
-            output += `Token: ${local.tokens ? local.tokens.length : 0}\n`;
-            output += `Gossip active: true\n`;
-            output += `Thrift active: false\n`;
-            output += `Native Transport active: true\n`;
-            output += `Load: 0 KiB\n`;
-            output += `Generation No: 1\n`;
-            output += `Uptime (seconds): ${Math.floor(process.uptime())}\n`;
-            output += `Heap Memory (MB): 0\n`;
-            output += `Off Heap Memory (MB): 0\n`;
-            output += `Data Center: ${local.data_center || 'Unknown'}\n`;
-            output += `Rack: ${local.rack || 'Unknown'}\n`;
-            output += `Exceptions: 0\n`;
-            output += `Key Cache: entries=0, size=0 bytes, capacity=0 bytes, 0 hits, 0 requests, recent hit rate=0.0\n`;
-            output += `Row Cache: entries=0, size=0 bytes, capacity=0 bytes, 0 hits, 0 requests, recent hit rate=0.0\n`;
-            output += `Counter Cache: entries=0, size=0 bytes, capacity=0 bytes, 0 hits, 0 requests, recent hit rate=0.0\n`;
-            output += `Chunk Cache: entries=0, size=0 bytes, capacity=0 bytes, 0 misses, 0 requests, recent hit rate=0.0\n`;
-            output += `Percent Repaired: 0.0\n`;
-            output += `Bytes Repaired: 0\n`;
-            output += `Unrepaired Bytes: 0\n`;
-            output += `Wasted Bytes: 0\n`;
-            output += `Total Disk Space Used: 0\n`;
-            output += `Total Load: 0\n`;
-            
+            const client = this.db.getClient();
+            const nodesInfo = await metricsService.forCluster(this.db).getNodesInfo();
+            const { keyspace: ownershipKeyspace, replication, note } = await this.statusReplication(client, keyspace);
+
+            const { partitioner, tokens } = await this.readTokens(client);
+
+            const gossip = await this.getGossipState(nodesInfo);
+            const ringNodes = nodesInfo.map(node => ({ ...node, tokens: tokens.get(node.address) || [] }));
+            const owned = tokenRing.ownership(ringNodes, partitioner, replication);
+
+            const nodes = nodesInfo.map(node => {
+                const load = gossip?.load[node.address] || null;
+                const ownership = owned ? owned.get(node.address) : null;
+                return {
+                    status: this.isNodeUp(node, gossip) ? 'U' : 'D',
+                    state: this.ringState(node.address, gossip),
+                    address: node.address,
+                    load: load || '?',
+                    loadBytes: parseLoad(load),
+                    tokens: (tokens.get(node.address) || []).length,
+                    owns: ownership === null ? '?' : `${(ownership * 100).toFixed(1)}%`,
+                    ownership,
+                    hostId: node.hostId,
+                    rack: node.rack,
+                    datacenter: node.datacenter
+                };
+            }).sort((a, b) => a.datacenter.localeCompare(b.datacenter) || a.address.localeCompare(b.address, undefined, { numeric: true }));
+
+            const upNodes = nodes.filter(node => node.status === 'U').length;
             return {
                 success: true,
-                output: output,
-                info: {
-                    'Token': local.tokens ? local.tokens.length : 0,
-                    'Gossip active': 'true',
-                    'Thrift active': 'false',
-                    'Native Transport active': 'true',
-                    'Load': '0 KiB',
-                    'Generation No': '1',
-                    'Uptime (seconds)': Math.floor(process.uptime()),
-                    'Heap Memory (MB)': '0',
-                    'Off Heap Memory (MB)': '0',
-                    'Data Center': local.data_center || 'Unknown',
-                    'Rack': local.rack || 'Unknown',
-                    'Exceptions': '0',
-                    'Key Cache': 'entries=0, size=0 bytes, capacity=0 bytes, 0 hits, 0 requests, recent hit rate=0.0',
-                    'Row Cache': 'entries=0, size=0 bytes, capacity=0 bytes, 0 hits, 0 requests, recent hit rate=0.0',
-                    'Counter Cache': 'entries=0, size=0 bytes, capacity=0 bytes, 0 hits, 0 requests, recent hit rate=0.0',
-                    'Chunk Cache': 'entries=0, size=0 bytes, capacity=0 bytes, 0 misses, 0 requests, recent hit rate=0.0',
-                    'Percent Repaired': '0.0',
-                    'Bytes Repaired': '0',
-                    'Unrepaired Bytes': '0',
-                    'Wasted Bytes': '0',
-                    'Total Disk Space Used': '0',
-                    'Total Load': '0'
-                }
+                output: this.formatStatus(nodes, !!replication, note),
+                keyspace: ownershipKeyspace,
+                effectiveOwnership: !!replication,
+                note,
+                partitioner,
+                gossipSource: gossip?.source || null,
+                nodes,
+                totalNodes: nodes.length,
+                upNodes,
+                downNodes: nodes.length - upNodes
             };
         } catch (error) {
-            console.error('Error getting cluster info from system tables:', error);
+            if (error.status) {
+                throw error;
+            }
+            console.error('Error getting cluster status:', error);
             return {
                 success: false,
                 output: null,
@@ -184,211 +331,345 @@ class OperationsService {
         }
     }
 
-    async repairKeyspace(keyspace, options = {}) {
-        const operationId = `repair_${keyspace}_${Date.now()}`;
-        
+    // The full token ring: every range with its owner and, under the keyspace's (or the
+    // shared) replication, its replicas. Nodes carry their ownership and how far it is
+    // from the mean of their datacenter.
+    async getTokenRing(keyspace = null) {
         try {
-            let command = `repair`;
-            
-            if (keyspace && keyspace !== 'all') {
-                command += ` ${keyspace}`;
-            }
-            
-            if (options.full) {
-                command += ' -full';
-            }
-            
-            if (options.primaryRange) {
-                command += ' -pr';
+            const client = this.db.getClient();
+            const nodesInfo = await metricsService.forCluster(this.db).getNodesInfo();
+            const { keyspace: ringKeyspace, replication, note } = await this.statusReplication(client, keyspace);
+            const { partitioner, tokens } = await this.readTokens(client);
+
+            const ringNodes = nodesInfo.map(node => ({ ...node, tokens: tokens.get(node.address) || [] }));
+            const primary = tokenRing.ownership(ringNodes, partitioner);
+            const effective = replication ? tokenRing.ownership(ringNodes, partitioner, replication) : null;
+            const balance = effective || primary;
+
+            const means = new Map();
+            if (balance) {
+                [...new Set(ringNodes.map(node => node.datacenter))].forEach(dc => {
+                    const members = ringNodes.filter(node => node.datacenter === dc);
+                    means.set(dc, members.reduce((sum, node) => sum + balance.get(node.address), 0) / members.length);
+                });
             }
-            
-            this.activeOperations.set(operationId, {
-                type: 'repair',
-                keyspace,
-                startTime: new Date(),
-                status: 'running'
-            });
 
-            const result = await this.executeNodetoolCommand(command);
-            
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: result.success ? 'completed' : 'failed',
-                endTime: new Date(),
-                result
-            });
+            const nodes = ringNodes.map(node => {
+                const mean = means.get(node.datacenter);
+                const deviation = balance && mean > 0 ? balance.get(node.address) / mean - 1 : null;
+                return {
+                    address: node.address,
+                    hostId: node.hostId,
+                    datacenter: node.datacenter,
+                    rack: node.rack,
+                    isUp: node.isUp,
+                    tokens: node.tokens.length,
+                    ownership: primary ? primary.get(node.address) : null,
+                    effectiveOwnership: effective ? effective.get(node.address) : null,
+                    deviation,
+                    imbalanced: deviation !== null && Math.abs(deviation) > this.ringImbalance
+                };
+            }).sort((a, b) => a.datacenter.localeCompare(b.datacenter) || a.rack.localeCompare(b.rack) || a.address.localeCompare(b.address, undefined, { numeric: true }));
 
             return {
-                operationId,
-                ...result
+                success: true,
+                partitioner,
+                keyspace: ringKeyspace,
+                replication,
+                note,
+                imbalanceThreshold: this.ringImbalance,
+                nodes,
+                ranges: tokenRing.ranges(ringNodes, partitioner, replication).map(range => ({
+                    ...range,
+                    owner: range.owner.address,
+                    replicas: range.replicas.map(node => node.address)
+                }))
             };
         } catch (error) {
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: 'failed',
-                endTime: new Date(),
+            if (error.status) {
+                throw error;
+            }
+            console.error('Error getting token ring:', error);
+            return {
+                success: false,
                 error: error.message
-            });
-            
-            throw error;
+            };
         }
     }
 
-    async compactKeyspace(keyspace) {
-        const operationId = `compact_${keyspace}_${Date.now()}`;
-        
+    // nodetool getendpoints: the replicas of the partition a key belongs to, grouped by
+    // datacenter and rack, with their current health. key maps every partition key
+    // column to its value as text (JSON for collections).
+    async getEndpoints(keyspace, table, key = {}) {
         try {
-            let command = 'compact';
-            if (keyspace && keyspace !== 'all') {
-                command += ` ${keyspace}`;
-            }
+            const client = this.db.getClient();
+            await cql.assertKeyspace(client, keyspace);
+            const userTypes = await cqlValues.readUserTypes(client, keyspace);
+            const columns = await this.readPartitionKey(client, keyspace, table, key, userTypes);
 
-            this.activeOperations.set(operationId, {
-                type: 'compact',
-                keyspace,
-                startTime: new Date(),
-                status: 'running'
+            const encoder = new cassandra.Encoder(cassandra.types.protocolVersion.v4, client.options);
+            const components = columns.map(column => {
+                try {
+                    return encoder.encode(column.value, cqlValues.typeInfo(column.type, userTypes));
+                } catch (error) {
+                    throw cql.createError(`Invalid ${column.type} for ${column.name}: ${error.message}`, 400);
+                }
             });
+            const token = client.metadata.newToken(tokenRing.partitionKey(components)).toString().toLowerCase();
 
-            const result = await this.executeNodetoolCommand(command);
-            
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: result.success ? 'completed' : 'failed',
-                endTime: new Date(),
-                result
-            });
+            const nodesInfo = await metricsService.forCluster(this.db).getNodesInfo();
+            const { replication } = await this.statusReplication(client, keyspace);
+            const { partitioner, tokens } = await this.readTokens(client);
+            const ringNodes = nodesInfo.map(node => ({ ...node, tokens: tokens.get(node.address) || [] }));
+            const gossip = await this.getGossipState(nodesInfo);
+
+            const replicas = tokenRing.replicasForToken(ringNodes, partitioner, replication, token)
+                .map(node => ({
+                    address: node.address,
+                    hostId: node.hostId,
+                    datacenter: node.datacenter,
+                    rack: node.rack,
+                    status: this.isNodeUp(node, gossip) ? 'U' : 'D',
+                    state: this.ringState(node.address, gossip)
+                }))
+                .sort((a, b) => a.datacenter.localeCompare(b.datacenter) || a.rack.localeCompare(b.rack));
 
             return {
-                operationId,
-                ...result
+                success: true,
+                keyspace,
+                table,
+                partitionKey: columns.map(column => ({
+                    name: column.name,
+                    type: column.type,
+                    value: key[column.name]
+                })),
+                partitioner,
+                token,
+                replication,
+                gossipSource: gossip?.source || null,
+                replicas
             };
         } catch (error) {
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: 'failed',
-                endTime: new Date(),
+            if (error.status) {
+                throw error;
+            }
+            console.error('Error getting endpoints:', error);
+            return {
+                success: false,
                 error: error.message
-            });
-            
-            throw error;
+            };
         }
     }
 
-    async flushKeyspace(keyspace) {
-        try {
-            let command = 'flush';
-            if (keyspace && keyspace !== 'all') {
-                command += ` ${keyspace}`;
+    isNodeUp(node, gossip) {
+        if (gossip) {
+            const state = gossip.states[node.address];
+            if (state) {
+                return state === 'UP';
+            }
+            if (gossip.unreachable.includes(node.address)) {
+                return false;
+            }
+            if (gossip.live.includes(node.address)) {
+                return true;
             }
-
-            return await this.executeNodetoolCommand(command);
-        } catch (error) {
-            throw error;
         }
+        return node.isUp;
     }
 
-    async cleanup(keyspace) {
-        const operationId = `cleanup_${keyspace}_${Date.now()}`;
-        
-        try {
-            let command = 'cleanup';
-            if (keyspace && keyspace !== 'all') {
-                command += ` ${keyspace}`;
-            }
+    ringState(address, gossip) {
+        if (gossip?.joining.includes(address)) {
+            return 'J';
+        }
+        if (gossip?.leaving.includes(address)) {
+            return 'L';
+        }
+        if (gossip?.moving.includes(address)) {
+            return 'M';
+        }
+        return 'N';
+    }
 
-            this.activeOperations.set(operationId, {
-                type: 'cleanup',
-                keyspace,
-                startTime: new Date(),
-                status: 'running'
-            });
+    formatStatus(nodes, effective, note) {
+        const header = ['--', 'Address', 'Load', 'Tokens', effective ? 'Owns (effective)' : 'Owns', 'Host ID', 'Rack'];
+        const rows = nodes.map(node => [`${node.status}${node.state}`, node.address, node.load, String(node.tokens), node.owns, node.hostId, node.rack]);
+        const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+        const line = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
 
-            const result = await this.executeNodetoolCommand(command);
-            
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: result.success ? 'completed' : 'failed',
-                endTime: new Date(),
-                result
+        let output = '';
+        [...new Set(nodes.map(node => node.datacenter))].forEach(dc => {
+            const title = `Datacenter: ${dc}`;
+            output += `${title}\n${'='.repeat(title.length)}\n`;
+            output += 'Status=Up/Down\n|/ State=Normal/Leaving/Joining/Moving\n';
+            output += `${line(header)}\n`;
+            rows.filter((row, index) => nodes[index].datacenter === dc).forEach(row => {
+                output += `${line(row)}\n`;
             });
+            output += '\n';
+        });
+        if (note) {
+            output += `Note: ${note}\n`;
+        }
+        return output;
+    }
 
+    // nodetool info for one node (the first up node whose JMX answers by default)
+    async getClusterInfo(node = null) {
+        try {
+            const { node: target, result: metrics } = await this.readFromNode(node, (host, port) => jmxService.getNodeInfo(host, port));
+            const info = this.formatInfo(target, metrics);
             return {
-                operationId,
-                ...result
+                success: true,
+                node: target.address,
+                output: Object.entries(info).map(([key, value]) => `${key.padEnd(23)}: ${value}\n`).join(''),
+                info,
+                metrics
             };
         } catch (error) {
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: 'failed',
-                endTime: new Date(),
+            if (error.status) {
+                throw error;
+            }
+            console.error('Error getting node info over JMX:', error);
+            return {
+                success: false,
+                output: null,
                 error: error.message
-            });
-            
-            throw error;
+            };
         }
     }
 
-    async drainNode() {
-        return await this.executeNodetoolCommand('drain');
+    formatInfo(node, metrics) {
+        const megabytes = value => (value === null ? '?' : (value / MB).toFixed(2));
+        const size = value => (value === null ? '?' : jmxService.formatBytes(value));
+        const cache = (stats, chunk = false) => {
+            if (!stats) {
+                return null;
+            }
+            const hitRate = stats.hitRate === null || Number.isNaN(stats.hitRate) ? 'NaN' : stats.hitRate.toFixed(3);
+            return [
+                `entries ${stats.entries ?? '?'}`,
+                `size ${size(stats.size)}`,
+                `capacity ${size(stats.capacity)}`,
+                chunk ? `${stats.misses ?? '?'} misses` : `${stats.hits ?? '?'} hits`,
+                `${stats.requests} requests`,
+                `${hitRate} recent hit rate`
+            ].join(', ');
+        };
+
+        const { repaired, unrepaired, pending } = metrics.repair;
+        const repairTotal = (repaired || 0) + (unrepaired || 0) + (pending || 0);
+        const info = {
+            'ID': metrics.hostId || node.hostId,
+            'Gossip active': String(metrics.gossipActive ?? '?'),
+            'Native Transport active': String(metrics.nativeTransportActive ?? '?'),
+            'Load': metrics.load || size(metrics.loadBytes),
+            'Generation No': String(metrics.generation ?? '?'),
+            'Uptime (seconds)': metrics.uptime === null ? '?' : String(Math.floor(metrics.uptime / 1000)),
+            'Heap Memory (MB)': metrics.heap ? `${megabytes(metrics.heap.used)} / ${megabytes(metrics.heap.max)}` : '?',
+            'Off Heap Memory (MB)': megabytes(metrics.offHeap),
+            'Data Center': node.datacenter,
+            'Rack': node.rack,
+            'Exceptions': String(metrics.exceptions ?? '?'),
+            'Key Cache': cache(metrics.caches.key),
+            'Row Cache': cache(metrics.caches.row),
+            'Counter Cache': cache(metrics.caches.counter),
+            // Only present when the chunk cache is enabled
+            'Chunk Cache': cache(metrics.caches.chunk, true),
+            'Percent Repaired': repaired === null ? '?' : `${repairTotal > 0 ? ((repaired / repairTotal) * 100).toFixed(1) : '100.0'}%`,
+            'Bytes Repaired': String(repaired ?? '?'),
+            'Unrepaired Bytes': String(unrepaired ?? '?'),
+            'Pending Repair Bytes': String(pending ?? '?'),
+            'Token': String(metrics.tokens ?? '?')
+        };
+        Object.keys(info).forEach(key => {
+            if (info[key] === null) {
+                delete info[key];
+            }
+        });
+        return info;
     }
 
-    async scrubKeyspace(keyspace) {
-        const operationId = `scrub_${keyspace}_${Date.now()}`;
+    async repairKeyspace(keyspace, options = {}) {
+        const targets = await this.resolveTargets(keyspace, options.tables);
+        const target = await this.resolveNode(options.node);
+        const args = [];
         
-        try {
-            let command = 'scrub';
-            if (keyspace && keyspace !== 'all') {
-                command += ` ${keyspace}`;
-            }
+        if (options.full) {
+            args.push('-full');
+        }
+        
+        if (options.primaryRange) {
+            args.push('-pr');
+        }
+        
+        return this.startJob('repair', keyspace, [...args, ...targets], target);
+    }
 
-            this.activeOperations.set(operationId, {
-                type: 'scrub',
-                keyspace,
-                startTime: new Date(),
-                status: 'running'
-            });
+    async compactKeyspace(keyspace, tables, node) {
+        const targets = await this.resolveTargets(keyspace, tables);
+        const target = await this.resolveNode(node);
+        return this.startJob('compact', keyspace, targets, target);
+    }
 
-            const result = await this.executeNodetoolCommand(command);
-            
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: result.success ? 'completed' : 'failed',
-                endTime: new Date(),
-                result
-            });
+    async flushKeyspace(keyspace, tables, node) {
+        const targets = await this.resolveTargets(keyspace, tables);
+        const target = await this.resolveNode(node);
+        return await this.executeNodetoolCommand('flush', targets, target);
+    }
 
-            return {
-                operationId,
-                ...result
-            };
-        } catch (error) {
-            this.activeOperations.set(operationId, {
-                ...this.activeOperations.get(operationId),
-                status: 'failed',
-                endTime: new Date(),
-                error: error.message
-            });
-            
-            throw error;
+    async cleanup(keyspace, tables, node) {
+        const targets = await this.resolveTargets(keyspace, tables);
+        const target = await this.resolveNode(node);
+        return this.startJob('cleanup', keyspace, targets, target, tables || []);
+    }
+
+    async drainNode(node) {
+        const target = await this.resolveNode(node);
+        return await this.executeNodetoolCommand('drain', [], target);
+    }
+
+    async scrubKeyspace(keyspace, tables, node) {
+        const targets = await this.resolveTargets(keyspace, tables);
+        const target = await this.resolveNode(node);
+        return this.startJob('scrub', keyspace, targets, target, tables || []);
+    }
+
+    // Replication maps cannot be bound, so the strategy is whitelisted, factors must be
+    // integers and datacenter names are escaped as string literals
+    buildReplication(replicationStrategy) {
+        const toFactor = (value) => {
+            const factor = Number(value);
+            if (!Number.isInteger(factor) || factor < 1) {
+                throw cql.createError(`Invalid replication factor: ${JSON.stringify(value)}`, 400);
+            }
+            return factor;
+        };
+
+        if (replicationStrategy?.class === 'SimpleStrategy') {
+            return `{'class': 'SimpleStrategy', 'replication_factor': ${toFactor(replicationStrategy.replication_factor)}}`;
+        }
+        if (replicationStrategy?.class === 'NetworkTopologyStrategy') {
+            const datacenters = Object.entries(replicationStrategy.datacenters || {});
+            if (datacenters.length === 0) {
+                throw cql.createError('NetworkTopologyStrategy needs at least one datacenter', 400);
+            }
+            const dcConfig = datacenters
+                .map(([dc, rf]) => `${cql.quoteLiteral(dc)}: ${toFactor(rf)}`)
+                .join(', ');
+            return `{'class': 'NetworkTopologyStrategy', ${dcConfig}}`;
         }
+        throw cql.createError('Replication class must be SimpleStrategy or NetworkTopologyStrategy', 400);
     }
 
     async createKeyspace(keyspaceName, replicationStrategy) {
-        try {
-            const client = db.getClient();
-            
-            let replicationConfig = '';
-            if (replicationStrategy.class === 'SimpleStrategy') {
-                replicationConfig = `{'class': 'SimpleStrategy', 'replication_factor': ${replicationStrategy.replication_factor}}`;
-            } else if (replicationStrategy.class === 'NetworkTopologyStrategy') {
-                const dcConfig = Object.entries(replicationStrategy.datacenters)
-                    .map(([dc, rf]) => `'${dc}': ${rf}`)
-                    .join(', ');
-                replicationConfig = `{'class': 'NetworkTopologyStrategy', ${dcConfig}}`;
-            }
+        if (!cql.isValidIdentifier(keyspaceName)) {
+            throw cql.createError('Keyspace names must be 1-48 letters, digits or underscores', 400);
+        }
+        const replicationConfig = this.buildReplication(replicationStrategy);
 
-            const query = `CREATE KEYSPACE ${keyspaceName} WITH REPLICATION = ${replicationConfig}`;
+        try {
+            const client = this.db.getClient();
+            const query = `CREATE KEYSPACE ${cql.quoteIdentifier(keyspaceName)} WITH REPLICATION = ${replicationConfig}`;
             
             await client.execute(query);
             
@@ -406,9 +687,11 @@ class OperationsService {
     }
 
     async dropKeyspace(keyspaceName) {
+        const client = this.db.getClient();
+        await cql.assertKeyspace(client, keyspaceName);
+
         try {
-            const client = db.getClient();
-            const query = `DROP KEYSPACE IF EXISTS ${keyspaceName}`;
+            const query = `DROP KEYSPACE IF EXISTS ${cql.quoteIdentifier(keyspaceName)}`;
             
             await client.execute(query);
             
@@ -425,10 +708,182 @@ class OperationsService {
         }
     }
 
-    async executeQuery(query, consistency = 'ONE') {
+    // The table's partition key columns in order, with the values key gives them parsed
+    // from text; every column must have a value
+    async readPartitionKey(client, keyspace, table, key = {}, userTypes = null) {
+        await cql.assertTables(client, keyspace, [table]);
+        userTypes = userTypes || await cqlValues.readUserTypes(client, keyspace);
+
+        const columnsResult = await client.execute(
+            'SELECT column_name, kind, position, type FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+            [keyspace, table],
+            { prepare: true }
+        );
+        const columns = columnsResult.rows
+            .filter(row => row.kind === 'partition_key')
+            .sort((a, b) => a.position - b.position);
+        const missing = columns.filter(column => key[column.column_name] === undefined || key[column.column_name] === '');
+        if (missing.length > 0) {
+            throw cql.createError(`Missing partition key column(s): ${missing.map(column => column.column_name).join(', ')}`, 400);
+        }
+
+        return columns.map(column => ({
+            name: column.column_name,
+            type: column.type,
+            value: cqlValues.parseValue(column.type, key[column.column_name], column.column_name, userTypes)
+        }));
+    }
+
+    // Row editor: a prepared INSERT, UPDATE or DELETE keyed on the table's primary key.
+    // key and values map columns to values as text (JSON for collections and UDTs, null
+    // to clear a column). insert needs the whole primary key; update too, unless it only
+    // sets static columns; delete takes the partition key and a prefix of the clustering
+    // columns, removing a row, a slice or the whole partition. With dryRun nothing is
+    // written: the result shows the statement and what it would change.
+    async editRow(keyspace, table, { action, key, values, consistency = 'LOCAL_QUORUM', dryRun = false } = {}) {
+        if (!['insert', 'update', 'delete'].includes(action)) {
+            throw cql.createError('action must be insert, update or delete', 400);
+        }
+        const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isMap(key) || (action !== 'delete' && !isMap(values))) {
+            throw cql.createError(action === 'delete' ? 'key must be an object' : 'key and values must be objects', 400);
+        }
+        const level = cql.consistencyLevel(consistency);
+
+        const client = this.db.getClient();
+        const tableName = await cql.qualifiedTable(client, keyspace, table);
+        const userTypes = await cqlValues.readUserTypes(client, keyspace);
+        const columnsResult = await client.execute(
+            'SELECT column_name, kind, position, type FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+            [keyspace, table],
+            { prepare: true }
+        );
+        const columns = new Map(columnsResult.rows.map(row => [row.column_name, row]));
+        const byPosition = kind => columnsResult.rows
+            .filter(row => row.kind === kind)
+            .sort((a, b) => a.position - b.position)
+            .map(row => row.column_name);
+        const partitionKey = byPosition('partition_key');
+        const clustering = byPosition('clustering');
+        const primaryKey = new Set([...partitionKey, ...clustering]);
+
+        const given = name => key[name] !== undefined && key[name] !== null && key[name] !== '';
+        const notInKey = Object.keys(key).filter(name => !primaryKey.has(name));
+        if (notInKey.length > 0) {
+            throw cql.createError(`Not primary key column(s): ${notInKey.join(', ')}`, 400);
+        }
+        const valueNames = action === 'delete' ? [] : Object.keys(values);
+        const unknown = valueNames.filter(name => !columns.has(name));
+        if (unknown.length > 0) {
+            throw cql.createError(`Unknown column(s) in ${keyspace}.${table}: ${unknown.join(', ')}`, 400);
+        }
+        const keyValues = valueNames.filter(name => primaryKey.has(name));
+        if (keyValues.length > 0) {
+            throw cql.createError(`Primary key column(s) go in key, not values: ${keyValues.join(', ')}`, 400);
+        }
+        const counters = valueNames.filter(name => columns.get(name).type === 'counter');
+        if (counters.length > 0) {
+            throw cql.createError(`Counter column(s) can only be incremented with CQL: ${counters.join(', ')}`, 400);
+        }
+        if (action === 'update' && valueNames.length === 0) {
+            throw cql.createError('update needs at least one column in values', 400);
+        }
+
+        // Which key columns the statement's WHERE clause covers
+        const staticOnly = action === 'update' && valueNames.every(name => columns.get(name).kind === 'static');
+        let keyNames;
+        if (action === 'delete') {
+            const prefix = clustering.findIndex(name => !given(name));
+            const depth = prefix === -1 ? clustering.length : prefix;
+            const gaps = clustering.slice(depth).filter(given);
+            if (gaps.length > 0) {
+                throw cql.createError(`Clustering columns must be given in order; ${clustering[depth]} is missing before ${gaps.join(', ')}`, 400);
+            }
+            keyNames = [...partitionKey, ...clustering.slice(0, depth)];
+        } else {
+            keyNames = staticOnly && !clustering.every(given) ? partitionKey : [...partitionKey, ...clustering];
+        }
+        const missing = keyNames.filter(name => !given(name));
+        if (missing.length > 0) {
+            throw cql.createError(`Missing primary key column(s): ${missing.join(', ')}`, 400);
+        }
+        const extra = Object.keys(key).filter(name => given(name) && !keyNames.includes(name));
+        if (extra.length > 0) {
+            throw cql.createError(`Static columns are set by partition; drop ${extra.join(', ')} from key`, 400);
+        }
+
+        const parse = (name, text) => cqlValues.parseValue(columns.get(name).type, text, name, userTypes);
+        const keyParams = keyNames.map(name => parse(name, key[name]));
+        const valueParams = valueNames.map(name => parse(name, values[name]));
+        const where = keyNames.map(name => `${cql.quoteIdentifier(name)} = ?`).join(' AND ');
+
+        let query;
+        let params;
+        if (action === 'insert') {
+            const names = [...keyNames, ...valueNames];
+            query = `INSERT INTO ${tableName} (${names.map(cql.quoteIdentifier).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`;
+            params = [...keyParams, ...valueParams];
+        } else if (action === 'update') {
+            query = `UPDATE ${tableName} SET ${valueNames.map(name => `${cql.quoteIdentifier(name)} = ?`).join(', ')} WHERE ${where}`;
+            params = [...valueParams, ...keyParams];
+        } else {
+            query = `DELETE FROM ${tableName} WHERE ${where}`;
+            params = keyParams;
+        }
+
+        // The rows the statement touches as they are now, for the confirmation diff
+        const preview = await client.execute(
+            `SELECT * FROM ${tableName} WHERE ${where} LIMIT ${EDIT_PREVIEW_ROWS + 1}`,
+            keyParams,
+            { prepare: true }
+        );
+        const current = preview.rows.slice(0, EDIT_PREVIEW_ROWS);
+        const before = action === 'delete' ? null : current[0] || null;
+
+        if (!dryRun) {
+            await client.execute(query, params, { prepare: true, consistency: level });
+        }
+
+        return {
+            success: true,
+            executed: !dryRun,
+            action,
+            keyspace,
+            table,
+            query,
+            consistency: String(consistency).toUpperCase(),
+            key: Object.fromEntries(keyNames.map(name => [name, key[name]])),
+            exists: preview.rows.length > 0,
+            changes: valueNames.map(name => ({
+                column: name,
+                type: columns.get(name).type,
+                before: before ? before[name] ?? null : null,
+                after: values[name] ?? null
+            })),
+            ...(action === 'delete' && {
+                rows: current,
+                moreRows: preview.rows.length > EDIT_PREVIEW_ROWS
+            })
+        };
+    }
+
+    // paging ({pageSize, cursor}) fetches one page; the result's nextCursor continues it.
+    // With trace the query runs with tracing on and the result carries its trace session.
+    async executeQuery(query, consistency = 'ONE', params = [], paging = null, { trace = false } = {}) {
+        const pageState = paging?.cursor ? decodeCursor(paging.cursor) : null;
         try {
-            const client = db.getClient();
-            const options = {};
+            const client = this.db.getClient();
+            // Bound values need a prepared statement so the driver knows their types
+            const options = params.length > 0 ? { prepare: true } : {};
+            if (paging) {
+                options.fetchSize = paging.pageSize;
+                if (pageState) {
+                    options.pageState = pageState;
+                }
+            }
+            if (trace) {
+                options.traceQuery = true;
+            }
             
             // Only set consistency for writes, not reads
             if (query.trim().toUpperCase().startsWith('INSERT') || 
@@ -437,7 +892,7 @@ class OperationsService {
                 options.consistency = consistency;
             }
             
-            const result = await client.execute(query, [], options);
+            const result = await client.execute(query, params, options);
             
             return {
                 success: true,
@@ -446,7 +901,21 @@ class OperationsService {
                 columns: result.columns ? result.columns.map(col => ({
                     name: col.name,
                     type: col.type
-                })) : []
+                })) : [],
+                ...(paging && {
+                    pageSize: paging.pageSize,
+                    nextCursor: encodeCursor(result.rawPageState)
+                }),
+                // The query already ran; a trace that cannot be read is reported, not thrown
+                ...(trace && result.info?.traceId && {
+                    trace: await this.getQueryTrace(result.info.traceId).catch(error => ({
+                        traceId: result.info.traceId.toString(),
+                        complete: false,
+                        error: error.message,
+                        events: [],
+                        sources: []
+                    }))
+                })
             };
         } catch (error) {
             return {
@@ -456,6 +925,167 @@ class OperationsService {
         }
     }
 
+    // A tracing session from system_traces: the request, its coordinator, and every event
+    // with the node (source) that logged it and its microseconds since that node started
+    // on the request. sources summarizes the events per node, coordinator first.
+    async getQueryTrace(traceId) {
+        const client = this.db.getClient();
+        const options = { prepare: true, consistency: cassandra.types.consistencies.one };
+
+        let session = null;
+        for (let attempt = 0; attempt < TRACE_ATTEMPTS; attempt++) {
+            const result = await client.execute('SELECT * FROM system_traces.sessions WHERE session_id = ?', [traceId], options);
+            session = result.rows[0] || null;
+            if (session && session.duration !== null && session.duration !== undefined) {
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, TRACE_RETRY_MS));
+        }
+        const eventsResult = await client.execute('SELECT * FROM system_traces.events WHERE session_id = ?', [traceId], options);
+
+        const coordinator = session?.coordinator ? session.coordinator.toString() : null;
+        const events = eventsResult.rows
+            .map(row => ({
+                id: row.event_id.toString(),
+                time: row.event_id.getDate(),
+                source: row.source ? row.source.toString() : null,
+                sourceElapsed: row.source_elapsed,
+                thread: row.thread,
+                activity: row.activity
+            }))
+            .sort((a, b) => a.time - b.time || a.sourceElapsed - b.sourceElapsed);
+
+        const sources = [...new Set(events.map(event => event.source))]
+            .map(source => {
+                const own = events.filter(event => event.source === source);
+                const elapsed = own.map(event => event.sourceElapsed || 0);
+                return {
+                    source,
+                    isCoordinator: source === coordinator,
+                    events: own.length,
+                    firstElapsed: Math.min(...elapsed),
+                    lastElapsed: Math.max(...elapsed),
+                    // When the node's first event happened, relative to the session start
+                    startOffsetMs: session?.started_at ? own[0].time - session.started_at : null
+                };
+            })
+            .sort((a, b) => b.isCoordinator - a.isCoordinator || String(a.source).localeCompare(String(b.source)));
+
+        return {
+            traceId: traceId.toString(),
+            complete: !!session && session.duration !== null && session.duration !== undefined,
+            coordinator,
+            client: session?.client ? session.client.toString() : null,
+            request: session?.request || null,
+            parameters: session?.parameters || {},
+            startedAt: session?.started_at || null,
+            durationMicros: session?.duration ?? null,
+            events,
+            sources
+        };
+    }
+
+    // SELECT of a whole table, or with partitionKey (column -> value as text) of one
+    // partition's rows in clustering order
+    async tableStatement(client, keyspace, table, partitionKey = null) {
+        const tableName = await cql.qualifiedTable(client, keyspace, table);
+        if (!partitionKey) {
+            return { query: `SELECT * FROM ${tableName}`, params: [] };
+        }
+
+        const columns = await this.readPartitionKey(client, keyspace, table, partitionKey);
+        const where = columns.map(column => `${cql.quoteIdentifier(column.name)} = ?`).join(' AND ');
+        return { query: `SELECT * FROM ${tableName} WHERE ${where}`, params: columns.map(column => column.value) };
+    }
+
+    // One page of a table's rows, or of one partition's
+    async browseTable(keyspace, table, { pageSize, cursor, partitionKey } = {}) {
+        const { query, params } = await this.tableStatement(this.db.getClient(), keyspace, table, partitionKey);
+        return this.executeQuery(query, 'ONE', params, { pageSize, cursor });
+    }
+
+    // The statement behind an export, once the table and partition key (or that the
+    // query is a SELECT) have been checked
+    async exportStatement(client, { keyspace, table, partitionKey = null, query = null }) {
+        if (query === null) {
+            return this.tableStatement(client, keyspace, table, partitionKey);
+        }
+        if (!/^\s*select\s/i.test(query)) {
+            throw cql.createError('Only SELECT statements can be exported', 400);
+        }
+        return { query, params: [] };
+    }
+
+    // Check an export before handing out a link to it, so a bad request is answered
+    // here rather than by the download
+    async checkExport(source, format) {
+        cqlExport.exportFormat(format);
+        await this.exportStatement(this.db.getClient(), source);
+    }
+
+    // A table (or one partition) or a SELECT's whole result as a file in one of
+    // cqlExport's formats. Pages are fetched one after another as the stream is read,
+    // so only one is held at a time and a slow reader slows the paging down. The first
+    // page is read before returning, so a bad query fails here rather than mid-download.
+    async exportRows({ keyspace, table, partitionKey = null, query = null }, format, pageSize = EXPORT_PAGE_SIZE) {
+        const writer = cqlExport.exportFormat(format);
+        const client = this.db.getClient();
+        const statement = await this.exportStatement(client, { keyspace, table, partitionKey, query });
+        const options = { prepare: statement.params.length > 0, fetchSize: pageSize };
+
+        let page = await client.execute(statement.query, statement.params, options);
+        const columns = (page.columns || []).map(column => ({ name: column.name, type: cqlExport.typeName(column.type) }));
+        async function* chunks() {
+            yield writer.start(columns);
+            for (;;) {
+                yield writer.rows(columns, page.rows);
+                if (!page.rawPageState) {
+                    break;
+                }
+                page = await client.execute(statement.query, statement.params, { ...options, pageState: page.rawPageState });
+            }
+        }
+
+        const name = query !== null ? `query-${new Date().toISOString().replace(/[:.]/g, '-')}` : [keyspace, table].join('.');
+        return {
+            success: true,
+            query: statement.query,
+            filename: `${name}.${writer.extension}`,
+            contentType: writer.contentType,
+            columns,
+            stream: Readable.from(chunks())
+        };
+    }
+
+    async getTableSchema(keyspace, table) {
+        return this.executeQuery(
+            'SELECT column_name, type, kind FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+            'ONE',
+            [keyspace, table]
+        );
+    }
+
+    // Operations started here plus recent cluster activity, newest first, filtered by
+    // type, keyspace, status and node and paginated with limit/offset
+    async listOperations(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+        const offset = parseInt(filters.offset) || 0;
+
+        const operations = (await this.getActiveOperations())
+            .filter(operation => !filters.type || operation.type === filters.type)
+            .filter(operation => !filters.keyspace || operation.keyspace === filters.keyspace)
+            .filter(operation => !filters.status || operation.status === filters.status)
+            .filter(operation => !filters.node || operation.node === filters.node)
+            .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+        return {
+            operations: operations.slice(offset, offset + limit),
+            total: operations.length,
+            limit,
+            offset
+        };
+    }
+
     async getActiveOperations() {
         // If no manual operations are running, show recent cluster activity
         const manualOperations = Array.from(this.activeOperations.entries()).map(([id, operation]) => ({
@@ -465,7 +1095,7 @@ class OperationsService {
 
         // Add recent cluster activity as "system operations"
         try {
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             // Get recent compactions (simplified query without date filtering)
             const compactionResult = await client.execute(`
@@ -501,12 +1131,13 @@ class OperationsService {
     }
 
     getOperationStatus(operationId) {
-        return this.activeOperations.get(operationId) || null;
+        const operation = this.activeOperations.get(operationId);
+        return operation ? { id: operationId, ...operation } : null;
     }
 
     async getCompactionStats() {
         try {
-            const client = db.getClient();
+            const client = this.db.getClient();
             
             // Get compaction stats from system tables
             const compactionResult = await client.execute(`
@@ -578,102 +1209,118 @@ Total bytes compacted: 0`,
         }
     }
 
-    async getThreadPoolStats() {
+    // nodetool tpstats for one node: every thread pool and dropped messages by verb
+    async getThreadPoolStats(node = null) {
         try {
-            const client = db.getClient();
-            
-            // Get thread pool activity from system tables
-            // Since thread pool stats aren't directly available in system tables,
-            // we'll return a simplified version based on recent operations
-            const operationsResult = await client.execute(`
-                SELECT COUNT(*) as total_ops
-                FROM system.compaction_history 
-                LIMIT 100
-            `);
-            
-            const totalOps = operationsResult.rows[0]?.total_ops;
-            const count = totalOps && typeof totalOps.toNumber === 'function' ? totalOps.toNumber() : 0;
-            
+            const { node: target, result } = await this.readFromNode(node, (host, port) => jmxService.getThreadPoolStats(host, port));
+            const value = count => (count === null ? 'n/a' : String(count));
+
+            const header = ['Pool Name', 'Active', 'Pending', 'Completed', 'Blocked', 'All time blocked'];
+            const rows = result.pools.map(pool => [pool.name, ...[pool.active, pool.pending, pool.completed, pool.blocked, pool.allTimeBlocked].map(value)]);
+            const verbs = Object.keys(result.dropped).sort();
+
+            const pools = {};
+            result.pools.forEach(pool => {
+                pools[pool.name] = {
+                    active: pool.active || 0,
+                    pending: pool.pending || 0,
+                    completed: pool.completed || 0,
+                    blocked: pool.blocked || 0,
+                    allTimeBlocked: pool.allTimeBlocked || 0
+                };
+            });
+            const dropped = {};
+            verbs.forEach(verb => {
+                dropped[verb] = result.dropped[verb] || 0;
+            });
+
             return {
                 success: true,
-                output: `Pool Name                    Active   Pending   Completed
-ReadStage                       0         0         0
-WriteStage                      0         0         0
-CompactionExecutor              0         0         ${count}`,
-                pools: {
-                    ReadStage: { active: 0, pending: 0, completed: 0 },
-                    WriteStage: { active: 0, pending: 0, completed: 0 },
-                    CompactionExecutor: { active: 0, pending: 0, completed: count }
-                }
+                node: target.address,
+                output: `${this.formatTable(header, rows)}\n${this.formatTable(['Message type', 'Dropped'], verbs.map(verb => [verb, value(result.dropped[verb])]))}`,
+                pools,
+                dropped
             };
         } catch (error) {
-            console.error('Error getting thread pool stats from system tables:', error);
-            // Return fallback data if system tables fail
+            if (error.status) {
+                throw error;
+            }
+            console.error('Error getting thread pool stats over JMX:', error);
             return {
-                success: true,
-                output: `Pool Name                    Active   Pending   Completed
-ReadStage                       0         0         0
-WriteStage                      0         0         0
-CompactionExecutor              0         0         0`,
-                pools: {
-                    ReadStage: { active: 0, pending: 0, completed: 0 },
-                    WriteStage: { active: 0, pending: 0, completed: 0 },
-                    CompactionExecutor: { active: 0, pending: 0, completed: 0 }
-                }
+                success: false,
+                output: null,
+                error: error.message
             };
         }
     }
 
-    async getGCStats() {
+    formatTable(header, rows) {
+        const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+        const line = row => row.map((value, column) => (column === 0 ? value.padEnd(widths[column]) : value.padStart(widths[column]))).join('  ');
+        return [header, ...rows].map(row => `${line(row)}\n`).join('');
+    }
+
+    // nodetool gcstats for one node, from the GarbageCollector MBeans. Like nodetool,
+    // the figures cover the interval since the previous call (since JVM start on the
+    // first call or after a restart). The MBeans keep no maximum, so the max is the
+    // longest of the collectors' latest pauses within the interval.
+    async getGCStats(node = null) {
         try {
-            const client = db.getClient();
-            
-            // Get GC-related stats from system tables
-            // Since GC stats aren't directly available, we'll return basic info
-            const compactionResult = await client.execute(`
-                SELECT COUNT(*) as total_compactions
-                FROM system.compaction_history 
-                LIMIT 100
-            `);
-            
-            const totalCompactions = compactionResult.rows[0]?.total_compactions;
-            const count = totalCompactions && typeof totalCompactions.toNumber === 'function' ? totalCompactions.toNumber() : 0;
-            
+            const { node: target, result: sample } = await this.readFromNode(node, (host, port) => jmxService.getGarbageCollectors(host, port));
+            const previous = this.gcSamples.get(target.address);
+            const base = previous && previous.uptime <= sample.uptime ? previous : { uptime: 0, collectors: [] };
+            this.gcSamples.set(target.address, sample);
+
+            const collectors = sample.collectors.map(collector => {
+                const before = base.collectors.find(candidate => candidate.name === collector.name) || { collections: 0, time: 0 };
+                return {
+                    ...collector,
+                    collections: collector.collections - before.collections,
+                    time: collector.time - before.time
+                };
+            });
+            const collections = collectors.reduce((sum, collector) => sum + collector.collections, 0);
+            const totalGcTime = collectors.reduce((sum, collector) => sum + collector.time, 0);
+            const stats = {
+                interval: sample.uptime - base.uptime,
+                collections,
+                maxGcTime: Math.max(0, ...collectors.filter(collector => collector.collections > 0).map(collector => collector.lastDuration || 0)),
+                totalGcTime,
+                averageGcTime: collections > 0 ? Math.round(totalGcTime / collections) : 0,
+                collectors
+            };
+
+            let output = '';
+            output += `Interval (ms): ${stats.interval}\n`;
+            output += `Collections: ${stats.collections}\n`;
+            output += `Max GC time (ms): ${stats.maxGcTime}\n`;
+            output += `Total GC time (ms): ${stats.totalGcTime}\n`;
+            output += `Average GC time (ms): ${stats.averageGcTime}\n`;
+            collectors.forEach(collector => {
+                output += `${collector.name}: ${collector.collections} collections, ${collector.time} ms\n`;
+            });
+
             return {
                 success: true,
-                output: `Interval (ms): 30000
-Collections: ${count}
-Max GC time (ms): 0
-Total GC time (ms): 0
-Average GC time (ms): 0`,
-                stats: {
-                    interval: 30000,
-                    collections: count,
-                    maxGcTime: 0,
-                    totalGcTime: 0,
-                    averageGcTime: 0
-                }
+                node: target.address,
+                output,
+                stats
             };
         } catch (error) {
-            console.error('Error getting GC stats from system tables:', error);
-            // Return fallback data if system tables fail
+            if (error.status) {
+                throw error;
+            }
+            console.error('Error getting GC stats over JMX:', error);
             return {
-                success: true,
-                output: `Interval (ms): 30000
-Collections: 0
-Max GC time (ms): 0
-Total GC time (ms): 0
-Average GC time (ms): 0`,
-                stats: {
-                    interval: 30000,
-                    collections: 0,
-                    maxGcTime: 0,
-                    totalGcTime: 0,
-                    averageGcTime: 0
-                }
+                success: false,
+                output: null,
+                error: error.message
             };
         }
     }
 }
 
-module.exports = new OperationsService();
+module.exports = {
+    OperationsService,
+    forCluster: (db) => db.service('operations', () => new OperationsService(db))
+};
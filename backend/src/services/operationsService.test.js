@@ -0,0 +1,139 @@
+const { OperationsService } = require('./operationsService');
+const jobRunner = require('./jobRunner');
+const jmxService = require('./jmxService');
+
+const pageState = Buffer.from([0x00, 0x04, 0xfb, 0xff, 0x3e, 0x10]);
+
+function fakeClient() {
+    return {
+        execute: jest.fn(async (query, params, options = {}) => {
+            if (query.includes('system_schema.keyspaces')) {
+                return { rows: [{ keyspace_name: params[0] }], rowLength: 1 };
+            }
+            if (query.includes('system_schema.tables')) {
+                return { rows: [{ table_name: 'events' }], rowLength: 1 };
+            }
+            // Two pages: the first ends with pageState, the second is the last
+            const last = Buffer.isBuffer(options.pageState) && options.pageState.equals(pageState);
+            return {
+                rows: [{ id: last ? 2 : 1 }],
+                rowLength: 1,
+                columns: [{ name: 'id', type: { code: 9 } }],
+                rawPageState: last ? undefined : pageState
+            };
+        })
+    };
+}
+
+function service(client) {
+    return new OperationsService({ clusterId: 'test', connectionConfig: {}, getClient: () => client });
+}
+
+describe('paging cursors', () => {
+    test('a page that has more rows returns the paging state as a URL-safe cursor', async () => {
+        const result = await service(fakeClient()).browseTable('shop', 'events', { pageSize: 1 });
+
+        expect(result.rows).toEqual([{ id: 1 }]);
+        expect(result.pageSize).toBe(1);
+        expect(result.nextCursor).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(Buffer.from(result.nextCursor, 'base64url')).toEqual(pageState);
+    });
+
+    test('the cursor fetches the next page with the same paging state', async () => {
+        const client = fakeClient();
+        const operations = service(client);
+        const first = await operations.browseTable('shop', 'events', { pageSize: 1 });
+        const second = await operations.browseTable('shop', 'events', { pageSize: 1, cursor: first.nextCursor });
+
+        expect(client.execute).toHaveBeenLastCalledWith('SELECT * FROM "shop"."events"', [], { fetchSize: 1, pageState });
+        expect(second.rows).toEqual([{ id: 2 }]);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('queries page the same way', async () => {
+        const client = fakeClient();
+        const result = await service(client).executeQuery('SELECT * FROM shop.events', 'ONE', [], { pageSize: 1 });
+        const next = await service(client).executeQuery('SELECT * FROM shop.events', 'ONE', [], { pageSize: 1, cursor: result.nextCursor });
+
+        expect(next.rows).toEqual([{ id: 2 }]);
+    });
+
+    test.each(['not a cursor', 'abc+/=', 'a.b'])('rejects the cursor %j with 400', async (cursor) => {
+        const request = service(fakeClient()).executeQuery('SELECT * FROM shop.events', 'ONE', [], { pageSize: 1, cursor });
+        await expect(request).rejects.toMatchObject({ status: 400, message: 'Invalid cursor' });
+    });
+
+    test('unpaged results have no cursor', async () => {
+        const result = await service(fakeClient()).executeQuery('SELECT * FROM shop.events');
+        expect(result).not.toHaveProperty('nextCursor');
+    });
+});
+
+describe('cancelling jobs', () => {
+    let enqueue;
+
+    beforeEach(() => {
+        enqueue = jest.spyOn(jobRunner, 'enqueue').mockImplementation((clusterId, operation) => ({ ...operation, status: 'pending', command: 'nodetool' }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const abortOf = () => enqueue.mock.calls[0][3];
+
+    test('cleanup and scrub stop only their own tasks on the node', async () => {
+        const stop = jest.spyOn(jmxService, 'stopCompactions').mockResolvedValue(1);
+        await service(fakeClient()).cleanup('shop', ['events']);
+
+        await abortOf()();
+
+        const [host, port, match] = stop.mock.calls[0];
+        expect([host, port]).toEqual(['127.0.0.1', 7199]);
+        expect(match({ taskType: 'CLEANUP', keyspace: 'shop', table: 'events' })).toBe(true);
+        expect(match({ taskType: 'CLEANUP', keyspace: 'shop', table: 'orders' })).toBe(false);
+        expect(match({ taskType: 'CLEANUP', keyspace: 'other', table: 'events' })).toBe(false);
+        expect(match({ taskType: 'COMPACTION', keyspace: 'shop', table: 'events' })).toBe(false);
+    });
+
+    test('a keyspace-wide scrub matches every table of the keyspace', async () => {
+        const stop = jest.spyOn(jmxService, 'stopCompactions').mockResolvedValue(2);
+        await service(fakeClient()).scrubKeyspace('shop');
+
+        await abortOf()();
+
+        const match = stop.mock.calls[0][2];
+        expect(match({ taskType: 'SCRUB', keyspace: 'shop', table: 'orders' })).toBe(true);
+        expect(match({ taskType: 'CLEANUP', keyspace: 'shop', table: 'orders' })).toBe(false);
+    });
+
+    test('the abort fails when none of the job\'s tasks is running', async () => {
+        jest.spyOn(jmxService, 'stopCompactions').mockResolvedValue(0);
+        await service(fakeClient()).cleanup('shop');
+
+        await expect(abortOf()()).rejects.toThrow('no cleanup task for shop is running on the node');
+    });
+
+    test.each([
+        ['compact', operations => operations.compactKeyspace('shop')],
+        ['repair', operations => operations.repairKeyspace('shop')],
+        ['cleanup of every keyspace', operations => operations.cleanup('all')]
+    ])('%s has no abort, so a cancelled job is detached', async (name, start) => {
+        await start(service(fakeClient()));
+
+        expect(abortOf()).toBeNull();
+    });
+});
+
+describe('export links', () => {
+    test('are only made for a known format and table, or a SELECT', async () => {
+        const operations = service(fakeClient());
+
+        await expect(operations.checkExport({ keyspace: 'shop', table: 'events' }, 'csv')).resolves.toBeUndefined();
+        await expect(operations.checkExport({ query: 'select * from shop.events' }, 'jsonl')).resolves.toBeUndefined();
+        await expect(operations.checkExport({ keyspace: 'shop', table: 'events' }, 'xlsx')).rejects.toMatchObject({ status: 400 });
+        await expect(operations.checkExport({ keyspace: 'shop', table: 'orders' }, 'csv')).rejects.toMatchObject({ status: 404 });
+        await expect(operations.checkExport({ query: 'DELETE FROM shop.events WHERE id = 1' }, 'csv'))
+            .rejects.toMatchObject({ status: 400, message: 'Only SELECT statements can be exported' });
+    });
+});
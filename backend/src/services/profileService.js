@@ -0,0 +1,235 @@
+const db = require('../config/database');
+const { dataPath, readJson, writeJson } = require('../config/storage');
+const { encrypt, decrypt } = require('../config/secrets');
+
+// Profile fields holding secrets; stored encrypted and never returned by the API
+const SECRET_FIELDS = ['password'];
+const SSL_SECRET_FIELDS = ['key', 'keyPassphrase', 'jmxTruststorePassword', 'jmxKeystorePassword'];
+
+class ProfileService {
+    constructor() {
+        this.profilesFile = process.env.PROFILES_FILE || dataPath('profiles.json');
+        this.profiles = null;
+    }
+
+    async load() {
+        if (!this.profiles) {
+            const data = await readJson(this.profilesFile, { profiles: [] });
+            this.profiles = new Map((data.profiles || []).map(profile => [profile.id, profile]));
+        }
+        return this.profiles;
+    }
+
+    async save() {
+        await writeJson(this.profilesFile, {
+            profiles: Array.from(this.profiles.values())
+        });
+    }
+
+    // Strip secrets before a profile leaves the backend
+    toPublicProfile(profile) {
+        const { password, ...rest } = profile;
+        const ssl = profile.ssl ? { ...profile.ssl } : null;
+        if (ssl) {
+            SSL_SECRET_FIELDS.forEach(field => {
+                ssl[`has${field[0].toUpperCase()}${field.slice(1)}`] = !!ssl[field];
+                delete ssl[field];
+            });
+        }
+        return {
+            ...rest,
+            ssl,
+            hasPassword: !!password
+        };
+    }
+
+    // Decrypted connection config suitable for db.connect()
+    toConnectionConfig(profile) {
+        const ssl = profile.ssl ? { ...profile.ssl } : null;
+        if (ssl) {
+            SSL_SECRET_FIELDS.forEach(field => {
+                ssl[field] = decrypt(ssl[field]);
+            });
+        }
+        return {
+            id: profile.id,
+            name: profile.name,
+            hosts: profile.hosts,
+            port: profile.port,
+            datacenter: profile.datacenter,
+            jmxPort: profile.jmxPort,
+            username: profile.username,
+            password: decrypt(profile.password),
+            ssl
+        };
+    }
+
+    normalize(input, existing = {}) {
+        const profile = {
+            ...existing,
+            name: input.name ?? existing.name,
+            hosts: input.hosts !== undefined
+                ? (Array.isArray(input.hosts) ? input.hosts : String(input.hosts).split(',')).map(host => host.trim()).filter(Boolean)
+                : existing.hosts,
+            port: input.port !== undefined ? parseInt(input.port) || 9042 : existing.port || 9042,
+            datacenter: input.datacenter ?? existing.datacenter ?? 'datacenter1',
+            jmxPort: input.jmxPort !== undefined ? parseInt(input.jmxPort) || 7199 : existing.jmxPort || 7199,
+            username: input.username ?? existing.username ?? '',
+            isDefault: input.isDefault !== undefined ? !!input.isDefault : !!existing.isDefault
+        };
+
+        // An omitted or empty secret keeps the stored value
+        SECRET_FIELDS.forEach(field => {
+            if (input[field]) {
+                profile[field] = encrypt(input[field]);
+            } else if (!existing[field]) {
+                profile[field] = '';
+            }
+        });
+
+        if (input.ssl !== undefined) {
+            const ssl = { ...(existing.ssl || {}), ...(input.ssl || {}) };
+            SSL_SECRET_FIELDS.forEach(field => {
+                if (input.ssl && input.ssl[field]) {
+                    ssl[field] = encrypt(input.ssl[field]);
+                } else {
+                    ssl[field] = existing.ssl?.[field] || '';
+                }
+            });
+            profile.ssl = input.ssl ? ssl : null;
+        }
+
+        return profile;
+    }
+
+    async listProfiles() {
+        const profiles = await this.load();
+        return Array.from(profiles.values()).map(profile => this.toPublicProfile(profile));
+    }
+
+    async getProfile(id) {
+        const profiles = await this.load();
+        return profiles.get(id) || null;
+    }
+
+    async createProfile(input) {
+        const profiles = await this.load();
+
+        let id = db.createClusterId(input);
+        for (let suffix = 2; profiles.has(id); suffix++) {
+            id = `${db.createClusterId(input)}-${suffix}`;
+        }
+
+        const now = new Date().toISOString();
+        const profile = {
+            id,
+            ...this.normalize(input),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        profiles.set(id, profile);
+        if (profile.isDefault) {
+            this.clearOtherDefaults(id);
+        }
+        await this.save();
+
+        return this.toPublicProfile(profile);
+    }
+
+    async updateProfile(id, input) {
+        const profiles = await this.load();
+        const existing = profiles.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const profile = {
+            ...this.normalize(input, existing),
+            id,
+            updatedAt: new Date().toISOString()
+        };
+
+        profiles.set(id, profile);
+        if (profile.isDefault) {
+            this.clearOtherDefaults(id);
+        }
+        await this.save();
+
+        return this.toPublicProfile(profile);
+    }
+
+    async deleteProfile(id) {
+        const profiles = await this.load();
+        if (!profiles.delete(id)) {
+            return false;
+        }
+        await this.save();
+        return true;
+    }
+
+    clearOtherDefaults(id) {
+        this.profiles.forEach(profile => {
+            if (profile.id !== id) {
+                profile.isDefault = false;
+            }
+        });
+    }
+
+    async connectProfile(id) {
+        const profile = await this.getProfile(id);
+        if (!profile) {
+            return null;
+        }
+        return await db.connect(this.toConnectionConfig(profile));
+    }
+
+    async testProfile(id) {
+        const profile = await this.getProfile(id);
+        if (!profile) {
+            return null;
+        }
+        return await db.testConnection(this.toConnectionConfig(profile));
+    }
+
+    // Connection config from CASSANDRA_* environment variables (as passed by docker-compose)
+    getEnvironmentConfig() {
+        if (!process.env.CASSANDRA_HOSTS) {
+            return null;
+        }
+
+        return {
+            id: process.env.CASSANDRA_CLUSTER_ID || undefined,
+            name: process.env.CASSANDRA_CLUSTER_NAME || 'default',
+            hosts: process.env.CASSANDRA_HOSTS.split(',').map(host => host.trim()).filter(Boolean),
+            port: parseInt(process.env.CASSANDRA_PORT) || 9042,
+            datacenter: process.env.CASSANDRA_DC || 'datacenter1',
+            jmxPort: parseInt(process.env.CASSANDRA_JMX_PORT) || 7199,
+            username: process.env.CASSANDRA_USERNAME || '',
+            password: process.env.CASSANDRA_PASSWORD || ''
+        };
+    }
+
+    // Connect on boot to the default profile, or to the cluster described by the environment
+    async autoConnect() {
+        try {
+            const profiles = await this.load();
+            const defaultProfile = Array.from(profiles.values()).find(profile => profile.isDefault);
+
+            if (defaultProfile) {
+                return await db.connect(this.toConnectionConfig(defaultProfile));
+            }
+
+            const envConfig = this.getEnvironmentConfig();
+            if (envConfig) {
+                return await db.connect(envConfig);
+            }
+            return null;
+        } catch (error) {
+            console.warn('Auto-connect on startup failed:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new ProfileService();
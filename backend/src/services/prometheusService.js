@@ -0,0 +1,239 @@
+const client = require('prom-client');
+const db = require('../config/database');
+const jmxService = require('./jmxService');
+const metricsService = require('./metricsService');
+
+const NODE_LABELS = ['cluster', 'dc', 'rack', 'host'];
+const KEYSPACE_LABELS = [...NODE_LABELS, 'keyspace'];
+const TABLE_LABELS = [...KEYSPACE_LABELS, 'table'];
+
+// Prometheus exposition of the JMX metrics of every connected cluster. Values are
+// collected when /metrics is scraped and reused for PROMETHEUS_CACHE_TTL_MS (default
+// 15s) so several scrapers do not multiply the JMX load. jmxService reports latencies
+// and GC times in milliseconds; they are exported in seconds.
+class PrometheusService {
+    constructor() {
+        this.cacheTtl = parseInt(process.env.PROMETHEUS_CACHE_TTL_MS) || 15000;
+        this.tableMetrics = process.env.PROMETHEUS_TABLE_METRICS !== 'false';
+        this.includeSystemTables = process.env.PROMETHEUS_SYSTEM_TABLES === 'true';
+        this.collectedAt = 0;
+        this.collecting = null;
+
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'cassandra_watch_' });
+
+        const gauge = (name, help, labelNames = NODE_LABELS) =>
+            new client.Gauge({ name, help, labelNames, registers: [this.registry] });
+        const counter = (name, help, labelNames = NODE_LABELS) =>
+            new client.Counter({ name, help, labelNames, registers: [this.registry] });
+
+        this.metrics = {
+            up: gauge('cassandra_up', 'Whether the node answered the last JMX collection (1) or not (0)'),
+            healthScore: gauge('cassandra_health_score', 'Node health score from 0 to 100'),
+            latency: gauge('cassandra_client_request_latency_seconds', 'Client request latency percentiles', [...NODE_LABELS, 'request', 'quantile']),
+            latencyMean: gauge('cassandra_client_request_latency_mean_seconds', 'Mean client request latency', [...NODE_LABELS, 'request']),
+            requests: counter('cassandra_client_requests_total', 'Client requests served', [...NODE_LABELS, 'request']),
+            timeouts: counter('cassandra_client_request_timeouts_total', 'Client request timeouts', [...NODE_LABELS, 'request']),
+            unavailables: counter('cassandra_client_request_unavailables_total', 'Client requests failed for lack of replicas', [...NODE_LABELS, 'request']),
+            failures: counter('cassandra_client_request_failures_total', 'Client request failures', [...NODE_LABELS, 'request']),
+            storageLoad: gauge('cassandra_storage_load_bytes', 'Live data size on disk'),
+            heapUsed: gauge('cassandra_heap_used_bytes', 'JVM heap in use'),
+            heapMax: gauge('cassandra_heap_max_bytes', 'JVM heap maximum'),
+            nonHeapUsed: gauge('cassandra_nonheap_used_bytes', 'JVM non-heap memory in use'),
+            gcCollections: counter('cassandra_gc_collections_total', 'Garbage collections', [...NODE_LABELS, 'generation']),
+            gcTime: counter('cassandra_gc_time_seconds_total', 'Time spent in garbage collection', [...NODE_LABELS, 'generation']),
+            poolActive: gauge('cassandra_thread_pool_active_tasks', 'Active tasks per thread pool', [...NODE_LABELS, 'pool']),
+            poolPending: gauge('cassandra_thread_pool_pending_tasks', 'Pending tasks per thread pool', [...NODE_LABELS, 'pool']),
+            poolCompleted: counter('cassandra_thread_pool_completed_tasks_total', 'Completed tasks per thread pool', [...NODE_LABELS, 'pool']),
+            compactionPending: gauge('cassandra_compaction_pending_tasks', 'Pending compaction tasks'),
+            compactionCompleted: counter('cassandra_compaction_completed_tasks_total', 'Completed compaction tasks'),
+            hints: counter('cassandra_hints_total', 'Hints written by the node'),
+            keyspaceDiskUsed: gauge('cassandra_keyspace_live_disk_space_bytes', 'Live disk space of the keyspace\'s tables', KEYSPACE_LABELS),
+            keyspacePendingCompactions: gauge('cassandra_keyspace_pending_compactions', 'Pending compactions of the keyspace\'s tables', KEYSPACE_LABELS),
+            keyspaceRequests: counter('cassandra_keyspace_requests_total', 'Local reads and writes of the keyspace\'s tables', [...KEYSPACE_LABELS, 'operation']),
+            tableDiskUsed: gauge('cassandra_table_live_disk_space_bytes', 'Live disk space of the table', TABLE_LABELS),
+            tableTotalDiskUsed: gauge('cassandra_table_total_disk_space_bytes', 'Disk space of the table including obsolete SSTables', TABLE_LABELS),
+            tableSSTables: gauge('cassandra_table_live_sstables', 'Live SSTables of the table', TABLE_LABELS),
+            tablePendingCompactions: gauge('cassandra_table_pending_compactions', 'Pending compactions of the table', TABLE_LABELS),
+            tablePartitions: gauge('cassandra_table_estimated_partitions', 'Estimated partitions of the table', TABLE_LABELS),
+            tableLatency: gauge('cassandra_table_latency_seconds', 'Local read and write latency percentiles of the table', [...TABLE_LABELS, 'operation', 'quantile']),
+            tableRequests: counter('cassandra_table_requests_total', 'Local reads and writes of the table', [...TABLE_LABELS, 'operation'])
+        };
+    }
+
+    // Prometheus text format, collecting again once the cached values are stale
+    async scrape() {
+        if (Date.now() - this.collectedAt >= this.cacheTtl) {
+            if (!this.collecting) {
+                this.collecting = this.collect().finally(() => {
+                    this.collecting = null;
+                });
+            }
+            await this.collecting;
+        }
+        return this.registry.metrics();
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    async collect() {
+        const clusters = db.list()
+            .map(info => db.get(info.clusterId))
+            .filter(cluster => cluster.isConnected);
+
+        const nodes = [];
+        for (const cluster of clusters) {
+            try {
+                nodes.push(...await this.collectCluster(cluster));
+            } catch (error) {
+                console.error(`Failed to collect Prometheus metrics for cluster ${cluster.clusterId}:`, error.message);
+            }
+        }
+
+        // Swap the whole collection in at once so a scrape never sees a half-filled registry
+        Object.values(this.metrics).forEach(metric => metric.reset());
+        nodes.forEach(node => this.apply(node));
+        this.collectedAt = Date.now();
+    }
+
+    async collectCluster(cluster) {
+        const nodesInfo = await metricsService.forCluster(cluster).getNodesInfo();
+        const port = cluster.connectionConfig?.jmxPort || 7199;
+        if (nodesInfo.length === 0) {
+            return [];
+        }
+
+        // Down nodes are not queried and export cassandra_up 0
+        const hosts = nodesInfo.filter(node => node.isUp).map(node => node.address);
+        const result = hosts.length > 0 ? await jmxService.getClusterJMXMetrics(hosts, port) : { nodes: [] };
+        const metricsByHost = new Map(result.nodes.map(node => [node.host, node.metrics]));
+
+        return Promise.all(nodesInfo.map(async info => {
+            const metrics = metricsByHost.get(info.address) || null;
+            let tables = [];
+            if (metrics && this.tableMetrics) {
+                tables = await jmxService.getTableMetrics(info.address, port, { includeSystem: this.includeSystemTables })
+                    .catch(error => {
+                        console.warn(`Failed to collect table metrics from ${info.address}:`, error.message);
+                        return [];
+                    });
+            }
+
+            return {
+                labels: {
+                    cluster: cluster.clusterId || '',
+                    dc: info.datacenter || '',
+                    rack: info.rack || '',
+                    host: info.address
+                },
+                metrics,
+                tables
+            };
+        }));
+    }
+
+    // JMX values may be null when an MBean is missing; those series are left out
+    setGauge(gauge, labels, value, scale = 1) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            gauge.set(labels, value * scale);
+        }
+    }
+
+    setCounter(counter, labels, value, scale = 1) {
+        if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+            counter.inc(labels, value * scale);
+        }
+    }
+
+    apply({ labels, metrics, tables }) {
+        const m = this.metrics;
+        m.up.set(labels, metrics ? 1 : 0);
+        if (!metrics) {
+            return;
+        }
+
+        this.setGauge(m.healthScore, labels, metrics.health?.score);
+
+        const requests = {
+            read: metrics.performance?.readLatency,
+            write: metrics.performance?.writeLatency,
+            range: metrics.performance?.rangeQueryLatency
+        };
+        Object.entries(requests).forEach(([request, latency]) => {
+            if (!latency) {
+                return;
+            }
+            this.setGauge(m.latency, { ...labels, request, quantile: '0.95' }, latency.p95, 0.001);
+            this.setGauge(m.latency, { ...labels, request, quantile: '0.99' }, latency.p99, 0.001);
+            this.setGauge(m.latencyMean, { ...labels, request }, latency.mean, 0.001);
+            this.setCounter(m.requests, { ...labels, request }, latency.count);
+        });
+
+        ['read', 'write'].forEach(request => {
+            this.setCounter(m.timeouts, { ...labels, request }, metrics.errors?.timeouts?.[request]);
+            this.setCounter(m.unavailables, { ...labels, request }, metrics.errors?.unavailables?.[request]);
+            this.setCounter(m.failures, { ...labels, request }, metrics.errors?.failures?.[request]);
+        });
+
+        const resources = metrics.resources || {};
+        this.setGauge(m.storageLoad, labels, resources.storage?.load);
+        this.setGauge(m.heapUsed, labels, resources.memory?.heap?.used);
+        this.setGauge(m.heapMax, labels, resources.memory?.heap?.max);
+        this.setGauge(m.nonHeapUsed, labels, resources.memory?.nonHeap?.used);
+        [['young', resources.gc?.youngGen], ['old', resources.gc?.oldGen]].forEach(([generation, gc]) => {
+            this.setCounter(m.gcCollections, { ...labels, generation }, gc?.collections);
+            this.setCounter(m.gcTime, { ...labels, generation }, gc?.time, 0.001);
+        });
+
+        Object.entries(metrics.threadPools || {}).forEach(([pool, stats]) => {
+            this.setGauge(m.poolActive, { ...labels, pool }, stats.active);
+            this.setGauge(m.poolPending, { ...labels, pool }, stats.pending);
+            this.setCounter(m.poolCompleted, { ...labels, pool }, stats.completed);
+        });
+
+        this.setGauge(m.compactionPending, labels, metrics.compaction?.pendingTasks);
+        this.setCounter(m.compactionCompleted, labels, metrics.compaction?.completedTasks);
+        this.setCounter(m.hints, labels, metrics.hints?.totalHints);
+
+        this.applyTables(labels, tables);
+    }
+
+    applyTables(labels, tables) {
+        const m = this.metrics;
+        const keyspaces = new Map();
+
+        tables.forEach(stats => {
+            const tableLabels = { ...labels, keyspace: stats.keyspace, table: stats.table };
+            this.setGauge(m.tableDiskUsed, tableLabels, stats.liveDiskSpaceUsed);
+            this.setGauge(m.tableTotalDiskUsed, tableLabels, stats.totalDiskSpaceUsed);
+            this.setGauge(m.tableSSTables, tableLabels, stats.liveSSTableCount);
+            this.setGauge(m.tablePendingCompactions, tableLabels, stats.pendingCompactions);
+            this.setGauge(m.tablePartitions, tableLabels, stats.estimatedPartitionCount);
+
+            const totals = keyspaces.get(stats.keyspace) || { diskUsed: null, pendingCompactions: null, read: null, write: null };
+            const add = (total, value) => (typeof value === 'number' ? (total || 0) + value : total);
+            totals.diskUsed = add(totals.diskUsed, stats.liveDiskSpaceUsed);
+            totals.pendingCompactions = add(totals.pendingCompactions, stats.pendingCompactions);
+
+            [['read', stats.readLatency], ['write', stats.writeLatency]].forEach(([operation, latency]) => {
+                this.setGauge(m.tableLatency, { ...tableLabels, operation, quantile: '0.95' }, latency?.p95, 0.001);
+                this.setGauge(m.tableLatency, { ...tableLabels, operation, quantile: '0.99' }, latency?.p99, 0.001);
+                this.setCounter(m.tableRequests, { ...tableLabels, operation }, latency?.count);
+                totals[operation] = add(totals[operation], latency?.count);
+            });
+            keyspaces.set(stats.keyspace, totals);
+        });
+
+        keyspaces.forEach((totals, keyspace) => {
+            const keyspaceLabels = { ...labels, keyspace };
+            this.setGauge(m.keyspaceDiskUsed, keyspaceLabels, totals.diskUsed);
+            this.setGauge(m.keyspacePendingCompactions, keyspaceLabels, totals.pendingCompactions);
+            this.setCounter(m.keyspaceRequests, { ...keyspaceLabels, operation: 'read' }, totals.read);
+            this.setCounter(m.keyspaceRequests, { ...keyspaceLabels, operation: 'write' }, totals.write);
+        });
+    }
+}
+
+module.exports = new PrometheusService();
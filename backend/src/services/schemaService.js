@@ -0,0 +1,139 @@
+const cql = require('../config/cql');
+const cqlDdl = require('../config/cqlDdl');
+
+// system_schema tables holding a keyspace's objects, all partitioned by keyspace_name
+const SCHEMA_TABLES = ['tables', 'columns', 'views', 'indexes', 'triggers', 'types', 'functions', 'aggregates'];
+
+// Object kinds served by describe(), with the system_schema column naming them
+const KINDS = {
+    tables: { column: 'table_name', label: 'table' },
+    views: { column: 'view_name', label: 'materialized view' },
+    indexes: { column: 'index_name', label: 'index' },
+    types: { column: 'type_name', label: 'type' },
+    functions: { column: 'function_name', label: 'function' },
+    aggregates: { column: 'aggregate_name', label: 'aggregate' }
+};
+
+function signature(name, argumentTypes) {
+    return `${name}(${(argumentTypes || []).join(', ')})`;
+}
+
+class SchemaService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Every system_schema row of one keyspace
+    async readKeyspace(keyspace) {
+        const client = this.db.getClient();
+        await cql.assertKeyspace(client, keyspace);
+
+        const read = table => client.execute(
+            `SELECT * FROM system_schema.${table} WHERE keyspace_name = ?`,
+            [keyspace],
+            { prepare: true }
+        ).then(result => result.rows);
+        const [keyspaceRows, ...rows] = await Promise.all(['keyspaces', ...SCHEMA_TABLES].map(read));
+
+        const schema = { keyspace: keyspaceRows[0] };
+        SCHEMA_TABLES.forEach((table, index) => {
+            schema[table] = rows[index];
+        });
+        return schema;
+    }
+
+    // Keyspaces with the names of their objects, for browsing
+    async getTree() {
+        const client = this.db.getClient();
+        const read = query => client.execute(query).then(result => result.rows);
+        const [keyspaces, tables, views, indexes, types, functions, aggregates] = await Promise.all([
+            read('SELECT keyspace_name, durable_writes, replication FROM system_schema.keyspaces'),
+            read('SELECT keyspace_name, table_name FROM system_schema.tables'),
+            read('SELECT keyspace_name, view_name, base_table_name FROM system_schema.views'),
+            read('SELECT keyspace_name, table_name, index_name FROM system_schema.indexes'),
+            read('SELECT keyspace_name, type_name FROM system_schema.types'),
+            read('SELECT keyspace_name, function_name, argument_types FROM system_schema.functions'),
+            read('SELECT keyspace_name, aggregate_name, argument_types FROM system_schema.aggregates')
+        ]);
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const of = (rows, keyspace) => rows.filter(row => row.keyspace_name === keyspace);
+        return {
+            success: true,
+            keyspaces: keyspaces.map(row => {
+                const name = row.keyspace_name;
+                return {
+                    name,
+                    isSystem: name.startsWith('system'),
+                    replication: row.replication,
+                    durableWrites: row.durable_writes,
+                    tables: of(tables, name).map(table => ({
+                        name: table.table_name,
+                        indexes: of(indexes, name)
+                            .filter(index => index.table_name === table.table_name)
+                            .map(index => index.index_name)
+                            .sort(),
+                        views: of(views, name)
+                            .filter(view => view.base_table_name === table.table_name)
+                            .map(view => view.view_name)
+                            .sort()
+                    })).sort(byName),
+                    views: of(views, name).map(view => ({ name: view.view_name, baseTable: view.base_table_name })).sort(byName),
+                    types: of(types, name).map(type => ({ name: type.type_name })).sort(byName),
+                    functions: of(functions, name)
+                        .map(fn => ({ name: fn.function_name, signature: signature(fn.function_name, fn.argument_types) }))
+                        .sort(byName),
+                    aggregates: of(aggregates, name)
+                        .map(aggregate => ({ name: aggregate.aggregate_name, signature: signature(aggregate.aggregate_name, aggregate.argument_types) }))
+                        .sort(byName)
+                };
+            }).sort(byName)
+        };
+    }
+
+    // DDL recreating the whole keyspace
+    async describeKeyspace(keyspace) {
+        const schema = await this.readKeyspace(keyspace);
+        return { success: true, keyspace, cql: cqlDdl.describeKeyspace(schema) };
+    }
+
+    // DDL of one object; functions and aggregates include every overload of the name
+    async describe(keyspace, kind, name) {
+        if (!Object.prototype.hasOwnProperty.call(KINDS, kind)) {
+            throw cql.createError(`Unknown schema object kind: ${kind} (expected one of ${Object.keys(KINDS).join(', ')})`, 400);
+        }
+        const { column, label } = KINDS[kind];
+        const schema = await this.readKeyspace(keyspace);
+        const rows = schema[kind].filter(row => row[column] === name);
+        if (rows.length === 0) {
+            throw cql.createError(`Unknown ${label} in ${keyspace}: ${name}`, 404);
+        }
+
+        let statements;
+        switch (kind) {
+            case 'tables':
+                statements = [cqlDdl.describeTable(schema, name)];
+                break;
+            case 'views':
+                statements = [cqlDdl.createView(rows[0], schema.columns)];
+                break;
+            case 'indexes':
+                statements = [cqlDdl.createIndex(rows[0])];
+                break;
+            case 'types':
+                statements = [cqlDdl.createType(rows[0])];
+                break;
+            case 'functions':
+                statements = rows.map(cqlDdl.createFunction);
+                break;
+            default:
+                statements = rows.map(cqlDdl.createAggregate);
+        }
+        return { success: true, keyspace, kind, name, cql: `${statements.join('\n\n')}\n` };
+    }
+}
+
+module.exports = {
+    SchemaService,
+    forCluster: (db) => db.service('schema', () => new SchemaService(db))
+};
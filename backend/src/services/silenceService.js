@@ -0,0 +1,335 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../config/storage');
+const historyService = require('./historyService');
+
+const CLUSTER_NODE = 'cluster';
+const LABEL_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Expired silences and windows stay listed this long before they are dropped
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+// Longest regular expression a matcher may use; every alert is tested against it
+const MAX_PATTERN_LENGTH = 256;
+
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Regex matchers keep their compiled, anchored pattern alongside the value. It is not
+// enumerable, so it stays out of the stored file and API responses.
+function compileMatcher(matcher) {
+    if (matcher.isRegex) {
+        Object.defineProperty(matcher, 'pattern', { value: new RegExp(`^(?:${matcher.value})$`) });
+    }
+    return matcher;
+}
+
+function splitList(value) {
+    const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Silences and maintenance windows mute alerts without touching the rules.
+// A silence matches alerts by label (alertname, rule, severity, cluster, node, dc,
+// metric and any labels the rule adds, such as keyspace); every matcher has to match.
+// A maintenance window covers some nodes of one cluster, or the whole cluster, for a
+// scheduled period such as a drain or a rolling restart. Both are bounded by
+// startsAt/endsAt; deleting one ends it early. 'change' is emitted on every edit.
+class SilenceService extends EventEmitter {
+    constructor() {
+        super();
+        this.silencesFile = process.env.ALERT_SILENCES_FILE || dataPath('alert-silences.json');
+        this.windowsFile = process.env.MAINTENANCE_WINDOWS_FILE || dataPath('maintenance-windows.json');
+        this.silences = null;
+        this.windows = null;
+    }
+
+    async load() {
+        if (!this.silences) {
+            const data = await readJson(this.silencesFile, { silences: [] });
+            this.silences = new Map((data.silences || []).map(silence => {
+                silence.matchers.forEach(compileMatcher);
+                return [silence.id, silence];
+            }));
+        }
+        if (!this.windows) {
+            const data = await readJson(this.windowsFile, { windows: [] });
+            this.windows = new Map((data.windows || []).map(window => [window.id, window]));
+        }
+    }
+
+    prune(entries, time) {
+        entries.forEach((entry, id) => {
+            if (Date.parse(entry.endsAt) < time - RETENTION) {
+                entries.delete(id);
+            }
+        });
+    }
+
+    async saveSilences() {
+        this.prune(this.silences, Date.now());
+        await writeJson(this.silencesFile, { silences: Array.from(this.silences.values()) });
+        this.emit('change');
+    }
+
+    async saveWindows() {
+        this.prune(this.windows, Date.now());
+        await writeJson(this.windowsFile, { windows: Array.from(this.windows.values()) });
+        this.emit('change');
+    }
+
+    status(entry, time = Date.now()) {
+        if (time < Date.parse(entry.startsAt)) {
+            return 'pending';
+        }
+        return time < Date.parse(entry.endsAt) ? 'active' : 'expired';
+    }
+
+    // startsAt defaults to now; the end is either endsAt or startsAt + duration (30m, 2h, 1d)
+    period(input, existing = {}) {
+        const startsAt = input.startsAt ? Date.parse(input.startsAt) : existing.startsAt ? Date.parse(existing.startsAt) : Date.now();
+        if (Number.isNaN(startsAt)) {
+            throw createError(`Invalid startsAt: ${input.startsAt}`, 400);
+        }
+
+        let endsAt;
+        if (input.duration !== undefined && input.duration !== null && input.duration !== '') {
+            try {
+                endsAt = startsAt + historyService.parseStep(input.duration);
+            } catch (error) {
+                throw createError(`Invalid duration: ${input.duration}`, 400);
+            }
+        } else {
+            endsAt = Date.parse(input.endsAt || existing.endsAt || '');
+        }
+        if (Number.isNaN(endsAt)) {
+            throw createError('endsAt or duration is required', 400);
+        }
+        if (endsAt <= startsAt) {
+            throw createError('endsAt must be after startsAt', 400);
+        }
+
+        return {
+            startsAt: new Date(startsAt).toISOString(),
+            endsAt: new Date(endsAt).toISOString()
+        };
+    }
+
+    normalizeMatchers(matchers) {
+        if (!Array.isArray(matchers) || matchers.length === 0) {
+            throw createError('matchers must be a non-empty array', 400);
+        }
+        return matchers.map(matcher => {
+            const name = String(matcher?.name ?? '').trim();
+            const value = String(matcher?.value ?? '');
+            const isRegex = !!matcher?.isRegex;
+            if (!LABEL_NAME.test(name)) {
+                throw createError(`Invalid label name: ${JSON.stringify(name)}`, 400);
+            }
+            if (isRegex && value.length > MAX_PATTERN_LENGTH) {
+                throw createError(`Regular expression for ${name} is longer than ${MAX_PATTERN_LENGTH} characters`, 400);
+            }
+            try {
+                return compileMatcher({ name, value, isRegex });
+            } catch (error) {
+                throw createError(`Invalid regular expression for ${name}: ${error.message}`, 400);
+            }
+        });
+    }
+
+    withStatus(entry, time = Date.now()) {
+        return { ...entry, status: this.status(entry, time) };
+    }
+
+    async listSilences({ status } = {}) {
+        await this.load();
+        const time = Date.now();
+        return Array.from(this.silences.values())
+            .map(silence => this.withStatus(silence, time))
+            .filter(silence => !status || silence.status === status)
+            .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+    }
+
+    async getSilence(id) {
+        await this.load();
+        const silence = this.silences.get(id);
+        return silence ? this.withStatus(silence) : null;
+    }
+
+    async createSilence(input, user = null) {
+        await this.load();
+        const comment = String(input.comment ?? '').trim();
+        if (!comment) {
+            throw createError('comment is required', 400);
+        }
+
+        const now = new Date().toISOString();
+        const silence = {
+            id: crypto.randomUUID(),
+            matchers: this.normalizeMatchers(input.matchers),
+            comment,
+            ...this.period(input),
+            createdBy: user,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.silences.set(silence.id, silence);
+        await this.saveSilences();
+        return this.withStatus(silence);
+    }
+
+    async updateSilence(id, input) {
+        await this.load();
+        const existing = this.silences.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const comment = input.comment !== undefined ? String(input.comment).trim() : existing.comment;
+        if (!comment) {
+            throw createError('comment is required', 400);
+        }
+
+        const silence = {
+            ...existing,
+            matchers: input.matchers !== undefined ? this.normalizeMatchers(input.matchers) : existing.matchers,
+            comment,
+            ...this.period(input, existing),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.silences.set(id, silence);
+        await this.saveSilences();
+        return this.withStatus(silence);
+    }
+
+    // Ends the silence now; it stays listed as expired until pruned
+    async expireSilence(id) {
+        await this.load();
+        const silence = this.silences.get(id);
+        if (!silence) {
+            return null;
+        }
+
+        this.silences.set(id, this.ended(silence));
+        await this.saveSilences();
+        return this.withStatus(this.silences.get(id));
+    }
+
+    ended(entry) {
+        const now = new Date().toISOString();
+        if (this.status(entry) === 'expired') {
+            return entry;
+        }
+        return {
+            ...entry,
+            startsAt: entry.startsAt < now ? entry.startsAt : now,
+            endsAt: now,
+            updatedAt: now
+        };
+    }
+
+    normalizeWindow(input, existing = {}) {
+        const clusterId = String(input.clusterId ?? existing.clusterId ?? '').trim();
+        if (!clusterId) {
+            throw createError('clusterId is required', 400);
+        }
+        const reason = String(input.reason ?? existing.reason ?? '').trim();
+        if (!reason) {
+            throw createError('reason is required', 400);
+        }
+
+        return {
+            clusterId,
+            nodes: splitList(input.nodes ?? existing.nodes),
+            reason,
+            ...this.period(input, existing)
+        };
+    }
+
+    async listWindows({ clusterId, status } = {}) {
+        await this.load();
+        const time = Date.now();
+        return Array.from(this.windows.values())
+            .filter(window => !clusterId || window.clusterId === clusterId)
+            .map(window => this.withStatus(window, time))
+            .filter(window => !status || window.status === status)
+            .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+    }
+
+    async getWindow(id) {
+        await this.load();
+        const window = this.windows.get(id);
+        return window ? this.withStatus(window) : null;
+    }
+
+    async createWindow(input, user = null) {
+        await this.load();
+        const now = new Date().toISOString();
+        const window = {
+            id: crypto.randomUUID(),
+            ...this.normalizeWindow(input),
+            createdBy: user,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.windows.set(window.id, window);
+        await this.saveWindows();
+        return this.withStatus(window);
+    }
+
+    async updateWindow(id, input) {
+        await this.load();
+        const existing = this.windows.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const window = {
+            ...existing,
+            ...this.normalizeWindow(input, existing),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.windows.set(id, window);
+        await this.saveWindows();
+        return this.withStatus(window);
+    }
+
+    async endWindow(id) {
+        await this.load();
+        const window = this.windows.get(id);
+        if (!window) {
+            return null;
+        }
+
+        this.windows.set(id, this.ended(window));
+        await this.saveWindows();
+        return this.withStatus(this.windows.get(id));
+    }
+
+    matches(silence, labels) {
+        return silence.matchers.every(matcher => {
+            const value = labels[matcher.name] ?? '';
+            return matcher.isRegex ? matcher.pattern.test(value) : value === matcher.value;
+        });
+    }
+
+    // Ids of the active silences and windows muting an alert; load() must have run.
+    // Windows naming nodes only cover those nodes, not the cluster aggregate.
+    suppressions(alert, time = Date.now()) {
+        const silencedBy = Array.from(this.silences?.values() || [])
+            .filter(silence => this.status(silence, time) === 'active' && this.matches(silence, alert.labels || {}))
+            .map(silence => silence.id);
+        const maintenance = Array.from(this.windows?.values() || [])
+            .filter(window => this.status(window, time) === 'active' && window.clusterId === alert.clusterId)
+            .filter(window => window.nodes.length === 0 || (alert.node !== CLUSTER_NODE && window.nodes.includes(alert.node)))
+            .map(window => window.id);
+        return { silencedBy, maintenance };
+    }
+}
+
+module.exports = new SilenceService();
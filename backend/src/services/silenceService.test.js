@@ -0,0 +1,172 @@
+const silenceService = require('./silenceService');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MINUTE = 60000;
+const iso = time => new Date(time).toISOString();
+
+function alert(node, labels = {}) {
+    return { clusterId: 'prod', node, labels: { alertname: 'High heap', cluster: 'prod', node, ...labels } };
+}
+
+beforeEach(() => {
+    jest.setSystemTime(T0);
+    silenceService.silences = new Map();
+    silenceService.windows = new Map();
+});
+
+describe('silences', () => {
+    test('start now and end after their duration', async () => {
+        const silence = await silenceService.createSilence({ matchers: [{ name: 'node', value: '10.0.0.1' }], comment: ' rebuild ', duration: '2h' }, 'alice');
+
+        expect(silence).toMatchObject({
+            matchers: [{ name: 'node', value: '10.0.0.1', isRegex: false }],
+            comment: 'rebuild',
+            startsAt: iso(T0),
+            endsAt: iso(T0 + 120 * MINUTE),
+            createdBy: 'alice',
+            status: 'active'
+        });
+        expect(await silenceService.getSilence(silence.id)).toEqual(silence);
+    });
+
+    test.each([
+        [{ matchers: [{ name: 'node', value: 'x' }], duration: '1h' }, 'comment is required'],
+        [{ matchers: [], comment: 'c', duration: '1h' }, 'matchers must be a non-empty array'],
+        [{ matchers: [{ name: 'bad-name', value: 'x' }], comment: 'c', duration: '1h' }, 'Invalid label name'],
+        [{ matchers: [{ name: 'node', value: '10.0.0.(', isRegex: true }], comment: 'c', duration: '1h' }, 'Invalid regular expression for node'],
+        [{ matchers: [{ name: 'node', value: 'a'.repeat(257), isRegex: true }], comment: 'c', duration: '1h' }, 'longer than 256 characters'],
+        [{ matchers: [{ name: 'node', value: 'x' }], comment: 'c' }, 'endsAt or duration is required'],
+        [{ matchers: [{ name: 'node', value: 'x' }], comment: 'c', duration: 'a while' }, 'Invalid duration'],
+        [{ matchers: [{ name: 'node', value: 'x' }], comment: 'c', startsAt: 'tomorrow', duration: '1h' }, 'Invalid startsAt'],
+        [{ matchers: [{ name: 'node', value: 'x' }], comment: 'c', endsAt: iso(T0 - MINUTE) }, 'endsAt must be after startsAt']
+    ])('reject %j', async (input, message) => {
+        await expect(silenceService.createSilence(input)).rejects.toMatchObject({ status: 400, message: expect.stringContaining(message) });
+        expect(silenceService.silences.size).toBe(0);
+    });
+
+    test('are pending, active and then expired', async () => {
+        const silence = await silenceService.createSilence({
+            matchers: [{ name: 'node', value: 'x' }],
+            comment: 'later',
+            startsAt: iso(T0 + 10 * MINUTE),
+            endsAt: iso(T0 + 20 * MINUTE)
+        });
+
+        expect(silenceService.status(silence, T0)).toBe('pending');
+        expect(silenceService.status(silence, T0 + 10 * MINUTE)).toBe('active');
+        expect(silenceService.status(silence, T0 + 20 * MINUTE)).toBe('expired');
+        expect((await silenceService.listSilences({ status: 'pending' })).map(entry => entry.id)).toEqual([silence.id]);
+        expect(await silenceService.listSilences({ status: 'active' })).toEqual([]);
+    });
+
+    test('match every matcher, with anchored regular expressions', () => {
+        const silence = {
+            matchers: silenceService.normalizeMatchers([
+                { name: 'cluster', value: 'prod' },
+                { name: 'node', value: '10\\.0\\.0\\.\\d+', isRegex: true }
+            ])
+        };
+
+        expect(silenceService.matches(silence, alert('10.0.0.12').labels)).toBe(true);
+        expect(silenceService.matches(silence, alert('10.0.1.12').labels)).toBe(false);
+        expect(silenceService.matches(silence, alert('110.0.0.1').labels)).toBe(false);
+        expect(silenceService.matches(silence, { ...alert('10.0.0.1').labels, cluster: 'staging' })).toBe(false);
+    });
+
+    test('compile a regular expression once and keep it out of the stored silence', async () => {
+        const created = await silenceService.createSilence({ matchers: [{ name: 'node', value: '10\\.0\\.0\\.\\d+', isRegex: true }], comment: 'c', duration: '1h' });
+        const [matcher] = silenceService.silences.get(created.id).matchers;
+
+        expect(matcher.pattern).toEqual(/^(?:10\.0\.0\.\d+)$/);
+        expect(JSON.parse(JSON.stringify(created.matchers))).toEqual([{ name: 'node', value: '10\\.0\\.0\\.\\d+', isRegex: true }]);
+
+        const compile = jest.spyOn(global, 'RegExp');
+        const { silencedBy } = silenceService.suppressions(alert('10.0.0.7'), T0);
+        const compiled = compile.mock.calls.length;
+        compile.mockRestore();
+
+        expect(silencedBy).toEqual([created.id]);
+        expect(compiled).toBe(0);
+    });
+
+    test('compile the regular expressions of silences loaded from the file', async () => {
+        const created = await silenceService.createSilence({ matchers: [{ name: 'node', value: '10\\.0\\.0\\.\\d+', isRegex: true }], comment: 'c', duration: '1h' });
+        silenceService.silences = null;
+        silenceService.windows = null;
+
+        await silenceService.load();
+
+        expect(silenceService.suppressions(alert('10.0.0.7'), T0).silencedBy).toEqual([created.id]);
+        expect(silenceService.suppressions(alert('10.0.1.7'), T0).silencedBy).toEqual([]);
+    });
+
+    test('treat a missing label as empty', () => {
+        const silence = { matchers: silenceService.normalizeMatchers([{ name: 'keyspace', value: '' }]) };
+
+        expect(silenceService.matches(silence, alert('10.0.0.1').labels)).toBe(true);
+        expect(silenceService.matches(silence, alert('10.0.0.1', { keyspace: 'shop' }).labels)).toBe(false);
+    });
+
+    test('only suppress alerts while active', async () => {
+        const silence = await silenceService.createSilence({ matchers: [{ name: 'alertname', value: 'High heap' }], comment: 'known', duration: '1h' });
+
+        expect(silenceService.suppressions(alert('10.0.0.1'), T0).silencedBy).toEqual([silence.id]);
+        expect(silenceService.suppressions(alert('10.0.0.1', { alertname: 'GC' }), T0).silencedBy).toEqual([]);
+        expect(silenceService.suppressions(alert('10.0.0.1'), T0 + 61 * MINUTE).silencedBy).toEqual([]);
+    });
+
+    test('end early when expired', async () => {
+        const silence = await silenceService.createSilence({ matchers: [{ name: 'node', value: 'x' }], comment: 'c', duration: '1h' });
+        jest.setSystemTime(T0 + 5 * MINUTE);
+
+        const expired = await silenceService.expireSilence(silence.id);
+
+        expect(expired).toMatchObject({ startsAt: iso(T0), endsAt: iso(T0 + 5 * MINUTE), status: 'expired' });
+        expect(await silenceService.expireSilence('missing')).toBeNull();
+    });
+
+    test('keep their period when only the comment changes', async () => {
+        const silence = await silenceService.createSilence({ matchers: [{ name: 'node', value: 'x' }], comment: 'c', duration: '1h' });
+        jest.setSystemTime(T0 + 5 * MINUTE);
+
+        const updated = await silenceService.updateSilence(silence.id, { comment: 'still rebuilding' });
+
+        expect(updated).toMatchObject({ comment: 'still rebuilding', startsAt: silence.startsAt, endsAt: silence.endsAt });
+    });
+});
+
+describe('maintenance windows', () => {
+    test('require a cluster and a reason', async () => {
+        await expect(silenceService.createWindow({ reason: 'drain', duration: '1h' })).rejects.toMatchObject({ status: 400, message: 'clusterId is required' });
+        await expect(silenceService.createWindow({ clusterId: 'prod', duration: '1h' })).rejects.toMatchObject({ status: 400, message: 'reason is required' });
+    });
+
+    test('cover the nodes they name, but not the cluster aggregate', async () => {
+        const window = await silenceService.createWindow({ clusterId: 'prod', nodes: '10.0.0.1, 10.0.0.2', reason: 'rolling restart', duration: '1h' });
+
+        expect(window.nodes).toEqual(['10.0.0.1', '10.0.0.2']);
+        expect(silenceService.suppressions(alert('10.0.0.1'), T0).maintenance).toEqual([window.id]);
+        expect(silenceService.suppressions(alert('10.0.0.3'), T0).maintenance).toEqual([]);
+        expect(silenceService.suppressions(alert('cluster'), T0).maintenance).toEqual([]);
+        expect(silenceService.suppressions({ ...alert('10.0.0.1'), clusterId: 'staging' }, T0).maintenance).toEqual([]);
+    });
+
+    test('without nodes cover the whole cluster', async () => {
+        const window = await silenceService.createWindow({ clusterId: 'prod', reason: 'upgrade', duration: '1h' });
+
+        expect(silenceService.suppressions(alert('10.0.0.3'), T0).maintenance).toEqual([window.id]);
+        expect(silenceService.suppressions(alert('cluster'), T0).maintenance).toEqual([window.id]);
+    });
+
+    test('stop covering alerts once ended', async () => {
+        const window = await silenceService.createWindow({ clusterId: 'prod', reason: 'upgrade', duration: '1h' });
+        jest.setSystemTime(T0 + 10 * MINUTE);
+
+        const ended = await silenceService.endWindow(window.id);
+
+        expect(ended).toMatchObject({ endsAt: iso(T0 + 10 * MINUTE), status: 'expired' });
+        expect(silenceService.suppressions(alert('10.0.0.1'), T0 + 10 * MINUTE).maintenance).toEqual([]);
+        expect((await silenceService.listWindows({ clusterId: 'prod' })).map(entry => entry.id)).toEqual([window.id]);
+        expect(await silenceService.listWindows({ clusterId: 'staging' })).toEqual([]);
+    });
+});
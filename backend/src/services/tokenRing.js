@@ -0,0 +1,217 @@
+// Token ring arithmetic shared by status, ring and endpoint lookups. Tokens are kept
+// as BigInt: Murmur3 tokens span the signed 64-bit range and RandomPartitioner tokens
+// go up to 2^127, neither of which fits in a double.
+
+const PARTITIONERS = {
+    Murmur3Partitioner: { min: -(2n ** 63n), max: 2n ** 63n - 1n },
+    RandomPartitioner: { min: -1n, max: 2n ** 127n }
+};
+
+function partitionerName(partitioner) {
+    return String(partitioner || '').split('.').pop();
+}
+
+// Ownership can only be computed for partitioners with a numeric token space
+function tokenSpace(partitioner) {
+    return PARTITIONERS[partitionerName(partitioner)] || null;
+}
+
+// nodes: [{ address, datacenter, rack, tokens: ['-922...', ...] }] -> tokens sorted
+// around the ring, each with the node that owns the range ending at it. Tokens of
+// order-preserving partitioners stay strings, which sort the way their bytes do.
+function buildRing(nodes, partitioner) {
+    const parse = tokenSpace(partitioner) ? BigInt : String;
+    const ring = [];
+    nodes.forEach(node => {
+        (node.tokens || []).forEach(token => {
+            ring.push({ token: parse(token), node });
+        });
+    });
+    return ring.sort((a, b) => (a.token < b.token ? -1 : a.token > b.token ? 1 : 0));
+}
+
+// Share of the token space in the range (previous, token]; the first range wraps around
+function rangeFractions(ring, partitioner) {
+    const space = tokenSpace(partitioner);
+    if (!space || ring.length === 0) {
+        return null;
+    }
+    const size = space.max - space.min;
+    if (ring.length === 1) {
+        return [1];
+    }
+
+    return ring.map((entry, index) => {
+        const previous = ring[(index - 1 + ring.length) % ring.length].token;
+        let width = entry.token - previous;
+        if (width <= 0n) {
+            width += size;
+        }
+        // Six decimal places survive the BigInt division
+        return Number((width * 1000000n) / size) / 1000000;
+    });
+}
+
+function parseReplication(replication = {}) {
+    const strategy = String(replication.class || '').split('.').pop();
+    const factors = {};
+    Object.entries(replication).forEach(([key, value]) => {
+        if (key !== 'class' && key !== 'replication_factor') {
+            factors[key] = parseInt(value) || 0;
+        }
+    });
+    return {
+        strategy,
+        replicationFactor: parseInt(replication.replication_factor) || 0,
+        datacenters: factors
+    };
+}
+
+// Node and rack counts per datacenter, worked out once per ring
+const topologies = new WeakMap();
+
+function topology(ring) {
+    if (!topologies.has(ring)) {
+        const datacenters = new Map();
+        ring.forEach(({ node }) => {
+            const dc = datacenters.get(node.datacenter) || { nodes: new Set(), racks: new Set() };
+            dc.nodes.add(node);
+            dc.racks.add(node.rack);
+            datacenters.set(node.datacenter, dc);
+        });
+        topologies.set(ring, datacenters);
+    }
+    return topologies.get(ring);
+}
+
+// The replicas of the range ending at ring[index], chosen the way Cassandra's
+// replication strategies do. SimpleStrategy takes the next distinct nodes clockwise.
+// NetworkTopologyStrategy does that per datacenter, taking one node per rack first
+// and allowing a rack to repeat only when the factor exceeds the rack count.
+function replicasFor(ring, index, replication) {
+    const { strategy, replicationFactor, datacenters } = parseReplication(replication);
+    const replicas = [];
+    const has = node => replicas.includes(node);
+
+    if (strategy === 'LocalStrategy') {
+        return [ring[index].node];
+    }
+    if (strategy === 'EverywhereStrategy') {
+        ring.forEach(entry => {
+            if (!has(entry.node)) {
+                replicas.push(entry.node);
+            }
+        });
+        return replicas;
+    }
+
+    if (strategy !== 'NetworkTopologyStrategy') {
+        for (let step = 0; step < ring.length && replicas.length < replicationFactor; step++) {
+            const node = ring[(index + step) % ring.length].node;
+            if (!has(node)) {
+                replicas.push(node);
+            }
+        }
+        return replicas;
+    }
+
+    Object.entries(datacenters).forEach(([dc, factor]) => {
+        const members = topology(ring).get(dc);
+        if (!members) {
+            return;
+        }
+        let left = Math.min(factor, members.nodes.size);
+        let rackRepeats = factor - members.racks.size;
+        const seenRacks = new Set();
+
+        for (let step = 0; step < ring.length && left > 0; step++) {
+            const node = ring[(index + step) % ring.length].node;
+            if (node.datacenter !== dc || has(node)) {
+                continue;
+            }
+            if (!seenRacks.has(node.rack)) {
+                seenRacks.add(node.rack);
+            } else if (rackRepeats > 0) {
+                rackRepeats--;
+            } else {
+                continue;
+            }
+            replicas.push(node);
+            left--;
+        }
+    });
+    return replicas;
+}
+
+// Every range of the ring as (start, end] with its share of the token space (null
+// when the partitioner has no numeric token space), the node whose token ends it and
+// the replicas in placement order. Without a replication map the owner is the only replica.
+function ranges(nodes, partitioner, replication = null) {
+    const ring = buildRing(nodes, partitioner);
+    const fractions = rangeFractions(ring, partitioner);
+    return ring.map((entry, index) => ({
+        start: ring[(index - 1 + ring.length) % ring.length].token.toString(),
+        end: entry.token.toString(),
+        fraction: fractions ? fractions[index] : null,
+        owner: entry.node,
+        replicas: replication ? replicasFor(ring, index, replication) : [entry.node]
+    }));
+}
+
+// The replicas of the range a token falls in, (previous, token] wrapping past the
+// highest token, in placement order
+function replicasForToken(nodes, partitioner, replication, token) {
+    const ring = buildRing(nodes, partitioner);
+    if (ring.length === 0) {
+        return [];
+    }
+    const parse = tokenSpace(partitioner) ? BigInt : String;
+    const key = parse(token);
+    const index = ring.findIndex(entry => entry.token >= key);
+    return replicasFor(ring, index === -1 ? 0 : index, replication);
+}
+
+// The bytes the partitioner hashes: a single-column key as is, a composite key as
+// each component prefixed with its 2-byte length and followed by a 0 byte
+function partitionKey(components) {
+    if (components.length === 1) {
+        return components[0];
+    }
+    return Buffer.concat(components.flatMap(component => {
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(component.length);
+        return [length, component, Buffer.from([0])];
+    }));
+}
+
+// Map of node address -> fraction of the ring it holds a replica of. Without a
+// replication map this is plain token ownership (what nodetool shows as "Owns").
+function ownership(nodes, partitioner, replication = null) {
+    const described = ranges(nodes, partitioner, replication);
+    if (described.length === 0 || described[0].fraction === null) {
+        return null;
+    }
+
+    const owned = new Map(nodes.map(node => [node.address, 0]));
+    described.forEach(range => {
+        range.replicas.forEach(node => {
+            owned.set(node.address, owned.get(node.address) + range.fraction);
+        });
+    });
+    owned.forEach((fraction, address) => owned.set(address, Math.min(fraction, 1)));
+    return owned;
+}
+
+module.exports = {
+    PARTITIONERS,
+    partitionerName,
+    tokenSpace,
+    buildRing,
+    rangeFractions,
+    parseReplication,
+    replicasFor,
+    ranges,
+    replicasForToken,
+    partitionKey,
+    ownership
+};
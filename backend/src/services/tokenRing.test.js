@@ -0,0 +1,122 @@
+const tokenRing = require('./tokenRing');
+
+const MURMUR3 = 'org.apache.cassandra.dht.Murmur3Partitioner';
+const QUARTER = 2n ** 62n;
+
+// Four nodes evenly spread over the Murmur3 ring, two racks in each of two datacenters
+const nodes = [
+    { address: '10.0.0.1', datacenter: 'dc1', rack: 'r1', tokens: [String(-2n * QUARTER)] },
+    { address: '10.0.1.1', datacenter: 'dc2', rack: 'r1', tokens: [String(-QUARTER)] },
+    { address: '10.0.0.2', datacenter: 'dc1', rack: 'r2', tokens: ['0'] },
+    { address: '10.0.1.2', datacenter: 'dc2', rack: 'r2', tokens: [String(QUARTER)] }
+];
+const addresses = replicas => replicas.map(node => node.address);
+
+describe('token space', () => {
+    test('knows the numeric partitioners by their short or full name', () => {
+        expect(tokenRing.tokenSpace(MURMUR3)).toBe(tokenRing.PARTITIONERS.Murmur3Partitioner);
+        expect(tokenRing.tokenSpace('RandomPartitioner')).toBe(tokenRing.PARTITIONERS.RandomPartitioner);
+        expect(tokenRing.tokenSpace('ByteOrderedPartitioner')).toBeNull();
+    });
+});
+
+describe('buildRing and rangeFractions', () => {
+    test('sorts tokens numerically, not as text', () => {
+        const ring = tokenRing.buildRing([{ address: 'a', tokens: ['9', '-10', '100'] }], MURMUR3);
+        expect(ring.map(entry => entry.token)).toEqual([-10n, 9n, 100n]);
+    });
+
+    test('each range is the share of the ring up to its token, the first wrapping around', () => {
+        const ring = tokenRing.buildRing(nodes, MURMUR3);
+        tokenRing.rangeFractions(ring, MURMUR3).forEach(fraction => expect(fraction).toBeCloseTo(0.25));
+    });
+
+    test('a single token owns the whole ring', () => {
+        const ring = tokenRing.buildRing([{ address: 'a', tokens: ['42'] }], MURMUR3);
+        expect(tokenRing.rangeFractions(ring, MURMUR3)).toEqual([1]);
+    });
+
+    test('order-preserving partitioners have no fractions', () => {
+        const ring = tokenRing.buildRing([{ address: 'a', tokens: ['6b6579'] }], 'ByteOrderedPartitioner');
+        expect(tokenRing.rangeFractions(ring, 'ByteOrderedPartitioner')).toBeNull();
+    });
+});
+
+describe('ownership', () => {
+    test('without replication is plain token ownership', () => {
+        const owned = tokenRing.ownership(nodes, MURMUR3);
+        nodes.forEach(node => expect(owned.get(node.address)).toBeCloseTo(0.25));
+    });
+
+    test('uneven tokens give uneven ownership', () => {
+        const owned = tokenRing.ownership([
+            { address: 'a', tokens: ['0'] },
+            { address: 'b', tokens: [String(QUARTER)] }
+        ], MURMUR3);
+        expect(owned.get('b')).toBeCloseTo(0.25);
+        expect(owned.get('a')).toBeCloseTo(0.75);
+    });
+
+    test('SimpleStrategy counts every range a node replicates', () => {
+        const owned = tokenRing.ownership(nodes, MURMUR3, { class: 'SimpleStrategy', replication_factor: '2' });
+        nodes.forEach(node => expect(owned.get(node.address)).toBeCloseTo(0.5));
+    });
+
+    test('NetworkTopologyStrategy replicates within each datacenter', () => {
+        const owned = tokenRing.ownership(nodes, MURMUR3, {
+            class: 'org.apache.cassandra.locator.NetworkTopologyStrategy',
+            dc1: '2',
+            dc2: '1'
+        });
+        expect(owned.get('10.0.0.1')).toBeCloseTo(1);
+        expect(owned.get('10.0.0.2')).toBeCloseTo(1);
+        expect(owned.get('10.0.1.1')).toBeCloseTo(0.5);
+        expect(owned.get('10.0.1.2')).toBeCloseTo(0.5);
+    });
+
+    test('is the whole ring when the factor exceeds the node count', () => {
+        const owned = tokenRing.ownership(nodes, MURMUR3, { class: 'SimpleStrategy', replication_factor: '9' });
+        nodes.forEach(node => expect(owned.get(node.address)).toBeCloseTo(1));
+    });
+
+    test('is unknown for partitioners without a numeric token space', () => {
+        expect(tokenRing.ownership(nodes, 'ByteOrderedPartitioner')).toBeNull();
+    });
+});
+
+describe('replicas', () => {
+    test('SimpleStrategy takes the next distinct nodes clockwise', () => {
+        const ring = tokenRing.buildRing(nodes, MURMUR3);
+        expect(addresses(tokenRing.replicasFor(ring, 3, { class: 'SimpleStrategy', replication_factor: '3' })))
+            .toEqual(['10.0.1.2', '10.0.0.1', '10.0.1.1']);
+    });
+
+    test('NetworkTopologyStrategy prefers a node on another rack', () => {
+        const racks = [
+            { address: 'a', datacenter: 'dc1', rack: 'r1', tokens: ['0'] },
+            { address: 'b', datacenter: 'dc1', rack: 'r1', tokens: ['10'] },
+            { address: 'c', datacenter: 'dc1', rack: 'r2', tokens: ['20'] }
+        ];
+        const ring = tokenRing.buildRing(racks, MURMUR3);
+        expect(addresses(tokenRing.replicasFor(ring, 0, { class: 'NetworkTopologyStrategy', dc1: '2' }))).toEqual(['a', 'c']);
+    });
+
+    test('a token belongs to the range ending at the next token, wrapping past the last', () => {
+        const replication = { class: 'SimpleStrategy', replication_factor: '1' };
+        expect(addresses(tokenRing.replicasForToken(nodes, MURMUR3, replication, '1'))).toEqual(['10.0.1.2']);
+        expect(addresses(tokenRing.replicasForToken(nodes, MURMUR3, replication, '0'))).toEqual(['10.0.0.2']);
+        expect(addresses(tokenRing.replicasForToken(nodes, MURMUR3, replication, String(QUARTER + 1n)))).toEqual(['10.0.0.1']);
+    });
+});
+
+describe('partitionKey', () => {
+    test('a single component is hashed as is', () => {
+        const key = Buffer.from('abc');
+        expect(tokenRing.partitionKey([key])).toBe(key);
+    });
+
+    test('composite keys are length-prefixed and 0-terminated', () => {
+        expect(tokenRing.partitionKey([Buffer.from('a'), Buffer.from('bc')]))
+            .toEqual(Buffer.from([0, 1, 0x61, 0, 0, 2, 0x62, 0x63, 0]));
+    });
+});
@@ -1,19 +1,44 @@
 const WebSocket = require('ws');
+const db = require('../config/database');
 const metricsService = require('./metricsService');
 const operationsService = require('./operationsService');
 const jmxService = require('./jmxService');
+const authService = require('./authService');
+const jobRunner = require('./jobRunner');
+const alertService = require('./alertService');
 
 class WebSocketService {
     constructor() {
         this.wss = null;
         this.clients = new Set();
         this.updateInterval = null;
+        this.sessionCheckInterval = null;
+        this.onJobUpdate = null;
+        this.onAlert = null;
     }
 
     initialize(server) {
-        this.wss = new WebSocket.Server({ server });
+        this.wss = new WebSocket.Server({
+            server,
+            // Browsers cannot set headers on the upgrade, so the session token comes as ?token=
+            verifyClient: (info, done) => {
+                const token = new URL(info.req.url, 'http://localhost').searchParams.get('token');
+                const session = authService.getSession(token);
+                if (!session) {
+                    return done(false, 401, 'Authentication required');
+                }
+                info.req.sessionToken = token;
+                info.req.user = session.user;
+                done(true);
+            }
+        });
         
-        this.wss.on('connection', (ws) => {
+        this.wss.on('connection', (ws, req) => {
+            // Clients pick a cluster with ?clusterId= on the URL or a select_cluster message
+            const url = new URL(req.url, 'http://localhost');
+            ws.clusterId = url.searchParams.get('clusterId') || null;
+            ws.sessionToken = req.sessionToken;
+            ws.user = req.user;
             this.clients.add(ws);
             
             // Send initial data
@@ -42,16 +67,51 @@ class WebSocketService {
             });
         });
 
+        // Stream job state, output lines and progress as they happen
+        this.onJobUpdate = ({ clusterId, operation, line }) => {
+            // The full output tail is only sent with the REST responses
+            const { output, ...summary } = operation;
+            this.broadcastOperationUpdate(operation.id, summary, clusterId, line);
+        };
+        jobRunner.on('update', this.onJobUpdate);
+
+        // Alerts starting to fire or resolving, to clients watching their cluster
+        this.onAlert = alert => this.broadcastAlert(alert, alert.clusterId);
+        alertService.on('alert', this.onAlert);
+
         // Start periodic updates
         this.startPeriodicUpdates();
         
+        // Close sockets whose session expired
+        this.sessionCheckInterval = setInterval(() => {
+            this.disconnectInvalidSessions();
+        }, 60000);
+    }
+
+    // Close sockets whose session has ended (logout, expiry, user changes)
+    disconnectInvalidSessions() {
+        this.clients.forEach(ws => {
+            if (!authService.getSession(ws.sessionToken)) {
+                ws.close(4001, 'Session expired');
+                this.clients.delete(ws);
+            }
+        });
+    }
+
+    // Resolve the cluster a client is watching; null when it is no longer connected
+    getClientCluster(ws) {
+        try {
+            return db.get(ws.clusterId);
+        } catch (error) {
+            return null;
+        }
     }
 
     async sendInitialData(ws) {
         try {
             // Check if database is connected before trying to fetch data
-            const dbConfig = require('../config/database');
-            if (!dbConfig.isConnected) {
+            const cluster = this.getClientCluster(ws);
+            if (!cluster || !cluster.isConnected) {
                 // Send a message indicating connection is pending
                 ws.send(JSON.stringify({
                     type: 'connection_pending',
@@ -64,12 +124,11 @@ class WebSocketService {
             let jmxMetrics = null;
             try {
                 // Get actual discovered node addresses instead of connection config hosts
-                const metricsService = require('./metricsService');
-                const nodesInfo = await metricsService.getNodesInfo();
-                const hosts = nodesInfo.map(node => node.address);
+                const nodesInfo = await metricsService.forCluster(cluster).getNodesInfo();
+                const hosts = nodesInfo.filter(node => node.isUp).map(node => node.address);
                 
                 if (hosts.length > 0) {
-                    jmxMetrics = await jmxService.getAggregatedMetrics(hosts);
+                    jmxMetrics = await jmxService.getAggregatedMetrics(hosts, cluster.connectionConfig?.jmxPort);
                 } else {
                     // Removed console.log for production
                 }
@@ -78,14 +137,16 @@ class WebSocketService {
                 console.error('JMX error details:', jmxError);
             }
             
-            const metrics = await metricsService.getBasicMetrics();
-            const operations = await operationsService.getActiveOperations();
+            const metrics = await metricsService.forCluster(cluster).getBasicMetrics();
+            const { operations } = await operationsService.forCluster(cluster).listOperations();
             
             ws.send(JSON.stringify({
                 type: 'initial',
                 data: {
+                    clusterId: cluster.clusterId,
                     metrics,
                     operations,
+                    alerts: alertService.listAlerts({ clusterId: cluster.clusterId, state: 'firing' }),
                     jmxInitialized: jmxMetrics?.success || false
                 }
             }));
@@ -106,6 +167,9 @@ class WebSocketService {
             case 'unsubscribe':
                 await this.handleUnsubscription(ws, data);
                 break;
+            case 'select_cluster':
+                await this.handleClusterSelection(ws, data);
+                break;
             case 'request_metrics':
                 await this.sendMetricsUpdate(ws);
                 break;
@@ -137,6 +201,17 @@ class WebSocketService {
         }));
     }
 
+    async handleClusterSelection(ws, data) {
+        ws.clusterId = data.clusterId || null;
+        
+        ws.send(JSON.stringify({
+            type: 'cluster_selected',
+            clusterId: ws.clusterId
+        }));
+        
+        await this.sendInitialData(ws);
+    }
+
     async handleUnsubscription(ws, data) {
         const { channels } = data;
         
@@ -165,46 +240,52 @@ class WebSocketService {
         }, parseInt(process.env.REFRESH_INTERVAL) || 5000);
     }
 
+    // Connected clusters that at least one client is currently watching
+    getWatchedClusters() {
+        const clusters = new Map();
+        
+        this.clients.forEach(ws => {
+            const cluster = this.getClientCluster(ws);
+            if (cluster && cluster.isConnected) {
+                clusters.set(cluster.clusterId, cluster);
+            }
+        });
+        
+        return Array.from(clusters.values());
+    }
+
     async sendMetricsToSubscribers() {
         if (this.clients.size === 0) return;
         
-        try {
-            // Check if database is connected before trying to fetch data
-            const dbConfig = require('../config/database');
-            if (!dbConfig.isConnected) {
-                return; // Skip this update if not connected
+        for (const cluster of this.getWatchedClusters()) {
+            try {
+                // Get basic metrics without JMX (since frontend Dashboard fetches JMX directly)
+                const basicMetrics = await metricsService.forCluster(cluster).getBasicMetrics();
+                
+                this.broadcast({
+                    type: 'metrics_update',
+                    data: basicMetrics
+                }, 'metrics', cluster.clusterId);
+            } catch (error) {
+                console.error(`Error broadcasting metrics for cluster ${cluster.clusterId}:`, error);
             }
-            
-            // Get basic metrics without JMX (since frontend Dashboard fetches JMX directly)
-            const basicMetrics = await metricsService.getBasicMetrics();
-            
-            this.broadcast({
-                type: 'metrics_update',
-                data: basicMetrics
-            }, 'metrics');
-        } catch (error) {
-            console.error('Error broadcasting metrics:', error);
         }
     }
 
     async sendOperationsToSubscribers() {
         if (this.clients.size === 0) return;
         
-        try {
-            // Check if database is connected before trying to fetch data
-            const dbConfig = require('../config/database');
-            if (!dbConfig.isConnected) {
-                return; // Skip this update if not connected
+        for (const cluster of this.getWatchedClusters()) {
+            try {
+                const { operations } = await operationsService.forCluster(cluster).listOperations();
+                
+                this.broadcast({
+                    type: 'operations_update',
+                    data: operations
+                }, 'operations', cluster.clusterId);
+            } catch (error) {
+                console.error(`Error broadcasting operations for cluster ${cluster.clusterId}:`, error);
             }
-            
-            const operations = await operationsService.getActiveOperations();
-            
-            this.broadcast({
-                type: 'operations_update',
-                data: operations
-            }, 'operations');
-        } catch (error) {
-            console.error('Error broadcasting operations:', error);
         }
     }
 
@@ -217,8 +298,8 @@ class WebSocketService {
     async sendMetricsUpdate(ws) {
         try {
             // Check if database is connected before trying to fetch data
-            const dbConfig = require('../config/database');
-            if (!dbConfig.isConnected) {
+            const cluster = this.getClientCluster(ws);
+            if (!cluster || !cluster.isConnected) {
                 ws.send(JSON.stringify({
                     type: 'connection_pending',
                     message: 'Database connection not available'
@@ -227,7 +308,7 @@ class WebSocketService {
             }
             
             // Use basic metrics without JMX to prevent connection errors
-            const metrics = await metricsService.getBasicMetrics();
+            const metrics = await metricsService.forCluster(cluster).getBasicMetrics();
             ws.send(JSON.stringify({
                 type: 'metrics_update',
                 data: metrics
@@ -240,7 +321,7 @@ class WebSocketService {
         }
     }
 
-    broadcast(message, channel = null) {
+    broadcast(message, channel = null, clusterId = null) {
         const messageStr = JSON.stringify(message);
         
         this.clients.forEach(ws => {
@@ -250,6 +331,11 @@ class WebSocketService {
                     return;
                 }
                 
+                // If cluster is specified, only send to clients watching that cluster
+                if (clusterId && this.getClientCluster(ws)?.clusterId !== clusterId) {
+                    return;
+                }
+                
                 try {
                     ws.send(messageStr);
                 } catch (error) {
@@ -260,43 +346,46 @@ class WebSocketService {
         });
     }
 
-    broadcastOperationUpdate(operationId, operation) {
+    broadcastOperationUpdate(operationId, operation, clusterId = null, line = null) {
         this.broadcast({
             type: 'operation_update',
             data: {
                 operationId,
-                operation
+                operation,
+                line
             }
-        }, 'operations');
+        }, 'operations', clusterId);
     }
 
-    broadcastAlert(alert) {
+    broadcastAlert(alert, clusterId = null) {
         this.broadcast({
             type: 'alert',
             data: alert
-        }, 'alerts');
+        }, 'alerts', clusterId);
     }
 
-    // Method to send initial data to all connected clients (useful after DB reconnection)
-    async broadcastInitialDataToAll() {
+    // Method to send initial data to clients watching a cluster (useful after DB reconnection)
+    async broadcastInitialDataToAll(clusterId = null) {
         if (this.clients.size === 0) return;
         
         try {
-            const dbConfig = require('../config/database');
-            if (!dbConfig.isConnected) {
+            const cluster = db.get(clusterId);
+            if (!cluster.isConnected) {
                 return; // Skip if not connected
             }
             
-            const metrics = await metricsService.getAllMetrics();
-            const operations = await operationsService.getActiveOperations();
+            const metrics = await metricsService.forCluster(cluster).getAllMetrics();
+            const { operations } = await operationsService.forCluster(cluster).listOperations();
             
             this.broadcast({
                 type: 'initial',
                 data: {
+                    clusterId: cluster.clusterId,
                     metrics,
-                    operations
+                    operations,
+                    alerts: alertService.listAlerts({ clusterId: cluster.clusterId, state: 'firing' })
                 }
-            });
+            }, null, cluster.clusterId);
         } catch (error) {
             console.error('Error broadcasting initial data to all clients:', error);
         }
@@ -308,6 +397,21 @@ class WebSocketService {
             this.updateInterval = null;
         }
         
+        if (this.sessionCheckInterval) {
+            clearInterval(this.sessionCheckInterval);
+            this.sessionCheckInterval = null;
+        }
+        
+        if (this.onJobUpdate) {
+            jobRunner.off('update', this.onJobUpdate);
+            this.onJobUpdate = null;
+        }
+        
+        if (this.onAlert) {
+            alertService.off('alert', this.onAlert);
+            this.onAlert = null;
+        }
+        
         if (this.wss) {
             this.wss.close();
             this.wss = null;
@@ -4,6 +4,7 @@ import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import { Box, Typography, Button, CircularProgress, Chip, LinearProgress } from '@mui/material';
 import { WebSocketProvider } from './contexts/WebSocketContext';
+import { useAuth } from './contexts/AuthContext';
 import Layout from './components/Layout/Layout';
 import Dashboard from './pages/Dashboard';
 import ClusterTopology from './pages/ClusterTopology';
@@ -11,8 +12,11 @@ import Performance from './pages/Performance';
 import JMXDashboard from './pages/JMXDashboard';
 import Operations from './pages/Operations';
 import DataExplorer from './pages/DataExplorer';
+import SchemaBrowser from './pages/SchemaBrowser';
 import Settings from './pages/Settings';
+import AuditLog from './pages/AuditLog';
 import ConnectionManager from './components/ConnectionManager/ConnectionManager';
+import Login from './components/Login/Login';
 import Logo from './components/Logo/Logo';
 import ApiService from './services/api';
 import ErrorIcon from '@mui/icons-material/Error';
@@ -39,6 +43,7 @@ const darkTheme = createTheme({
 });
 
 function App() {
+  const { user, loading: authLoading, logout } = useAuth();
   const [showConnectionManager, setShowConnectionManager] = useState(true);
   const [connectionInfo, setConnectionInfo] = useState<any>(null);
   const [loading, setLoading] = useState(true);
@@ -48,6 +53,7 @@ function App() {
   const [discoveredNodes, setDiscoveredNodes] = useState<string[]>([]);
   const [connectedNodes, setConnectedNodes] = useState<string[]>([]);
   const [nodeConnectionErrors, setNodeConnectionErrors] = useState<{[key: string]: string}>({});
+  const [activeClusterId, setActiveClusterId] = useState<string | null>(null);
   
   // Estimate remaining time based on connection progress
   const getEstimatedTimeRemaining = () => {
@@ -62,9 +68,13 @@ function App() {
     return 'Almost done!';
   };
 
+  // Cluster state is only readable once signed in
   useEffect(() => {
-    checkConnectionStatus();
-  }, []);
+    if (user) {
+      setLoading(true);
+      checkConnectionStatus();
+    }
+  }, [user]);
 
   const checkConnectionStatus = async () => {
     try {
@@ -72,6 +82,12 @@ function App() {
       const info = await ApiService.getConnectionInfo();
       setConnectionInfo(info);
       
+      // Pin requests to the resolved cluster so other clusters can be connected alongside it
+      if (info.clusterId) {
+        ApiService.setActiveCluster(info.clusterId);
+        setActiveClusterId(info.clusterId);
+      }
+      
       // Show connection manager if not connected
       if (!info.isConnected) {
         setShowConnectionManager(true);
@@ -205,6 +221,10 @@ function App() {
 
   const handleConnect = async (config: any) => {
     try {
+      if (config?.clusterId) {
+        ApiService.setActiveCluster(config.clusterId);
+        setActiveClusterId(config.clusterId);
+      }
       setShowConnectionManager(false);
       setEstablishingConnection(true);
       setWebsocketReady(false);
@@ -232,17 +252,54 @@ function App() {
     }
   };
 
-  const handleDisconnect = async () => {
-    try {
-      await ApiService.disconnect();
+  const handleSwitchCluster = async (clusterId: string) => {
+    await handleConnect({ clusterId });
+  };
+
+  // Fall back to another connected cluster, or the connection screen when none are left
+  const handleClusterDisconnected = async (clusterId: string) => {
+    if (clusterId !== activeClusterId) {
+      return;
+    }
+    
+    const { clusters } = await ApiService.listConnections();
+    const remaining = (clusters || []).find(cluster => cluster.clusterId !== clusterId);
+    
+    if (remaining) {
+      await handleSwitchCluster(remaining.clusterId);
+    } else {
+      ApiService.setActiveCluster(null);
+      setActiveClusterId(null);
       setConnectionInfo({ isConnected: false });
       setShowConnectionManager(true);
+    }
+  };
+
+  const handleDisconnect = async () => {
+    try {
+      if (activeClusterId) {
+        await ApiService.disconnect(activeClusterId);
+        await handleClusterDisconnected(activeClusterId);
+      } else {
+        await ApiService.disconnect();
+        setConnectionInfo({ isConnected: false });
+        setShowConnectionManager(true);
+      }
     } catch (error) {
       console.error('Error disconnecting:', error);
     }
   };
 
-  if (loading) {
+  if (!authLoading && !user) {
+    return (
+      <ThemeProvider theme={darkTheme}>
+        <CssBaseline />
+        <Login />
+      </ThemeProvider>
+    );
+  }
+
+  if (loading || authLoading) {
     return (
       <ThemeProvider theme={darkTheme}>
         <CssBaseline />
@@ -335,6 +392,9 @@ function App() {
           open={showConnectionManager}
           onClose={() => setShowConnectionManager(false)}
           onConnect={handleConnect}
+          activeClusterId={activeClusterId}
+          onSwitch={handleSwitchCluster}
+          onClusterDisconnected={handleClusterDisconnected}
         />
       </ThemeProvider>
     );
@@ -343,13 +403,14 @@ function App() {
   return (
     <ThemeProvider theme={darkTheme}>
       <CssBaseline />
-      <WebSocketProvider>
+      <WebSocketProvider clusterId={activeClusterId}>
         {!establishingConnection && connectionInfo?.isConnected && websocketReady ? (
           <Router>
             <Layout 
               connectionInfo={connectionInfo}
               onDisconnect={handleDisconnect}
               onShowConnectionManager={() => setShowConnectionManager(true)}
+              onLogout={logout}
             >
               <Routes>
                 <Route path="/" element={<Dashboard />} />
@@ -358,6 +419,8 @@ function App() {
                 <Route path="/jmx" element={<JMXDashboard />} />
                 <Route path="/operations" element={<Operations />} />
                 <Route path="/data" element={<DataExplorer />} />
+                <Route path="/schema" element={<SchemaBrowser />} />
+                <Route path="/audit" element={<AuditLog />} />
                 <Route path="/settings" element={<Settings />} />
               </Routes>
             </Layout>
@@ -473,6 +536,9 @@ function App() {
           open={showConnectionManager}
           onClose={() => setShowConnectionManager(false)}
           onConnect={handleConnect}
+          activeClusterId={activeClusterId}
+          onSwitch={handleSwitchCluster}
+          onClusterDisconnected={handleClusterDisconnected}
         />
       </WebSocketProvider>
     </ThemeProvider>
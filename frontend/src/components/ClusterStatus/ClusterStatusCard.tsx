@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  LinearProgress,
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { ClusterStatus, KeyspaceInfo, NodeStatus } from '../../types';
+
+const STATE_LABELS: Record<NodeStatus['state'], string> = {
+  N: 'Normal',
+  L: 'Leaving',
+  J: 'Joining',
+  M: 'Moving'
+};
+
+// The equivalent of `nodetool status`, optionally with effective ownership for one keyspace
+const ClusterStatusCard: React.FC = () => {
+  const [status, setStatus] = useState<ClusterStatus | null>(null);
+  const [keyspaces, setKeyspaces] = useState<KeyspaceInfo[]>([]);
+  const [keyspace, setKeyspace] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadStatus = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await ApiService.getClusterStatus(keyspace || undefined);
+      if (result.success) {
+        setStatus(result);
+      } else {
+        setError(result.error || 'Failed to get cluster status');
+      }
+    } catch (error: any) {
+      const response = error.response?.data;
+      setError(response?.message || response?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [keyspace]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  useEffect(() => {
+    ApiService.getKeyspacesInfo()
+      .then(setKeyspaces)
+      .catch(() => setKeyspaces([]));
+  }, []);
+
+  const datacenters = Array.from(new Set((status?.nodes || []).map(node => node.datacenter)));
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+          <Box>
+            <Typography variant="h6">Node Status</Typography>
+            {status && (
+              <Typography variant="body2" color="textSecondary">
+                {status.upNodes}/{status.totalNodes} up
+                {status.gossipSource ? ` · gossip from ${status.gossipSource}` : ' · gossip unavailable (driver view only)'}
+              </Typography>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <TextField
+              select
+              label="Ownership for keyspace"
+              size="small"
+              value={keyspace}
+              onChange={(e) => setKeyspace(e.target.value)}
+              sx={{ minWidth: 220 }}
+            >
+              <MenuItem value="">
+                <em>Default</em>
+              </MenuItem>
+              {keyspaces.map((ks) => (
+                <MenuItem key={ks.name} value={ks.name}>{ks.name}</MenuItem>
+              ))}
+            </TextField>
+            <Tooltip title="Refresh">
+              <span>
+                <IconButton onClick={loadStatus} disabled={loading}>
+                  <RefreshIcon />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {status?.note && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {status.note}
+          </Alert>
+        )}
+
+        {datacenters.map((dc) => (
+          <Box key={dc} sx={{ mb: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              Datacenter: {dc}
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Address</TableCell>
+                    <TableCell>Load</TableCell>
+                    <TableCell align="right">Tokens</TableCell>
+                    <TableCell align="right">{status?.effectiveOwnership ? 'Owns (effective)' : 'Owns'}</TableCell>
+                    <TableCell>Host ID</TableCell>
+                    <TableCell>Rack</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {(status?.nodes || []).filter(node => node.datacenter === dc).map((node) => (
+                    <TableRow key={node.address}>
+                      <TableCell>
+                        <Tooltip title={`${node.status === 'U' ? 'Up' : 'Down'} / ${STATE_LABELS[node.state]}`}>
+                          <Chip
+                            label={`${node.status}${node.state}`}
+                            size="small"
+                            color={node.status === 'D' ? 'error' : node.state === 'N' ? 'success' : 'warning'}
+                          />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>{node.address}</TableCell>
+                      <TableCell>{node.load}</TableCell>
+                      <TableCell align="right">{node.tokens}</TableCell>
+                      <TableCell align="right">{node.owns}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{node.hostId}</TableCell>
+                      <TableCell>{node.rack}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ClusterStatusCard;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress,
+} from '@mui/material';
+import ApiService from '../../services/api';
+import { Endpoints } from '../../types';
+
+interface ReplicasDialogProps {
+  open: boolean;
+  keyspace: string;
+  table: string;
+  // Partition key column -> value as text; null while no row is picked
+  partitionKey: Record<string, string> | null;
+  onClose: () => void;
+}
+
+// The nodes holding a partition, the way `nodetool getendpoints` reports them
+const ReplicasDialog: React.FC<ReplicasDialogProps> = ({ open, keyspace, table, partitionKey, onClose }) => {
+  const [endpoints, setEndpoints] = useState<Endpoints | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open || !partitionKey) {
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    setEndpoints(null);
+    ApiService.getEndpoints(keyspace, table, partitionKey)
+      .then((result) => {
+        if (result.success) {
+          setEndpoints(result);
+        } else {
+          setError(result.error || 'Failed to get replicas');
+        }
+      })
+      .catch((error: any) => {
+        const response = error.response?.data;
+        setError(response?.message || response?.error || error.message);
+      })
+      .finally(() => setLoading(false));
+  }, [open, keyspace, table, partitionKey]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Replicas in {keyspace}.{table}</DialogTitle>
+      <DialogContent dividers>
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {error && <Alert severity="error">{error}</Alert>}
+        {endpoints && (
+          <Box>
+            <Typography variant="body2" gutterBottom>
+              {(endpoints.partitionKey || []).map(column => `${column.name} = ${column.value}`).join(', ')}
+            </Typography>
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              Token <Box component="span" sx={{ fontFamily: 'monospace' }}>{endpoints.token}</Box>
+              {' · '}{endpoints.partitioner?.split('.').pop()}
+              {endpoints.gossipSource ? ` · health from ${endpoints.gossipSource}` : ' · health from the driver'}
+            </Typography>
+            <Table size="small" sx={{ mt: 1 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Datacenter</TableCell>
+                  <TableCell>Rack</TableCell>
+                  <TableCell>Address</TableCell>
+                  <TableCell>Host ID</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(endpoints.replicas || []).map((replica) => (
+                  <TableRow key={replica.address}>
+                    <TableCell>{replica.datacenter}</TableCell>
+                    <TableCell>{replica.rack}</TableCell>
+                    <TableCell>{replica.address}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{replica.hostId}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={`${replica.status}${replica.state}`}
+                        size="small"
+                        color={replica.status === 'D' ? 'error' : replica.state === 'N' ? 'success' : 'warning'}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {endpoints.replicas?.length === 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                No replicas: the keyspace does not replicate to any known datacenter.
+              </Alert>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReplicasDialog;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  LinearProgress,
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { KeyspaceInfo, RingNode, TokenRange, TokenRing } from '../../types';
+
+type ColorBy = 'node' | 'rack' | 'datacenter';
+
+const PALETTE = ['#90caf9', '#f48fb1', '#a5d6a7', '#ffcc80', '#ce93d8', '#80deea', '#ef9a9a', '#e6ee9c', '#bcaaa4', '#b0bec5'];
+const SIZE = 320;
+const OUTER = 150;
+const INNER = 100;
+
+const percent = (value: number | null) => (value === null ? '?' : `${(value * 100).toFixed(1)}%`);
+
+const groupOf = (node: RingNode, colorBy: ColorBy) => {
+  if (colorBy === 'node') {
+    return node.address;
+  }
+  return colorBy === 'rack' ? `${node.datacenter} / ${node.rack}` : node.datacenter;
+};
+
+// Donut slice between two positions on the ring, in turns clockwise from the top
+const slice = (from: number, to: number) => {
+  const end = Math.min(to, from + 0.99999);
+  const point = (turn: number, radius: number) => {
+    const angle = turn * 2 * Math.PI - Math.PI / 2;
+    return `${SIZE / 2 + radius * Math.cos(angle)} ${SIZE / 2 + radius * Math.sin(angle)}`;
+  };
+  const large = end - from > 0.5 ? 1 : 0;
+  return `M ${point(from, OUTER)} A ${OUTER} ${OUTER} 0 ${large} 1 ${point(end, OUTER)} `
+    + `L ${point(end, INNER)} A ${INNER} ${INNER} 0 ${large} 0 ${point(from, INNER)} Z`;
+};
+
+// The token ring as a donut starting at the lowest token, with ownership per node
+// and the replicas of any range clicked
+const TokenRingCard: React.FC = () => {
+  const [ring, setRing] = useState<TokenRing | null>(null);
+  const [keyspaces, setKeyspaces] = useState<KeyspaceInfo[]>([]);
+  const [keyspace, setKeyspace] = useState('');
+  const [colorBy, setColorBy] = useState<ColorBy>('node');
+  const [selectedRange, setSelectedRange] = useState<TokenRange | null>(null);
+  const [selectedNode, setSelectedNode] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadRing = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await ApiService.getTokenRing(keyspace || undefined);
+      if (result.success) {
+        setRing(result);
+        setSelectedRange(null);
+      } else {
+        setError(result.error || 'Failed to get token ring');
+      }
+    } catch (error: any) {
+      const response = error.response?.data;
+      setError(response?.message || response?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [keyspace]);
+
+  useEffect(() => {
+    loadRing();
+  }, [loadRing]);
+
+  useEffect(() => {
+    ApiService.getKeyspacesInfo()
+      .then(setKeyspaces)
+      .catch(() => setKeyspaces([]));
+  }, []);
+
+  const nodes = useMemo(() => ring?.nodes || [], [ring]);
+  const nodesByAddress = useMemo(() => new Map(nodes.map(node => [node.address, node])), [nodes]);
+
+  const colors = useMemo(() => {
+    const groups = Array.from(new Set(nodes.map(node => groupOf(node, colorBy))));
+    return new Map(groups.map((group, index) => [group, PALETTE[index % PALETTE.length]]));
+  }, [nodes, colorBy]);
+
+  // The first range wraps around from the highest token, so it is drawn last
+  const segments = useMemo(() => {
+    const ranges = ring?.ranges || [];
+    const ordered = ranges.length > 1 ? [...ranges.slice(1), ranges[0]] : ranges;
+    let position = 0;
+    return ordered.map(range => {
+      const from = position;
+      position += range.fraction ?? 1 / ordered.length;
+      return { range, from, to: position };
+    });
+  }, [ring]);
+
+  const colorOf = (address: string) => {
+    const node = nodesByAddress.get(address);
+    return node ? colors.get(groupOf(node, colorBy)) : '#757575';
+  };
+
+  const opacityOf = (range: TokenRange) => {
+    if (!selectedNode || range.owner === selectedNode) {
+      return 1;
+    }
+    return range.replicas.includes(selectedNode) ? 0.6 : 0.15;
+  };
+
+  const effective = nodes.some(node => node.effectiveOwnership !== null);
+  const imbalanced = nodes.filter(node => node.imbalanced);
+  const datacenters = Array.from(new Set(nodes.map(node => node.datacenter)));
+  const threshold = Math.round((ring?.imbalanceThreshold || 0) * 100);
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+          <Box>
+            <Typography variant="h6">Token Ring</Typography>
+            {ring && (
+              <Typography variant="body2" color="textSecondary">
+                {ring.ranges?.length || 0} ranges · {ring.partitioner?.split('.').pop()}
+                {ring.keyspace ? ` · replicas for ${ring.keyspace}` : ring.replication ? ' · replicas under the shared replication' : ''}
+              </Typography>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <TextField
+              select
+              label="Color by"
+              size="small"
+              value={colorBy}
+              onChange={(e) => setColorBy(e.target.value as ColorBy)}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="node">Node</MenuItem>
+              <MenuItem value="rack">Rack</MenuItem>
+              <MenuItem value="datacenter">Datacenter</MenuItem>
+            </TextField>
+            <TextField
+              select
+              label="Replicas for keyspace"
+              size="small"
+              value={keyspace}
+              onChange={(e) => setKeyspace(e.target.value)}
+              sx={{ minWidth: 220 }}
+            >
+              <MenuItem value="">
+                <em>Default</em>
+              </MenuItem>
+              {keyspaces.map((ks) => (
+                <MenuItem key={ks.name} value={ks.name}>{ks.name}</MenuItem>
+              ))}
+            </TextField>
+            <Tooltip title="Refresh">
+              <span>
+                <IconButton onClick={loadRing} disabled={loading}>
+                  <RefreshIcon />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {ring?.note && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {ring.note}
+          </Alert>
+        )}
+        {segments.some(segment => segment.range.fraction === null) && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            This partitioner has no numeric token space; ranges are drawn with equal widths.
+          </Alert>
+        )}
+        {imbalanced.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Ownership of {imbalanced.map(node => node.address).join(', ')} is more than {threshold}% off the mean
+            of {imbalanced.length === 1 ? 'its' : 'their'} datacenter.
+          </Alert>
+        )}
+
+        {ring && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 3, alignItems: 'flex-start' }}>
+            <svg width={SIZE} height={SIZE} viewBox={`0 0 ${SIZE} ${SIZE}`}>
+              {segments.map(({ range, from, to }) => (
+                <path
+                  key={range.end}
+                  d={slice(from, to)}
+                  fill={colorOf(range.owner)}
+                  fillOpacity={opacityOf(range)}
+                  stroke={selectedRange?.end === range.end ? '#ffffff' : '#1e1e1e'}
+                  strokeWidth={selectedRange?.end === range.end ? 2 : 0.5}
+                  style={{ cursor: 'pointer' }}
+                  onClick={() => setSelectedRange(range)}
+                >
+                  <title>{`${range.owner}: ${percent(range.fraction)}`}</title>
+                </path>
+              ))}
+              <text x={SIZE / 2} y={SIZE / 2 - 6} textAnchor="middle" fill="#ffffff" fontSize={16}>
+                {selectedNode || `${nodes.length} nodes`}
+              </text>
+              <text x={SIZE / 2} y={SIZE / 2 + 16} textAnchor="middle" fill="#9e9e9e" fontSize={12}>
+                {selectedNode
+                  ? `owns ${percent(nodesByAddress.get(selectedNode)?.effectiveOwnership ?? nodesByAddress.get(selectedNode)?.ownership ?? null)}`
+                  : `${datacenters.length} datacenter${datacenters.length === 1 ? '' : 's'}`}
+              </text>
+            </svg>
+
+            <Box sx={{ flex: 1, minWidth: 360 }}>
+              {datacenters.map((dc) => (
+                <Box key={dc} sx={{ mb: 2 }}>
+                  <Typography variant="subtitle1" gutterBottom>
+                    Datacenter: {dc}
+                  </Typography>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Node</TableCell>
+                        <TableCell>Rack</TableCell>
+                        <TableCell align="right">Tokens</TableCell>
+                        <TableCell align="right">Owns</TableCell>
+                        {effective && <TableCell align="right">Owns (effective)</TableCell>}
+                        <TableCell align="right">vs. DC mean</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {nodes.filter(node => node.datacenter === dc).map((node) => (
+                        <TableRow
+                          key={node.address}
+                          hover
+                          selected={selectedNode === node.address}
+                          sx={{ cursor: 'pointer' }}
+                          onClick={() => setSelectedNode(selectedNode === node.address ? null : node.address)}
+                        >
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <Box sx={{ width: 12, height: 12, borderRadius: 0.5, bgcolor: colors.get(groupOf(node, colorBy)) }} />
+                              {node.address}
+                              {!node.isUp && <Chip label="Down" color="error" size="small" />}
+                            </Box>
+                          </TableCell>
+                          <TableCell>{node.rack}</TableCell>
+                          <TableCell align="right">{node.tokens}</TableCell>
+                          <TableCell align="right">{percent(node.ownership)}</TableCell>
+                          {effective && <TableCell align="right">{percent(node.effectiveOwnership)}</TableCell>}
+                          <TableCell align="right">
+                            {node.deviation === null ? '?' : (
+                              <Chip
+                                label={`${node.deviation > 0 ? '+' : ''}${(node.deviation * 100).toFixed(0)}%`}
+                                color={node.imbalanced ? 'warning' : 'default'}
+                                size="small"
+                              />
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </Box>
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        {selectedRange && (
+          <Box sx={{ mt: 2, p: 2, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              Range ({selectedRange.start}, {selectedRange.end}]
+            </Typography>
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {percent(selectedRange.fraction)} of the ring · token owner {selectedRange.owner}
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Replica</TableCell>
+                  <TableCell>Datacenter</TableCell>
+                  <TableCell>Rack</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {selectedRange.replicas.map((address) => {
+                  const node = nodesByAddress.get(address);
+                  return (
+                    <TableRow key={address}>
+                      <TableCell>{address}</TableCell>
+                      <TableCell>{node?.datacenter}</TableCell>
+                      <TableCell>{node?.rack}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={node?.isUp ? 'Up' : 'Down'}
+                          color={node?.isUp ? 'success' : 'error'}
+                          size="small"
+                        />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TokenRingCard;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -11,56 +11,264 @@ import {
   Alert,
   CircularProgress,
   IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Divider,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
 import {
   Science as TestIcon,
   Close as CloseIcon,
   CheckCircle as ConnectedIcon,
+  SwapHoriz as SwitchIcon,
+  PowerSettingsNew as DisconnectIcon,
+  Save as SaveIcon,
+  Delete as DeleteIcon,
 } from '@mui/icons-material';
 import ApiService from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ClusterConnection, ConnectionProfile } from '../../types';
+
+interface SslConfig {
+  enabled: boolean;
+  caFile: string;
+  certFile: string;
+  keyFile: string;
+  keyPassphrase: string;
+  verifyHostname: boolean;
+  rejectUnauthorized: boolean;
+  jmxEnabled: boolean;
+  jmxTruststore: string;
+  jmxTruststorePassword: string;
+  jmxKeystore: string;
+  jmxKeystorePassword: string;
+}
 
 interface ConnectionConfig {
+  clusterId?: string;
   name: string;
   hosts: string[];
   port: number;
   datacenter: string;
+  jmxPort: number;
   username?: string;
   password?: string;
+  isDefault?: boolean;
+  ssl: SslConfig;
 }
 
+const emptySsl: SslConfig = {
+  enabled: false,
+  caFile: '',
+  certFile: '',
+  keyFile: '',
+  keyPassphrase: '',
+  verifyHostname: true,
+  rejectUnauthorized: true,
+  jmxEnabled: false,
+  jmxTruststore: '',
+  jmxTruststorePassword: '',
+  jmxKeystore: '',
+  jmxKeystorePassword: ''
+};
+
+const emptyConfig: ConnectionConfig = {
+  name: '',
+  hosts: [''],
+  port: 9042,
+  datacenter: 'datacenter1',
+  jmxPort: 7199,
+  username: '',
+  password: '',
+  isDefault: false,
+  ssl: emptySsl
+};
+
 interface ConnectionManagerProps {
   open: boolean;
   onClose: () => void;
   onConnect: (config: ConnectionConfig) => void;
+  activeClusterId?: string | null;
+  onSwitch?: (clusterId: string) => void;
+  onClusterDisconnected?: (clusterId: string) => void;
 }
 
-const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, onConnect }) => {
-  const [config, setConfig] = useState<ConnectionConfig>({
-    name: '',
-    hosts: [''],
-    port: 9042,
-    datacenter: 'datacenter1',
-    username: '',
-    password: ''
-  });
+const ConnectionManager: React.FC<ConnectionManagerProps> = ({
+  open,
+  onClose,
+  onConnect,
+  activeClusterId,
+  onSwitch,
+  onClusterDisconnected
+}) => {
+  const { hasRole } = useAuth();
+  // Connecting needs operator; saved profiles hold credentials and are admin only
+  const canConnect = hasRole('operator');
+  const canManageProfiles = hasRole('admin');
+  const [config, setConfig] = useState<ConnectionConfig>(emptyConfig);
   
   const [testing, setTesting] = useState(false);
   const [connecting, setConnecting] = useState(false);
   const [testResult, setTestResult] = useState<any>(null);
   const [connectionStatus, setConnectionStatus] = useState<string>('');
+  const [clusters, setClusters] = useState<ClusterConnection[]>([]);
+  const [profiles, setProfiles] = useState<ConnectionProfile[]>([]);
+  const [selectedProfileId, setSelectedProfileId] = useState<string>('');
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  const loadClusters = useCallback(async () => {
+    try {
+      const result = await ApiService.listConnections();
+      setClusters(result.clusters || []);
+    } catch (error) {
+      setClusters([]);
+    }
+  }, []);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      setProfiles(await ApiService.listProfiles());
+    } catch (error) {
+      setProfiles([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      loadClusters();
+      loadProfiles();
+    }
+  }, [open, loadClusters, loadProfiles]);
+
+  const handleSelectProfile = (profileId: string) => {
+    setSelectedProfileId(profileId);
+    setTestResult(null);
+
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile) {
+      setConfig(emptyConfig);
+      return;
+    }
+
+    // Stored passwords are never sent back; leaving the field empty keeps them
+    setConfig({
+      name: profile.name,
+      hosts: profile.hosts,
+      port: profile.port,
+      datacenter: profile.datacenter,
+      jmxPort: profile.jmxPort,
+      username: profile.username,
+      password: '',
+      isDefault: profile.isDefault,
+      ssl: { ...emptySsl, ...(profile.ssl || {}) }
+    });
+  };
+
+  const setSsl = (changes: Partial<SslConfig>) => {
+    setConfig(prev => ({ ...prev, ssl: { ...prev.ssl, ...changes } }));
+  };
+
+  // Only send TLS settings when some part of it is switched on
+  const sslPayload = () => (config.ssl.enabled || config.ssl.jmxEnabled ? config.ssl : null);
+
+  // Create a new profile, or update the selected one, from the form
+  const saveProfile = async () => {
+    const profile = {
+      name: config.name,
+      hosts: config.hosts,
+      port: config.port,
+      datacenter: config.datacenter,
+      jmxPort: config.jmxPort,
+      username: config.username,
+      password: config.password,
+      isDefault: config.isDefault,
+      ssl: sslPayload()
+    };
+
+    const saved = selectedProfileId
+      ? await ApiService.updateProfile(selectedProfileId, profile)
+      : await ApiService.createProfile(profile);
+
+    setSelectedProfileId(saved.id);
+    await loadProfiles();
+    return saved;
+  };
+
+  const handleSaveProfile = async () => {
+    setSavingProfile(true);
+    try {
+      await saveProfile();
+    } catch (error) {
+      setTestResult({
+        success: false,
+        error: (error as any).response?.data?.error || (error as Error).message
+      });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!selectedProfileId) {
+      return;
+    }
+    try {
+      await ApiService.deleteProfile(selectedProfileId);
+      setSelectedProfileId('');
+      setConfig(emptyConfig);
+      await loadProfiles();
+    } catch (error) {
+      setTestResult({
+        success: false,
+        error: (error as Error).message
+      });
+    }
+  };
+
+  const handleSwitch = (clusterId: string) => {
+    onSwitch?.(clusterId);
+    onClose();
+  };
+
+  const handleDisconnectCluster = async (clusterId: string) => {
+    try {
+      await ApiService.disconnect(clusterId);
+      await loadClusters();
+      onClusterDisconnected?.(clusterId);
+    } catch (error) {
+      setTestResult({
+        success: false,
+        error: (error as Error).message
+      });
+    }
+  };
 
   const testConnection = async () => {
     setTesting(true);
     setTestResult(null);
     
     try {
-      const result = await ApiService.testConnection({
-        hosts: config.hosts,
-        port: config.port,
-        datacenter: config.datacenter,
-        username: config.username,
-        password: config.password
-      });
+      let result;
+      if (selectedProfileId) {
+        // Saved profiles are tested with their stored (encrypted) secrets
+        if (canManageProfiles) {
+          await saveProfile();
+        }
+        result = await ApiService.testProfile(selectedProfileId);
+      } else {
+        result = await ApiService.testConnection({
+          hosts: config.hosts,
+          port: config.port,
+          datacenter: config.datacenter,
+          username: config.username,
+          password: config.password,
+          ssl: sslPayload()
+        });
+      }
       
       setTestResult(result);
     } catch (error) {
@@ -78,17 +286,32 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
     setConnectionStatus('Establishing connection...');
     
     try {
-      const result = await ApiService.connect({
-        hosts: config.hosts,
-        port: config.port,
-        datacenter: config.datacenter,
-        username: config.username,
-        password: config.password
-      });
+      let result;
+      if (selectedProfileId) {
+        // Persist any edits first so the profile and the connection agree
+        if (canManageProfiles) {
+          await saveProfile();
+        }
+        result = await ApiService.connectProfile(selectedProfileId);
+      } else {
+        result = await ApiService.connect({
+          name: config.name,
+          hosts: config.hosts,
+          port: config.port,
+          datacenter: config.datacenter,
+          jmxPort: config.jmxPort,
+          username: config.username,
+          password: config.password,
+          ssl: sslPayload()
+        });
+      }
       
       if (result.success) {
         setConnectionStatus('Connection established, waiting for services to be ready...');
         
+        // Scope all following requests to the newly connected cluster
+        ApiService.setActiveCluster(result.clusterId);
+        
         // Wait for the connection to be fully established
         // Poll the connection status until it's ready
         let attempts = 0;
@@ -106,7 +329,7 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
                 await ApiService.getAllMetrics();
                 // If we can get metrics, the connection is fully ready
                 setConnectionStatus('Connection ready!');
-                onConnect(config);
+                onConnect({ ...config, clusterId: result.clusterId });
                 onClose();
                 return;
               } catch (metricsError) {
@@ -137,10 +360,12 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
         });
       }
     } catch (error) {
+      const response = (error as any).response?.data;
       setConnectionStatus('');
       setTestResult({
         success: false,
-        error: (error as Error).message
+        error: response?.message || (error as Error).message,
+        errorType: response?.errorType
       });
     } finally {
       setConnecting(false);
@@ -170,10 +395,94 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
       </DialogTitle>
       
       <DialogContent>
+        {clusters.length > 0 && (
+          <>
+            <Typography variant="h6" gutterBottom>
+              Connected Clusters
+            </Typography>
+            <List dense>
+              {clusters.map((cluster) => (
+                <ListItem
+                  key={cluster.clusterId}
+                  secondaryAction={
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <IconButton
+                        edge="end"
+                        title="Switch to this cluster"
+                        disabled={cluster.clusterId === activeClusterId}
+                        onClick={() => handleSwitch(cluster.clusterId)}
+                      >
+                        <SwitchIcon />
+                      </IconButton>
+                      <IconButton
+                        edge="end"
+                        title="Disconnect this cluster"
+                        disabled={!canConnect}
+                        onClick={() => handleDisconnectCluster(cluster.clusterId)}
+                      >
+                        <DisconnectIcon />
+                      </IconButton>
+                    </Box>
+                  }
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        {cluster.name}
+                        {cluster.clusterId === activeClusterId && (
+                          <Chip label="Active" color="primary" size="small" />
+                        )}
+                      </Box>
+                    }
+                    secondary={`${cluster.cluster || 'Unknown cluster'} • ${(cluster.config?.hosts || []).join(', ')}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+            <Divider sx={{ my: 2 }} />
+          </>
+        )}
+
         <Typography variant="h6" gutterBottom>
           Connection Details
         </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            select
+            label="Saved Profile"
+            value={selectedProfileId}
+            onChange={(e) => handleSelectProfile(e.target.value)}
+            fullWidth
+            margin="normal"
+          >
+            <MenuItem value="">
+              <em>New connection</em>
+            </MenuItem>
+            {profiles.map((profile) => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.name}{profile.isDefault ? ' (default)' : ''}
+              </MenuItem>
+            ))}
+          </TextField>
+          <IconButton
+            title="Delete this profile"
+            disabled={!selectedProfileId || !canManageProfiles}
+            onClick={handleDeleteProfile}
+          >
+            <DeleteIcon />
+          </IconButton>
+        </Box>
         
+        <TextField
+          label="Cluster Name"
+          value={config.name}
+          onChange={(e) => setConfig(prev => ({ ...prev, name: e.target.value }))}
+          fullWidth
+          margin="normal"
+          helperText="e.g. staging, prod-east (used to switch between connected clusters)"
+        />
+
         <TextField
           label="Hosts (comma-separated)"
           value={config.hosts.join(', ')}
@@ -205,6 +514,15 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
           />
         </Box>
 
+        <TextField
+          label="JMX Port"
+          type="number"
+          value={config.jmxPort}
+          onChange={(e) => setConfig(prev => ({ ...prev, jmxPort: parseInt(e.target.value) || 7199 }))}
+          margin="normal"
+          sx={{ width: '50%' }}
+        />
+
         <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
           Authentication (Optional)
         </Typography>
@@ -225,9 +543,143 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
             onChange={(e) => setConfig(prev => ({ ...prev, password: e.target.value }))}
             margin="normal"
             sx={{ width: '50%' }}
+            helperText={selectedProfileId && profiles.find(p => p.id === selectedProfileId)?.hasPassword
+              ? 'Leave empty to keep the saved password'
+              : undefined}
           />
         </Box>
 
+        <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
+          Encryption (Optional)
+        </Typography>
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={config.ssl.enabled}
+              onChange={(e) => setSsl({ enabled: e.target.checked })}
+            />
+          }
+          label="Use TLS for CQL (client-to-node encryption)"
+        />
+
+        {config.ssl.enabled && (
+          <Box>
+            <TextField
+              label="CA Bundle Path"
+              value={config.ssl.caFile}
+              onChange={(e) => setSsl({ caFile: e.target.value })}
+              fullWidth
+              margin="dense"
+              helperText="PEM file in the backend's TLS_DIR used to verify node certificates"
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Client Certificate Path"
+                value={config.ssl.certFile}
+                onChange={(e) => setSsl({ certFile: e.target.value })}
+                margin="dense"
+                sx={{ width: '50%' }}
+              />
+              <TextField
+                label="Client Key Path"
+                value={config.ssl.keyFile}
+                onChange={(e) => setSsl({ keyFile: e.target.value })}
+                margin="dense"
+                sx={{ width: '50%' }}
+              />
+            </Box>
+            <TextField
+              label="Client Key Passphrase"
+              type="password"
+              value={config.ssl.keyPassphrase}
+              onChange={(e) => setSsl({ keyPassphrase: e.target.value })}
+              fullWidth
+              margin="dense"
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={config.ssl.rejectUnauthorized}
+                    onChange={(e) => setSsl({ rejectUnauthorized: e.target.checked })}
+                  />
+                }
+                label="Verify certificates"
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={config.ssl.verifyHostname}
+                    disabled={!config.ssl.rejectUnauthorized}
+                    onChange={(e) => setSsl({ verifyHostname: e.target.checked })}
+                  />
+                }
+                label="Verify hostname"
+              />
+            </Box>
+          </Box>
+        )}
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={config.ssl.jmxEnabled}
+              onChange={(e) => setSsl({ jmxEnabled: e.target.checked })}
+            />
+          }
+          label="Use SSL for JMX"
+        />
+
+        {config.ssl.jmxEnabled && (
+          <Box>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="JMX Truststore Path"
+                value={config.ssl.jmxTruststore}
+                onChange={(e) => setSsl({ jmxTruststore: e.target.value })}
+                margin="dense"
+                sx={{ width: '50%' }}
+              />
+              <TextField
+                label="Truststore Password"
+                type="password"
+                value={config.ssl.jmxTruststorePassword}
+                onChange={(e) => setSsl({ jmxTruststorePassword: e.target.value })}
+                margin="dense"
+                sx={{ width: '50%' }}
+              />
+            </Box>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="JMX Keystore Path"
+                value={config.ssl.jmxKeystore}
+                onChange={(e) => setSsl({ jmxKeystore: e.target.value })}
+                margin="dense"
+                sx={{ width: '50%' }}
+              />
+              <TextField
+                label="Keystore Password"
+                type="password"
+                value={config.ssl.jmxKeystorePassword}
+                onChange={(e) => setSsl({ jmxKeystorePassword: e.target.value })}
+                margin="dense"
+                sx={{ width: '50%' }}
+              />
+            </Box>
+          </Box>
+        )}
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={!!config.isDefault}
+              onChange={(e) => setConfig(prev => ({ ...prev, isDefault: e.target.checked }))}
+            />
+          }
+          label="Connect to this profile automatically on startup"
+        />
+
         {testResult && (
           <Alert 
             severity={testResult.success ? 'success' : 'error'}
@@ -247,6 +699,7 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
               </div>
             ) : (
               <Typography variant="body2">
+                {testResult.errorType === 'tls' && <strong>TLS error: </strong>}
                 {testResult.error || 'Connection failed'}
               </Typography>
             )}
@@ -272,9 +725,16 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
         <Button onClick={onClose}>
           Cancel
         </Button>
+        <Button
+          onClick={handleSaveProfile}
+          disabled={!canManageProfiles || !config.name || config.hosts.length === 0 || config.hosts[0] === '' || savingProfile}
+          startIcon={savingProfile ? <CircularProgress size={16} /> : <SaveIcon />}
+        >
+          Save Profile
+        </Button>
         <Button
           onClick={testConnection}
-          disabled={config.hosts.length === 0 || config.hosts[0] === '' || testing}
+          disabled={!canConnect || config.hosts.length === 0 || config.hosts[0] === '' || testing}
           startIcon={testing ? <CircularProgress size={16} /> : <TestIcon />}
         >
           Test Connection
@@ -282,7 +742,7 @@ const ConnectionManager: React.FC<ConnectionManagerProps> = ({ open, onClose, on
         <Button
           onClick={handleConnect}
           variant="contained"
-          disabled={config.hosts.length === 0 || config.hosts[0] === '' || connecting}
+          disabled={!canConnect || config.hosts.length === 0 || config.hosts[0] === '' || connecting}
           startIcon={connecting ? <CircularProgress size={16} /> : <ConnectedIcon />}
         >
           Connect
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Menu,
+  MenuItem,
+  ListItemText,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { ExportFormat, ExportSource } from '../../types';
+
+interface ExportButtonProps {
+  source: ExportSource | null;
+  disabled?: boolean;
+}
+
+const FORMATS: Array<{ format: ExportFormat; label: string; description: string; extension: string }> = [
+  { format: 'csv', label: 'CSV', description: 'Header row, one line per row', extension: 'csv' },
+  { format: 'jsonl', label: 'JSON Lines', description: 'One JSON object per row', extension: 'jsonl' },
+  { format: 'columnar', label: 'Columnar JSON', description: 'Schema line, then value arrays per column', extension: 'columnar.jsonl' },
+];
+
+// Downloads every row of a table, partition or query, not just the page on screen. The
+// backend checks the export and hands out a one-time link; the browser then saves the
+// file as it streams in and shows its progress in its own downloads list.
+const ExportButton: React.FC<ExportButtonProps> = ({ source, disabled }) => {
+  const [anchor, setAnchor] = useState<HTMLElement | null>(null);
+  const [preparing, setPreparing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleExport = async (format: ExportFormat, extension: string) => {
+    setAnchor(null);
+    if (!source) {
+      return;
+    }
+    setPreparing(true);
+    setError(null);
+    try {
+      const url = await ApiService.createExportLink(source, format);
+      const name = 'query' in source ? 'query' : `${source.keyspace}.${source.table}`;
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${name}.${extension}`;
+      link.click();
+    } catch (err: any) {
+      const response = err.response?.data;
+      setError(response?.message || response?.error || err.message);
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={preparing ? <CircularProgress size={16} /> : <DownloadIcon />}
+        onClick={(e) => setAnchor(e.currentTarget)}
+        disabled={disabled || !source || preparing}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchor} open={!!anchor} onClose={() => setAnchor(null)}>
+        {FORMATS.map(({ format, label, description, extension }) => (
+          <MenuItem key={format} onClick={() => handleExport(format, extension)}>
+            <ListItemText primary={label} secondary={description} />
+          </MenuItem>
+        ))}
+      </Menu>
+      {error && (
+        <Alert severity="error" onClose={() => setError(null)} sx={{ py: 0 }}>
+          {error}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default ExportButton;
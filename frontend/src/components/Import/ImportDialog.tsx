@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  LinearProgress,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { useWebSocket } from '../../contexts/WebSocketContext';
+import ApiService from '../../services/api';
+import { ImportFormat, ImportUpload, ImportResult } from '../../types';
+import { CONSISTENCY_LEVELS, TableColumn, cqlText } from '../RowEditor/RowEditorDialog';
+
+interface ImportDialogProps {
+  open: boolean;
+  keyspace: string;
+  table: string;
+  columns: TableColumn[];
+  // imported: whether a real (not dry-run) import ran, so the table's rows changed
+  onClose: (imported: boolean) => void;
+}
+
+const formatOf = (name: string): ImportFormat => (/\.csv$/i.test(name) ? 'csv' : 'jsonl');
+
+const errorMessage = (err: any) => err.response?.data?.message || err.response?.data?.error || err.message;
+
+// Upload a CSV or JSON Lines file, map its fields to the table's columns, validate it
+// with a dry run and import it. Both runs are operations whose progress arrives over
+// the WebSocket.
+const ImportDialog: React.FC<ImportDialogProps> = ({ open, keyspace, table, columns, onClose }) => {
+  const { operations } = useWebSocket();
+  const [file, setFile] = useState<File | null>(null);
+  const [format, setFormat] = useState<ImportFormat>('csv');
+  const [sent, setSent] = useState<number | null>(null);
+  const [upload, setUpload] = useState<ImportUpload | null>(null);
+  const [mapping, setMapping] = useState<Record<string, string>>({});
+  const [consistency, setConsistency] = useState('LOCAL_QUORUM');
+  const [concurrency, setConcurrency] = useState('16');
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setFile(null);
+      setUpload(null);
+      setMapping({});
+      setOperationId(null);
+      setError(null);
+    }
+  }, [open]);
+
+  const operation = operationId ? operations.find(op => op.id === operationId) : undefined;
+  const running = !!operationId && (!operation || operation.status === 'running' || operation.status === 'pending');
+  // An import that stopped on an error (rather than on bad records) has no counts
+  const result: ImportResult | null = operation && !running && operation.result?.records !== undefined ? operation.result : null;
+  // A real import removes the upload, whatever its outcome
+  const imported = !!operation && !running && !operation.dryRun;
+
+  const handleFile = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const chosen = event.target.files?.[0] || null;
+    setFile(chosen);
+    setUpload(null);
+    setOperationId(null);
+    if (chosen) {
+      setFormat(formatOf(chosen.name));
+    }
+  };
+
+  const handleUpload = async () => {
+    if (!file) {
+      return;
+    }
+    try {
+      setSent(0);
+      setError(null);
+      const uploaded = await ApiService.uploadImportFile(file, format, setSent);
+      const names = columns.map(column => column.column_name);
+      const defaults: Record<string, string> = {};
+      uploaded.fields.forEach(field => {
+        defaults[field] = names.includes(field) ? field : '';
+      });
+      setUpload(uploaded);
+      setMapping(defaults);
+    } catch (err: any) {
+      setError(errorMessage(err));
+    } finally {
+      setSent(null);
+    }
+  };
+
+  const handleStart = async (dryRun: boolean) => {
+    if (!upload) {
+      return;
+    }
+    try {
+      setError(null);
+      const selected: Record<string, string> = {};
+      Object.entries(mapping).filter(([, column]) => column).forEach(([field, column]) => {
+        selected[field] = column;
+      });
+      const started = await ApiService.startImport(keyspace, table, {
+        uploadId: upload.uploadId,
+        mapping: selected,
+        consistency,
+        concurrency: Number(concurrency),
+        dryRun,
+      });
+      setOperationId(started.operationId);
+    } catch (err: any) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const handleCancel = async () => {
+    if (operationId) {
+      try {
+        await ApiService.cancelOperation(operationId);
+      } catch (err: any) {
+        setError(errorMessage(err));
+      }
+    }
+  };
+
+  const keyColumns = columns.filter(column => column.kind === 'partition_key' || column.kind === 'clustering');
+  const unmappedKeys = keyColumns.filter(column => !Object.values(mapping).includes(column.column_name));
+  const firstValues = upload?.sample.find(record => record.values)?.values || {};
+
+  return (
+    <Dialog open={open} onClose={running ? undefined : () => onClose(imported)} maxWidth="md" fullWidth>
+      <DialogTitle>Import into {keyspace}.{table}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Button component="label" variant="outlined" startIcon={<UploadFileIcon />} disabled={running || sent !== null}>
+            Choose file
+            <input hidden type="file" accept=".csv,.jsonl,.ndjson,.json" onChange={handleFile} />
+          </Button>
+          <Typography variant="body2" sx={{ flexGrow: 1 }}>
+            {file ? `${file.name} (${(file.size / 1024).toFixed(1)} KB)` : 'CSV with a header row, or JSON Lines'}
+          </Typography>
+          <FormControl size="small" sx={{ minWidth: 130 }}>
+            <InputLabel id="import-format-label">Format</InputLabel>
+            <Select
+              labelId="import-format-label"
+              value={format}
+              label="Format"
+              onChange={(e) => setFormat(e.target.value as ImportFormat)}
+              disabled={!!upload}
+            >
+              <MenuItem value="csv">CSV</MenuItem>
+              <MenuItem value="jsonl">JSON Lines</MenuItem>
+            </Select>
+          </FormControl>
+          <Button variant="contained" onClick={handleUpload} disabled={!file || !!upload || sent !== null}>
+            Upload
+          </Button>
+        </Box>
+        {sent !== null && file && (
+          <LinearProgress variant="determinate" value={file.size > 0 ? (sent / file.size) * 100 : 0} sx={{ mb: 2 }} />
+        )}
+
+        {upload && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>
+              Column mapping
+            </Typography>
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>File field</TableCell>
+                  <TableCell>First value</TableCell>
+                  <TableCell>Column</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {upload.fields.map((field) => (
+                  <TableRow key={field}>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{field}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', maxWidth: 220, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {firstValues[field] === null || firstValues[field] === undefined ? '' : cqlText(firstValues[field])}
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        fullWidth
+                        displayEmpty
+                        value={mapping[field] || ''}
+                        onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                        disabled={running}
+                      >
+                        <MenuItem value=""><em>Skip</em></MenuItem>
+                        {columns.map((column) => (
+                          <MenuItem key={column.column_name} value={column.column_name}>
+                            {column.column_name} ({column.type})
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {unmappedKeys.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Map every primary key column: {unmappedKeys.map(column => column.column_name).join(', ')}
+              </Alert>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel id="import-consistency-label">Consistency</InputLabel>
+                <Select
+                  labelId="import-consistency-label"
+                  value={consistency}
+                  label="Consistency"
+                  onChange={(e) => setConsistency(e.target.value)}
+                  disabled={running}
+                >
+                  {CONSISTENCY_LEVELS.map((level) => (
+                    <MenuItem key={level} value={level}>{level}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                size="small"
+                type="number"
+                label="Concurrent writes"
+                value={concurrency}
+                onChange={(e) => setConcurrency(e.target.value)}
+                inputProps={{ min: 1, max: 64 }}
+                disabled={running}
+              />
+            </Box>
+          </>
+        )}
+
+        {operationId && (
+          <Box>
+            {running ? (
+              <>
+                <LinearProgress variant={operation?.progress ? 'determinate' : 'indeterminate'} value={operation?.progress || 0} />
+                <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+                  {operation?.dryRun ? 'Validating' : 'Importing'}: {operation?.records ?? 0} records read, {operation?.imported ?? 0} {operation?.dryRun ? 'valid' : 'written'}, {operation?.failed ?? 0} failed
+                </Typography>
+              </>
+            ) : result ? (
+              <>
+                <Alert severity={result.success ? 'success' : result.imported > 0 ? 'warning' : 'error'} sx={{ mb: 1 }}>
+                  {result.dryRun
+                    ? `Dry run: ${result.imported} of ${result.records} records are valid.`
+                    : `Imported ${result.imported} of ${result.records} records.`}
+                  {operation?.status === 'cancelled' && ' Cancelled before the end of the file.'}
+                </Alert>
+                {result.errors?.length > 0 && (
+                  <>
+                    <Typography variant="subtitle2" gutterBottom>
+                      Errors{result.errorsTruncated ? ` (first ${result.errors.length} of ${result.failed})` : ''}
+                    </Typography>
+                    <Box sx={{ maxHeight: 240, overflow: 'auto' }}>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Line</TableCell>
+                            <TableCell>Error</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {result.errors.map((rowError) => (
+                            <TableRow key={`${rowError.record}-${rowError.line}`}>
+                              <TableCell>{rowError.line}</TableCell>
+                              <TableCell sx={{ wordBreak: 'break-word' }}>{rowError.message}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </Box>
+                  </>
+                )}
+              </>
+            ) : (
+              <Alert severity="error">{operation?.error || `Import ${operation?.status}`}</Alert>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {running ? (
+          <Button onClick={handleCancel}>Cancel import</Button>
+        ) : (
+          <>
+            <Button onClick={() => onClose(imported)}>Close</Button>
+            <Button onClick={() => handleStart(true)} disabled={!upload || imported || unmappedKeys.length > 0}>
+              Validate (dry run)
+            </Button>
+            <Button variant="contained" onClick={() => handleStart(false)} disabled={!upload || imported || unmappedKeys.length > 0}>
+              Import
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  MenuItem,
+  Button,
+  IconButton,
+  Switch,
+  Chip,
+  Box,
+  Alert,
+  Autocomplete,
+} from '@mui/material';
+import { Delete as DeleteIcon, Edit as EditIcon, Add as AddIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { AlertRule, AlertRuleInput, NotificationChannel } from '../../types';
+
+const EMPTY_RULE: AlertRuleInput = {
+  name: '',
+  description: '',
+  enabled: true,
+  metric: '',
+  type: 'threshold',
+  operator: '>',
+  threshold: 0,
+  window: '5m',
+  for: '1m',
+  severity: 'warning',
+  scope: 'node',
+  clusterId: null,
+  datacenters: [],
+  nodes: [],
+  channels: [],
+  labels: {}
+};
+
+const OPERATORS: AlertRuleInput['operator'][] = ['>', '>=', '<', '<=', '==', '!='];
+
+const describeCondition = (rule: AlertRule) => {
+  if (rule.type === 'absence') {
+    return `${rule.metric} missing`;
+  }
+  const subject = rule.type === 'rate' ? `rate(${rule.metric}, ${rule.window})` : rule.metric;
+  return `${subject} ${rule.operator} ${rule.threshold}`;
+};
+
+const describeScope = (rule: AlertRule) => {
+  if (rule.scope === 'cluster') {
+    return 'cluster aggregate';
+  }
+  const filters = [...rule.datacenters.map(dc => `dc ${dc}`), ...rule.nodes];
+  return filters.length > 0 ? `nodes: ${filters.join(', ')}` : 'every node';
+};
+
+const formatLabels = (labels: Record<string, string>) =>
+  Object.entries(labels || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+
+const parseLabels = (text: string) => Object.fromEntries(
+  text.split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, value.join('=')])
+);
+
+interface AlertRulesDialogProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const AlertRulesDialog: React.FC<AlertRulesDialogProps> = ({ open, onClose }) => {
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('operator');
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [metricNames, setMetricNames] = useState<string[]>([]);
+  const [channels, setChannels] = useState<NotificationChannel[]>([]);
+  const [editing, setEditing] = useState<{ id: string | null; rule: AlertRuleInput } | null>(null);
+  const [labelsText, setLabelsText] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const showError = (error: unknown) => {
+    const response = (error as any).response?.data;
+    setError(response?.message || response?.error || (error as Error).message);
+  };
+
+  const loadRules = useCallback(async () => {
+    try {
+      setRules(await ApiService.getAlertRules());
+    } catch (error) {
+      showError(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    setError(null);
+    setEditing(null);
+    loadRules();
+    // Metric names seen in recent samples, offered as suggestions
+    ApiService.getMetricHistorySeries()
+      .then(series => setMetricNames(Array.from(new Set(Object.values(series.nodes).flat())).sort()))
+      .catch(() => setMetricNames([]));
+    ApiService.getNotificationChannels()
+      .then(setChannels)
+      .catch(() => setChannels([]));
+  }, [open, loadRules]);
+
+  const handleSave = async () => {
+    if (!editing) {
+      return;
+    }
+    setError(null);
+    const rule = { ...editing.rule, labels: parseLabels(labelsText) };
+    try {
+      if (editing.id) {
+        await ApiService.updateAlertRule(editing.id, rule);
+      } else {
+        await ApiService.createAlertRule(rule);
+      }
+      setEditing(null);
+      await loadRules();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleToggle = async (rule: AlertRule) => {
+    setError(null);
+    try {
+      await ApiService.updateAlertRule(rule.id, { enabled: !rule.enabled });
+      await loadRules();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleDelete = async (rule: AlertRule) => {
+    if (!window.confirm(`Delete alert rule "${rule.name}"?`)) {
+      return;
+    }
+    setError(null);
+    try {
+      await ApiService.deleteAlertRule(rule.id);
+      await loadRules();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const startEditing = (id: string | null, rule: AlertRuleInput) => {
+    setLabelsText(formatLabels(rule.labels));
+    setEditing({ id, rule });
+  };
+
+  const update = (changes: Partial<AlertRuleInput>) => {
+    setEditing(prev => (prev ? { ...prev, rule: { ...prev.rule, ...changes } } : prev));
+  };
+
+  const renderForm = (rule: AlertRuleInput) => (
+    <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 1 }}>
+      <TextField label="Name" value={rule.name} onChange={(e) => update({ name: e.target.value })} fullWidth />
+      <Autocomplete
+        freeSolo
+        options={metricNames}
+        value={rule.metric}
+        onInputChange={(_, value) => update({ metric: value })}
+        renderInput={(params) => <TextField {...params} label="Metric" helperText="Dotted name, e.g. resources.memory.heap.usagePercent" />}
+      />
+      <TextField select label="Type" value={rule.type} onChange={(e) => update({ type: e.target.value as AlertRuleInput['type'] })}>
+        <MenuItem value="threshold">Threshold</MenuItem>
+        <MenuItem value="rate">Rate of change (per second)</MenuItem>
+        <MenuItem value="absence">Absence</MenuItem>
+      </TextField>
+      <TextField select label="Severity" value={rule.severity} onChange={(e) => update({ severity: e.target.value as AlertRuleInput['severity'] })}>
+        <MenuItem value="info">info</MenuItem>
+        <MenuItem value="warning">warning</MenuItem>
+        <MenuItem value="critical">critical</MenuItem>
+      </TextField>
+      {rule.type !== 'absence' && (
+        <>
+          <TextField select label="Operator" value={rule.operator} onChange={(e) => update({ operator: e.target.value as AlertRuleInput['operator'] })}>
+            {OPERATORS.map(op => (
+              <MenuItem key={op} value={op}>{op}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Threshold"
+            type="number"
+            value={rule.threshold ?? ''}
+            onChange={(e) => update({ threshold: e.target.value === '' ? null : Number(e.target.value) })}
+          />
+        </>
+      )}
+      {rule.type === 'rate' && (
+        <TextField label="Window" value={rule.window} onChange={(e) => update({ window: e.target.value })} helperText="e.g. 5m" />
+      )}
+      <TextField label="For" value={rule.for} onChange={(e) => update({ for: e.target.value })} helperText="How long the condition must hold, e.g. 2m" />
+      <TextField select label="Scope" value={rule.scope} onChange={(e) => update({ scope: e.target.value as AlertRuleInput['scope'] })}>
+        <MenuItem value="node">Each node</MenuItem>
+        <MenuItem value="cluster">Cluster aggregate</MenuItem>
+      </TextField>
+      <TextField
+        label="Cluster"
+        value={rule.clusterId || ''}
+        onChange={(e) => update({ clusterId: e.target.value || null })}
+        helperText="Blank for every cluster"
+      />
+      {rule.scope === 'node' && (
+        <>
+          <TextField
+            label="Datacenters"
+            value={rule.datacenters.join(', ')}
+            onChange={(e) => update({ datacenters: e.target.value.split(',').map(dc => dc.trim()).filter(Boolean) })}
+            helperText="Comma separated; blank for all"
+          />
+          <TextField
+            label="Nodes"
+            value={rule.nodes.join(', ')}
+            onChange={(e) => update({ nodes: e.target.value.split(',').map(node => node.trim()).filter(Boolean) })}
+            helperText="Node addresses, comma separated; blank for all"
+          />
+        </>
+      )}
+      <Autocomplete
+        multiple
+        options={channels.map(channel => channel.id)}
+        value={rule.channels}
+        onChange={(_, value) => update({ channels: value })}
+        getOptionLabel={(id) => {
+          const channel = channels.find(c => c.id === id);
+          return channel ? `${channel.name} (${channel.type})` : id;
+        }}
+        renderInput={(params) => <TextField {...params} label="Notify" helperText="Notification channels for firing and resolved events" />}
+        sx={{ gridColumn: '1 / -1' }}
+      />
+      <TextField
+        label="Labels"
+        value={labelsText}
+        onChange={(e) => setLabelsText(e.target.value)}
+        helperText="key=value pairs, comma separated, e.g. keyspace=orders; silences can match them"
+        sx={{ gridColumn: '1 / -1' }}
+      />
+      <TextField
+        label="Description"
+        value={rule.description}
+        onChange={(e) => update({ description: e.target.value })}
+        sx={{ gridColumn: '1 / -1' }}
+      />
+    </Box>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Alert Rules</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {editing ? (
+          renderForm(editing.rule)
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Condition</TableCell>
+                  <TableCell>For</TableCell>
+                  <TableCell>Scope</TableCell>
+                  <TableCell>Severity</TableCell>
+                  {canEdit && <TableCell align="right">Actions</TableCell>}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.map((rule) => (
+                  <TableRow key={rule.id}>
+                    <TableCell>
+                      <Switch checked={rule.enabled} disabled={!canEdit} onChange={() => handleToggle(rule)} />
+                    </TableCell>
+                    <TableCell>{rule.name}</TableCell>
+                    <TableCell><code>{describeCondition(rule)}</code></TableCell>
+                    <TableCell>{rule.for}</TableCell>
+                    <TableCell>
+                      {describeScope(rule)}
+                      {rule.clusterId && ` (${rule.clusterId})`}
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={rule.severity}
+                        size="small"
+                        color={rule.severity === 'critical' ? 'error' : rule.severity === 'warning' ? 'warning' : 'info'}
+                      />
+                    </TableCell>
+                    {canEdit && (
+                      <TableCell align="right">
+                        <IconButton size="small" onClick={() => startEditing(rule.id, rule)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" onClick={() => handleDelete(rule)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {editing ? (
+          <>
+            <Button onClick={() => setEditing(null)}>Back</Button>
+            <Button variant="contained" onClick={handleSave}>
+              {editing.id ? 'Save Rule' : 'Create Rule'}
+            </Button>
+          </>
+        ) : (
+          <>
+            {canEdit && (
+              <Button startIcon={<AddIcon />} onClick={() => startEditing(null, EMPTY_RULE)}>
+                Add Rule
+              </Button>
+            )}
+            <Button onClick={onClose}>Close</Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlertRulesDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   Box,
   Paper,
@@ -11,7 +11,6 @@ import {
   ListItemText,
   Chip,
   Button,
-  IconButton,
   Collapse,
   Dialog,
   DialogTitle,
@@ -23,222 +22,83 @@ import {
   Warning as WarningIcon,
   Error as ErrorIcon,
   Info as InfoIcon,
-  CheckCircle as SuccessIcon,
   ExpandMore as ExpandMoreIcon,
   ExpandLess as ExpandLessIcon,
   Tune as TuneIcon,
+  Send as SendIcon,
+  NotificationsOff as NotificationsOffIcon,
   Notifications as NotificationsIcon
 } from '@mui/icons-material';
+import { useWebSocket } from '../../contexts/WebSocketContext';
+import { useAuth } from '../../contexts/AuthContext';
+import ApiService from '../../services/api';
+import { AlertSeverity, ClusterAlert, SilenceMatcher } from '../../types';
+import AlertRulesDialog from './AlertRulesDialog';
+import NotificationChannelsDialog from './NotificationChannelsDialog';
+import SilencesDialog from './SilencesDialog';
 
-interface JMXAlert {
-  id: string;
-  type: 'error' | 'warning' | 'info' | 'success';
-  title: string;
-  message: string;
-  metric: string;
-  value: number;
-  threshold: number;
-  timestamp: string;
-  acknowledged: boolean;
-  node?: string;
-}
-
-interface AlertThresholds {
-  memoryUsageWarning: number;
-  memoryUsageCritical: number;
-  pendingTasksWarning: number;
-  pendingTasksCritical: number;
-  timeoutsWarning: number;
-  timeoutsCritical: number;
-  gcTimeWarning: number;
-  gcTimeCritical: number;
-}
-
-interface JMXAlertsPanelProps {
-  jmxData: any;
-  aggregatedData: any;
-}
-
-const defaultThresholds: AlertThresholds = {
-  memoryUsageWarning: 75,
-  memoryUsageCritical: 85,
-  pendingTasksWarning: 50,
-  pendingTasksCritical: 100,
-  timeoutsWarning: 10,
-  timeoutsCritical: 50,
-  gcTimeWarning: 1000,
-  gcTimeCritical: 5000
+const SEVERITY_TO_ALERT: Record<AlertSeverity, 'error' | 'warning' | 'info'> = {
+  critical: 'error',
+  warning: 'warning',
+  info: 'info'
 };
 
-const JMXAlertsPanel: React.FC<JMXAlertsPanelProps> = ({ jmxData, aggregatedData }) => {
-  const [alerts, setAlerts] = useState<JMXAlert[]>([]);
-  const [thresholds, setThresholds] = useState<AlertThresholds>(defaultThresholds);
+// Alerts are evaluated by the backend rule engine; this panel shows the ones firing
+// for the selected cluster as they are pushed over the WebSocket. Acknowledgements are
+// kept by the backend, so every user sees who acknowledged an alert and why.
+const JMXAlertsPanel: React.FC = () => {
+  const { alerts } = useWebSocket();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('operator');
   const [expandedAlert, setExpandedAlert] = useState<string>('');
-  const [showSettings, setShowSettings] = useState(false);
-  const [tempThresholds, setTempThresholds] = useState<AlertThresholds>(defaultThresholds);
-
-  useEffect(() => {
-    if (jmxData && aggregatedData) {
-      generateAlerts();
-    }
-  }, [jmxData, aggregatedData, thresholds]);
+  const [showRules, setShowRules] = useState(false);
+  const [showChannels, setShowChannels] = useState(false);
+  const [showSilences, setShowSilences] = useState(false);
+  const [silenceMatchers, setSilenceMatchers] = useState<SilenceMatcher[] | null>(null);
+  const [acknowledging, setAcknowledging] = useState<ClusterAlert | null>(null);
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState<string | null>(null);
 
-  const generateAlerts = () => {
-    const newAlerts: JMXAlert[] = [];
-
-    // Check aggregated cluster-wide metrics
-    if (aggregatedData?.aggregated) {
-      const agg = aggregatedData.aggregated;
-
-      // Memory usage alerts
-      if (agg.memory?.totalHeapUsed && agg.memory?.totalHeapMax) {
-        const memoryUsage = (agg.memory.totalHeapUsed / agg.memory.totalHeapMax) * 100;
-        if (memoryUsage > thresholds.memoryUsageCritical) {
-          newAlerts.push({
-            id: `memory-critical-${Date.now()}`,
-            type: 'error',
-            title: 'Critical Memory Usage',
-            message: `Cluster memory usage is at ${memoryUsage.toFixed(1)}% - immediate action required`,
-            metric: 'memory.heapUsage',
-            value: memoryUsage,
-            threshold: thresholds.memoryUsageCritical,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-          });
-        } else if (memoryUsage > thresholds.memoryUsageWarning) {
-          newAlerts.push({
-            id: `memory-warning-${Date.now()}`,
-            type: 'warning',
-            title: 'High Memory Usage',
-            message: `Cluster memory usage is at ${memoryUsage.toFixed(1)}% - consider scaling`,
-            metric: 'memory.heapUsage',
-            value: memoryUsage,
-            threshold: thresholds.memoryUsageWarning,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-          });
-        }
-      }
-
-      // Pending tasks alerts
-      if (agg.threadPools?.totalPendingTasks) {
-        if (agg.threadPools.totalPendingTasks > thresholds.pendingTasksCritical) {
-          newAlerts.push({
-            id: `pending-critical-${Date.now()}`,
-            type: 'error',
-            title: 'Critical Pending Tasks',
-            message: `${agg.threadPools.totalPendingTasks} pending tasks - cluster may be overloaded`,
-            metric: 'threadPools.pendingTasks',
-            value: agg.threadPools.totalPendingTasks,
-            threshold: thresholds.pendingTasksCritical,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-          });
-        } else if (agg.threadPools.totalPendingTasks > thresholds.pendingTasksWarning) {
-          newAlerts.push({
-            id: `pending-warning-${Date.now()}`,
-            type: 'warning',
-            title: 'High Pending Tasks',
-            message: `${agg.threadPools.totalPendingTasks} pending tasks - monitor cluster load`,
-            metric: 'threadPools.pendingTasks',
-            value: agg.threadPools.totalPendingTasks,
-            threshold: thresholds.pendingTasksWarning,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-          });
-        }
-      }
+  const showError = (error: unknown) => {
+    const response = (error as any).response?.data;
+    setError(response?.message || response?.error || (error as Error).message);
+  };
 
-      // Timeout alerts
-      if (agg.performance?.totalTimeouts) {
-        if (agg.performance.totalTimeouts > thresholds.timeoutsCritical) {
-          newAlerts.push({
-            id: `timeouts-critical-${Date.now()}`,
-            type: 'error',
-            title: 'Critical Request Timeouts',
-            message: `${agg.performance.totalTimeouts} request timeouts detected - check network and cluster health`,
-            metric: 'performance.timeouts',
-            value: agg.performance.totalTimeouts,
-            threshold: thresholds.timeoutsCritical,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-          });
-        } else if (agg.performance.totalTimeouts > thresholds.timeoutsWarning) {
-          newAlerts.push({
-            id: `timeouts-warning-${Date.now()}`,
-            type: 'warning',
-            title: 'Request Timeouts',
-            message: `${agg.performance.totalTimeouts} request timeouts - monitor cluster performance`,
-            metric: 'performance.timeouts',
-            value: agg.performance.totalTimeouts,
-            threshold: thresholds.timeoutsWarning,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-          });
-        }
-      }
+  // The WebSocket pushes the updated alert, so there is nothing to refresh here
+  const acknowledgeAlert = async () => {
+    if (!acknowledging) {
+      return;
     }
-
-    // Check individual node metrics
-    if (jmxData?.nodes) {
-      jmxData.nodes.forEach((node: any) => {
-        // Use JMX resources structure for memory metrics
-        const heapUsed = node.metrics.resources?.memory?.heap?.used || 0;
-        const heapMax = node.metrics.resources?.memory?.heap?.max || 1;
-        const nodeMemoryUsage = (heapUsed / heapMax) * 100;
-        
-        if (nodeMemoryUsage > thresholds.memoryUsageCritical) {
-          newAlerts.push({
-            id: `node-memory-critical-${node.host}-${Date.now()}`,
-            type: 'error',
-            title: `Critical Memory on ${node.host}`,
-            message: `Node memory usage is at ${nodeMemoryUsage.toFixed(1)}%`,
-            metric: 'node.memory.heapUsage',
-            value: nodeMemoryUsage,
-            threshold: thresholds.memoryUsageCritical,
-            timestamp: new Date().toISOString(),
-            acknowledged: false,
-            node: node.host
-          });
-        }
-
-        // Check for excessive GC time using JMX resources structure
-        const youngGenTime = node.metrics.resources?.gc?.youngGen?.time || 0;
-        const oldGenTime = node.metrics.resources?.gc?.oldGen?.time || 0;
-        const totalGCTime = youngGenTime + oldGenTime;
-        if (totalGCTime > thresholds.gcTimeCritical) {
-          newAlerts.push({
-            id: `gc-critical-${node.host}-${Date.now()}`,
-            type: 'warning',
-            title: `High GC Time on ${node.host}`,
-            message: `Total GC time: ${totalGCTime}ms - may impact performance`,
-            metric: 'node.gc.totalTime',
-            value: totalGCTime,
-            threshold: thresholds.gcTimeCritical,
-            timestamp: new Date().toISOString(),
-            acknowledged: false,
-            node: node.host
-          });
-        }
-      });
+    try {
+      await ApiService.acknowledgeAlert(acknowledging.id, comment);
+      setAcknowledging(null);
+    } catch (error) {
+      showError(error);
     }
+  };
 
-    setAlerts(newAlerts);
+  const unacknowledgeAlert = async (alert: ClusterAlert) => {
+    try {
+      await ApiService.unacknowledgeAlert(alert.id);
+    } catch (error) {
+      showError(error);
+    }
   };
 
-  const acknowledgeAlert = (alertId: string) => {
-    setAlerts(prev => prev.map(alert => 
-      alert.id === alertId ? { ...alert, acknowledged: true } : alert
-    ));
+  const openSilences = (alert: ClusterAlert | null) => {
+    setSilenceMatchers(alert ? [
+      { name: 'rule', value: alert.ruleId, isRegex: false },
+      { name: 'cluster', value: alert.clusterId || '', isRegex: false },
+      { name: 'node', value: alert.node, isRegex: false }
+    ] : null);
+    setShowSilences(true);
   };
 
-  const getAlertIcon = (type: string) => {
-    switch (type) {
-      case 'error': return <ErrorIcon color="error" />;
+  const getAlertIcon = (severity: AlertSeverity) => {
+    switch (severity) {
+      case 'critical': return <ErrorIcon color="error" />;
       case 'warning': return <WarningIcon color="warning" />;
-      case 'info': return <InfoIcon color="info" />;
-      case 'success': return <SuccessIcon color="success" />;
-      default: return <InfoIcon />;
+      default: return <InfoIcon color="info" />;
     }
   };
 
@@ -252,19 +112,40 @@ const JMXAlertsPanel: React.FC<JMXAlertsPanelProps> = ({ jmxData, aggregatedData
           <NotificationsIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
           JMX Alerts ({unacknowledgedAlerts.length} active)
         </Typography>
-        <Button
-          variant="outlined"
-          size="small"
-          startIcon={<TuneIcon />}
-          onClick={() => {
-            setTempThresholds(thresholds);
-            setShowSettings(true);
-          }}
-        >
-          Configure Thresholds
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<NotificationsOffIcon />}
+            onClick={() => openSilences(null)}
+          >
+            Silences
+          </Button>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<SendIcon />}
+            onClick={() => setShowChannels(true)}
+          >
+            Channels
+          </Button>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<TuneIcon />}
+            onClick={() => setShowRules(true)}
+          >
+            Alert Rules
+          </Button>
+        </Box>
       </Box>
 
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
       {/* Active Alerts */}
       {unacknowledgedAlerts.length > 0 ? (
         <Box sx={{ mb: 2 }}>
@@ -272,36 +153,53 @@ const JMXAlertsPanel: React.FC<JMXAlertsPanelProps> = ({ jmxData, aggregatedData
             Active Alerts
           </Typography>
           {unacknowledgedAlerts.map((alert) => (
-            <Alert 
+            <Alert
               key={alert.id}
-              severity={alert.type}
+              severity={SEVERITY_TO_ALERT[alert.severity]}
               sx={{ mb: 1 }}
-              action={
-                <Button 
-                  color="inherit" 
-                  size="small"
-                  onClick={() => acknowledgeAlert(alert.id)}
-                >
-                  Acknowledge
-                </Button>
-              }
+              action={canEdit && (
+                <Box sx={{ display: 'flex', flexDirection: 'column' }}>
+                  <Button
+                    color="inherit"
+                    size="small"
+                    onClick={() => { setComment(''); setAcknowledging(alert); }}
+                  >
+                    Acknowledge
+                  </Button>
+                  {!alert.suppressed && (
+                    <Button color="inherit" size="small" onClick={() => openSilences(alert)}>
+                      Silence
+                    </Button>
+                  )}
+                </Box>
+              )}
             >
-              <AlertTitle>{alert.title}</AlertTitle>
+              <AlertTitle>{alert.ruleName}</AlertTitle>
               {alert.message}
-              {alert.node && (
-                <Chip 
-                  label={`Node: ${alert.node}`} 
-                  size="small" 
-                  sx={{ mt: 1 }} 
-                />
-              )}
+              <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                {alert.node !== 'cluster' && (
+                  <Chip label={`Node: ${alert.node}`} size="small" />
+                )}
+                {alert.dc && (
+                  <Chip label={`DC: ${alert.dc}`} size="small" />
+                )}
+                {alert.firedAt && (
+                  <Chip label={`Since ${new Date(alert.firedAt).toLocaleString()}`} size="small" variant="outlined" />
+                )}
+                {alert.silencedBy.length > 0 && (
+                  <Chip icon={<NotificationsOffIcon />} label="Silenced" size="small" />
+                )}
+                {alert.maintenance.length > 0 && (
+                  <Chip icon={<NotificationsOffIcon />} label="In maintenance" size="small" />
+                )}
+              </Box>
             </Alert>
           ))}
         </Box>
       ) : (
         <Alert severity="success" sx={{ mb: 2 }}>
           <AlertTitle>All Clear</AlertTitle>
-          No active alerts detected. Cluster metrics are within normal thresholds.
+          No alert rules are firing for this cluster.
         </Alert>
       )}
 
@@ -319,13 +217,24 @@ const JMXAlertsPanel: React.FC<JMXAlertsPanelProps> = ({ jmxData, aggregatedData
           <Collapse in={expandedAlert === 'acknowledged'}>
             <List dense>
               {acknowledgedAlerts.map((alert) => (
-                <ListItem key={alert.id}>
+                <ListItem
+                  key={alert.id}
+                  secondaryAction={canEdit && (
+                    <Button size="small" onClick={() => unacknowledgeAlert(alert)}>
+                      Unacknowledge
+                    </Button>
+                  )}
+                >
                   <ListItemIcon>
-                    {getAlertIcon(alert.type)}
+                    {getAlertIcon(alert.severity)}
                   </ListItemIcon>
                   <ListItemText
-                    primary={alert.title}
-                    secondary={`${alert.message} (${new Date(alert.timestamp).toLocaleString()})`}
+                    primary={`${alert.ruleName} on ${alert.node}`}
+                    secondary={[
+                      `${alert.message} (${new Date(alert.firedAt || alert.activeAt).toLocaleString()})`,
+                      `Acknowledged by ${alert.acknowledged?.by || 'unknown'} at ${new Date(alert.acknowledged?.at || '').toLocaleString()}` +
+                        (alert.acknowledged?.comment ? `: ${alert.acknowledged.comment}` : '')
+                    ].join(' — ')}
                   />
                 </ListItem>
               ))}
@@ -334,80 +243,26 @@ const JMXAlertsPanel: React.FC<JMXAlertsPanelProps> = ({ jmxData, aggregatedData
         </Box>
       )}
 
-      {/* Threshold Configuration Dialog */}
-      <Dialog open={showSettings} onClose={() => setShowSettings(false)} maxWidth="md" fullWidth>
-        <DialogTitle>Configure Alert Thresholds</DialogTitle>
+      <AlertRulesDialog open={showRules} onClose={() => setShowRules(false)} />
+      <NotificationChannelsDialog open={showChannels} onClose={() => setShowChannels(false)} />
+      <SilencesDialog open={showSilences} matchers={silenceMatchers} onClose={() => setShowSilences(false)} />
+
+      <Dialog open={!!acknowledging} onClose={() => setAcknowledging(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Acknowledge {acknowledging?.ruleName}</DialogTitle>
         <DialogContent>
-          <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 2 }}>
-            <TextField
-              label="Memory Usage Warning (%)"
-              type="number"
-              value={tempThresholds.memoryUsageWarning}
-              onChange={(e) => setTempThresholds(prev => ({...prev, memoryUsageWarning: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="Memory Usage Critical (%)"
-              type="number"
-              value={tempThresholds.memoryUsageCritical}
-              onChange={(e) => setTempThresholds(prev => ({...prev, memoryUsageCritical: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="Pending Tasks Warning"
-              type="number"
-              value={tempThresholds.pendingTasksWarning}
-              onChange={(e) => setTempThresholds(prev => ({...prev, pendingTasksWarning: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="Pending Tasks Critical"
-              type="number"
-              value={tempThresholds.pendingTasksCritical}
-              onChange={(e) => setTempThresholds(prev => ({...prev, pendingTasksCritical: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="Timeouts Warning"
-              type="number"
-              value={tempThresholds.timeoutsWarning}
-              onChange={(e) => setTempThresholds(prev => ({...prev, timeoutsWarning: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="Timeouts Critical"
-              type="number"
-              value={tempThresholds.timeoutsCritical}
-              onChange={(e) => setTempThresholds(prev => ({...prev, timeoutsCritical: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="GC Time Warning (ms)"
-              type="number"
-              value={tempThresholds.gcTimeWarning}
-              onChange={(e) => setTempThresholds(prev => ({...prev, gcTimeWarning: Number(e.target.value)}))}
-              fullWidth
-            />
-            <TextField
-              label="GC Time Critical (ms)"
-              type="number"
-              value={tempThresholds.gcTimeCritical}
-              onChange={(e) => setTempThresholds(prev => ({...prev, gcTimeCritical: Number(e.target.value)}))}
-              fullWidth
-            />
-          </Box>
+          <TextField
+            autoFocus
+            label="Comment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            helperText="Optional, e.g. who is looking into it"
+            fullWidth
+            sx={{ mt: 1 }}
+          />
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setShowSettings(false)}>Cancel</Button>
-          <Button 
-            onClick={() => {
-              setThresholds(tempThresholds);
-              setShowSettings(false);
-            }}
-            variant="contained"
-          >
-            Save Thresholds
-          </Button>
+          <Button onClick={() => setAcknowledging(null)}>Cancel</Button>
+          <Button variant="contained" onClick={acknowledgeAlert}>Acknowledge</Button>
         </DialogActions>
       </Dialog>
     </Paper>
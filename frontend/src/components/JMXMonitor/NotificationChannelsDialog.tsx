@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  MenuItem,
+  Button,
+  IconButton,
+  Switch,
+  Chip,
+  Box,
+  Alert,
+  FormControlLabel,
+  Tooltip,
+} from '@mui/material';
+import { Delete as DeleteIcon, Edit as EditIcon, Add as AddIcon, Send as SendIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { NotificationChannel, NotificationChannelType } from '../../types';
+
+interface ConfigField {
+  key: string;
+  label: string;
+  secret?: boolean;
+  type?: 'number' | 'boolean' | 'json';
+  helperText?: string;
+}
+
+// Mirrors the notifier normalizers on the backend; secret fields are write-only
+const CONFIG_FIELDS: Record<NotificationChannelType, ConfigField[]> = {
+  webhook: [
+    { key: 'url', label: 'URL' },
+    { key: 'authorization', label: 'Authorization header', secret: true, helperText: 'e.g. Bearer <token>' },
+    { key: 'template', label: 'Body template (JSON)', type: 'json', helperText: 'Optional; placeholders like {{ruleName}}, {{severity}}, {{node}}, {{message}}, {{alert}}' }
+  ],
+  slack: [
+    { key: 'url', label: 'Incoming webhook URL', secret: true },
+    { key: 'channel', label: 'Channel', helperText: 'Optional override, e.g. #cassandra' },
+    { key: 'username', label: 'Username', helperText: 'Optional' }
+  ],
+  email: [
+    { key: 'host', label: 'SMTP host' },
+    { key: 'port', label: 'Port', type: 'number' },
+    { key: 'secure', label: 'Use TLS', type: 'boolean' },
+    { key: 'username', label: 'Username' },
+    { key: 'password', label: 'Password', secret: true },
+    { key: 'from', label: 'From' },
+    { key: 'to', label: 'To', helperText: 'Comma separated' }
+  ],
+  pagerduty: [
+    { key: 'url', label: 'Events API URL', helperText: 'Blank for https://events.pagerduty.com/v2/enqueue' },
+    { key: 'routingKey', label: 'Routing key', secret: true }
+  ]
+};
+
+const TYPE_LABELS: Record<NotificationChannelType, string> = {
+  webhook: 'Webhook',
+  slack: 'Slack-compatible',
+  email: 'Email (SMTP)',
+  pagerduty: 'PagerDuty-style Events API'
+};
+
+const secretFlag = (key: string) => `has${key[0].toUpperCase()}${key.slice(1)}`;
+
+interface ChannelForm {
+  name: string;
+  type: NotificationChannelType;
+  enabled: boolean;
+  sendResolved: boolean;
+  config: Record<string, any>;
+}
+
+const EMPTY_CHANNEL: ChannelForm = {
+  name: '',
+  type: 'webhook',
+  enabled: true,
+  sendResolved: true,
+  config: {}
+};
+
+const toForm = (channel: NotificationChannel): ChannelForm => {
+  const config: Record<string, any> = {};
+  CONFIG_FIELDS[channel.type].forEach(field => {
+    const value = channel.config[field.key];
+    if (field.secret) {
+      config[field.key] = '';
+    } else if (field.type === 'json') {
+      config[field.key] = value ? JSON.stringify(value, null, 2) : '';
+    } else if (Array.isArray(value)) {
+      config[field.key] = value.join(', ');
+    } else {
+      config[field.key] = value ?? '';
+    }
+  });
+  return { name: channel.name, type: channel.type, enabled: channel.enabled, sendResolved: channel.sendResolved, config };
+};
+
+interface NotificationChannelsDialogProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const NotificationChannelsDialog: React.FC<NotificationChannelsDialogProps> = ({ open, onClose }) => {
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+  const canTest = hasRole('operator');
+  const [channels, setChannels] = useState<NotificationChannel[]>([]);
+  const [editing, setEditing] = useState<{ channel: NotificationChannel | null; form: ChannelForm } | null>(null);
+  const [testing, setTesting] = useState<string | null>(null);
+  const [result, setResult] = useState<{ success: boolean; message: string } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const showError = (error: unknown) => {
+    const response = (error as any).response?.data;
+    setError(response?.message || response?.error || (error as Error).message);
+  };
+
+  const loadChannels = useCallback(async () => {
+    try {
+      setChannels(await ApiService.getNotificationChannels());
+    } catch (error) {
+      showError(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    setError(null);
+    setResult(null);
+    setEditing(null);
+    loadChannels();
+  }, [open, loadChannels]);
+
+  const handleSave = async () => {
+    if (!editing) {
+      return;
+    }
+    setError(null);
+    try {
+      if (editing.channel) {
+        await ApiService.updateNotificationChannel(editing.channel.id, editing.form);
+      } else {
+        await ApiService.createNotificationChannel(editing.form);
+      }
+      setEditing(null);
+      await loadChannels();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleToggle = async (channel: NotificationChannel) => {
+    setError(null);
+    try {
+      await ApiService.updateNotificationChannel(channel.id, { enabled: !channel.enabled });
+      await loadChannels();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleDelete = async (channel: NotificationChannel) => {
+    if (!window.confirm(`Delete notification channel "${channel.name}"?`)) {
+      return;
+    }
+    setError(null);
+    try {
+      await ApiService.deleteNotificationChannel(channel.id);
+      await loadChannels();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleTest = async (channel: NotificationChannel) => {
+    setError(null);
+    setResult(null);
+    setTesting(channel.id);
+    try {
+      const response = await ApiService.testNotificationChannel(channel.id);
+      setResult({
+        success: response.success,
+        message: response.success
+          ? `Test notification sent to ${response.channel}`
+          : `Test notification to ${response.channel} failed: ${response.error}`
+      });
+    } catch (error) {
+      showError(error);
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  const update = (changes: Partial<ChannelForm>) => {
+    setEditing(prev => (prev ? { ...prev, form: { ...prev.form, ...changes } } : prev));
+  };
+
+  const updateConfig = (key: string, value: any) => {
+    setEditing(prev => (prev ? { ...prev, form: { ...prev.form, config: { ...prev.form.config, [key]: value } } } : prev));
+  };
+
+  const renderField = (field: ConfigField, form: ChannelForm) => {
+    const value = form.config[field.key];
+    if (field.type === 'boolean') {
+      return (
+        <FormControlLabel
+          key={field.key}
+          control={<Switch checked={!!value} onChange={(e) => updateConfig(field.key, e.target.checked)} />}
+          label={field.label}
+        />
+      );
+    }
+
+    const stored = field.secret && editing?.channel?.config[secretFlag(field.key)];
+    return (
+      <TextField
+        key={field.key}
+        label={field.label}
+        type={field.secret ? 'password' : field.type === 'number' ? 'number' : 'text'}
+        value={value ?? ''}
+        onChange={(e) => updateConfig(field.key, e.target.value)}
+        helperText={stored ? 'Stored; leave blank to keep' : field.helperText}
+        multiline={field.type === 'json'}
+        minRows={field.type === 'json' ? 4 : undefined}
+        sx={field.type === 'json' ? { gridColumn: '1 / -1', fontFamily: 'monospace' } : undefined}
+        fullWidth
+      />
+    );
+  };
+
+  const renderForm = (form: ChannelForm) => (
+    <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 1 }}>
+      <TextField label="Name" value={form.name} onChange={(e) => update({ name: e.target.value })} fullWidth />
+      <TextField
+        select
+        label="Type"
+        value={form.type}
+        disabled={!!editing?.channel}
+        onChange={(e) => update({ type: e.target.value as NotificationChannelType, config: {} })}
+      >
+        {(Object.keys(TYPE_LABELS) as NotificationChannelType[]).map(type => (
+          <MenuItem key={type} value={type}>{TYPE_LABELS[type]}</MenuItem>
+        ))}
+      </TextField>
+      <FormControlLabel
+        control={<Switch checked={form.enabled} onChange={(e) => update({ enabled: e.target.checked })} />}
+        label="Enabled"
+      />
+      <FormControlLabel
+        control={<Switch checked={form.sendResolved} onChange={(e) => update({ sendResolved: e.target.checked })} />}
+        label="Notify when resolved"
+      />
+      {CONFIG_FIELDS[form.type].map(field => renderField(field, form))}
+    </Box>
+  );
+
+  const renderDelivery = (channel: NotificationChannel) => {
+    const delivery = channel.lastDelivery;
+    if (!delivery) {
+      return <Chip label="never" size="small" variant="outlined" />;
+    }
+    const color = delivery.status === 'delivered' ? 'success' : delivery.status === 'retrying' ? 'warning' : 'error';
+    return (
+      <Tooltip title={`${new Date(delivery.at).toLocaleString()}, attempt ${delivery.attempts}${delivery.error ? `: ${delivery.error}` : ''}`}>
+        <Chip label={delivery.status} size="small" color={color} />
+      </Tooltip>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Notification Channels</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {result && (
+          <Alert severity={result.success ? 'success' : 'error'} sx={{ mb: 2 }} onClose={() => setResult(null)}>
+            {result.message}
+          </Alert>
+        )}
+
+        {editing ? (
+          renderForm(editing.form)
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Last Delivery</TableCell>
+                  {canTest && <TableCell align="right">Actions</TableCell>}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {channels.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">
+                      No notification channels configured
+                    </TableCell>
+                  </TableRow>
+                )}
+                {channels.map((channel) => (
+                  <TableRow key={channel.id}>
+                    <TableCell>
+                      <Switch checked={channel.enabled} disabled={!isAdmin} onChange={() => handleToggle(channel)} />
+                    </TableCell>
+                    <TableCell>{channel.name}</TableCell>
+                    <TableCell>{TYPE_LABELS[channel.type]}</TableCell>
+                    <TableCell>{renderDelivery(channel)}</TableCell>
+                    {canTest && (
+                      <TableCell align="right">
+                        <Tooltip title="Send test notification">
+                          <span>
+                            <IconButton size="small" disabled={testing === channel.id} onClick={() => handleTest(channel)}>
+                              <SendIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        {isAdmin && (
+                          <>
+                            <IconButton size="small" onClick={() => setEditing({ channel, form: toForm(channel) })}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                            <IconButton size="small" onClick={() => handleDelete(channel)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </>
+                        )}
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {editing ? (
+          <>
+            <Button onClick={() => setEditing(null)}>Back</Button>
+            <Button variant="contained" onClick={handleSave}>
+              {editing.channel ? 'Save Channel' : 'Create Channel'}
+            </Button>
+          </>
+        ) : (
+          <>
+            {isAdmin && (
+              <Button startIcon={<AddIcon />} onClick={() => setEditing({ channel: null, form: EMPTY_CHANNEL })}>
+                Add Channel
+              </Button>
+            )}
+            <Button onClick={loadChannels}>Refresh</Button>
+            <Button onClick={onClose}>Close</Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default NotificationChannelsDialog;
@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Button,
+  IconButton,
+  Checkbox,
+  FormControlLabel,
+  Chip,
+  Box,
+  Alert,
+  Tabs,
+  Tab,
+  Autocomplete,
+  Tooltip,
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon, Stop as StopIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { AlertSilence, MaintenanceWindow, NodeInfo, SilenceMatcher, SuppressionStatus } from '../../types';
+
+const STATUS_COLORS: Record<SuppressionStatus, 'success' | 'info' | 'default'> = {
+  active: 'success',
+  pending: 'info',
+  expired: 'default'
+};
+
+const formatPeriod = (entry: { startsAt: string; endsAt: string }) =>
+  `${new Date(entry.startsAt).toLocaleString()} – ${new Date(entry.endsAt).toLocaleString()}`;
+
+interface SilenceForm {
+  matchers: SilenceMatcher[];
+  comment: string;
+  startsAt: string;
+  duration: string;
+}
+
+interface WindowForm {
+  nodes: string[];
+  reason: string;
+  startsAt: string;
+  duration: string;
+}
+
+const EMPTY_MATCHER: SilenceMatcher = { name: '', value: '', isRegex: false };
+
+interface SilencesDialogProps {
+  open: boolean;
+  onClose: () => void;
+  // Opens straight into a new silence with these matchers, e.g. taken from an alert
+  matchers?: SilenceMatcher[] | null;
+}
+
+const SilencesDialog: React.FC<SilencesDialogProps> = ({ open, onClose, matchers }) => {
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('operator');
+  const [tab, setTab] = useState<'silences' | 'maintenance'>('silences');
+  const [silences, setSilences] = useState<AlertSilence[]>([]);
+  const [windows, setWindows] = useState<MaintenanceWindow[]>([]);
+  const [nodes, setNodes] = useState<NodeInfo[]>([]);
+  const [silenceForm, setSilenceForm] = useState<SilenceForm | null>(null);
+  const [windowForm, setWindowForm] = useState<WindowForm | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const showError = (error: unknown) => {
+    const response = (error as any).response?.data;
+    setError(response?.message || response?.error || (error as Error).message);
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const [silenceList, windowList] = await Promise.all([ApiService.getSilences(), ApiService.getMaintenanceWindows()]);
+      setSilences(silenceList);
+      setWindows(windowList);
+    } catch (error) {
+      showError(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    setError(null);
+    setWindowForm(null);
+    setTab('silences');
+    setSilenceForm(matchers ? { matchers, comment: '', startsAt: '', duration: '2h' } : null);
+    load();
+    ApiService.getNodesInfo()
+      .then(setNodes)
+      .catch(() => setNodes([]));
+  }, [open, matchers, load]);
+
+  const period = (form: { startsAt: string; duration: string }) => ({
+    startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : undefined,
+    duration: form.duration
+  });
+
+  const handleCreateSilence = async () => {
+    if (!silenceForm) {
+      return;
+    }
+    setError(null);
+    try {
+      await ApiService.createSilence({
+        matchers: silenceForm.matchers.filter(matcher => matcher.name),
+        comment: silenceForm.comment,
+        ...period(silenceForm)
+      });
+      setSilenceForm(null);
+      await load();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleCreateWindow = async () => {
+    if (!windowForm) {
+      return;
+    }
+    setError(null);
+    try {
+      await ApiService.createMaintenanceWindow({
+        nodes: windowForm.nodes,
+        reason: windowForm.reason,
+        ...period(windowForm)
+      });
+      setWindowForm(null);
+      await load();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleExpire = async (silence: AlertSilence) => {
+    setError(null);
+    try {
+      await ApiService.expireSilence(silence.id);
+      await load();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleEndWindow = async (window: MaintenanceWindow) => {
+    setError(null);
+    try {
+      await ApiService.endMaintenanceWindow(window.id);
+      await load();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const updateMatcher = (index: number, changes: Partial<SilenceMatcher>) => {
+    setSilenceForm(prev => prev && {
+      ...prev,
+      matchers: prev.matchers.map((matcher, i) => (i === index ? { ...matcher, ...changes } : matcher))
+    });
+  };
+
+  const renderPeriodFields = <T extends { startsAt: string; duration: string }>(form: T, update: (changes: Partial<T>) => void) => (
+    <>
+      <TextField
+        label="Starts"
+        type="datetime-local"
+        value={form.startsAt}
+        onChange={(e) => update({ startsAt: e.target.value } as Partial<T>)}
+        InputLabelProps={{ shrink: true }}
+        helperText="Blank for now"
+      />
+      <TextField
+        label="Duration"
+        value={form.duration}
+        onChange={(e) => update({ duration: e.target.value } as Partial<T>)}
+        helperText="e.g. 30m, 2h, 1d"
+      />
+    </>
+  );
+
+  const renderSilenceForm = (form: SilenceForm) => (
+    <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 1 }}>
+      {form.matchers.map((matcher, index) => (
+        <Box key={index} sx={{ gridColumn: '1 / -1', display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            label="Label"
+            size="small"
+            value={matcher.name}
+            onChange={(e) => updateMatcher(index, { name: e.target.value })}
+            helperText={index === 0 ? 'alertname, rule, severity, cluster, node, dc, metric or a rule label' : undefined}
+          />
+          <TextField
+            label="Value"
+            size="small"
+            value={matcher.value}
+            onChange={(e) => updateMatcher(index, { value: e.target.value })}
+            sx={{ flex: 1 }}
+          />
+          <FormControlLabel
+            control={<Checkbox checked={matcher.isRegex} onChange={(e) => updateMatcher(index, { isRegex: e.target.checked })} />}
+            label="Regex"
+          />
+          <IconButton
+            size="small"
+            disabled={form.matchers.length === 1}
+            onClick={() => setSilenceForm(prev => prev && { ...prev, matchers: prev.matchers.filter((_, i) => i !== index) })}
+          >
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      <Box sx={{ gridColumn: '1 / -1' }}>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => setSilenceForm(prev => prev && { ...prev, matchers: [...prev.matchers, EMPTY_MATCHER] })}>
+          Add Matcher
+        </Button>
+      </Box>
+      {renderPeriodFields(form, changes => setSilenceForm(prev => prev && { ...prev, ...changes }))}
+      <TextField
+        label="Comment"
+        value={form.comment}
+        onChange={(e) => setSilenceForm(prev => prev && { ...prev, comment: e.target.value })}
+        sx={{ gridColumn: '1 / -1' }}
+        required
+      />
+    </Box>
+  );
+
+  const renderWindowForm = (form: WindowForm) => (
+    <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 1 }}>
+      <Autocomplete
+        multiple
+        freeSolo
+        options={nodes.map(node => node.address)}
+        value={form.nodes}
+        onChange={(_, value) => setWindowForm(prev => prev && { ...prev, nodes: value })}
+        renderInput={(params) => <TextField {...params} label="Nodes" helperText="Blank for the whole cluster" />}
+        sx={{ gridColumn: '1 / -1' }}
+      />
+      {renderPeriodFields(form, changes => setWindowForm(prev => prev && { ...prev, ...changes }))}
+      <TextField
+        label="Reason"
+        value={form.reason}
+        onChange={(e) => setWindowForm(prev => prev && { ...prev, reason: e.target.value })}
+        helperText="e.g. rolling restart"
+        sx={{ gridColumn: '1 / -1' }}
+        required
+      />
+    </Box>
+  );
+
+  const renderStatus = (status: SuppressionStatus) => (
+    <Chip label={status} size="small" color={STATUS_COLORS[status]} />
+  );
+
+  const renderSilences = () => (
+    <TableContainer component={Paper} variant="outlined">
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Status</TableCell>
+            <TableCell>Matchers</TableCell>
+            <TableCell>Period</TableCell>
+            <TableCell>Comment</TableCell>
+            {canEdit && <TableCell align="right">Actions</TableCell>}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {silences.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={5} align="center">No silences</TableCell>
+            </TableRow>
+          )}
+          {silences.map((silence) => (
+            <TableRow key={silence.id}>
+              <TableCell>{renderStatus(silence.status)}</TableCell>
+              <TableCell>
+                {silence.matchers.map(matcher => (
+                  <Chip
+                    key={matcher.name}
+                    label={`${matcher.name}${matcher.isRegex ? '=~' : '='}${matcher.value}`}
+                    size="small"
+                    variant="outlined"
+                    sx={{ mr: 0.5, mb: 0.5 }}
+                  />
+                ))}
+              </TableCell>
+              <TableCell>{formatPeriod(silence)}</TableCell>
+              <TableCell>
+                {silence.comment}
+                {silence.createdBy && ` (${silence.createdBy})`}
+              </TableCell>
+              {canEdit && (
+                <TableCell align="right">
+                  {silence.status !== 'expired' && (
+                    <Tooltip title="Expire">
+                      <IconButton size="small" onClick={() => handleExpire(silence)}>
+                        <StopIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  const renderWindows = () => (
+    <TableContainer component={Paper} variant="outlined">
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Status</TableCell>
+            <TableCell>Nodes</TableCell>
+            <TableCell>Period</TableCell>
+            <TableCell>Reason</TableCell>
+            {canEdit && <TableCell align="right">Actions</TableCell>}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {windows.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={5} align="center">No maintenance windows for this cluster</TableCell>
+            </TableRow>
+          )}
+          {windows.map((window) => (
+            <TableRow key={window.id}>
+              <TableCell>{renderStatus(window.status)}</TableCell>
+              <TableCell>{window.nodes.length > 0 ? window.nodes.join(', ') : 'whole cluster'}</TableCell>
+              <TableCell>{formatPeriod(window)}</TableCell>
+              <TableCell>
+                {window.reason}
+                {window.createdBy && ` (${window.createdBy})`}
+              </TableCell>
+              {canEdit && (
+                <TableCell align="right">
+                  {window.status !== 'expired' && (
+                    <Tooltip title={window.status === 'pending' ? 'Cancel' : 'End now'}>
+                      <IconButton size="small" onClick={() => handleEndWindow(window)}>
+                        <StopIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  const editing = silenceForm || windowForm;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Silences &amp; Maintenance</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {silenceForm ? (
+          renderSilenceForm(silenceForm)
+        ) : windowForm ? (
+          renderWindowForm(windowForm)
+        ) : (
+          <>
+            <Tabs value={tab} onChange={(_, value) => setTab(value)} sx={{ mb: 2 }}>
+              <Tab value="silences" label={`Silences (${silences.filter(s => s.status !== 'expired').length})`} />
+              <Tab value="maintenance" label={`Maintenance (${windows.filter(w => w.status !== 'expired').length})`} />
+            </Tabs>
+            {tab === 'silences' ? renderSilences() : renderWindows()}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {editing ? (
+          <>
+            <Button onClick={() => { setSilenceForm(null); setWindowForm(null); }}>Back</Button>
+            <Button variant="contained" onClick={silenceForm ? handleCreateSilence : handleCreateWindow}>
+              {silenceForm ? 'Create Silence' : 'Schedule Window'}
+            </Button>
+          </>
+        ) : (
+          <>
+            {canEdit && (
+              <Button
+                startIcon={<AddIcon />}
+                onClick={() => tab === 'silences'
+                  ? setSilenceForm({ matchers: [EMPTY_MATCHER], comment: '', startsAt: '', duration: '2h' })
+                  : setWindowForm({ nodes: [], reason: '', startsAt: '', duration: '1h' })}
+              >
+                {tab === 'silences' ? 'New Silence' : 'Schedule Maintenance'}
+              </Button>
+            )}
+            <Button onClick={onClose}>Close</Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SilencesDialog;
@@ -25,9 +25,14 @@ import {
   Cable as ConnectionIcon,
   Menu,
   Analytics as JMXIcon,
+  Person as UserIcon,
+  Logout as LogoutIcon,
+  History as AuditIcon,
+  Schema as SchemaIcon,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useWebSocket } from '../../contexts/WebSocketContext';
+import { useAuth } from '../../contexts/AuthContext';
 import Logo from '../Logo/Logo';
 
 const drawerWidth = 240;
@@ -37,12 +42,14 @@ interface LayoutProps {
   connectionInfo?: any;
   onDisconnect?: () => void;
   onShowConnectionManager?: () => void;
+  onLogout?: () => void;
 }
 
-const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect, onShowConnectionManager }) => {
+const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect, onShowConnectionManager, onLogout }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const { isConnected, metrics } = useWebSocket();
+  const { user, hasRole } = useAuth();
   const [anchorEl, setAnchorEl] = React.useState<null | HTMLElement>(null);
 
   const navigationItems = [
@@ -52,6 +59,8 @@ const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect,
     { text: 'JMX Monitoring', icon: <JMXIcon />, path: '/jmx' },
     { text: 'Operations', icon: <OperationsIcon />, path: '/operations' },
     { text: 'Data Explorer', icon: <DataIcon />, path: '/data' },
+    { text: 'Schema', icon: <SchemaIcon />, path: '/schema' },
+    ...(hasRole('admin') ? [{ text: 'Audit Log', icon: <AuditIcon />, path: '/audit' }] : []),
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
   ];
 
@@ -75,6 +84,8 @@ const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect,
               {location.pathname === '/jmx' && 'JMX Monitoring'}
               {location.pathname === '/operations' && 'Operations'}
               {location.pathname === '/data' && 'Data Explorer'}
+              {location.pathname === '/schema' && 'Schema'}
+              {location.pathname === '/audit' && 'Audit Log'}
               {location.pathname === '/settings' && 'Settings'}
             </Typography>
           </Box>
@@ -83,7 +94,9 @@ const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect,
             {metrics?.cluster && (
               <>
                 <Typography variant="body2" color="textSecondary" sx={{ minWidth: 'fit-content' }}>
-                  {metrics.cluster.name}
+                  {connectionInfo?.name && connectionInfo.name !== metrics.cluster.name
+                    ? `${connectionInfo.name} (${metrics.cluster.name})`
+                    : metrics.cluster.name}
                 </Typography>
                 <Chip
                   label={`${metrics.cluster.upNodes}/${metrics.cluster.totalNodes} nodes`}
@@ -105,7 +118,7 @@ const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect,
             <Box sx={{ display: 'flex', gap: 1 }}>
               <Chip
                 icon={<ConnectionIcon sx={{ fontSize: 16 }} />}
-                label="Reconnect"
+                label="Clusters"
                 color="primary"
                 size="small"
                 onClick={onShowConnectionManager}
@@ -116,10 +129,21 @@ const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect,
                 label="Disconnect"
                 color="error"
                 size="small"
-                onClick={onDisconnect}
+                onClick={hasRole('operator') ? onDisconnect : undefined}
+                disabled={!hasRole('operator')}
                 sx={{ cursor: 'pointer', '&:hover': { opacity: 0.8 } }}
               />
             </Box>
+            
+            {user && (
+              <Chip
+                icon={<UserIcon sx={{ fontSize: 16 }} />}
+                label={`${user.username} (${user.role})`}
+                variant="outlined"
+                size="small"
+                sx={{ minWidth: 'fit-content' }}
+              />
+            )}
           </Box>
         </Toolbar>
       </AppBar>
@@ -180,17 +204,25 @@ const Layout: React.FC<LayoutProps> = ({ children, connectionInfo, onDisconnect,
               <ListItemIcon>
                 <ConnectionIcon />
               </ListItemIcon>
-              <ListItemText primary="Reconnect" />
+              <ListItemText primary="Clusters" />
             </ListItemButton>
           </ListItem>
           <ListItem disablePadding>
-            <ListItemButton onClick={onDisconnect}>
+            <ListItemButton onClick={onDisconnect} disabled={!hasRole('operator')}>
               <ListItemIcon>
                 <DisconnectIcon />
               </ListItemIcon>
               <ListItemText primary="Disconnect" />
             </ListItemButton>
           </ListItem>
+          <ListItem disablePadding>
+            <ListItemButton onClick={onLogout}>
+              <ListItemIcon>
+                <LogoutIcon />
+              </ListItemIcon>
+              <ListItemText primary="Sign Out" />
+            </ListItemButton>
+          </ListItem>
         </List>
       </Drawer>
       
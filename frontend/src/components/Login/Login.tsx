@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Divider,
+  MenuItem,
+} from '@mui/material';
+import { Login as LoginIcon } from '@mui/icons-material';
+import Logo from '../Logo/Logo';
+import ApiService from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { AuthProviderInfo } from '../../types';
+
+const Login: React.FC = () => {
+  const { login, error: sessionError } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [provider, setProvider] = useState('');
+  const [providers, setProviders] = useState<AuthProviderInfo[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(sessionError);
+
+  useEffect(() => {
+    ApiService.getAuthProviders()
+      .then(setProviders)
+      .catch(() => setProviders([]));
+  }, []);
+
+  const passwordProviders = providers.filter(p => p.type === 'password');
+  const redirectProviders = providers.filter(p => p.type === 'redirect');
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(username, password, provider || undefined);
+    } catch (error) {
+      setError((error as any).response?.data?.error || (error as Error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        height: '100vh',
+        flexDirection: 'column',
+        gap: 2
+      }}
+    >
+      <Logo size="large" />
+      <Card sx={{ width: 360 }}>
+        <CardContent>
+          <Box component="form" onSubmit={handleSubmit}>
+            <TextField
+              label="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              fullWidth
+              margin="normal"
+              autoFocus
+              autoComplete="username"
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              fullWidth
+              margin="normal"
+              autoComplete="current-password"
+            />
+            {passwordProviders.length > 1 && (
+              <TextField
+                select
+                label="Sign in with"
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+                fullWidth
+                margin="normal"
+              >
+                <MenuItem value="">
+                  <em>Any</em>
+                </MenuItem>
+                {passwordProviders.map((p) => (
+                  <MenuItem key={p.name} value={p.name}>
+                    {p.name.toUpperCase()}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+
+            {error && (
+              <Alert severity="error" sx={{ mt: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              sx={{ mt: 2 }}
+              disabled={!username || !password || submitting}
+              startIcon={submitting ? <CircularProgress size={16} /> : <LoginIcon />}
+            >
+              Sign In
+            </Button>
+          </Box>
+
+          {redirectProviders.length > 0 && (
+            <>
+              <Divider sx={{ my: 2 }}>or</Divider>
+              {redirectProviders.map((p) => (
+                <Button
+                  key={p.name}
+                  variant="outlined"
+                  fullWidth
+                  href={ApiService.getProviderLoginUrl(p.name)}
+                >
+                  Sign in with {p.name.toUpperCase()}
+                </Button>
+              ))}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default Login;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  Alert,
+} from '@mui/material';
+import { PlayArrow as RunIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { KeyspaceInfo, NodeInfo } from '../../types';
+
+type MaintenanceOperation = 'repair' | 'compact' | 'flush' | 'cleanup' | 'scrub' | 'drain';
+
+const OPERATIONS: MaintenanceOperation[] = ['repair', 'compact', 'flush', 'cleanup', 'scrub', 'drain'];
+
+interface OperationRunnerProps {
+  onStarted?: () => void;
+}
+
+const OperationRunner: React.FC<OperationRunnerProps> = ({ onStarted }) => {
+  const [nodes, setNodes] = useState<NodeInfo[]>([]);
+  const [keyspaces, setKeyspaces] = useState<KeyspaceInfo[]>([]);
+  const [operation, setOperation] = useState<MaintenanceOperation>('repair');
+  const [keyspace, setKeyspace] = useState('');
+  const [node, setNode] = useState('');
+  const [full, setFull] = useState(false);
+  const [primaryRange, setPrimaryRange] = useState(false);
+  const [muteAlerts, setMuteAlerts] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState<{ severity: 'success' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    Promise.all([ApiService.getNodesInfo(), ApiService.getKeyspacesInfo()])
+      .then(([nodesInfo, keyspacesInfo]) => {
+        setNodes(nodesInfo);
+        setKeyspaces(keyspacesInfo);
+      })
+      .catch(error => setMessage({ severity: 'error', text: `Failed to load nodes and keyspaces: ${error.message}` }));
+  }, []);
+
+  const handleRun = async () => {
+    const target = node || undefined;
+    const ks = keyspace || undefined;
+
+    if (operation === 'drain' && !window.confirm(`Drain ${node || 'the backend host node'}? It will stop accepting writes until restarted.`)) {
+      return;
+    }
+
+    setRunning(true);
+    setMessage(null);
+    try {
+      let result: { success: boolean; operationId?: string; command?: string; error?: string };
+      switch (operation) {
+        case 'repair':
+          result = await ApiService.repairKeyspace(ks, { full, primaryRange, node: target });
+          break;
+        case 'compact':
+          result = await ApiService.compactKeyspace(ks, undefined, target);
+          break;
+        case 'flush':
+          result = await ApiService.flushKeyspace(ks, undefined, target);
+          break;
+        case 'cleanup':
+          result = await ApiService.cleanupKeyspace(ks, undefined, target);
+          break;
+        case 'scrub':
+          result = await ApiService.scrubKeyspace(ks, undefined, target);
+          break;
+        default:
+          // A drained node stops serving until it is restarted; keep its alerts quiet meanwhile
+          if (target && muteAlerts) {
+            await ApiService.createMaintenanceWindow({ nodes: [target], reason: `drain ${target}`, duration: '1h' });
+          }
+          result = await ApiService.drainNode(target);
+      }
+
+      if (result.success) {
+        setMessage({
+          severity: 'success',
+          text: result.operationId ? `Queued ${result.command} (${result.operationId})` : `${result.command} completed`
+        });
+        onStarted?.();
+      } else {
+        setMessage({ severity: 'error', text: result.error || 'Operation failed' });
+      }
+    } catch (error: any) {
+      const response = error.response?.data;
+      setMessage({ severity: 'error', text: response?.message || response?.error || error.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Run Operation
+        </Typography>
+
+        {message && (
+          <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            select
+            label="Operation"
+            size="small"
+            value={operation}
+            onChange={(e) => setOperation(e.target.value as MaintenanceOperation)}
+            sx={{ minWidth: 140 }}
+          >
+            {OPERATIONS.map((op) => (
+              <MenuItem key={op} value={op}>{op}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Keyspace"
+            size="small"
+            value={keyspace}
+            onChange={(e) => setKeyspace(e.target.value)}
+            disabled={operation === 'drain'}
+            sx={{ minWidth: 180 }}
+          >
+            <MenuItem value="">
+              <em>All keyspaces</em>
+            </MenuItem>
+            {keyspaces.map((ks) => (
+              <MenuItem key={ks.name} value={ks.name}>{ks.name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Node"
+            size="small"
+            value={node}
+            onChange={(e) => setNode(e.target.value)}
+            sx={{ minWidth: 240 }}
+          >
+            <MenuItem value="">
+              <em>Backend host (local nodetool)</em>
+            </MenuItem>
+            {nodes.map((n) => (
+              <MenuItem key={n.hostId || n.address} value={n.address}>
+                {n.address} ({n.datacenter}/{n.rack})
+              </MenuItem>
+            ))}
+          </TextField>
+          {operation === 'repair' && (
+            <>
+              <FormControlLabel
+                control={<Checkbox checked={full} onChange={(e) => setFull(e.target.checked)} />}
+                label="Full"
+              />
+              <FormControlLabel
+                control={<Checkbox checked={primaryRange} onChange={(e) => setPrimaryRange(e.target.checked)} />}
+                label="Primary range"
+              />
+            </>
+          )}
+          {operation === 'drain' && node && (
+            <FormControlLabel
+              control={<Checkbox checked={muteAlerts} onChange={(e) => setMuteAlerts(e.target.checked)} />}
+              label="Mute its alerts for 1h"
+            />
+          )}
+          <Button
+            variant="contained"
+            startIcon={<RunIcon />}
+            onClick={handleRun}
+            disabled={running}
+          >
+            Run
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OperationRunner;
@@ -0,0 +1,130 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  Chip,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+} from '@mui/material';
+import { QueryTrace } from '../../types';
+
+interface QueryTraceViewProps {
+  trace: QueryTrace;
+}
+
+const formatMicros = (micros: number | null | undefined) => {
+  if (micros === null || micros === undefined) {
+    return '-';
+  }
+  return micros >= 1000 ? `${(micros / 1000).toFixed(2)} ms` : `${micros} µs`;
+};
+
+// A trace session as a timeline per node: the coordinator first, then each replica that
+// logged events, every event placed by when it happened within the whole request
+const QueryTraceView: React.FC<QueryTraceViewProps> = ({ trace }) => {
+  // Position on the request timeline: when the node started (from the session start) plus
+  // its own elapsed time
+  const offsets = new Map(trace.sources.map(source => [source.source, (source.startOffsetMs || 0) * 1000 - source.firstElapsed]));
+  const at = (source: string | null, elapsed: number) => Math.max(0, (offsets.get(source) || 0) + elapsed);
+  const span = Math.max(
+    trace.durationMicros || 0,
+    ...trace.events.map(event => at(event.source, event.sourceElapsed)),
+    1
+  );
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Trace
+      </Typography>
+      {trace.error && <Alert severity="error" sx={{ mb: 1 }}>Could not read the trace: {trace.error}</Alert>}
+      {!trace.complete && !trace.error && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          The trace session had not finished writing; some events may be missing.
+        </Alert>
+      )}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <Chip size="small" label={`Duration ${formatMicros(trace.durationMicros)}`} color="primary" />
+        {trace.coordinator && <Chip size="small" label={`Coordinator ${trace.coordinator}`} />}
+        {trace.client && <Chip size="small" label={`Client ${trace.client}`} />}
+        {trace.parameters?.consistency_level && <Chip size="small" label={trace.parameters.consistency_level} />}
+        <Chip size="small" variant="outlined" label={`Session ${trace.traceId}`} />
+      </Box>
+      {trace.request && (
+        <Typography variant="body2" color="textSecondary" gutterBottom>
+          {trace.request}
+        </Typography>
+      )}
+
+      {trace.sources.map((source) => {
+        const events = trace.events.filter(event => event.source === source.source);
+        return (
+          <Paper key={source.source || 'unknown'} variant="outlined" sx={{ p: 1.5, mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Typography variant="subtitle1" sx={{ fontFamily: 'monospace' }}>
+                {source.source || 'unknown'}
+              </Typography>
+              <Chip size="small" label={source.isCoordinator ? 'Coordinator' : 'Replica'} color={source.isCoordinator ? 'primary' : 'default'} />
+              <Typography variant="body2" color="textSecondary">
+                {source.events} event{source.events !== 1 ? 's' : ''} · {formatMicros(source.lastElapsed - source.firstElapsed)}
+              </Typography>
+            </Box>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ width: '35%' }}>Timeline</TableCell>
+                  <TableCell>Elapsed</TableCell>
+                  <TableCell>Step</TableCell>
+                  <TableCell>Activity</TableCell>
+                  <TableCell>Thread</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {events.map((event, index) => {
+                  const previous = index > 0 ? events[index - 1].sourceElapsed : source.firstElapsed;
+                  const step = event.sourceElapsed - previous;
+                  const start = at(event.source, previous);
+                  return (
+                    <TableRow key={event.id}>
+                      <TableCell>
+                        <Tooltip title={`${formatMicros(at(event.source, event.sourceElapsed))} into the request`}>
+                          <Box sx={{ position: 'relative', height: 10, bgcolor: 'action.hover', borderRadius: 1 }}>
+                            <Box
+                              sx={{
+                                position: 'absolute',
+                                left: `${(start / span) * 100}%`,
+                                width: `${Math.max((step / span) * 100, 0.5)}%`,
+                                height: '100%',
+                                borderRadius: 1,
+                                bgcolor: source.isCoordinator ? 'primary.main' : 'secondary.main',
+                              }}
+                            />
+                          </Box>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatMicros(event.sourceElapsed)}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{index > 0 ? `+${formatMicros(step)}` : ''}</TableCell>
+                      <TableCell>{event.activity}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap', color: 'text.secondary' }}>{event.thread}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Paper>
+        );
+      })}
+      {trace.events.length === 0 && !trace.error && (
+        <Alert severity="info">No trace events were recorded.</Alert>
+      )}
+    </Box>
+  );
+};
+
+export default QueryTraceView;
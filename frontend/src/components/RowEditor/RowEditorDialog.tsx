@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Alert,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress,
+} from '@mui/material';
+import ApiService from '../../services/api';
+import { RowEditAction, RowEditResult } from '../../types';
+
+export interface TableColumn {
+  column_name: string;
+  type: string;
+  kind: string;
+}
+
+interface RowEditorDialogProps {
+  open: boolean;
+  action: RowEditAction;
+  keyspace: string;
+  table: string;
+  columns: TableColumn[];
+  // The row being updated or deleted; null when inserting
+  row: any | null;
+  onClose: () => void;
+  onDone: () => void;
+}
+
+export const CONSISTENCY_LEVELS = ['ONE', 'LOCAL_ONE', 'QUORUM', 'LOCAL_QUORUM', 'EACH_QUORUM', 'ALL', 'ANY'];
+
+// A value from a result row as the backend parses it back: hex for blobs, JSON for
+// collections and UDTs, plain text otherwise
+export const cqlText = (value: any): string => {
+  if (value && typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return '0x' + value.data.map((byte: number) => byte.toString(16).padStart(2, '0')).join('');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const shown = (value: any) => (value === null || value === undefined ? 'null' : cqlText(value));
+
+// The text a row's column starts out with in the editor
+const fieldText = (row: any | null, name: string) =>
+  row && row[name] !== null && row[name] !== undefined ? cqlText(row[name]) : '';
+
+const KIND_ORDER = ['partition_key', 'clustering', 'static', 'regular'];
+
+// Insert, update or delete one row (or a partition), reviewing the generated statement
+// and the values it changes before it runs
+const RowEditorDialog: React.FC<RowEditorDialogProps> = ({ open, action, keyspace, table, columns, row, onClose, onDone }) => {
+  const [fields, setFields] = useState<Record<string, string>>({});
+  const [consistency, setConsistency] = useState('LOCAL_QUORUM');
+  const [deleteScope, setDeleteScope] = useState<'row' | 'partition'>('row');
+  const [review, setReview] = useState<RowEditResult | null>(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const ordered = [...columns].sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+  const isKey = (column: TableColumn) => column.kind === 'partition_key' || column.kind === 'clustering';
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const values: Record<string, string> = {};
+    columns.forEach(column => {
+      values[column.column_name] = fieldText(row, column.column_name);
+    });
+    setFields(values);
+    setDeleteScope('row');
+    setReview(null);
+    setError(null);
+  }, [open, row, columns]);
+
+  const buildRequest = () => {
+    const keyColumns = columns.filter(column =>
+      action === 'delete' && deleteScope === 'partition' ? column.kind === 'partition_key' : isKey(column)
+    );
+    const key: Record<string, string> = {};
+    keyColumns.forEach(column => {
+      key[column.column_name] = fields[column.column_name] ?? '';
+    });
+
+    // Updates send only what changed, an emptied field clearing the column
+    const values: Record<string, string | null> = {};
+    columns.filter(column => !isKey(column)).forEach(column => {
+      const name = column.column_name;
+      const value = fields[name] ?? '';
+      if (action === 'insert' && value !== '') {
+        values[name] = value;
+      } else if (action === 'update' && value !== fieldText(row, name)) {
+        values[name] = value === '' ? null : value;
+      }
+    });
+    return { action, key, values: action === 'delete' ? undefined : values, consistency };
+  };
+
+  const run = async (dryRun: boolean) => {
+    try {
+      setWorking(true);
+      setError(null);
+      const result = await ApiService.editRow(keyspace, table, { ...buildRequest(), dryRun });
+      if (dryRun) {
+        setReview(result);
+      } else {
+        onDone();
+      }
+    } catch (err: any) {
+      const response = err.response?.data;
+      setError(response?.message || response?.error || err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const title = action === 'insert' ? 'Insert row' : action === 'update' ? 'Edit row' : 'Delete';
+  const editable = (column: TableColumn) => !review && (action === 'insert' || (action === 'update' && !isKey(column)));
+  const visible = ordered.filter(column =>
+    action !== 'delete' || (deleteScope === 'partition' ? column.kind === 'partition_key' : isKey(column))
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{title} in {keyspace}.{table}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {action === 'delete' && !review && (
+          <RadioGroup row value={deleteScope} onChange={(e) => setDeleteScope(e.target.value as 'row' | 'partition')} sx={{ mb: 1 }}>
+            <FormControlLabel value="row" control={<Radio />} label="This row" />
+            <FormControlLabel value="partition" control={<Radio />} label="Whole partition" />
+          </RadioGroup>
+        )}
+
+        {!review ? (
+          <Box>
+            {action !== 'delete' && (
+              <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                Collections, tuples and user types are JSON; blobs are hex (0x...). {action === 'update' ? 'An emptied field sets the column to null.' : 'Empty fields are left out.'}
+              </Typography>
+            )}
+            {visible.map((column) => (
+              <TextField
+                key={column.column_name}
+                label={`${column.column_name} (${column.type})${isKey(column) ? ' · key' : column.kind === 'static' ? ' · static' : ''}`}
+                size="small"
+                fullWidth
+                value={fields[column.column_name] ?? ''}
+                onChange={(e) => setFields({ ...fields, [column.column_name]: e.target.value })}
+                disabled={!editable(column)}
+                required={isKey(column)}
+                multiline={!isKey(column)}
+                maxRows={6}
+                sx={{ mb: 1.5 }}
+              />
+            ))}
+            <FormControl size="small" sx={{ mt: 1, minWidth: 200 }}>
+              <InputLabel id="consistency-label">Consistency</InputLabel>
+              <Select
+                labelId="consistency-label"
+                value={consistency}
+                label="Consistency"
+                onChange={(e) => setConsistency(e.target.value)}
+              >
+                {CONSISTENCY_LEVELS.map((level) => (
+                  <MenuItem key={level} value={level}>{level}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+        ) : (
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              Statement (at {review.consistency})
+            </Typography>
+            <Box component="pre" sx={{ fontFamily: 'monospace', fontSize: '0.8rem', whiteSpace: 'pre-wrap', p: 1, bgcolor: 'action.hover', borderRadius: 1 }}>
+              {review.query}
+            </Box>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {Object.entries(review.key).map(([name, value]) => `${name} = ${value}`).join(', ')}
+            </Typography>
+
+            {review.action === 'delete' ? (
+              review.rows && review.rows.length > 0 ? (
+                <>
+                  <Alert severity="warning" sx={{ mb: 1 }}>
+                    Deletes {review.moreRows ? `more than ${review.rows.length} rows` : `${review.rows.length} row${review.rows.length !== 1 ? 's' : ''}`}:
+                  </Alert>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        {Object.keys(review.rows[0]).map((name) => <TableCell key={name}>{name}</TableCell>)}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {review.rows.map((deleted, index) => (
+                        <TableRow key={index}>
+                          {Object.keys(review.rows![0]).map((name) => <TableCell key={name}>{shown(deleted[name])}</TableCell>)}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </>
+              ) : (
+                <Alert severity="info">No rows match; the delete writes a tombstone only.</Alert>
+              )
+            ) : (
+              <>
+                {review.action === 'insert' && review.exists && (
+                  <Alert severity="warning" sx={{ mb: 1 }}>A row with this key exists; the insert overwrites the columns it sets.</Alert>
+                )}
+                {review.action === 'update' && !review.exists && (
+                  <Alert severity="info" sx={{ mb: 1 }}>No row has this key; the update creates it.</Alert>
+                )}
+                {review.changes.length === 0 ? (
+                  <Alert severity="info">No column values change.</Alert>
+                ) : (
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Column</TableCell>
+                        <TableCell>Before</TableCell>
+                        <TableCell>After</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {review.changes.map((change) => (
+                        <TableRow key={change.column}>
+                          <TableCell>{change.column} <Typography variant="caption" color="textSecondary">({change.type})</Typography></TableCell>
+                          <TableCell sx={{ fontFamily: 'monospace', color: 'error.main', wordBreak: 'break-all' }}>{shown(change.before)}</TableCell>
+                          <TableCell sx={{ fontFamily: 'monospace', color: 'success.main', wordBreak: 'break-all' }}>{shown(change.after)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {working && <CircularProgress size={20} sx={{ mr: 1 }} />}
+        <Button onClick={onClose}>Cancel</Button>
+        {review ? (
+          <>
+            <Button onClick={() => setReview(null)} disabled={working}>Back</Button>
+            <Button
+              variant="contained"
+              color={review.action === 'delete' ? 'error' : 'primary'}
+              onClick={() => run(false)}
+              disabled={working || (review.action === 'update' && review.changes.length === 0)}
+            >
+              {review.action === 'delete' ? 'Delete' : 'Apply'}
+            </Button>
+          </>
+        ) : (
+          <Button variant="contained" onClick={() => run(true)} disabled={working}>
+            Review
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RowEditorDialog;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  MenuItem,
+  Button,
+  IconButton,
+  Switch,
+  Box,
+  Alert,
+} from '@mui/material';
+import { Delete as DeleteIcon, PersonAdd as AddUserIcon } from '@mui/icons-material';
+import ApiService from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { LocalUser, UserRole } from '../../types';
+
+const ROLES: UserRole[] = ['viewer', 'operator', 'admin'];
+
+const UserManagement: React.FC = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<LocalUser[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [newUser, setNewUser] = useState<{ username: string; password: string; role: UserRole }>({
+    username: '',
+    password: '',
+    role: 'viewer'
+  });
+
+  const showError = (error: unknown) => {
+    const response = (error as any).response?.data;
+    setError(response?.message || response?.error || (error as Error).message);
+  };
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers(await ApiService.listUsers());
+    } catch (error) {
+      showError(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleCreate = async () => {
+    setError(null);
+    try {
+      await ApiService.createUser(newUser);
+      setNewUser({ username: '', password: '', role: 'viewer' });
+      await loadUsers();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleUpdate = async (username: string, changes: { role?: UserRole; disabled?: boolean }) => {
+    setError(null);
+    try {
+      await ApiService.updateUser(username, changes);
+      await loadUsers();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleDelete = async (username: string) => {
+    setError(null);
+    try {
+      await ApiService.deleteUser(username);
+      await loadUsers();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Users
+        </Typography>
+        <Typography variant="body2" color="textSecondary" gutterBottom>
+          Local accounts. Viewers are read-only, operators can run cluster operations, admins also manage users and connection profiles.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ my: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <TableContainer component={Paper} variant="outlined" sx={{ mt: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Username</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Enabled</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => {
+                const isSelf = user.username === currentUser?.username;
+                return (
+                  <TableRow key={user.username}>
+                    <TableCell>{user.username}</TableCell>
+                    <TableCell>
+                      <TextField
+                        select
+                        size="small"
+                        value={user.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleUpdate(user.username, { role: e.target.value as UserRole })}
+                      >
+                        {ROLES.map((role) => (
+                          <MenuItem key={role} value={role}>{role}</MenuItem>
+                        ))}
+                      </TextField>
+                    </TableCell>
+                    <TableCell>
+                      <Switch
+                        checked={!user.disabled}
+                        disabled={isSelf}
+                        onChange={(e) => handleUpdate(user.username, { disabled: !e.target.checked })}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton
+                        title="Delete user"
+                        disabled={isSelf}
+                        onClick={() => handleDelete(user.username)}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Box sx={{ display: 'flex', gap: 2, mt: 2, alignItems: 'center' }}>
+          <TextField
+            label="Username"
+            size="small"
+            value={newUser.username}
+            onChange={(e) => setNewUser(prev => ({ ...prev, username: e.target.value }))}
+          />
+          <TextField
+            label="Password"
+            type="password"
+            size="small"
+            value={newUser.password}
+            onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+          />
+          <TextField
+            select
+            label="Role"
+            size="small"
+            value={newUser.role}
+            onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value as UserRole }))}
+            sx={{ minWidth: 120 }}
+          >
+            {ROLES.map((role) => (
+              <MenuItem key={role} value={role}>{role}</MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="contained"
+            startIcon={<AddUserIcon />}
+            disabled={!newUser.username || !newUser.password}
+            onClick={handleCreate}
+          >
+            Add User
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default UserManagement;
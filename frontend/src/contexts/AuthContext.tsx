@@ -0,0 +1,116 @@
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { AuthUser, UserRole } from '../types';
+import ApiService from '../services/api';
+
+const TOKEN_STORAGE_KEY = 'cassandraWatchToken';
+const ROLE_ORDER: UserRole[] = ['viewer', 'operator', 'admin'];
+
+interface AuthContextType {
+  user: AuthUser | null;
+  loading: boolean;
+  error: string | null;
+  login: (username: string, password: string, provider?: string) => Promise<void>;
+  logout: () => Promise<void>;
+  hasRole: (role: UserRole) => boolean;
+}
+
+const AuthContext = createContext<AuthContextType | undefined>(undefined);
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+// Token handed back in the URL fragment after a redirect (OIDC) login
+const takeTokenFromUrl = (): { token: string | null; error: string | null } => {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  const token = params.get('token');
+  const error = params.get('loginError');
+  if (token || error) {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  return { token, error };
+};
+
+export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    ApiService.setAuthToken(null);
+    setUser(null);
+  }, []);
+
+  useEffect(() => {
+    ApiService.onUnauthorized(clearSession);
+
+    const restoreSession = async () => {
+      const fromUrl = takeTokenFromUrl();
+      const token = fromUrl.token || localStorage.getItem(TOKEN_STORAGE_KEY);
+      setError(fromUrl.error);
+
+      if (!token) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        ApiService.setAuthToken(token);
+        const session = await ApiService.getCurrentSession();
+        localStorage.setItem(TOKEN_STORAGE_KEY, token);
+        setUser(session.user);
+      } catch (error) {
+        clearSession();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    restoreSession();
+
+    return () => {
+      ApiService.onUnauthorized(null);
+    };
+  }, [clearSession]);
+
+  const login = useCallback(async (username: string, password: string, provider?: string) => {
+    setError(null);
+    const session = await ApiService.login(username, password, provider);
+    localStorage.setItem(TOKEN_STORAGE_KEY, session.token);
+    ApiService.setAuthToken(session.token);
+    setUser(session.user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await ApiService.logout();
+    } catch (error) {
+      // The session may already be gone on the backend
+    }
+    clearSession();
+  }, [clearSession]);
+
+  const hasRole = useCallback((role: UserRole) => {
+    return !!user && ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+  }, [user]);
+
+  const value: AuthContextType = {
+    user,
+    loading,
+    error,
+    login,
+    logout,
+    hasRole
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
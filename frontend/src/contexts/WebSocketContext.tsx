@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
-import { AllMetrics, Operation, WebSocketMessage } from '../types';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import { AllMetrics, Operation, ClusterAlert, WebSocketMessage } from '../types';
 import ApiService from '../services/api';
 
 interface WebSocketContextType {
@@ -8,6 +8,8 @@ interface WebSocketContextType {
   isCassandraConnected: boolean;
   metrics: AllMetrics | null;
   operations: Operation[];
+  // Firing alerts for the selected cluster, kept current by 'alert' messages
+  alerts: ClusterAlert[];
   // JMX connection state
   jmxConnected: boolean;
   jmxData: any;
@@ -24,6 +26,9 @@ interface WebSocketContextType {
 
 const WebSocketContext = createContext<WebSocketContextType | undefined>(undefined);
 
+// Matches the backend's JOB_OUTPUT_LINES default
+const OUTPUT_TAIL_LINES = 200;
+
 export const useWebSocket = () => {
   const context = useContext(WebSocketContext);
   if (!context) {
@@ -34,14 +39,16 @@ export const useWebSocket = () => {
 
 interface WebSocketProviderProps {
   children: React.ReactNode;
+  clusterId?: string | null;
 }
 
-export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }) => {
+export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children, clusterId = null }) => {
   const [ws, setWs] = useState<WebSocket | null>(null);
   const [isWebSocketConnected, setIsWebSocketConnected] = useState(false);
   const [isCassandraConnected, setIsCassandraConnected] = useState(false);
   const [metrics, setMetrics] = useState<AllMetrics | null>(null);
   const [operations, setOperations] = useState<Operation[]>([]);
+  const [alerts, setAlerts] = useState<ClusterAlert[]>([]);
   
   // JMX connection state
   const [jmxConnected, setJmxConnected] = useState(false);
@@ -54,10 +61,22 @@ export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }
   const jmxCacheTimeout = 5000; // 5 seconds cache
   const maxJmxRetries = 5;
   const baseRetryDelay = 2000; // 2 seconds
+  
+  // Latest selected cluster, read when (re)opening the socket
+  const clusterIdRef = useRef<string | null>(clusterId);
 
   const connect = useCallback(() => {
     try {
-      const websocket = new WebSocket('ws://localhost:3001/ws');
+      // The session token rides on the URL because browsers cannot set upgrade headers
+      const params = new URLSearchParams();
+      const token = ApiService.getAuthToken();
+      if (token) {
+        params.set('token', token);
+      }
+      if (clusterIdRef.current) {
+        params.set('clusterId', clusterIdRef.current);
+      }
+      const websocket = new WebSocket(`ws://localhost:3001/ws?${params.toString()}`);
       
       websocket.onopen = () => {
         setIsWebSocketConnected(true);
@@ -87,9 +106,9 @@ export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }
         setIsCassandraConnected(false);
         setWs(null);
         
-        // Attempt to reconnect after 3 seconds
+        // Attempt to reconnect after 3 seconds (not after signing out)
         setTimeout(() => {
-          if (!isWebSocketConnected) {
+          if (!isWebSocketConnected && ApiService.getAuthToken()) {
             connect();
           }
         }, 3000);
@@ -116,6 +135,9 @@ export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }
         if (message.data?.operations) {
           setOperations(message.data.operations);
         }
+        if (message.data?.alerts) {
+          setAlerts(message.data.alerts);
+        }
         break;
         
       case 'connection_pending':
@@ -137,18 +159,29 @@ export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }
         
       case 'operation_update':
         if (message.data?.operationId && message.data?.operation) {
-          setOperations(prev => 
-            prev.map(op => 
-              op.id === message.data.operationId 
-                ? { ...op, ...message.data.operation }
-                : op
-            )
-          );
+          const { operationId, operation, line } = message.data;
+          setOperations(prev => {
+            const existing = prev.find(op => op.id === operationId);
+            // Streamed output lines are appended to the tail kept on the client
+            const output = line
+              ? [...(existing?.output || []), line].slice(-OUTPUT_TAIL_LINES)
+              : existing?.output;
+            const updated = { ...existing, ...operation, output };
+            return existing
+              ? prev.map(op => (op.id === operationId ? updated : op))
+              : [updated, ...prev];
+          });
         }
         break;
         
       case 'alert':
-        // Handle alerts (could show notifications)
+        if (message.data?.id) {
+          const alert: ClusterAlert = message.data;
+          setAlerts(prev => {
+            const others = prev.filter(existing => existing.id !== alert.id);
+            return alert.state === 'resolved' ? others : [alert, ...others];
+          });
+        }
         break;
         
       case 'error':
@@ -305,6 +338,23 @@ export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }
     }, 1000);
   }, [jmxRetryTimeout, connectJMX]);
 
+  // Point the existing socket at a newly selected cluster
+  useEffect(() => {
+    if (clusterIdRef.current === clusterId) {
+      return;
+    }
+    clusterIdRef.current = clusterId;
+    setMetrics(null);
+    setOperations([]);
+    setAlerts([]);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'select_cluster',
+        clusterId
+      }));
+    }
+  }, [clusterId, ws]);
+
   useEffect(() => {
     connect();
     
@@ -334,6 +384,7 @@ export const WebSocketProvider: React.FC<WebSocketProviderProps> = ({ children }
     isCassandraConnected,
     metrics,
     operations,
+    alerts,
     // JMX state
     jmxConnected,
     jmxData,
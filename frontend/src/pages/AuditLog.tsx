@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  CircularProgress,
+  Alert,
+  TextField,
+  MenuItem,
+  Button,
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import ApiService from '../services/api';
+import { AuditEntry, AuditFilters } from '../types';
+
+const ACTIONS = [
+  'query',
+  'repair',
+  'compact',
+  'flush',
+  'cleanup',
+  'scrub',
+  'drain',
+  'create_keyspace',
+  'drop_keyspace',
+  'connect',
+  'disconnect',
+  'create_profile',
+  'update_profile',
+  'delete_profile',
+  'login',
+  'logout',
+  'create_user',
+  'update_user',
+  'delete_user',
+];
+
+const AuditLog: React.FC = () => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [filters, setFilters] = useState<AuditFilters>({});
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await ApiService.getAuditLog({
+        ...filters,
+        limit: rowsPerPage,
+        offset: page * rowsPerPage
+      });
+      setEntries(result.entries);
+      setTotal(result.total);
+      setError(null);
+    } catch (error) {
+      const response = (error as any).response?.data;
+      setError(response?.message || response?.error || (error as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (name: keyof AuditFilters, value: string) => {
+    setPage(0);
+    setFilters(prev => ({ ...prev, [name]: value || undefined }));
+  };
+
+  // datetime-local inputs are in local time; the API expects ISO timestamps
+  const toIso = (value: string) => (value ? new Date(value).toISOString() : '');
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Audit Log
+      </Typography>
+
+      <Typography variant="body1" color="textSecondary" gutterBottom>
+        Every operation, query, connection change and login, with who ran it, from where and how it ended.
+      </Typography>
+
+      <Card sx={{ mt: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+            <TextField
+              label="User"
+              size="small"
+              value={filters.user || ''}
+              onChange={(e) => updateFilter('user', e.target.value)}
+            />
+            <TextField
+              label="Cluster"
+              size="small"
+              value={filters.clusterId || ''}
+              onChange={(e) => updateFilter('clusterId', e.target.value)}
+            />
+            <TextField
+              select
+              label="Action"
+              size="small"
+              value={filters.action || ''}
+              onChange={(e) => updateFilter('action', e.target.value)}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">
+                <em>All</em>
+              </MenuItem>
+              {ACTIONS.map((action) => (
+                <MenuItem key={action} value={action}>{action}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Outcome"
+              size="small"
+              value={filters.outcome || ''}
+              onChange={(e) => updateFilter('outcome', e.target.value)}
+              sx={{ minWidth: 120 }}
+            >
+              <MenuItem value="">
+                <em>All</em>
+              </MenuItem>
+              <MenuItem value="success">success</MenuItem>
+              <MenuItem value="failure">failure</MenuItem>
+            </TextField>
+            <TextField
+              label="From"
+              type="datetime-local"
+              size="small"
+              InputLabelProps={{ shrink: true }}
+              onChange={(e) => updateFilter('since', toIso(e.target.value))}
+            />
+            <TextField
+              label="To"
+              type="datetime-local"
+              size="small"
+              InputLabelProps={{ shrink: true }}
+              onChange={(e) => updateFilter('until', toIso(e.target.value))}
+            />
+            <TextField
+              label="Search command"
+              size="small"
+              value={filters.search || ''}
+              onChange={(e) => updateFilter('search', e.target.value)}
+              sx={{ flexGrow: 1 }}
+            />
+            <Button startIcon={<RefreshIcon />} onClick={loadEntries}>
+              Refresh
+            </Button>
+          </Box>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              Error loading audit log: {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : entries.length === 0 ? (
+            <Alert severity="info">
+              No audit entries match the current filters.
+            </Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Time</TableCell>
+                    <TableCell>User</TableCell>
+                    <TableCell>Source IP</TableCell>
+                    <TableCell>Cluster</TableCell>
+                    <TableCell>Action</TableCell>
+                    <TableCell>Command / Parameters</TableCell>
+                    <TableCell>Outcome</TableCell>
+                    <TableCell align="right">Duration</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.map((entry) => (
+                    <TableRow key={entry.id}>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {new Date(entry.timestamp).toLocaleString()}
+                      </TableCell>
+                      <TableCell>
+                        {entry.user || '-'}
+                        {entry.role && (
+                          <Typography variant="caption" color="textSecondary" display="block">
+                            {entry.role}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{entry.ip || '-'}</TableCell>
+                      <TableCell>{entry.clusterId || '-'}</TableCell>
+                      <TableCell>
+                        <Chip label={entry.action} size="small" />
+                      </TableCell>
+                      <TableCell sx={{ maxWidth: 420 }}>
+                        {entry.command && (
+                          <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                            {entry.command}
+                          </Typography>
+                        )}
+                        {entry.parameters && Object.keys(entry.parameters).length > 0 && (
+                          <Typography variant="caption" color="textSecondary" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                            {JSON.stringify(entry.parameters)}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={entry.outcome}
+                          color={entry.outcome === 'success' ? 'success' : 'error'}
+                          size="small"
+                          title={entry.error || undefined}
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        {entry.durationMs !== null ? `${entry.durationMs} ms` : '-'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[25, 50, 100]}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+          />
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default AuditLog;
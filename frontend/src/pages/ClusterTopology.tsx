@@ -13,6 +13,8 @@ import {
   Cancel as OfflineIcon,
 } from '@mui/icons-material';
 import { useWebSocket } from '../contexts/WebSocketContext';
+import ClusterStatusCard from '../components/ClusterStatus/ClusterStatusCard';
+import TokenRingCard from '../components/ClusterStatus/TokenRingCard';
 
 const ClusterTopology: React.FC = () => {
   const { metrics } = useWebSocket();
@@ -95,6 +97,12 @@ const ClusterTopology: React.FC = () => {
           </CardContent>
         </Card>
 
+        {/* nodetool status */}
+        <ClusterStatusCard />
+
+        {/* Token ring and range ownership */}
+        <TokenRingCard />
+
         {/* Node List */}
         <Card>
           <CardContent>
@@ -25,16 +25,32 @@ import {
   DialogContent,
   DialogActions,
   IconButton,
-  Tooltip
+  Tooltip,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Code as CodeIcon,
   Refresh as RefreshIcon,
   Visibility as VisibilityIcon,
-  Close as CloseIcon
+  Close as CloseIcon,
+  DeviceHub as ReplicasIcon,
+  NavigateBefore as PreviousIcon,
+  NavigateNext as NextIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Add as AddIcon,
+  UploadFile as ImportIcon
 } from '@mui/icons-material';
 import { useWebSocket } from '../contexts/WebSocketContext';
+import { useAuth } from '../contexts/AuthContext';
 import ApiService from '../services/api';
+import ReplicasDialog from '../components/ClusterStatus/ReplicasDialog';
+import RowEditorDialog, { cqlText, TableColumn } from '../components/RowEditor/RowEditorDialog';
+import QueryTraceView from '../components/QueryTrace/QueryTraceView';
+import ExportButton from '../components/Export/ExportButton';
+import ImportDialog from '../components/Import/ImportDialog';
+import { SchemaDescription, PageRequest, RowEditAction, QueryTrace, ExportSource } from '../types';
 
 interface KeyspaceInfo {
   name: string;
@@ -51,8 +67,18 @@ interface QueryResult {
   error?: string;
   keyspace?: string;
   table?: string;
+  pageSize?: number;
+  nextCursor?: string | null;
+  trace?: QueryTrace;
 }
 
+// What the current results come from, so other pages can be fetched the same way
+type ResultSource =
+  | { type: 'browse'; keyspace: string; table: string; partitionKey?: Record<string, string> }
+  | { type: 'query'; query: string; trace: boolean };
+
+const PAGE_SIZES = [25, 50, 100, 500, 1000];
+
 // Helper function to safely render cell values
 const renderCellValue = (value: any): string => {
   if (value === null || value === undefined) {
@@ -73,12 +99,24 @@ const renderCellValue = (value: any): string => {
 };
 
 const DataExplorer: React.FC = () => {
+  const { hasRole } = useAuth();
+  const canExecute = hasRole('operator');
   const [keyspaces, setKeyspaces] = useState<KeyspaceInfo[]>([]);
   const [selectedKeyspace, setSelectedKeyspace] = useState<string>('');
   const [selectedTable, setSelectedTable] = useState<string>('');
   const [tables, setTables] = useState<any[]>([]);
-  const [tableSchema, setTableSchema] = useState<any>(null);
+  const [tableSchema, setTableSchema] = useState<SchemaDescription | null>(null);
+  const [tableColumns, setTableColumns] = useState<TableColumn[]>([]);
+  const [replicasKey, setReplicasKey] = useState<Record<string, string> | null>(null);
+  const [partitionFilter, setPartitionFilter] = useState<Record<string, string>>({});
+  const [resultSource, setResultSource] = useState<ResultSource | null>(null);
+  const [pageSize, setPageSize] = useState<number>(100);
+  // Cursor of every page up to the current one (undefined for the first page)
+  const [pageCursors, setPageCursors] = useState<Array<string | undefined>>([]);
+  const [rowEditor, setRowEditor] = useState<{ action: RowEditAction; row: any | null } | null>(null);
+  const [importOpen, setImportOpen] = useState(false);
   const [query, setQuery] = useState<string>('');
+  const [traceQuery, setTraceQuery] = useState(false);
   const [queryResult, setQueryResult] = useState<QueryResult | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -176,27 +214,22 @@ const DataExplorer: React.FC = () => {
     const tableName = event.target.value;
     setSelectedTable(tableName);
     setTableSchema(null);
+    setTableColumns([]);
+    setPartitionFilter({});
     
     // Auto-generate a query when table is selected
     if (tableName) {
       setQuery(`SELECT * FROM ${selectedKeyspace}.${tableName} LIMIT 100`);
+
+      // Column kinds and types, for partition browsing, replica lookups and the row editor
+      ApiService.getTableSchema(selectedKeyspace, tableName)
+        .then((schema) => setTableColumns(schema.rows || []))
+        .catch(() => setTableColumns([]));
       
       // Load table schema
       try {
-        const schemaResponse = await fetch(`/api/api/operations/query`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ 
-            query: `DESCRIBE TABLE ${selectedKeyspace}.${tableName}` 
-          })
-        });
-        
-        if (schemaResponse.ok) {
-          const schemaData = await schemaResponse.json();
-          setTableSchema(schemaData);
-        }
+        const schemaData = await ApiService.describeSchemaObject(selectedKeyspace, 'tables', tableName);
+        setTableSchema(schemaData);
       } catch (err) {
         console.error('Error loading table schema:', err);
       }
@@ -205,61 +238,108 @@ const DataExplorer: React.FC = () => {
     }
   };
 
-  const handleBrowseTable = async () => {
-    if (!selectedKeyspace || !selectedTable) return;
-    
+  // Fetch one page of source's results; cursors are the cursors of every page up to this one
+  const loadPage = async (source: ResultSource, cursors: Array<string | undefined>, size: number = pageSize) => {
+    const page: PageRequest = { pageSize: size, cursor: cursors[cursors.length - 1] };
     try {
       setLoading(true);
-      const response = await fetch(`/api/api/operations/browse/${selectedKeyspace}/${selectedTable}?limit=100`);
-      const data = await response.json();
-      
-      if (response.ok) {
-        setQueryResult(data);
-        setError(null);
-      } else {
-        setError(data.error || 'Failed to browse table');
-        setQueryResult(null);
-      }
-    } catch (err) {
-      console.error('Browse table error:', err);
-      setError('Failed to connect to backend');
+      const data = source.type === 'browse'
+        ? await ApiService.browseTable(source.keyspace, source.table, page, source.partitionKey)
+        : await ApiService.executeQuery(source.query, undefined, page, source.trace);
+      setQueryResult(data);
+      setResultSource(source);
+      setPageCursors(cursors);
+      setError(null);
+    } catch (err: any) {
+      console.error('Load page error:', err);
+      const response = err.response?.data;
+      setError(response ? response.message || response.error : 'Failed to connect to backend');
       setQueryResult(null);
     } finally {
       setLoading(false);
     }
   };
 
-  const executeQuery = async () => {
+  const handleBrowseTable = () => {
+    if (!selectedKeyspace || !selectedTable) return;
+    loadPage({ type: 'browse', keyspace: selectedKeyspace, table: selectedTable }, [undefined]);
+  };
+
+  const handleBrowsePartition = () => {
+    if (!selectedKeyspace || !selectedTable) return;
+    loadPage({ type: 'browse', keyspace: selectedKeyspace, table: selectedTable, partitionKey: partitionFilter }, [undefined]);
+  };
+
+  const executeQuery = () => {
     if (!query) return;
-    
-    try {
-      setLoading(true);
-      const response = await fetch('/api/api/operations/query', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ query })
-      });
-      
-      const data = await response.json();
-      
-      if (response.ok) {
-        setQueryResult(data);
-        setError(null);
-      } else {
-        setError(data.error || 'Failed to execute query');
-        setQueryResult(null);
-      }
-    } catch (err) {
-      console.error('Execute query error:', err);
-      setError('Failed to connect to backend');
-      setQueryResult(null);
-    } finally {
-      setLoading(false);
+    loadPage({ type: 'query', query, trace: traceQuery }, [undefined]);
+  };
+
+  const handleNextPage = () => {
+    if (resultSource && queryResult?.nextCursor) {
+      loadPage(resultSource, [...pageCursors, queryResult.nextCursor]);
+    }
+  };
+
+  const handlePreviousPage = () => {
+    if (resultSource && pageCursors.length > 1) {
+      loadPage(resultSource, pageCursors.slice(0, -1));
     }
   };
 
+  const handlePageSizeChange = (event: SelectChangeEvent<number>) => {
+    const size = Number(event.target.value);
+    setPageSize(size);
+    if (resultSource) {
+      loadPage(resultSource, [undefined], size);
+    }
+  };
+
+  const handleRowEdited = () => {
+    setRowEditor(null);
+    if (resultSource) {
+      loadPage(resultSource, pageCursors);
+    }
+  };
+
+  const handleImportClosed = (imported: boolean) => {
+    setImportOpen(false);
+    if (imported && resultSource) {
+      loadPage(resultSource, pageCursors);
+    }
+  };
+
+  const partitionKeyColumns = tableColumns
+    .filter(column => column.kind === 'partition_key')
+    .map(column => column.column_name);
+
+  const partitionFilterComplete = partitionKeyColumns.length > 0
+    && partitionKeyColumns.every(column => (partitionFilter[column] || '') !== '');
+
+  // Rows of the selected table carry every partition key column
+  const showRowActions = partitionKeyColumns.length > 0
+    && !!queryResult?.rows?.length
+    && partitionKeyColumns.every(column => column in queryResult.rows![0]);
+
+  // Edits need rows known to come from the selected table, which free-form queries are not
+  const canEditRows = canExecute && showRowActions && resultSource?.type === 'browse'
+    && resultSource.keyspace === selectedKeyspace && resultSource.table === selectedTable;
+
+  // Exports cover the whole result the current page belongs to
+  const exportSource: ExportSource | null = !resultSource
+    ? null
+    : resultSource.type === 'browse'
+      ? { keyspace: resultSource.keyspace, table: resultSource.table, partitionKey: resultSource.partitionKey }
+      : { query: resultSource.query };
+
+  const handleShowReplicas = (row: any) => {
+    const key: Record<string, string> = {};
+    partitionKeyColumns.forEach(column => {
+      key[column] = cqlText(row[column]);
+    });
+    setReplicasKey(key);
+  };
+
   // Remove the connection check since we're controlling when this component renders
   // The App component ensures this only renders when connection is ready
 
@@ -344,19 +424,68 @@ const DataExplorer: React.FC = () => {
                   >
                     Browse Table Data
                   </Button>
+
+                  {canExecute && tableColumns.length > 0 && (
+                    <Button
+                      variant="outlined"
+                      fullWidth
+                      sx={{ mt: 1 }}
+                      startIcon={<AddIcon />}
+                      onClick={() => setRowEditor({ action: 'insert', row: null })}
+                    >
+                      Insert Row
+                    </Button>
+                  )}
+
+                  {canExecute && tableColumns.length > 0 && (
+                    <Button
+                      variant="outlined"
+                      fullWidth
+                      sx={{ mt: 1 }}
+                      startIcon={<ImportIcon />}
+                      onClick={() => setImportOpen(true)}
+                    >
+                      Import CSV / JSON Lines
+                    </Button>
+                  )}
+
+                  {/* Partition-restricted browsing */}
+                  {partitionKeyColumns.length > 0 && (
+                    <Box sx={{ mt: 2 }}>
+                      <Typography variant="subtitle2" gutterBottom>
+                        Partition:
+                      </Typography>
+                      {partitionKeyColumns.map((column) => (
+                        <TextField
+                          key={column}
+                          label={column}
+                          size="small"
+                          fullWidth
+                          value={partitionFilter[column] || ''}
+                          onChange={(e) => setPartitionFilter({ ...partitionFilter, [column]: e.target.value })}
+                          sx={{ mb: 1 }}
+                        />
+                      ))}
+                      <Button
+                        variant="outlined"
+                        fullWidth
+                        onClick={handleBrowsePartition}
+                        disabled={loading || !partitionFilterComplete}
+                      >
+                        Browse Partition
+                      </Button>
+                    </Box>
+                  )}
                   
                   {/* Table Schema */}
-                  {tableSchema && tableSchema.success && tableSchema.rows && (
+                  {tableSchema && tableSchema.success && (
                     <Box sx={{ mt: 2 }}>
                       <Typography variant="subtitle2" gutterBottom>
                         Table Schema:
                       </Typography>
                       <Paper variant="outlined" sx={{ p: 1, maxHeight: 200, overflow: 'auto' }}>
                         <Typography variant="body2" component="pre" sx={{ fontSize: '0.75rem', whiteSpace: 'pre-wrap' }}>
-                          {tableSchema.rows.map((row: any) => {
-                            const statement = row.create_statement || row.cql || JSON.stringify(row);
-                            return renderCellValue(statement);
-                          }).join('\n')}
+                          {tableSchema.cql}
                         </Typography>
                       </Paper>
                     </Box>
@@ -390,11 +519,18 @@ const DataExplorer: React.FC = () => {
                 variant="contained" 
                 color="primary"
                 onClick={executeQuery}
-                disabled={!query || loading}
+                disabled={!query || loading || !canExecute}
+                title={canExecute ? undefined : 'Running queries requires the operator role'}
                 startIcon={<CodeIcon />}
               >
                 Execute Query
               </Button>
+              <FormControlLabel
+                control={<Switch checked={traceQuery} onChange={(e) => setTraceQuery(e.target.checked)} />}
+                label="Trace"
+                title="Run with tracing and show where the time went on each node"
+                sx={{ ml: 2 }}
+              />
             </CardContent>
           </Card>
         </Box>
@@ -420,17 +556,48 @@ const DataExplorer: React.FC = () => {
                 <Alert severity="error">{queryResult.error}</Alert>
               ) : (
                 <Box>
-                  <Typography variant="body2" color="textSecondary" gutterBottom>
-                    {queryResult.rowCount === 0 
-                      ? 'No rows found' 
-                      : `Found ${queryResult.rowCount} row${queryResult.rowCount !== 1 ? 's' : ''}`}
-                  </Typography>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 1 }}>
+                    <Typography variant="body2" color="textSecondary">
+                      {queryResult.rowCount === 0 
+                        ? 'No rows found' 
+                        : `${queryResult.pageSize ? `Page ${pageCursors.length}: ` : 'Found '}${queryResult.rowCount} row${queryResult.rowCount !== 1 ? 's' : ''}`}
+                    </Typography>
+                    {queryResult.pageSize && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <FormControl size="small">
+                          <Select value={pageSize} onChange={handlePageSizeChange}>
+                            {PAGE_SIZES.map((size) => (
+                              <MenuItem key={size} value={size}>{size} per page</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                        <Button
+                          size="small"
+                          startIcon={<PreviousIcon />}
+                          onClick={handlePreviousPage}
+                          disabled={pageCursors.length <= 1}
+                        >
+                          Previous
+                        </Button>
+                        <Button
+                          size="small"
+                          endIcon={<NextIcon />}
+                          onClick={handleNextPage}
+                          disabled={!queryResult.nextCursor}
+                        >
+                          Next
+                        </Button>
+                        {canExecute && <ExportButton source={exportSource} />}
+                      </Box>
+                    )}
+                  </Box>
                   
                   {queryResult.rows && queryResult.rows.length > 0 ? (
                     <TableContainer component={Paper} variant="outlined">
                       <Table size="small">
                         <TableHead>
                           <TableRow>
+                            {showRowActions && <TableCell padding="checkbox" />}
                             {queryResult.columns?.map((column) => (
                               <TableCell key={column.name}>
                                 <Typography variant="body2">
@@ -453,6 +620,29 @@ const DataExplorer: React.FC = () => {
                         <TableBody>
                           {queryResult.rows.map((row, rowIndex) => (
                             <TableRow key={rowIndex}>
+                              {showRowActions && (
+                                <TableCell padding="checkbox" sx={{ whiteSpace: 'nowrap' }}>
+                                  <Tooltip title="Find replicas">
+                                    <IconButton size="small" onClick={() => handleShowReplicas(row)}>
+                                      <ReplicasIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                  {canEditRows && (
+                                    <>
+                                      <Tooltip title="Edit row">
+                                        <IconButton size="small" onClick={() => setRowEditor({ action: 'update', row })}>
+                                          <EditIcon fontSize="small" />
+                                        </IconButton>
+                                      </Tooltip>
+                                      <Tooltip title="Delete row or partition">
+                                        <IconButton size="small" onClick={() => setRowEditor({ action: 'delete', row })}>
+                                          <DeleteIcon fontSize="small" />
+                                        </IconButton>
+                                      </Tooltip>
+                                    </>
+                                  )}
+                                </TableCell>
+                              )}
                               {Object.entries(row).map(([key, value], cellIndex) => {
                                 // Always convert to string first
                                 let displayText: string;
@@ -476,7 +666,10 @@ const DataExplorer: React.FC = () => {
                                   : displayText;
                                 
                                 return (
-                                  <TableCell key={`${rowIndex}-${cellIndex}`}>
+                                  <TableCell
+                                    key={`${rowIndex}-${cellIndex}`}
+                                    onDoubleClick={canEditRows ? () => setRowEditor({ action: 'update', row }) : undefined}
+                                  >
                                     {value === null || value === undefined ? (
                                       <em style={{ color: '#999' }}>null</em>
                                     ) : (
@@ -508,12 +701,41 @@ const DataExplorer: React.FC = () => {
                       Query executed successfully, but no rows returned.
                     </Alert>
                   )}
+
+                  {queryResult.trace && <QueryTraceView trace={queryResult.trace} />}
                 </Box>
               )}
             </CardContent>
         </Card>
       </Box>
       
+      <RowEditorDialog
+        open={!!rowEditor}
+        action={rowEditor?.action || 'insert'}
+        keyspace={selectedKeyspace}
+        table={selectedTable}
+        columns={tableColumns}
+        row={rowEditor?.row || null}
+        onClose={() => setRowEditor(null)}
+        onDone={handleRowEdited}
+      />
+
+      <ImportDialog
+        open={importOpen}
+        keyspace={selectedKeyspace}
+        table={selectedTable}
+        columns={tableColumns}
+        onClose={handleImportClosed}
+      />
+
+      <ReplicasDialog
+        open={!!replicasKey}
+        keyspace={selectedKeyspace}
+        table={selectedTable}
+        partitionKey={replicasKey}
+        onClose={() => setReplicasKey(null)}
+      />
+
       {/* Modal for viewing full cell content */}
       <Dialog 
         open={modalOpen} 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Paper,
@@ -44,6 +44,11 @@ import {
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
 import { useWebSocket } from '../contexts/WebSocketContext';
 import JMXAlertsPanel from '../components/JMXMonitor/JMXAlertsPanel';
+import ApiService from '../services/api';
+
+// Cluster-level series plotted by the trend charts, as stored by the backend history sampler
+const HISTORY_METRICS = ['memory.totalHeapUsed', 'threadPools.totalActiveThreads', 'threadPools.totalPendingTasks'];
+const HISTORY_WINDOW_MS = 60 * 60 * 1000;
 
 interface JMXMetrics {
   host: string;
@@ -143,6 +148,38 @@ const JMXDashboard: React.FC = () => {
   const [metricsHistory, setMetricsHistory] = useState<any[]>([]);
   const [lastDataFetch, setLastDataFetch] = useState<string>('');
   
+  // Trend charts are loaded from the backend history store so they survive page reloads
+  const loadMetricsHistory = useCallback(async () => {
+    try {
+      const from = new Date(Date.now() - HISTORY_WINDOW_MS).toISOString();
+      const results = await Promise.all(HISTORY_METRICS.map(metric => ApiService.getMetricHistory({ metric, from })));
+
+      // One row per timestamp, nested to match dataKeys like "memory.totalHeapUsed"
+      const rows = new Map<string, any>();
+      results.forEach(result => {
+        const [group, key] = result.metric.split('.');
+        result.points.forEach(point => {
+          const row = rows.get(point.timestamp) || { timestamp: point.timestamp };
+          row[group] = { ...row[group], [key]: point.value };
+          rows.set(point.timestamp, row);
+        });
+      });
+
+      setMetricsHistory(Array.from(rows.values()).sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+    } catch (error) {
+      console.error('Failed to load metrics history:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMetricsHistory();
+    if (!autoRefresh) {
+      return;
+    }
+    const interval = setInterval(loadMetricsHistory, 60000);
+    return () => clearInterval(interval);
+  }, [autoRefresh, loadMetricsHistory]);
+
   // Check if JMX is already initialized from main dashboard
   const isJmxAlreadyInitialized = wsMetrics?.performance?.source === 'jmx_aggregated';
 
@@ -491,7 +528,7 @@ const JMXDashboard: React.FC = () => {
             </Typography>
             <Alert severity="info">
               <Typography variant="body2">
-                Charts will appear here once metrics history is populated from JMX data.
+                Charts will appear here once the backend has recorded metrics history from JMX data.
               </Typography>
             </Alert>
           </CardContent>
@@ -798,7 +835,7 @@ const JMXDashboard: React.FC = () => {
       </Typography>
 
       {/* JMX Alerts Panel */}
-      <JMXAlertsPanel jmxData={jmxData} aggregatedData={aggregatedData} />
+      <JMXAlertsPanel />
 
       <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: 'repeat(2, 1fr)' }, gap: 3 }}>
         {/* Health Checks */}
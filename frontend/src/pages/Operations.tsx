@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   Typography,
   Box,
@@ -13,24 +13,96 @@ import {
   Paper,
   Chip,
   CircularProgress,
-  Alert
+  Alert,
+  TablePagination,
+  TextField,
+  MenuItem,
+  LinearProgress,
+  Button
 } from '@mui/material';
+import { Cancel as CancelIcon } from '@mui/icons-material';
 import { useWebSocket } from '../contexts/WebSocketContext';
-import { Operation } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+import ApiService from '../services/api';
+import OperationRunner from '../components/OperationRunner/OperationRunner';
+import { Operation, OperationFilters } from '../types';
+
+const OPERATION_TYPES = ['repair', 'compact', 'cleanup', 'scrub', 'import', 'compaction'];
+const OPERATION_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled', 'detached', 'interrupted'];
+
+const isActive = (operation: Operation) =>
+  !operation.isSystemOperation && (operation.status === 'pending' || operation.status === 'running');
 
 const Operations: React.FC = () => {
   const { isConnected, operations: wsOperations } = useWebSocket();
+  const { hasRole } = useAuth();
+  const canOperate = hasRole('operator');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [operations, setOperations] = useState<Operation[]>([]);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState<OperationFilters>({});
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [cancelling, setCancelling] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
 
-  useEffect(() => {
-    if (isConnected && wsOperations) {
-      setLoading(false);
+  // Refetch only when operations appear or change state, not on every streamed output line
+  const operationsKey = useMemo(
+    () => wsOperations.map(op => `${op.id}:${op.status}`).join(','),
+    [wsOperations]
+  );
+
+  // Live progress and output from the WebSocket overlay the fetched page
+  const liveOperations = useMemo(
+    () => new Map(wsOperations.map(op => [op.id, op])),
+    [wsOperations]
+  );
+
+  // Persisted history is paged from the API; WebSocket updates trigger a refresh
+  const loadOperations = useCallback(async () => {
+    try {
+      const result = await ApiService.getActiveOperations({
+        ...filters,
+        limit: rowsPerPage,
+        offset: page * rowsPerPage
+      });
+      setOperations(result.operations);
+      setTotal(result.total);
       setError(null);
-    } else if (!isConnected) {
+    } catch (error) {
+      setError((error as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    if (isConnected) {
+      loadOperations();
+    } else {
       setLoading(false);
     }
-  }, [isConnected, wsOperations]);
+  }, [isConnected, operationsKey, loadOperations]);
+
+  const handleCancel = async (operationId: string) => {
+    setCancelling(operationId);
+    try {
+      const cancelled = await ApiService.cancelOperation(operationId);
+      // Work that could not be stopped on its own keeps running on the node
+      setNotice(cancelled.status === 'detached' ? cancelled.error || 'The operation may still be running on the node' : null);
+      await loadOperations();
+    } catch (error: any) {
+      setError(error.response?.data?.message || error.message);
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  const updateFilter = (name: keyof OperationFilters, value: string) => {
+    setPage(0);
+    setFilters(prev => ({ ...prev, [name]: value || undefined }));
+  };
 
   const formatBytes = (bytes: number) => {
     if (bytes === 0) return '0 Bytes';
@@ -44,7 +116,11 @@ const Operations: React.FC = () => {
     switch (status) {
       case 'completed': return 'success';
       case 'running': return 'primary';
+      case 'pending': return 'info';
       case 'failed': return 'error';
+      case 'interrupted':
+      case 'detached':
+      case 'cancelled': return 'warning';
       default: return 'default';
     }
   };
@@ -81,13 +157,66 @@ const Operations: React.FC = () => {
         Recent cluster operations including compactions, repairs, and maintenance tasks.
       </Typography>
 
+      {canOperate && <OperationRunner onStarted={loadOperations} />}
+
+      {notice && (
+        <Alert severity="warning" onClose={() => setNotice(null)} sx={{ mt: 3 }}>
+          {notice}
+        </Alert>
+      )}
+
       <Card sx={{ mt: 3 }}>
         <CardContent>
           <Typography variant="h6" gutterBottom>
-            Recent Operations ({wsOperations?.length || 0})
+            Recent Operations ({total})
           </Typography>
+
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              select
+              label="Type"
+              size="small"
+              value={filters.type || ''}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="">
+                <em>All</em>
+              </MenuItem>
+              {OPERATION_TYPES.map((type) => (
+                <MenuItem key={type} value={type}>{type}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Keyspace"
+              size="small"
+              value={filters.keyspace || ''}
+              onChange={(e) => updateFilter('keyspace', e.target.value)}
+            />
+            <TextField
+              label="Node"
+              size="small"
+              value={filters.node || ''}
+              onChange={(e) => updateFilter('node', e.target.value)}
+            />
+            <TextField
+              select
+              label="Status"
+              size="small"
+              value={filters.status || ''}
+              onChange={(e) => updateFilter('status', e.target.value)}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="">
+                <em>All</em>
+              </MenuItem>
+              {OPERATION_STATUSES.map((status) => (
+                <MenuItem key={status} value={status}>{status}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
           
-          {(!wsOperations || wsOperations.length === 0) ? (
+          {operations.length === 0 ? (
             <Alert severity="info">
               No recent operations found.
             </Alert>
@@ -99,13 +228,14 @@ const Operations: React.FC = () => {
                     <TableCell>Type</TableCell>
                     <TableCell>Keyspace</TableCell>
                     <TableCell>Table</TableCell>
+                    <TableCell>Node</TableCell>
                     <TableCell>Status</TableCell>
                     <TableCell>Started</TableCell>
                     <TableCell>Details</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {wsOperations.map((operation, index) => (
+                  {operations.map(op => ({ ...op, ...liveOperations.get(op.id) })).map((operation, index) => (
                     <TableRow key={operation.id || index}>
                       <TableCell>
                         <Chip
@@ -116,6 +246,7 @@ const Operations: React.FC = () => {
                       </TableCell>
                       <TableCell>{operation.keyspace}</TableCell>
                       <TableCell>{operation.table || '-'}</TableCell>
+                      <TableCell>{operation.node || '-'}</TableCell>
                       <TableCell>
                         <Chip
                           label={operation.status}
@@ -127,6 +258,40 @@ const Operations: React.FC = () => {
                         {new Date(operation.startTime).toLocaleString()}
                       </TableCell>
                       <TableCell>
+                        {isActive(operation) && (
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                            <Box sx={{ flexGrow: 1 }}>
+                              <LinearProgress
+                                variant={operation.progress != null ? 'determinate' : 'indeterminate'}
+                                value={operation.progress ?? 0}
+                              />
+                            </Box>
+                            {operation.progress != null && (
+                              <Typography variant="caption">{Math.round(operation.progress)}%</Typography>
+                            )}
+                            {canOperate && (
+                              <Button
+                                size="small"
+                                color="error"
+                                startIcon={<CancelIcon />}
+                                disabled={cancelling === operation.id}
+                                onClick={() => handleCancel(operation.id)}
+                              >
+                                Cancel
+                              </Button>
+                            )}
+                          </Box>
+                        )}
+                        {isActive(operation) && operation.output && operation.output.length > 0 && (
+                          <Typography variant="caption" component="div" sx={{ fontFamily: 'monospace' }} color="textSecondary">
+                            {operation.output[operation.output.length - 1]}
+                          </Typography>
+                        )}
+                        {operation.error && (
+                          <Typography variant="body2" color="error">
+                            {operation.error}
+                          </Typography>
+                        )}
                         {operation.result && operation.result.bytesIn && (
                           <Typography variant="body2">
                             {formatBytes(operation.result.bytesIn)} → {formatBytes(operation.result.bytesOut)}
@@ -140,6 +305,19 @@ const Operations: React.FC = () => {
               </Table>
             </TableContainer>
           )}
+
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[25, 50, 100]}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+          />
         </CardContent>
       </Card>
     </Box>
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Collapse,
+  Paper,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+  Tooltip,
+  IconButton,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  Download as DownloadIcon,
+  ContentCopy as CopyIcon,
+  ExpandLess,
+  ExpandMore,
+} from '@mui/icons-material';
+import ApiService from '../services/api';
+import { SchemaKeyspace, SchemaObjectKind } from '../types';
+
+interface Selection {
+  keyspace: string;
+  kind?: SchemaObjectKind;
+  name?: string;
+}
+
+interface SchemaGroup {
+  kind: SchemaObjectKind;
+  label: string;
+  items: Array<{ name: string; label: string }>;
+}
+
+// Overloads share a name and are described together, so they are listed once
+const uniqueNames = (names: string[]) => Array.from(new Set(names));
+
+const groupsOf = (keyspace: SchemaKeyspace): SchemaGroup[] => [
+  { kind: 'tables', label: 'Tables', items: keyspace.tables.map(table => ({ name: table.name, label: table.name })) },
+  { kind: 'views', label: 'Materialized Views', items: keyspace.views.map(view => ({ name: view.name, label: `${view.name} (${view.baseTable})` })) },
+  {
+    kind: 'indexes',
+    label: 'Indexes',
+    items: keyspace.tables.flatMap(table => table.indexes.map(index => ({ name: index, label: `${index} (${table.name})` }))),
+  },
+  { kind: 'types', label: 'Types', items: keyspace.types.map(type => ({ name: type.name, label: type.name })) },
+  {
+    kind: 'functions',
+    label: 'Functions',
+    items: uniqueNames(keyspace.functions.map(fn => fn.name)).map(name => ({
+      name,
+      label: keyspace.functions.filter(fn => fn.name === name).map(fn => fn.signature).join(', '),
+    })),
+  },
+  {
+    kind: 'aggregates',
+    label: 'Aggregates',
+    items: uniqueNames(keyspace.aggregates.map(aggregate => aggregate.name)).map(name => ({
+      name,
+      label: keyspace.aggregates.filter(aggregate => aggregate.name === name).map(aggregate => aggregate.signature).join(', '),
+    })),
+  },
+];
+
+const errorMessage = (err: any) => err.response?.data?.message || err.response?.data?.error || err.message;
+
+const SchemaBrowser: React.FC = () => {
+  const [keyspaces, setKeyspaces] = useState<SchemaKeyspace[]>([]);
+  const [showSystem, setShowSystem] = useState(false);
+  const [expanded, setExpanded] = useState<Record<string, boolean>>({});
+  const [selection, setSelection] = useState<Selection | null>(null);
+  const [cql, setCql] = useState<string>('');
+  const [loading, setLoading] = useState(false);
+  const [describing, setDescribing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTree = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const tree = await ApiService.getSchemaTree();
+      setKeyspaces(tree.keyspaces || []);
+    } catch (err: any) {
+      setError(errorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTree();
+  }, [loadTree]);
+
+  useEffect(() => {
+    if (!selection) {
+      return;
+    }
+    setDescribing(true);
+    setError(null);
+    const request = selection.kind && selection.name
+      ? ApiService.describeSchemaObject(selection.keyspace, selection.kind, selection.name)
+      : ApiService.describeKeyspace(selection.keyspace);
+    request
+      .then((result) => setCql(result.cql))
+      .catch((err: any) => {
+        setCql('');
+        setError(errorMessage(err));
+      })
+      .finally(() => setDescribing(false));
+  }, [selection]);
+
+  const toggle = (key: string) => {
+    setExpanded(current => ({ ...current, [key]: !current[key] }));
+  };
+
+  const handleDownload = async () => {
+    if (!selection) {
+      return;
+    }
+    try {
+      const result = await ApiService.describeKeyspace(selection.keyspace);
+      const url = URL.createObjectURL(new Blob([result.cql], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${selection.keyspace}.cql`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const isSelected = (keyspace: string, kind?: SchemaObjectKind, name?: string) =>
+    selection?.keyspace === keyspace && selection?.kind === kind && selection?.name === name;
+
+  const visible = keyspaces.filter(keyspace => showSystem || !keyspace.isSystem);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4">
+          Schema
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<RefreshIcon />}
+          onClick={loadTree}
+          disabled={loading}
+        >
+          Refresh
+        </Button>
+      </Box>
+
+      <Typography variant="body1" color="textSecondary" gutterBottom>
+        Browse keyspaces, tables, types, functions, aggregates, indexes and materialized views as CQL DDL.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ mt: 1, display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 3 }}>
+        <Box sx={{ flex: { xs: '1', md: '0 0 33%' } }}>
+          <Card>
+            <CardContent>
+              <FormControlLabel
+                control={<Switch checked={showSystem} onChange={(e) => setShowSystem(e.target.checked)} />}
+                label="Show system keyspaces"
+              />
+              {loading ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                  <CircularProgress />
+                </Box>
+              ) : (
+                <List dense>
+                  {visible.map((keyspace) => (
+                    <React.Fragment key={keyspace.name}>
+                      <ListItemButton
+                        selected={isSelected(keyspace.name)}
+                        onClick={() => {
+                          setSelection({ keyspace: keyspace.name });
+                          toggle(keyspace.name);
+                        }}
+                      >
+                        <ListItemText
+                          primary={keyspace.name}
+                          secondary={keyspace.replication?.class?.split('.').pop()}
+                        />
+                        {expanded[keyspace.name] ? <ExpandLess /> : <ExpandMore />}
+                      </ListItemButton>
+                      <Collapse in={!!expanded[keyspace.name]} timeout="auto" unmountOnExit>
+                        <List dense disablePadding>
+                          {groupsOf(keyspace).filter(group => group.items.length > 0).map((group) => {
+                            const groupKey = `${keyspace.name}/${group.kind}`;
+                            return (
+                              <React.Fragment key={groupKey}>
+                                <ListItemButton sx={{ pl: 4 }} onClick={() => toggle(groupKey)}>
+                                  <ListItemText primary={`${group.label} (${group.items.length})`} />
+                                  {expanded[groupKey] ? <ExpandLess /> : <ExpandMore />}
+                                </ListItemButton>
+                                <Collapse in={!!expanded[groupKey]} timeout="auto" unmountOnExit>
+                                  <List dense disablePadding>
+                                    {group.items.map((item) => (
+                                      <ListItemButton
+                                        key={item.name}
+                                        sx={{ pl: 6 }}
+                                        selected={isSelected(keyspace.name, group.kind, item.name)}
+                                        onClick={() => setSelection({ keyspace: keyspace.name, kind: group.kind, name: item.name })}
+                                      >
+                                        <ListItemText
+                                          primary={item.label}
+                                          primaryTypographyProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                                        />
+                                      </ListItemButton>
+                                    ))}
+                                  </List>
+                                </Collapse>
+                              </React.Fragment>
+                            );
+                          })}
+                        </List>
+                      </Collapse>
+                    </React.Fragment>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Box>
+
+        <Box sx={{ flex: { xs: '1', md: '0 0 67%' } }}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="h6">
+                  {selection ? [selection.keyspace, selection.name].filter(Boolean).join('.') : 'DDL'}
+                </Typography>
+                <Box>
+                  <Tooltip title="Copy">
+                    <span>
+                      <IconButton onClick={() => navigator.clipboard.writeText(cql)} disabled={!cql}>
+                        <CopyIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    startIcon={<DownloadIcon />}
+                    onClick={handleDownload}
+                    disabled={!selection}
+                    sx={{ ml: 1 }}
+                  >
+                    Download keyspace .cql
+                  </Button>
+                </Box>
+              </Box>
+              {!selection ? (
+                <Alert severity="info">Select a keyspace or an object to see its CQL</Alert>
+              ) : describing ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                  <CircularProgress />
+                </Box>
+              ) : (
+                <Paper variant="outlined" sx={{ p: 2, maxHeight: '70vh', overflow: 'auto' }}>
+                  <Typography variant="body2" component="pre" sx={{ fontFamily: 'monospace', fontSize: '0.8rem', m: 0, whiteSpace: 'pre' }}>
+                    {cql}
+                  </Typography>
+                </Paper>
+              )}
+            </CardContent>
+          </Card>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default SchemaBrowser;
@@ -1,15 +1,23 @@
 import React from 'react';
 import { Typography, Box, Alert } from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import UserManagement from '../components/UserManagement/UserManagement';
 
 const Settings: React.FC = () => {
+  const { hasRole } = useAuth();
+
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
         Settings
       </Typography>
-      <Alert severity="info">
-        Settings page - this will contain configuration options for the application.
-      </Alert>
+      {hasRole('admin') ? (
+        <UserManagement />
+      ) : (
+        <Alert severity="info">
+          Settings page - this will contain configuration options for the application.
+        </Alert>
+      )}
     </Box>
   );
 };
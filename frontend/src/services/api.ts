@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { AllMetrics, Operation, QueryResult, NodetoolResult } from '../types';
+import { AllMetrics, Operation, QueryResult, NodetoolResult, ClusterStatus, PageRequest, ExportFormat, ExportSource, ImportFormat, ImportUpload, ImportRequest, RowEditRequest, RowEditResult, TokenRing, Endpoints, SchemaTree, SchemaObjectKind, SchemaDescription, ClusterConnection, ConnectionInfo, ConnectionProfile, AuthSession, AuthProviderInfo, LocalUser, UserRole, AuditFilters, AuditQueryResult, OperationFilters, OperationPage, JobSubmission, RepairOptions, MetricHistory, MetricHistoryQuery, MetricHistorySeries, AlertRule, AlertRuleInput, ClusterAlert, NotificationChannel, AlertSilence, SilenceMatcher, MaintenanceWindow, SuppressionPeriod } from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
@@ -11,10 +11,23 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for logging
+// Cluster that cluster-scoped requests are sent to (null = backend default)
+let activeClusterId: string | null = null;
+
+// Session token sent with every request, and the handler run when the backend rejects it
+let authToken: string | null = null;
+let unauthorizedHandler: (() => void) | null = null;
+
+// Request interceptor for logging, authentication and cluster scoping
 api.interceptors.request.use(
   (config) => {
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
+    if (authToken && config.headers) {
+      config.headers['Authorization'] = `Bearer ${authToken}`;
+    }
+    if (activeClusterId && config.headers) {
+      config.headers['X-Cluster-Id'] = activeClusterId;
+    }
     return config;
   },
   (error) => {
@@ -30,11 +43,80 @@ api.interceptors.response.use(
   },
   (error) => {
     console.error('API Response Error:', error.response?.data || error.message);
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/api/auth/login')) {
+      unauthorizedHandler?.();
+    }
     return Promise.reject(error);
   }
 );
 
 export class ApiService {
+  // Cluster selection
+  static setActiveCluster(clusterId: string | null) {
+    activeClusterId = clusterId;
+  }
+
+  static getActiveCluster(): string | null {
+    return activeClusterId;
+  }
+
+  // Authentication
+  static setAuthToken(token: string | null) {
+    authToken = token;
+  }
+
+  static getAuthToken(): string | null {
+    return authToken;
+  }
+
+  static onUnauthorized(handler: (() => void) | null) {
+    unauthorizedHandler = handler;
+  }
+
+  static getProviderLoginUrl(provider: string): string {
+    return `${API_BASE_URL}/api/auth/${encodeURIComponent(provider)}/login`;
+  }
+
+  static async getAuthProviders(): Promise<AuthProviderInfo[]> {
+    const response = await api.get('/api/auth/providers');
+    return response.data;
+  }
+
+  static async login(username: string, password: string, provider?: string): Promise<AuthSession> {
+    const response = await api.post('/api/auth/login', { username, password, provider });
+    return response.data;
+  }
+
+  static async logout() {
+    const response = await api.post('/api/auth/logout');
+    return response.data;
+  }
+
+  static async getCurrentSession(): Promise<AuthSession> {
+    const response = await api.get('/api/auth/me');
+    return response.data;
+  }
+
+  static async listUsers(): Promise<LocalUser[]> {
+    const response = await api.get('/api/auth/users');
+    return response.data;
+  }
+
+  static async createUser(user: { username: string; password: string; role: UserRole }): Promise<LocalUser> {
+    const response = await api.post('/api/auth/users', user);
+    return response.data;
+  }
+
+  static async updateUser(username: string, changes: { password?: string; role?: UserRole; disabled?: boolean }): Promise<LocalUser> {
+    const response = await api.put(`/api/auth/users/${encodeURIComponent(username)}`, changes);
+    return response.data;
+  }
+
+  static async deleteUser(username: string) {
+    const response = await api.delete(`/api/auth/users/${encodeURIComponent(username)}`);
+    return response.data;
+  }
+
   // Metrics endpoints
   static async getAllMetrics(): Promise<AllMetrics> {
     const response = await api.get('/api/metrics');
@@ -77,48 +159,92 @@ export class ApiService {
   }
 
   // Operations endpoints
-  static async getClusterStatus(): Promise<NodetoolResult> {
-    const response = await api.get('/api/operations/cluster/status');
+  static async getClusterStatus(keyspace?: string): Promise<ClusterStatus> {
+    const response = await api.get('/api/operations/cluster/status', { params: { keyspace } });
+    return response.data;
+  }
+
+  static async getTokenRing(keyspace?: string): Promise<TokenRing> {
+    const response = await api.get('/api/operations/cluster/ring', { params: { keyspace } });
+    return response.data;
+  }
+
+  // key maps every partition key column to its value as text (JSON for collections)
+  static async getEndpoints(keyspace: string, table: string, key: Record<string, string>): Promise<Endpoints> {
+    const response = await api.get(`/api/topology/endpoints/${encodeURIComponent(keyspace)}/${encodeURIComponent(table)}`, { params: key });
+    return response.data;
+  }
+
+  // With dryRun the backend only returns the statement and the values it would change
+  static async editRow(keyspace: string, table: string, request: RowEditRequest): Promise<RowEditResult> {
+    const response = await api.post(`/api/operations/rows/${encodeURIComponent(keyspace)}/${encodeURIComponent(table)}`, request);
+    return response.data;
+  }
+
+  static async getTableSchema(keyspace: string, table: string): Promise<QueryResult> {
+    const response = await api.get(`/api/operations/schema/${encodeURIComponent(keyspace)}/${encodeURIComponent(table)}`);
     return response.data;
   }
 
-  static async getClusterInfo(): Promise<NodetoolResult> {
-    const response = await api.get('/api/operations/cluster/info');
+  // Schema
+  static async getSchemaTree(): Promise<SchemaTree> {
+    const response = await api.get('/api/schema');
     return response.data;
   }
 
-  static async repairKeyspace(keyspace?: string, options?: any): Promise<NodetoolResult> {
+  // CREATE statements for the keyspace and everything in it
+  static async describeKeyspace(keyspace: string): Promise<SchemaDescription> {
+    const response = await api.get(`/api/schema/${encodeURIComponent(keyspace)}`);
+    return response.data;
+  }
+
+  static async describeSchemaObject(keyspace: string, kind: SchemaObjectKind, name: string): Promise<SchemaDescription> {
+    const response = await api.get(`/api/schema/${encodeURIComponent(keyspace)}/${kind}/${encodeURIComponent(name)}`);
+    return response.data;
+  }
+
+  static async getClusterInfo(node?: string): Promise<NodetoolResult> {
+    const response = await api.get('/api/operations/cluster/info', { params: { node } });
+    return response.data;
+  }
+
+  static async repairKeyspace(keyspace?: string, options?: RepairOptions): Promise<JobSubmission> {
     const endpoint = keyspace ? `/api/operations/repair/${keyspace}` : '/api/operations/repair';
     const response = await api.post(endpoint, options);
     return response.data;
   }
 
-  static async compactKeyspace(keyspace?: string): Promise<NodetoolResult> {
+  static async compactKeyspace(keyspace?: string, tables?: string[], node?: string): Promise<JobSubmission> {
     const endpoint = keyspace ? `/api/operations/compact/${keyspace}` : '/api/operations/compact';
-    const response = await api.post(endpoint);
+    const response = await api.post(endpoint, { tables, node });
     return response.data;
   }
 
-  static async flushKeyspace(keyspace?: string): Promise<NodetoolResult> {
+  static async flushKeyspace(keyspace?: string, tables?: string[], node?: string): Promise<NodetoolResult> {
     const endpoint = keyspace ? `/api/operations/flush/${keyspace}` : '/api/operations/flush';
-    const response = await api.post(endpoint);
+    const response = await api.post(endpoint, { tables, node });
     return response.data;
   }
 
-  static async cleanupKeyspace(keyspace?: string): Promise<NodetoolResult> {
+  static async cleanupKeyspace(keyspace?: string, tables?: string[], node?: string): Promise<JobSubmission> {
     const endpoint = keyspace ? `/api/operations/cleanup/${keyspace}` : '/api/operations/cleanup';
-    const response = await api.post(endpoint);
+    const response = await api.post(endpoint, { tables, node });
     return response.data;
   }
 
-  static async scrubKeyspace(keyspace?: string): Promise<NodetoolResult> {
+  static async scrubKeyspace(keyspace?: string, tables?: string[], node?: string): Promise<JobSubmission> {
     const endpoint = keyspace ? `/api/operations/scrub/${keyspace}` : '/api/operations/scrub';
-    const response = await api.post(endpoint);
+    const response = await api.post(endpoint, { tables, node });
+    return response.data;
+  }
+
+  static async cancelOperation(operationId: string): Promise<Operation> {
+    const response = await api.post(`/api/operations/${encodeURIComponent(operationId)}/cancel`);
     return response.data;
   }
 
-  static async drainNode(): Promise<NodetoolResult> {
-    const response = await api.post('/api/operations/drain');
+  static async drainNode(node?: string): Promise<NodetoolResult> {
+    const response = await api.post('/api/operations/drain', { node });
     return response.data;
   }
 
@@ -135,16 +261,55 @@ export class ApiService {
     return response.data;
   }
 
-  static async executeQuery(query: string, consistency?: string): Promise<QueryResult> {
+  // trace runs the query with tracing on; the result then carries the trace session
+  static async executeQuery(query: string, consistency?: string, page: PageRequest = {}, trace = false): Promise<QueryResult> {
     const response = await api.post('/api/operations/query', {
       query,
-      consistency
+      consistency,
+      ...page,
+      trace
+    });
+    return response.data;
+  }
+
+  // partitionKey (every partition key column -> value as text) restricts the rows to one partition
+  static async browseTable(keyspace: string, table: string, page: PageRequest = {}, partitionKey?: Record<string, string>): Promise<QueryResult> {
+    const response = await api.get(`/api/operations/browse/${encodeURIComponent(keyspace)}/${encodeURIComponent(table)}`, {
+      params: { ...page, key: partitionKey }
     });
     return response.data;
   }
 
-  static async getActiveOperations(): Promise<Operation[]> {
-    const response = await api.get('/api/operations/active');
+  // A one-time link that downloads the whole table, partition or query result. The
+  // browser saves the file as the backend streams it page by page, so it is never held
+  // in memory here. The link expires within a minute, so follow it right away.
+  static async createExportLink(source: ExportSource, format: ExportFormat): Promise<string> {
+    const body = 'query' in source
+      ? { query: source.query, format }
+      : { keyspace: source.keyspace, table: source.table, partitionKey: source.partitionKey, format };
+    const response = await api.post('/api/operations/export/links', body);
+    return `${API_BASE_URL}${response.data.url}`;
+  }
+
+  // The file is sent as it is, not as JSON; onProgress gets the bytes sent so far
+  static async uploadImportFile(file: File, format: ImportFormat, onProgress?: (bytes: number) => void): Promise<ImportUpload> {
+    const response = await api.post('/api/operations/import/uploads', file, {
+      params: { format },
+      headers: { 'Content-Type': 'application/octet-stream' },
+      timeout: 0,
+      onUploadProgress: (event: { loaded: number }) => onProgress?.(event.loaded),
+    });
+    return response.data;
+  }
+
+  // Starts the import as an operation; its progress comes over the WebSocket
+  static async startImport(keyspace: string, table: string, request: ImportRequest): Promise<JobSubmission> {
+    const response = await api.post(`/api/operations/import/${encodeURIComponent(keyspace)}/${encodeURIComponent(table)}`, request);
+    return response.data;
+  }
+
+  static async getActiveOperations(filters: OperationFilters = {}): Promise<OperationPage> {
+    const response = await api.get('/api/operations/active', { params: filters });
     return response.data;
   }
 
@@ -158,13 +323,13 @@ export class ApiService {
     return response.data;
   }
 
-  static async getThreadPoolStats(): Promise<NodetoolResult> {
-    const response = await api.get('/api/operations/stats/threadpool');
+  static async getThreadPoolStats(node?: string): Promise<NodetoolResult> {
+    const response = await api.get('/api/operations/stats/threadpool', { params: { node } });
     return response.data;
   }
 
-  static async getGCStats(): Promise<NodetoolResult> {
-    const response = await api.get('/api/operations/stats/gc');
+  static async getGCStats(node?: string): Promise<NodetoolResult> {
+    const response = await api.get('/api/operations/stats/gc', { params: { node } });
     return response.data;
   }
 
@@ -179,16 +344,162 @@ export class ApiService {
     return response.data;
   }
 
-  static async disconnect() {
-    const response = await api.post('/api/connections/disconnect');
+  static async disconnect(clusterId?: string) {
+    const endpoint = clusterId ? `/api/connections/disconnect/${clusterId}` : '/api/connections/disconnect';
+    const response = await api.post(endpoint);
     return response.data;
   }
 
-  static async getConnectionInfo() {
+  static async getConnectionInfo(): Promise<ConnectionInfo> {
     const response = await api.get('/api/connections/info');
     return response.data;
   }
 
+  static async listConnections(): Promise<{ clusters: ClusterConnection[]; defaultClusterId: string | null }> {
+    const response = await api.get('/api/connections');
+    return response.data;
+  }
+
+  // Saved connection profiles
+  static async listProfiles(): Promise<ConnectionProfile[]> {
+    const response = await api.get('/api/connections/profiles');
+    return response.data;
+  }
+
+  static async createProfile(profile: any): Promise<ConnectionProfile> {
+    const response = await api.post('/api/connections/profiles', profile);
+    return response.data;
+  }
+
+  static async updateProfile(id: string, profile: any): Promise<ConnectionProfile> {
+    const response = await api.put(`/api/connections/profiles/${encodeURIComponent(id)}`, profile);
+    return response.data;
+  }
+
+  static async deleteProfile(id: string) {
+    const response = await api.delete(`/api/connections/profiles/${encodeURIComponent(id)}`);
+    return response.data;
+  }
+
+  static async testProfile(id: string) {
+    const response = await api.post(`/api/connections/profiles/${encodeURIComponent(id)}/test`);
+    return response.data;
+  }
+
+  static async connectProfile(id: string) {
+    const response = await api.post(`/api/connections/profiles/${encodeURIComponent(id)}/connect`);
+    return response.data;
+  }
+
+  // Audit log
+  static async getAuditLog(filters: AuditFilters = {}): Promise<AuditQueryResult> {
+    const response = await api.get('/api/audit', { params: filters });
+    return response.data;
+  }
+
+  // Metrics history
+  static async getMetricHistory(query: MetricHistoryQuery): Promise<MetricHistory> {
+    const response = await api.get('/api/history', { params: query });
+    return response.data;
+  }
+
+  static async getMetricHistorySeries(): Promise<MetricHistorySeries> {
+    const response = await api.get('/api/history/metrics');
+    return response.data;
+  }
+
+  // Alerting endpoints
+  static async getAlerts(filters: { state?: string; severity?: string } = {}): Promise<ClusterAlert[]> {
+    const response = await api.get('/api/alerts', { params: filters });
+    return response.data.alerts;
+  }
+
+  static async acknowledgeAlert(id: string, comment = ''): Promise<ClusterAlert> {
+    const response = await api.post(`/api/alerts/${id}/acknowledge`, { comment });
+    return response.data;
+  }
+
+  static async unacknowledgeAlert(id: string): Promise<ClusterAlert> {
+    const response = await api.delete(`/api/alerts/${id}/acknowledge`);
+    return response.data;
+  }
+
+  static async getSilences(status?: string): Promise<AlertSilence[]> {
+    const response = await api.get('/api/alerts/silences', { params: { status } });
+    return response.data.silences;
+  }
+
+  static async createSilence(silence: { matchers: SilenceMatcher[]; comment: string } & SuppressionPeriod): Promise<AlertSilence> {
+    const response = await api.post('/api/alerts/silences', silence);
+    return response.data;
+  }
+
+  static async expireSilence(id: string): Promise<AlertSilence> {
+    const response = await api.delete(`/api/alerts/silences/${id}`);
+    return response.data;
+  }
+
+  // Scoped to the selected cluster by the X-Cluster-Id header
+  static async getMaintenanceWindows(status?: string): Promise<MaintenanceWindow[]> {
+    const response = await api.get('/api/alerts/maintenance', { params: { status } });
+    return response.data.windows;
+  }
+
+  static async createMaintenanceWindow(window: { nodes: string[]; reason: string } & SuppressionPeriod): Promise<MaintenanceWindow> {
+    const response = await api.post('/api/alerts/maintenance', window);
+    return response.data;
+  }
+
+  static async endMaintenanceWindow(id: string): Promise<MaintenanceWindow> {
+    const response = await api.delete(`/api/alerts/maintenance/${id}`);
+    return response.data;
+  }
+
+  static async getAlertRules(): Promise<AlertRule[]> {
+    const response = await api.get('/api/alerts/rules');
+    return response.data.rules;
+  }
+
+  static async createAlertRule(rule: Partial<AlertRuleInput>): Promise<AlertRule> {
+    const response = await api.post('/api/alerts/rules', rule);
+    return response.data;
+  }
+
+  static async updateAlertRule(id: string, rule: Partial<AlertRuleInput>): Promise<AlertRule> {
+    const response = await api.put(`/api/alerts/rules/${id}`, rule);
+    return response.data;
+  }
+
+  static async deleteAlertRule(id: string) {
+    const response = await api.delete(`/api/alerts/rules/${id}`);
+    return response.data;
+  }
+
+  static async getNotificationChannels(): Promise<NotificationChannel[]> {
+    const response = await api.get('/api/alerts/channels');
+    return response.data.channels;
+  }
+
+  static async createNotificationChannel(channel: Partial<NotificationChannel>): Promise<NotificationChannel> {
+    const response = await api.post('/api/alerts/channels', channel);
+    return response.data;
+  }
+
+  static async updateNotificationChannel(id: string, channel: Partial<NotificationChannel>): Promise<NotificationChannel> {
+    const response = await api.put(`/api/alerts/channels/${id}`, channel);
+    return response.data;
+  }
+
+  static async deleteNotificationChannel(id: string) {
+    const response = await api.delete(`/api/alerts/channels/${id}`);
+    return response.data;
+  }
+
+  static async testNotificationChannel(id: string): Promise<{ success: boolean; channel: string; error?: string }> {
+    const response = await api.post(`/api/alerts/channels/${id}/test`);
+    return response.data;
+  }
+
   // JMX endpoints
   static async testJMXConnection(host: string, port: number = 7199) {
     const response = await api.post('/api/jmx/test', { host, port });
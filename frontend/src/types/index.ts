@@ -143,6 +143,46 @@ export interface Operation {
   result?: any;
   error?: string;
   isSystemOperation?: boolean; // Add system operation flag
+  command?: string;
+  queuedAt?: string;
+  progress?: number | null; // Percent parsed from nodetool output
+  output?: string[]; // Tail of nodetool output
+  node?: string | null; // Target node address for maintenance operations
+  // Bulk import counters, updated while it runs
+  dryRun?: boolean;
+  records?: number;
+  imported?: number;
+  failed?: number;
+}
+
+export interface RepairOptions {
+  full?: boolean;
+  primaryRange?: boolean;
+  tables?: string[];
+  node?: string; // Address or host id; omitted runs nodetool against the backend host's node
+}
+
+export interface JobSubmission {
+  success: boolean;
+  operationId: string;
+  status: string;
+  command: string;
+}
+
+export interface OperationFilters {
+  type?: string;
+  keyspace?: string;
+  status?: string;
+  node?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface OperationPage {
+  operations: Operation[];
+  total: number;
+  limit: number;
+  offset: number;
 }
 
 export interface AllMetrics {
@@ -155,11 +195,260 @@ export interface AllMetrics {
   lastUpdate: string;
 }
 
+export interface MetricHistoryQuery {
+  metric: string;
+  node?: string; // Node address, or 'cluster' (default) for the aggregate
+  from?: string; // ISO timestamp or epoch ms
+  to?: string;
+  step?: string; // e.g. 30s, 5m, 1h
+}
+
+export interface MetricHistoryPoint {
+  timestamp: string;
+  value: number;
+  min: number;
+  max: number;
+  samples: number;
+}
+
+export interface MetricHistory {
+  clusterId: string | null;
+  metric: string;
+  node: string;
+  from: string;
+  to: string;
+  step: number;
+  resolution: 'raw' | '1m';
+  points: MetricHistoryPoint[];
+}
+
+export interface MetricHistorySeries {
+  clusterId: string | null;
+  sampleInterval: number;
+  nodes: Record<string, string[]>;
+}
+
+export type AlertSeverity = 'info' | 'warning' | 'critical';
+
+export interface AlertRule {
+  id: string;
+  name: string;
+  description: string;
+  enabled: boolean;
+  metric: string;
+  type: 'threshold' | 'rate' | 'absence';
+  operator: '>' | '>=' | '<' | '<=' | '==' | '!=';
+  threshold: number | null;
+  window: string;
+  for: string;
+  severity: AlertSeverity;
+  scope: 'node' | 'cluster';
+  clusterId: string | null;
+  datacenters: string[];
+  nodes: string[];
+  channels: string[];
+  // Extra labels copied onto alerts, e.g. { keyspace: 'orders' }
+  labels: Record<string, string>;
+  createdBy?: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type AlertRuleInput = Omit<AlertRule, 'id' | 'createdBy' | 'createdAt' | 'updatedAt'>;
+
+export interface ClusterAlert {
+  id: string;
+  ruleId: string;
+  ruleName: string;
+  severity: AlertSeverity;
+  state: 'pending' | 'firing' | 'resolved';
+  clusterId: string | null;
+  node: string;
+  dc: string | null;
+  metric: string;
+  type: AlertRule['type'];
+  value: number | null;
+  threshold: number | null;
+  message: string;
+  activeAt: string;
+  firedAt: string | null;
+  resolvedAt: string | null;
+  updatedAt: string;
+  labels: Record<string, string>;
+  acknowledged: { by: string | null; comment: string; at: string } | null;
+  // Ids of the silences and maintenance windows muting the alert
+  silencedBy: string[];
+  maintenance: string[];
+  suppressed: boolean;
+}
+
+export type SuppressionStatus = 'pending' | 'active' | 'expired';
+
+export interface SilenceMatcher {
+  name: string;
+  value: string;
+  isRegex: boolean;
+}
+
+export interface AlertSilence {
+  id: string;
+  matchers: SilenceMatcher[];
+  comment: string;
+  startsAt: string;
+  endsAt: string;
+  status: SuppressionStatus;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface MaintenanceWindow {
+  id: string;
+  clusterId: string;
+  // Empty for the whole cluster
+  nodes: string[];
+  reason: string;
+  startsAt: string;
+  endsAt: string;
+  status: SuppressionStatus;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Either endsAt or a duration such as 30m or 2h; startsAt defaults to now
+export interface SuppressionPeriod {
+  startsAt?: string;
+  endsAt?: string;
+  duration?: string;
+}
+
+export type NotificationChannelType = 'webhook' | 'slack' | 'email' | 'pagerduty';
+
+export interface NotificationChannel {
+  id: string;
+  name: string;
+  type: NotificationChannelType;
+  enabled: boolean;
+  sendResolved: boolean;
+  // Secret fields are write-only; the API reports them as has<Field> flags
+  config: Record<string, any>;
+  lastDelivery: {
+    status: 'delivered' | 'retrying' | 'failed';
+    alertId: string;
+    attempts: number;
+    error?: string;
+    at: string;
+  } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
 export interface WebSocketMessage {
-  type: 'initial' | 'metrics_update' | 'operations_update' | 'operation_update' | 'alert' | 'error' | 'pong' | 'subscribed' | 'unsubscribed' | 'connection_pending';
+  type: 'initial' | 'metrics_update' | 'operations_update' | 'operation_update' | 'alert' | 'error' | 'pong' | 'subscribed' | 'unsubscribed' | 'connection_pending' | 'cluster_selected';
   data?: any;
   message?: string;
   channels?: string[];
+  clusterId?: string | null;
+}
+
+export interface ClusterConnection {
+  clusterId: string;
+  name: string;
+  isConnected: boolean;
+  isDefault?: boolean;
+  cluster: string | null;
+  config: {
+    hosts: string[];
+    port: number;
+    datacenter: string;
+    jmxPort?: number;
+    username?: string;
+  } | null;
+}
+
+export type UserRole = 'viewer' | 'operator' | 'admin';
+
+export interface AuthUser {
+  username: string;
+  role: UserRole;
+  provider: string;
+}
+
+export interface AuthSession {
+  token: string;
+  user: AuthUser;
+  expiresAt: string;
+}
+
+export interface AuthProviderInfo {
+  name: string;
+  type: 'password' | 'redirect';
+}
+
+export interface LocalUser {
+  username: string;
+  role: UserRole;
+  disabled: boolean;
+  provider: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AuditEntry {
+  id: string;
+  timestamp: string;
+  user: string | null;
+  role: UserRole | null;
+  provider: string | null;
+  ip: string | null;
+  clusterId: string | null;
+  action: string;
+  command: string | null;
+  parameters: Record<string, any> | null;
+  outcome: 'success' | 'failure';
+  error: string | null;
+  durationMs: number | null;
+}
+
+export interface AuditFilters {
+  user?: string;
+  clusterId?: string;
+  action?: string;
+  outcome?: string;
+  since?: string;
+  until?: string;
+  search?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface AuditQueryResult {
+  entries: AuditEntry[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+export interface ConnectionProfile {
+  id: string;
+  name: string;
+  hosts: string[];
+  port: number;
+  datacenter: string;
+  jmxPort: number;
+  username: string;
+  hasPassword: boolean;
+  isDefault: boolean;
+  ssl: Record<string, any> | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ConnectionInfo extends Omit<ClusterConnection, 'clusterId' | 'name'> {
+  clusterId: string | null;
+  name: string | null;
+  clusters: ClusterConnection[];
 }
 
 export interface QueryResult {
@@ -171,10 +460,262 @@ export interface QueryResult {
     type: string;
   }>;
   error?: string;
+  // Set on paged results; nextCursor is null on the last page
+  pageSize?: number;
+  nextCursor?: string | null;
+  keyspace?: string;
+  table?: string;
+  partitionKey?: Record<string, string> | null;
+  // Set when the query ran with tracing
+  trace?: QueryTrace;
+}
+
+export interface TraceEvent {
+  id: string;
+  time: string;
+  source: string | null;
+  // Microseconds since the source node started on the request
+  sourceElapsed: number;
+  thread: string;
+  activity: string;
+}
+
+export interface TraceSource {
+  source: string | null;
+  isCoordinator: boolean;
+  events: number;
+  firstElapsed: number;
+  lastElapsed: number;
+  startOffsetMs: number | null;
+}
+
+export interface QueryTrace {
+  traceId: string;
+  // false when the session had not finished writing its trace (or could not be read)
+  complete: boolean;
+  error?: string;
+  coordinator?: string | null;
+  client?: string | null;
+  request?: string | null;
+  parameters?: Record<string, string>;
+  startedAt?: string | null;
+  durationMicros?: number | null;
+  events: TraceEvent[];
+  sources: TraceSource[];
+}
+
+export type RowEditAction = 'insert' | 'update' | 'delete';
+
+// key and values map columns to values as text (JSON for collections and UDTs, null to clear)
+export interface RowEditRequest {
+  action: RowEditAction;
+  key: Record<string, string>;
+  values?: Record<string, string | null>;
+  consistency?: string;
+  dryRun?: boolean;
+}
+
+export interface RowEditResult {
+  success: boolean;
+  error?: string;
+  executed: boolean;
+  action: RowEditAction;
+  query: string;
+  consistency: string;
+  key: Record<string, string>;
+  exists: boolean;
+  changes: Array<{ column: string; type: string; before: any; after: string | null }>;
+  // delete only: the rows it removes (the first few) and whether there are more
+  rows?: any[];
+  moreRows?: boolean;
+}
+
+// One page of a browse or query: cursor is the previous page's nextCursor
+export interface PageRequest {
+  pageSize?: number;
+  cursor?: string;
+}
+
+export type ExportFormat = 'csv' | 'jsonl' | 'columnar';
+
+// What an export reads: a table, optionally one partition of it, or a SELECT
+export type ExportSource =
+  | { keyspace: string; table: string; partitionKey?: Record<string, string> }
+  | { query: string };
+
+export type ImportFormat = 'csv' | 'jsonl';
+
+// A file uploaded for import: its fields and first records ({line, values} or {line, error})
+export interface ImportUpload {
+  success: boolean;
+  uploadId: string;
+  format: ImportFormat;
+  size: number;
+  fields: string[];
+  sample: Array<{ line: number; values?: Record<string, any>; error?: string }>;
+}
+
+export interface ImportRequest {
+  uploadId: string;
+  // File field -> table column; fields left out are not imported
+  mapping: Record<string, string>;
+  consistency?: string;
+  concurrency?: number;
+  dryRun?: boolean;
+}
+
+export interface ImportError {
+  line: number;
+  record: number;
+  message: string;
+}
+
+// The result of a finished import operation; for a dry run imported counts the valid records
+export interface ImportResult {
+  success: boolean;
+  dryRun: boolean;
+  records: number;
+  imported: number;
+  failed: number;
+  errors: ImportError[];
+  errorsTruncated: boolean;
+  error: string | null;
 }
 
 export interface NodetoolResult {
   success: boolean;
   output?: string;
   error?: string;
+  errorType?: string;
+  command?: string;
+}
+
+export interface NodeStatus {
+  status: 'U' | 'D';
+  state: 'N' | 'L' | 'J' | 'M';
+  address: string;
+  load: string;
+  loadBytes: number | null;
+  tokens: number;
+  owns: string;
+  // Fraction of the ring, null when the partitioner has no numeric token space
+  ownership: number | null;
+  hostId: string;
+  rack: string;
+  datacenter: string;
+}
+
+export interface ClusterStatus extends NodetoolResult {
+  keyspace?: string | null;
+  effectiveOwnership?: boolean;
+  note?: string | null;
+  partitioner?: string;
+  gossipSource?: string | null;
+  nodes?: NodeStatus[];
+  totalNodes?: number;
+  upNodes?: number;
+  downNodes?: number;
+}
+
+export interface RingNode {
+  address: string;
+  hostId: string;
+  datacenter: string;
+  rack: string;
+  isUp: boolean;
+  tokens: number;
+  ownership: number | null;
+  effectiveOwnership: number | null;
+  deviation: number | null;
+  imbalanced: boolean;
+}
+
+// The range (start, end]; fraction is null for order-preserving partitioners
+export interface TokenRange {
+  start: string;
+  end: string;
+  fraction: number | null;
+  owner: string;
+  replicas: string[];
+}
+
+export interface PartitionKeyValue {
+  name: string;
+  type: string;
+  value: string;
+}
+
+export interface EndpointReplica {
+  address: string;
+  hostId: string;
+  datacenter: string;
+  rack: string;
+  status: NodeStatus['status'];
+  state: NodeStatus['state'];
+}
+
+export interface Endpoints {
+  success: boolean;
+  error?: string;
+  keyspace?: string;
+  table?: string;
+  partitionKey?: PartitionKeyValue[];
+  partitioner?: string;
+  token?: string;
+  replication?: Record<string, string> | null;
+  gossipSource?: string | null;
+  replicas?: EndpointReplica[];
+}
+
+export interface SchemaTable {
+  name: string;
+  indexes: string[];
+  views: string[];
+}
+
+// Functions and aggregates may be overloaded, so they carry their argument types
+export interface SchemaRoutine {
+  name: string;
+  signature: string;
+}
+
+export interface SchemaKeyspace {
+  name: string;
+  isSystem: boolean;
+  replication: Record<string, string>;
+  durableWrites: boolean;
+  tables: SchemaTable[];
+  views: Array<{ name: string; baseTable: string }>;
+  types: Array<{ name: string }>;
+  functions: SchemaRoutine[];
+  aggregates: SchemaRoutine[];
+}
+
+export interface SchemaTree {
+  success: boolean;
+  error?: string;
+  keyspaces: SchemaKeyspace[];
+}
+
+export type SchemaObjectKind = 'tables' | 'views' | 'indexes' | 'types' | 'functions' | 'aggregates';
+
+export interface SchemaDescription {
+  success: boolean;
+  error?: string;
+  keyspace: string;
+  kind?: SchemaObjectKind;
+  name?: string;
+  cql: string;
+}
+
+export interface TokenRing {
+  success: boolean;
+  error?: string;
+  partitioner?: string;
+  keyspace?: string | null;
+  replication?: Record<string, string> | null;
+  note?: string | null;
+  imbalanceThreshold?: number;
+  nodes?: RingNode[];
+  ranges?: TokenRange[];
 }